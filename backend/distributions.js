@@ -0,0 +1,356 @@
+/**
+ * Random number generation and sampling distributions for the simulation engine.
+ *
+ * Every distribution is expressed through its (truncated) inverse CDF, so the
+ * same uniform draw can come from the PRNG, a Gaussian copula or an AR(1)
+ * normal score without changing the marginal.
+ */
+
+// ─── Random Sampling ─────────────────────────────────────────────
+
+/**
+ * Mulberry32 PRNG. Deterministic for a given 32-bit seed and uses only
+ * integer ops, so the Express backend and the Worker draw identical streams.
+ */
+export function createRng(seed) {
+  let state = seed >>> 0;
+  return function next() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Normalise a user-supplied seed to an unsigned 32-bit integer.
+ * When no seed is given a random one is picked, so every run can be replayed.
+ */
+export function resolveSeed(seed) {
+  if (seed === undefined || seed === null || seed === '') {
+    return Math.floor(Math.random() * 4294967296);
+  }
+  const n = Number(seed);
+  if (!Number.isFinite(n)) throw new Error('seed must be a number.');
+  return Math.trunc(n) >>> 0;
+}
+
+export function boxMullerNormal(rng) {
+  let u1, u2;
+  do { u1 = rng(); } while (u1 === 0);
+  u2 = rng();
+  return Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2);
+}
+
+// ─── Normal CDF / Quantile ───────────────────────────────────────
+
+/**
+ * Standard normal CDF (Hart 1968 / West 2005). Accurate to double precision
+ * across the whole line, which the copula and tail sampling rely on.
+ */
+export function normalCdf(z) {
+  const x = Math.abs(z);
+  let tail;
+  if (x > 37) {
+    tail = 0;
+  } else if (x < 7.07106781186547) {
+    const e = Math.exp(-x * x / 2);
+    let num = 3.52624965998911e-02 * x + 0.700383064443688;
+    num = num * x + 6.37396220353165;
+    num = num * x + 33.912866078383;
+    num = num * x + 112.079291497871;
+    num = num * x + 221.213596169931;
+    num = num * x + 220.206867912376;
+    let den = 8.83883476483184e-02 * x + 1.75566716318264;
+    den = den * x + 16.064177579207;
+    den = den * x + 86.7807322029461;
+    den = den * x + 296.564248779674;
+    den = den * x + 637.333633378831;
+    den = den * x + 793.826512519948;
+    den = den * x + 440.413735824752;
+    tail = e * num / den;
+  } else {
+    const e = Math.exp(-x * x / 2);
+    let cf = x + 0.65;
+    cf = x + 4 / cf;
+    cf = x + 3 / cf;
+    cf = x + 2 / cf;
+    cf = x + 1 / cf;
+    tail = e / cf / 2.506628274631;
+  }
+  return z > 0 ? 1 - tail : tail;
+}
+
+/**
+ * Inverse standard normal CDF (Acklam's rational approximation, polished
+ * with one Halley step against normalCdf).
+ */
+export function normalQuantile(p) {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+
+  const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+  const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+  const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+  const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+  const pLow = 0.02425;
+
+  let x;
+  if (p < pLow) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    x = (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  } else if (p <= 1 - pLow) {
+    const q = p - 0.5;
+    const r = q * q;
+    x = (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+      (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+  } else {
+    const q = Math.sqrt(-2 * Math.log(1 - p));
+    x = -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+
+  const err = normalCdf(x) - p;
+  const u = err * Math.sqrt(2 * Math.PI) * Math.exp(x * x / 2);
+  return x - u / (1 + x * u / 2);
+}
+
+// Quantile of a standard normal truncated to [a, b]. Works in the lower tail,
+// where normalCdf keeps full relative precision, and falls back to the
+// exponential tail approximation once both bounds are beyond it.
+function standardTruncatedQuantile(u, a, b) {
+  if (!(a <= b)) throw new Error('Truncation bounds need min <= max.');
+  if (a > 0) return -standardTruncatedQuantile(1 - u, -b, -a);
+  const pa = normalCdf(a);
+  const pb = normalCdf(b);
+  if (pb > pa) return normalQuantile(pa + u * (pb - pa));
+  const lo = -b;
+  const width = b - a;
+  return -(lo - Math.log(1 - (1 - u) * -Math.expm1(-lo * width)) / lo);
+}
+
+/**
+ * Map a uniform draw onto a normal truncated to [min, max] via the inverse CDF.
+ * Exact for any mean/sigma/bounds, including a mean far outside the bounds,
+ * and keeps the dependence carried by `u`.
+ */
+export function truncatedNormalQuantile(u, mean, sigma, min, max) {
+  if (!(sigma > 0)) return Math.max(min, Math.min(max, mean));
+  const z = standardTruncatedQuantile(u, (min - mean) / sigma, (max - mean) / sigma);
+  return Math.max(min, Math.min(max, mean + sigma * z));
+}
+
+/**
+ * Probability mass of N(mean, sigma) that falls below `min` and above `max`.
+ */
+export function normalTailMass(mean, sigma, min, max) {
+  if (!(sigma > 0)) return { belowMin: mean < min ? 1 : 0, aboveMax: mean > max ? 1 : 0 };
+  return {
+    belowMin: normalCdf((min - mean) / sigma),
+    aboveMax: normalCdf((mean - max) / sigma)
+  };
+}
+
+// ─── Special Functions ───────────────────────────────────────────
+
+function logGamma(x) {
+  // Lanczos approximation (g = 7, n = 9)
+  const c = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61503916999185, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+    1.5056327351493116e-7
+  ];
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  x -= 1;
+  let a = c[0];
+  const t = x + 7.5;
+  for (let i = 1; i < 9; i++) a += c[i] / (x + i);
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+// Continued fraction for the regularised incomplete beta (modified Lentz)
+function betaContinuedFraction(x, a, b) {
+  const TINY = 1e-30;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < TINY) d = TINY;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    h *= d * c;
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-14) break;
+  }
+  return h;
+}
+
+function regularizedIncompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? front * betaContinuedFraction(x, a, b) / a
+    : 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+function studentTCdf(t, df) {
+  const ib = regularizedIncompleteBeta(df / (df + t * t), df / 2, 0.5);
+  return t > 0 ? 1 - ib / 2 : ib / 2;
+}
+
+// ─── Sampling Distributions ──────────────────────────────────────
+
+export const DISTRIBUTION_TYPES = ['normal', 'lognormal', 'studentT', 'triangular', 'bootstrap'];
+
+const CDF_GRID_POINTS = 2048;
+
+/**
+ * Tabulate a CDF on [min, max] so its truncated inverse can be read off by
+ * interpolation. Used where no closed-form quantile exists (Student-t).
+ */
+function tabulatedQuantile(cdf, min, max) {
+  const xs = new Float64Array(CDF_GRID_POINTS + 1);
+  const fs = new Float64Array(CDF_GRID_POINTS + 1);
+  for (let i = 0; i <= CDF_GRID_POINTS; i++) {
+    xs[i] = min + (max - min) * i / CDF_GRID_POINTS;
+    fs[i] = cdf(xs[i]);
+  }
+  return (u) => {
+    const target = fs[0] + u * (fs[CDF_GRID_POINTS] - fs[0]);
+    let lo = 0;
+    let hi = CDF_GRID_POINTS;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (fs[mid] < target) lo = mid; else hi = mid;
+    }
+    const span = fs[hi] - fs[lo];
+    return span > 0 ? xs[lo] + (xs[hi] - xs[lo]) * (target - fs[lo]) / span : xs[lo];
+  };
+}
+
+/**
+ * Terminal value of an Ornstein–Uhlenbeck process on the log scale that
+ * starts at `start` and reverts toward `anchor` with the given half-life
+ * (years). `sigma` is the long-run spread around the anchor, converted to the
+ * log scale as for the lognormal marginal. Same { quantile, truncation }
+ * shape as buildMarginal, plus `glide(valueT, t)`: the expected value at year
+ * t given the start and the terminal draw (the OU bridge mean).
+ */
+export function buildMeanRevertingMarginal({ start, anchor, halfLife, sigma, horizon, min, max, label = 'variable' }) {
+  if (!(start > 0) || !(anchor > 0)) throw new Error(`Mean-reverting ${label} needs a positive start and anchor.`);
+  if (!(halfLife > 0)) throw new Error(`Mean-reverting ${label} needs a positive half-life.`);
+  const phi = Math.pow(0.5, 1 / halfLife);
+  const logAnchor = Math.log(anchor);
+  const logStart = Math.log(start);
+  const sInf = Math.sqrt(Math.log(1 + (sigma / anchor) ** 2));
+  const decayT = Math.pow(phi, horizon);
+  const mu = logAnchor + (logStart - logAnchor) * decayT;
+  const s = sInf * Math.sqrt(1 - decayT * decayT);
+  const logMin = min > 0 ? Math.log(min) : -Infinity;
+  const logMax = Math.log(max);
+  const meanAt = (t) => logAnchor + (logStart - logAnchor) * Math.pow(phi, t);
+  return {
+    quantile: (u) => Math.max(min, Math.min(max, Math.exp(truncatedNormalQuantile(u, mu, s, logMin, logMax)))),
+    truncation: normalTailMass(mu, s, logMin, logMax),
+    glide: (valueT, t) => {
+      // Cov(x_t, x_T) / Var(x_T) for an OU process started at a fixed point
+      const weight = Math.pow(phi, horizon - t) * (1 - Math.pow(phi, 2 * t)) / (1 - decayT * decayT);
+      return Math.exp(meanAt(t) + weight * (Math.log(valueT) - mu));
+    }
+  };
+}
+
+/**
+ * Build a sampler for one stochastic input, truncated to [min, max].
+ *
+ * `mean`/`sigma` set location and spread (for `triangular`, `mean` is the mode
+ * and the bounds are the end points). `shift` is the lower limit of the
+ * lognormal support: -1 for growth rates, 0 for P/E. `bootstrap` resamples
+ * `samples` that fall within the bounds.
+ *
+ * Returns `{ quantile(u), truncation }`: `quantile` maps a uniform draw onto
+ * the truncated distribution, and `truncation` holds the share of the
+ * requested distribution cut off below `min` and above `max`.
+ */
+export function buildMarginal({ type = 'normal', mean, sigma, min, max, shift = 0, df = 4, samples = [], label = 'variable' }) {
+  const clamp = (x) => Math.max(min, Math.min(max, x));
+
+  switch (type) {
+    case 'normal':
+      return {
+        quantile: (u) => truncatedNormalQuantile(u, mean, sigma, min, max),
+        truncation: normalTailMass(mean, sigma, min, max)
+      };
+
+    case 'lognormal': {
+      const m = mean - shift;
+      if (!(m > 0)) throw new Error(`Lognormal ${label} needs a mean above ${shift}.`);
+      if (!(max > shift)) throw new Error(`Lognormal ${label} needs a maximum above ${shift}.`);
+      const s = Math.sqrt(Math.log(1 + (sigma / m) ** 2));
+      const mu = Math.log(m) - s * s / 2;
+      // Truncated normal on the log scale, so the tails stay exact too
+      const logMin = min > shift ? Math.log(min - shift) : -Infinity;
+      const logMax = Math.log(max - shift);
+      return {
+        quantile: (u) => clamp(shift + Math.exp(truncatedNormalQuantile(u, mu, s, logMin, logMax))),
+        truncation: normalTailMass(mu, s, logMin, logMax)
+      };
+    }
+
+    case 'studentT': {
+      if (!(df > 2)) throw new Error(`Student-t ${label} needs more than 2 degrees of freedom.`);
+      const scale = sigma * Math.sqrt((df - 2) / df); // so the standard deviation equals sigma
+      return {
+        quantile: tabulatedQuantile((x) => studentTCdf((x - mean) / scale, df), min, max),
+        truncation: {
+          belowMin: studentTCdf((min - mean) / scale, df),
+          aboveMax: studentTCdf((mean - max) / scale, df)
+        }
+      };
+    }
+
+    case 'triangular': {
+      const mode = clamp(mean);
+      const range = max - min;
+      const split = range > 0 ? (mode - min) / range : 0;
+      return {
+        quantile: (u) => (u < split
+          ? min + Math.sqrt(u * range * (mode - min))
+          : max - Math.sqrt((1 - u) * range * (max - mode))),
+        truncation: { belowMin: 0, aboveMax: 0 }
+      };
+    }
+
+    case 'bootstrap': {
+      const finite = samples.filter(Number.isFinite);
+      const sorted = finite.filter(x => x >= min && x <= max).sort((a, b) => a - b);
+      if (sorted.length < 2) throw new Error(`Bootstrap ${label} needs at least 2 historical values within the bounds.`);
+      return {
+        quantile: (u) => sorted[Math.min(sorted.length - 1, Math.floor(u * sorted.length))],
+        truncation: {
+          belowMin: finite.filter(x => x < min).length / finite.length,
+          aboveMax: finite.filter(x => x > max).length / finite.length
+        }
+      };
+    }
+
+    default:
+      throw new Error(`Unknown distribution type "${type}".`);
+  }
+}
@@ -0,0 +1,7 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { truncatedNormalQuantile } from './distributions.js';
+
+test('a truncated normal with inverted bounds throws instead of recursing', () => {
+  assert.throws(() => truncatedNormalQuantile(0.5, 0.1, 0.05, 0.5, 0.1), /min <= max/);
+});
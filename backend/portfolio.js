@@ -0,0 +1,240 @@
+/**
+ * Multi-stock portfolio simulation
+ *
+ * Each holding runs through the single-stock engine (runSimulation) with its
+ * own data-driven assumptions. The holdings' outcomes are then coupled with a
+ * Gaussian copula whose correlation matrix comes from historical monthly
+ * returns: every holding's simulated outcomes are re-ordered to follow the
+ * ranks of correlated normal scores (Iman–Conover), so each marginal stays
+ * exactly as simulated while the basket moves together.
+ */
+
+import { createRng, resolveSeed, boxMullerNormal } from './distributions.js';
+import { runSimulation, percentile, pearson, percentileSummary, buildHistogram, monthlyLogReturns } from './simulation.js';
+
+export const MAX_PORTFOLIO_HOLDINGS = 20;
+export const MAX_PORTFOLIO_SIMULATIONS = 20000;
+const MIN_OVERLAPPING_MONTHS = 12;
+
+// ─── Inputs from stock data ─────────────────────────────────────
+
+/**
+ * runSimulation parameters for a fetched stock, using the same data-driven
+ * defaults as the single-stock view. `overrides` replaces any of them.
+ */
+export function simulationParamsFromStock(stock, overrides = {}) {
+  if (!(stock.currentPrice > 0) || !(stock.trailingEps > 0)) {
+    throw new Error(`${stock.ticker} needs a positive price and EPS to simulate.`);
+  }
+  return {
+    price0: stock.currentPrice,
+    eps0: stock.trailingEps,
+    pe0: stock.trailingPE || stock.currentPrice / stock.trailingEps,
+    meanGrowth: stock.growthDistribution.meanGrowth,
+    sigmaGrowth: stock.growthDistribution.sigmaGrowth,
+    meanPE: stock.peDistribution.meanPE,
+    sigmaPE: stock.peDistribution.sigmaPE,
+    growthPECorrelation: stock.growthPECorrelation.correlation,
+    dividendYield: stock.dividendYield ?? 0,
+    payoutRatio: stock.payoutRatio ?? null,
+    ...overrides
+  };
+}
+
+// ─── Return correlation ─────────────────────────────────────────
+
+/**
+ * Pairwise Pearson correlation of monthly log returns, matched by month.
+ * Pairs with fewer than MIN_OVERLAPPING_MONTHS common months are treated as
+ * uncorrelated and reported in `warnings`.
+ */
+export function estimateReturnCorrelation(stocks) {
+  const series = stocks.map(s => monthlyLogReturns(s.historicalPrices || []));
+  const n = stocks.length;
+  const matrix = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+  const warnings = [];
+  let minOverlap = Infinity;
+
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const xs = [];
+      const ys = [];
+      for (const [month, r] of series[i]) {
+        if (series[j].has(month)) {
+          xs.push(r);
+          ys.push(series[j].get(month));
+        }
+      }
+      minOverlap = Math.min(minOverlap, xs.length);
+      if (xs.length < MIN_OVERLAPPING_MONTHS) {
+        warnings.push(`${stocks[i].ticker} / ${stocks[j].ticker}: only ${xs.length} overlapping months of returns; assuming no correlation.`);
+        continue;
+      }
+      matrix[i][j] = matrix[j][i] = pearson(xs, ys);
+    }
+  }
+
+  return { matrix, dataPoints: n > 1 ? minOverlap : 0, warnings };
+}
+
+// Lower-triangular L with L·Lᵀ = matrix, or null if not positive definite
+function cholesky(matrix) {
+  const n = matrix.length;
+  const L = Array.from({ length: n }, () => new Array(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = matrix[i][j];
+      for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+      if (i === j) {
+        if (!(sum > 1e-10)) return null;
+        L[i][i] = Math.sqrt(sum);
+      } else {
+        L[i][j] = sum / L[j][j];
+      }
+    }
+  }
+  return L;
+}
+
+/**
+ * Cholesky factor of the correlation matrix. Pairwise estimates need not be
+ * jointly consistent, so an indefinite matrix is shrunk toward the identity
+ * until it factors; the shrinkage applied is returned alongside.
+ */
+function factorCorrelation(matrix) {
+  for (let step = 0; step <= 20; step++) {
+    const shrinkage = step / 20;
+    const shrunk = matrix.map((row, i) => row.map((v, j) => (i === j ? 1 : v * (1 - shrinkage))));
+    const L = cholesky(shrunk);
+    if (L) return { L, matrix: shrunk, shrinkage };
+  }
+  throw new Error('Could not factor the return correlation matrix.');
+}
+
+// ─── Portfolio Simulation ───────────────────────────────────────
+
+/**
+ * Simulate a buy-and-hold basket. `holdings` are [{ ticker, weight, stock }]
+ * with fetched stock data; weights are normalised to sum to 1.
+ * Each holding gets its own seed derived from the portfolio seed, so a
+ * seeded run is reproducible end to end.
+ */
+export function runPortfolioSimulation({
+  holdings,
+  years = 5,
+  numSimulations = 20000,
+  fdRate = 0.07,
+  capital = 100000,
+  seed
+}) {
+  const resolvedSeed = resolveSeed(seed);
+  const totalWeight = holdings.reduce((a, h) => a + h.weight, 0);
+  const weights = holdings.map(h => h.weight / totalWeight);
+  const n = holdings.length;
+
+  // ─── Per-holding simulations ───────────────────────────────
+  // Gross return per simulation (price plus dividends over today's price),
+  // sorted so the copula can hand them out by rank
+  const sortedReturns = holdings.map((h, i) => {
+    const params = simulationParamsFromStock(h.stock);
+    const { rawResults } = runSimulation({
+      ...params,
+      years,
+      numSimulations,
+      fdRate,
+      sensitivityAnalysis: false,
+      seed: (resolvedSeed + Math.imul(i + 1, 0x9E3779B9)) >>> 0
+    });
+    return Float64Array.from(rawResults, r => r.totalValue / params.price0).sort();
+  });
+
+  // ─── Gaussian copula across holdings ───────────────────────
+  const estimated = estimateReturnCorrelation(holdings.map(h => h.stock));
+  const { L, matrix, shrinkage } = factorCorrelation(estimated.matrix);
+  const rng = createRng(resolvedSeed);
+  const scores = Array.from({ length: n }, () => new Float64Array(numSimulations));
+  const z = new Float64Array(n);
+  for (let s = 0; s < numSimulations; s++) {
+    for (let k = 0; k < n; k++) z[k] = boxMullerNormal(rng);
+    for (let i = 0; i < n; i++) {
+      let x = 0;
+      for (let k = 0; k <= i; k++) x += L[i][k] * z[k];
+      scores[i][s] = x;
+    }
+  }
+
+  const holdingReturns = scores.map((col, i) => {
+    const order = Array.from(col.keys()).sort((a, b) => col[a] - col[b]);
+    const out = new Float64Array(numSimulations);
+    order.forEach((simIndex, rank) => { out[simIndex] = sortedReturns[i][rank]; });
+    return out;
+  });
+
+  const portfolioReturns = new Float64Array(numSimulations);
+  for (let s = 0; s < numSimulations; s++) {
+    let r = 0;
+    for (let i = 0; i < n; i++) r += weights[i] * holdingReturns[i][s];
+    portfolioReturns[s] = r;
+  }
+
+  const values = Array.from(portfolioReturns, r => capital * r);
+  const cagrs = Array.from(portfolioReturns, r => Math.pow(r, 1 / years) - 1);
+  const fdTarget = capital * Math.pow(1 + fdRate, years);
+
+  // ─── Risk contribution ─────────────────────────────────────
+  // Euler split of the variance of the portfolio return:
+  // w_i · Cov(R_i, R_p) / Var(R_p), which sums to 1 across holdings
+  const mean = (arr) => arr.reduce((a, b) => a + b, 0) / arr.length;
+  const portfolioMean = mean(portfolioReturns);
+  const portfolioVar = portfolioReturns.reduce((a, r) => a + (r - portfolioMean) ** 2, 0) / numSimulations;
+
+  const holdingSummaries = holdings.map((h, i) => {
+    const returns = holdingReturns[i];
+    const m = mean(returns);
+    let cov = 0;
+    let varI = 0;
+    for (let s = 0; s < numSimulations; s++) {
+      cov += (returns[s] - m) * (portfolioReturns[s] - portfolioMean);
+      varI += (returns[s] - m) ** 2;
+    }
+    cov /= numSimulations;
+    varI /= numSimulations;
+    return {
+      ticker: h.ticker,
+      companyName: h.stock.companyName,
+      weight: weights[i],
+      price0: h.stock.currentPrice,
+      medianCagr: Math.pow(percentile(sortedReturns[i], 50), 1 / years) - 1,
+      volatility: Math.sqrt(varI),
+      riskContribution: portfolioVar > 0 ? weights[i] * cov / portfolioVar : weights[i]
+    };
+  });
+
+  return {
+    summary: {
+      value: percentileSummary(values),
+      cagr: percentileSummary(cagrs),
+      probBeatsFD: values.filter(v => v > fdTarget).length / numSimulations,
+      probLoss: values.filter(v => v < capital).length / numSimulations,
+      volatility: Math.sqrt(portfolioVar),
+      capital,
+      fdTarget,
+      fdRate,
+      years,
+      numSimulations
+    },
+    holdings: holdingSummaries,
+    correlation: {
+      tickers: holdings.map(h => h.ticker),
+      matrix,
+      shrinkage,
+      dataPoints: estimated.dataPoints
+    },
+    distributions: {
+      value: buildHistogram(values, 50),
+      cagr: buildHistogram(cagrs, 50)
+    },
+    inputParams: { years, numSimulations, fdRate, capital, seed: resolvedSeed },
+    warnings: estimated.warnings
+  };
+}
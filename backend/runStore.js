@@ -0,0 +1,116 @@
+/**
+ * Saved runs: a JSON file store behind /api/runs.
+ *
+ * Each run keeps the exact simulation inputs (including the resolved seed),
+ * the stock data snapshot they were built from, the form state and the
+ * summary, so a run can be reopened and replayed without refetching market
+ * data. The whole store is one JSON file, rewritten atomically on change.
+ */
+
+import { randomUUID } from 'node:crypto';
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const RUNS_FILE = process.env.RUNS_FILE || join(dirname(fileURLToPath(import.meta.url)), 'data', 'runs.json');
+export const MAX_RUN_NAME_LENGTH = 100;
+
+let runs = null;
+let loading = null;
+let writeQueue = Promise.resolve();
+
+// Concurrent first requests share one read of the file; a failed read is retried next time
+async function load() {
+  loading ??= readFile(RUNS_FILE, 'utf8')
+    .then(text => JSON.parse(text), (err) => {
+      if (err.code !== 'ENOENT') throw err;
+      return [];
+    })
+    .then(data => { runs = data; }, (err) => {
+      loading = null;
+      throw err;
+    });
+  await loading;
+  return runs;
+}
+
+// Changes are queued so concurrent requests never interleave partial files.
+// `change` gets the current runs and returns `{ next, result }`; `next` is a
+// new array (or the same one to skip the write) that replaces the runs only
+// once it is on disk, so a failed write leaves memory as it was and no later
+// write can persist it. A failed write rejects its own caller, not the queue.
+function update(change) {
+  const task = writeQueue.catch(() => {}).then(async () => {
+    const current = await load();
+    const { next, result } = change(current);
+    if (next !== current) {
+      await mkdir(dirname(RUNS_FILE), { recursive: true });
+      await writeFile(`${RUNS_FILE}.tmp`, JSON.stringify(next));
+      await rename(`${RUNS_FILE}.tmp`, RUNS_FILE);
+      runs = next;
+    }
+    return result;
+  });
+  writeQueue = task;
+  return task;
+}
+
+/** List entry for a run: enough to pick it from a list, without the snapshot. */
+export function runListing(run) {
+  return {
+    id: run.id,
+    name: run.name,
+    ticker: run.ticker,
+    companyName: run.companyName,
+    createdAt: run.createdAt,
+    seed: run.seed,
+    years: run.inputs.years,
+    medianCagr: run.summary.cagr.p50,
+    probBeatsFD: run.summary.probBeatsFD
+  };
+}
+
+/** Build a stored run from a validated POST body. */
+export function createRunRecord({ name, params, inputs, stockData, summary }) {
+  return {
+    id: randomUUID(),
+    name: name?.trim() || `${stockData.ticker} · ${inputs.years}Y · seed ${inputs.seed}`,
+    ticker: stockData.ticker,
+    companyName: stockData.companyName,
+    createdAt: new Date().toISOString(),
+    seed: inputs.seed,
+    params: params ?? null,
+    inputs,
+    stockData,
+    summary
+  };
+}
+
+// Newest first
+export async function listRuns() {
+  return (await load()).map(runListing).reverse();
+}
+
+export async function getRun(id) {
+  return (await load()).find(r => r.id === id) ?? null;
+}
+
+export async function saveRun(run) {
+  return update(all => ({ next: [...all, run], result: run }));
+}
+
+export async function renameRun(id, name) {
+  return update((all) => {
+    const run = all.find(r => r.id === id);
+    if (!run) return { next: all, result: null };
+    const renamed = { ...run, name };
+    return { next: all.map(r => (r === run ? renamed : r)), result: renamed };
+  });
+}
+
+export async function deleteRun(id) {
+  return update((all) => {
+    const next = all.filter(r => r.id !== id);
+    return { next: next.length === all.length ? all : next, result: next.length < all.length };
+  });
+}
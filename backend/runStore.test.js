@@ -0,0 +1,47 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+let dir, runsFile, store;
+
+// RUNS_FILE is read when the store loads, so it is imported per test file
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'runs-'));
+  runsFile = join(dir, 'runs.json');
+  process.env.RUNS_FILE = runsFile;
+  store = await import('./runStore.js');
+});
+
+after(() => rm(dir, { recursive: true, force: true }));
+
+const makeRun = (id) => ({ id, name: id, inputs: { years: 5 }, summary: { cagr: { p50: 0.1 }, probBeatsFD: 0.5 } });
+const onDisk = async () => JSON.parse(await readFile(runsFile, 'utf8')).map(r => r.id);
+
+test('concurrent saves on a cold store all persist', async () => {
+  await Promise.all([store.saveRun(makeRun('a')), store.saveRun(makeRun('b'))]);
+  assert.deepEqual(await onDisk(), ['a', 'b']);
+  assert.deepEqual((await store.listRuns()).map(r => r.id), ['b', 'a']);
+});
+
+test('a failed save is dropped from memory and from later writes', async () => {
+  // A directory in place of the temporary file makes the next write fail
+  await mkdir(`${runsFile}.tmp`);
+  const failed = store.saveRun(makeRun('c'));
+  await assert.rejects(failed);
+  await rm(`${runsFile}.tmp`, { recursive: true });
+  assert.equal(await store.getRun('c'), null);
+
+  await store.saveRun(makeRun('d'));
+  assert.deepEqual(await onDisk(), ['a', 'b', 'd']);
+});
+
+test('rename and delete round-trip through the file', async () => {
+  assert.equal((await store.renameRun('a', 'renamed')).name, 'renamed');
+  assert.equal(await store.deleteRun('b'), true);
+  assert.equal(await store.deleteRun('missing'), false);
+  assert.equal(await store.renameRun('missing', 'x'), null);
+  const saved = JSON.parse(await readFile(runsFile, 'utf8'));
+  assert.deepEqual(saved.map(r => [r.id, r.name]), [['a', 'renamed'], ['d', 'd']]);
+});
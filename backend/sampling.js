@@ -0,0 +1,189 @@
+/**
+ * Point sets for variance-reduced sampling.
+ *
+ * Each simulation needs one point in the unit hypercube, one coordinate per
+ * random input (share change, growth, P/E, ...). The engine maps every
+ * coordinate through the inverse CDF of its distribution, so a better spread
+ * of points means a better spread of outcomes for the same simulation count.
+ * A point set covers one replicate; it draws its own randomisation (base draws,
+ * permutations, scrambles) from the run's seeded PRNG, so runs stay
+ * reproducible and independent replicates give an honest error estimate.
+ */
+
+export const SAMPLING_METHODS = ['random', 'antithetic', 'latinHypercube', 'sobol'];
+
+// Independent replicates per batch for the non-random methods; their spread
+// gives the standard error, which the usual i.i.d. formulas would overstate
+export const SAMPLING_REPLICATES = 16;
+
+// Points are kept strictly inside (0, 1) so normal scores stay finite
+const EDGE = 2 ** -33;
+const clampUnit = (u) => Math.min(1 - EDGE, Math.max(EDGE, u));
+
+// ─── Antithetic Variates ─────────────────────────────────────────
+
+// Pairs of points u and 1 - u: every draw is followed by its mirror image
+function antitheticPoints(dimensions, rng) {
+  let base = null;
+  let index = 0;
+  return () => {
+    const point = new Float64Array(dimensions);
+    if (index % 2 === 0) {
+      base = point;
+      for (let k = 0; k < dimensions; k++) point[k] = clampUnit(rng());
+    } else {
+      for (let k = 0; k < dimensions; k++) point[k] = 1 - base[k];
+    }
+    index++;
+    return point;
+  };
+}
+
+// ─── Latin Hypercube ─────────────────────────────────────────────
+
+// Every coordinate hits each of the `count` equal strata exactly once, in an
+// independently shuffled order, with a uniform position inside the stratum
+function latinHypercubePoints(dimensions, count, rng) {
+  const columns = [];
+  for (let k = 0; k < dimensions; k++) {
+    const strata = Array.from({ length: count }, (_, i) => i);
+    for (let i = count - 1; i > 0; i--) {
+      const j = Math.floor(rng() * (i + 1));
+      [strata[i], strata[j]] = [strata[j], strata[i]];
+    }
+    columns.push(Float64Array.from(strata, s => clampUnit((s + rng()) / count)));
+  }
+  let index = 0;
+  return () => {
+    const point = Float64Array.from(columns, column => column[index]);
+    index++;
+    return point;
+  };
+}
+
+// ─── Scrambled Sobol ─────────────────────────────────────────────
+
+// Primitive polynomials (degree s, interior coefficients a) and initial
+// direction numbers m for Sobol dimensions 2+ (Joe & Kuo, 2008); the first
+// dimension is the van der Corput sequence.
+const SOBOL_TABLE = [
+  [1, 0, [1]],
+  [2, 1, [1, 3]],
+  [3, 1, [1, 3, 1]],
+  [3, 2, [1, 1, 1]],
+  [4, 1, [1, 1, 3, 3]],
+  [4, 4, [1, 3, 5, 13]],
+  [5, 2, [1, 1, 5, 5, 17]],
+  [5, 4, [1, 1, 5, 5, 5]],
+  [5, 7, [1, 1, 7, 11, 19]],
+  [5, 11, [1, 1, 5, 1, 1]],
+  [5, 13, [1, 1, 1, 3, 11]],
+  [5, 14, [1, 3, 5, 5, 31]],
+  [6, 1, [1, 3, 3, 9, 7, 49]],
+  [6, 13, [1, 1, 1, 15, 21, 21]],
+  [6, 16, [1, 3, 1, 13, 27, 49]],
+  [6, 19, [1, 1, 1, 15, 7, 5]],
+  [6, 22, [1, 3, 1, 15, 13, 25]],
+  [6, 25, [1, 1, 5, 5, 19, 61]],
+  [7, 1, [1, 3, 7, 11, 23, 15, 103]],
+  [7, 4, [1, 3, 7, 13, 13, 15, 69]],
+  [7, 7, [1, 1, 3, 13, 7, 35, 63]],
+  [7, 8, [1, 3, 5, 9, 1, 25, 53]],
+  [7, 14, [1, 3, 1, 13, 9, 35, 107]],
+  [7, 19, [1, 3, 1, 5, 27, 61, 31]],
+  [7, 21, [1, 1, 5, 11, 19, 41, 61]],
+  [7, 28, [1, 3, 5, 3, 3, 13, 69]],
+  [7, 31, [1, 1, 7, 13, 1, 19, 1]],
+  [7, 32, [1, 3, 7, 5, 13, 19, 59]],
+  [7, 37, [1, 1, 3, 9, 25, 29, 41]]
+];
+export const SOBOL_MAX_DIMENSIONS = SOBOL_TABLE.length + 1;
+const SOBOL_BITS = 32;
+
+const randomUint32 = (rng) => Math.floor(rng() * 4294967296) >>> 0;
+
+function parity(x) {
+  x ^= x >>> 16;
+  x ^= x >>> 8;
+  x ^= x >>> 4;
+  x ^= x >>> 2;
+  x ^= x >>> 1;
+  return x & 1;
+}
+
+// Direction numbers of one dimension, as 32-bit binary fractions
+function sobolDirections(dimension) {
+  const v = new Uint32Array(SOBOL_BITS);
+  if (dimension === 0) {
+    for (let k = 0; k < SOBOL_BITS; k++) v[k] = 2 ** (31 - k);
+    return v;
+  }
+  const [s, a, m] = SOBOL_TABLE[dimension - 1];
+  for (let k = 0; k < SOBOL_BITS; k++) {
+    if (k < s) {
+      v[k] = m[k] * 2 ** (31 - k);
+      continue;
+    }
+    let value = v[k - s] ^ (v[k - s] >>> s);
+    for (let j = 1; j < s; j++) {
+      if ((a >>> (s - 1 - j)) & 1) value ^= v[k - j];
+    }
+    v[k] = value >>> 0;
+  }
+  return v;
+}
+
+// Matoušek's linear matrix scramble: a random lower-triangular binary matrix
+// with unit diagonal mixes each output digit with the digits before it
+function scrambleDirections(v, rng) {
+  const rows = [];
+  for (let r = 0; r < SOBOL_BITS; r++) {
+    const leading = r === 0 ? 0 : (randomUint32(rng) >>> (32 - r)) << (32 - r);
+    rows.push((leading | (1 << (31 - r))) >>> 0);
+  }
+  return v.map(direction => {
+    let scrambled = 0;
+    for (let r = 0; r < SOBOL_BITS; r++) {
+      if (parity(rows[r] & direction)) scrambled |= 1 << (31 - r);
+    }
+    return scrambled >>> 0;
+  });
+}
+
+// Scrambled Sobol sequence (linear scramble plus a random digital shift),
+// generated in Gray-code order so each point is one XOR away from the last
+function sobolPoints(dimensions, rng) {
+  const directions = [];
+  const state = new Uint32Array(dimensions);
+  for (let k = 0; k < dimensions; k++) {
+    directions.push(scrambleDirections(sobolDirections(k), rng));
+    state[k] = randomUint32(rng);
+  }
+  let index = 0;
+  return () => {
+    if (index > 0) {
+      const bit = 31 - Math.clz32(index & -index);
+      for (let k = 0; k < dimensions; k++) state[k] ^= directions[k][bit];
+    }
+    index++;
+    return Float64Array.from(state, x => x / 4294967296 + EDGE);
+  };
+}
+
+/** A single point drawn uniformly from the open unit hypercube. */
+export function randomPoint(dimensions, rng) {
+  return Float64Array.from({ length: dimensions }, () => clampUnit(rng()));
+}
+
+/**
+ * Point generator for one replicate of `count` simulations. Returns a
+ * function yielding the next point (a Float64Array of `dimensions`
+ * coordinates in (0, 1)), or null for plain random sampling, where the engine
+ * draws straight from `rng` as it always has.
+ */
+export function createPointSet(method, dimensions, count, rng) {
+  if (method === 'antithetic') return antitheticPoints(dimensions, rng);
+  if (method === 'latinHypercube') return latinHypercubePoints(dimensions, count, rng);
+  if (method === 'sobol') return sobolPoints(dimensions, rng);
+  return () => null;
+}
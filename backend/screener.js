@@ -0,0 +1,88 @@
+/**
+ * Batch screener
+ *
+ * Runs the single-stock pipeline (fetch, then runSimulation with the
+ * data-driven defaults) over a list of tickers and ranks them by the
+ * probability of beating the FD hurdle. Every ticker is simulated with the
+ * same seed, so the ranking compares stocks rather than sampling noise.
+ */
+
+import { resolveSeed } from './distributions.js';
+import { runSimulation } from './simulation.js';
+import { simulationParamsFromStock } from './portfolio.js';
+
+export const MAX_SCREEN_TICKERS = 50;
+export const MAX_SCREEN_SIMULATIONS = 10000;
+const SCREEN_CONCURRENCY = 4;
+
+/**
+ * Map `items` through async `fn` with at most `limit` calls in flight,
+ * preserving input order in the result.
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Screen `tickers` with a shared horizon and FD rate. `fetchStock(ticker)`
+ * loads stock data; a ticker whose fetch or simulation fails becomes an
+ * error row instead of aborting the batch. Rows are sorted by probBeatsFD,
+ * with error rows last.
+ */
+export async function runScreen({
+  tickers,
+  fetchStock,
+  years = 5,
+  numSimulations = 5000,
+  fdRate = 0.07,
+  seed
+}) {
+  const resolvedSeed = resolveSeed(seed);
+
+  const rows = await mapWithConcurrency(tickers, SCREEN_CONCURRENCY, async (ticker) => {
+    try {
+      const stock = await fetchStock(ticker);
+      const { summary } = runSimulation({
+        ...simulationParamsFromStock(stock),
+        years,
+        numSimulations,
+        fdRate,
+        seed: resolvedSeed,
+        sensitivityAnalysis: false
+      });
+      return {
+        ticker: stock.ticker,
+        status: 'ok',
+        companyName: stock.companyName,
+        currency: stock.currency,
+        price: stock.currentPrice,
+        medianPrice: summary.price.p50,
+        medianCagr: summary.cagr.p50,
+        probBeatsFD: summary.probBeatsFD,
+        probLoss: summary.probLoss,
+        warnings: stock.warnings
+      };
+    } catch (err) {
+      return { ticker, status: 'error', error: err.message };
+    }
+  });
+
+  rows.sort((a, b) => {
+    if (a.status !== b.status) return a.status === 'ok' ? -1 : 1;
+    return a.status === 'ok' ? b.probBeatsFD - a.probBeatsFD : 0;
+  });
+
+  return {
+    results: rows,
+    inputParams: { years, numSimulations, fdRate, seed: resolvedSeed }
+  };
+}
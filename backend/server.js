@@ -2,6 +2,16 @@ import express from 'express';
 import cors from 'cors';
 import { fetchStockData } from './yahoo.js';
 import { runSimulation } from './simulation.js';
+import { runPortfolioSimulation } from './portfolio.js';
+import { runScreen } from './screener.js';
+import { runTornado } from './tornado.js';
+import { runSolver } from './solver.js';
+import { listRuns, getRun, saveRun, renameRun, deleteRun, createRunRecord } from './runStore.js';
+import { TAX_RULES } from './tax.js';
+import {
+  validateSimulationInput, validateTornadoInput, validateSolveInput, validatePortfolioInput, validatePortfolioStocks,
+  validateScreenInput, validateRunName, validateRunInput
+} from './validation.js';
 
 const app = express();
 app.use(cors());
@@ -22,19 +32,27 @@ function setCache(key, data) {
   cache.set(key, { data, timestamp: Date.now() });
 }
 
+async function getStockData(ticker, lookbackYears, benchmarkTicker = null) {
+  const cacheKey = `${ticker}_${lookbackYears}_${benchmarkTicker}`;
+  const cached = getCached(cacheKey);
+  if (cached) return cached;
+
+  const result = await fetchStockData(ticker, lookbackYears, benchmarkTicker);
+  setCache(cacheKey, result);
+  return result;
+}
+
+const DEFAULT_BENCHMARK_TICKER = '^NSEI';
+
 // ─── Fetch Stock Data ───────────────────────────────────────────
 
 app.get('/api/stock/:ticker', async (req, res) => {
   try {
     const { ticker } = req.params;
     const lookbackYears = parseInt(req.query.lookbackYears) || 8;
+    const benchmarkTicker = req.query.benchmark || DEFAULT_BENCHMARK_TICKER;
 
-    const cacheKey = `${ticker}_${lookbackYears}`;
-    const cached = getCached(cacheKey);
-    if (cached) return res.json(cached);
-
-    const result = await fetchStockData(ticker, lookbackYears);
-    setCache(cacheKey, result);
+    const result = await getStockData(ticker, lookbackYears, benchmarkTicker);
     res.json(result);
 
   } catch (err) {
@@ -55,11 +73,32 @@ app.post('/api/simulate', (req, res) => {
       meanGrowth, sigmaGrowth,
       meanPE, sigmaPE,
       growthMin = -0.20, growthMax = 0.40,
-      peMin = 5, peMax = 60
+      peMin = 5, peMax = 60,
+      growthPECorrelation = 0,
+      pathMode = false, growthAutocorrelation = 0,
+      growthDistType = 'normal', peDistType = 'normal',
+      growthDf = 4, peDf = 4,
+      growthSamples = [], peSamples = [],
+      dividendYield = 0, payoutRatio = null, dividendMode = 'reinvest',
+      requiredReturn = 0.12, confidenceLevel = 0.8,
+      riskConfidenceLevels = [0.95, 0.99], lossThresholds = [0.10, 0.25, 0.50],
+      benchmarkMode = false, benchmarkTicker = DEFAULT_BENCHMARK_TICKER,
+      indexMeanLogReturn = 0.11, indexSigmaLogReturn = 0.17, indexCorrelation = 0.5,
+      inflationRate = 0.05, inflationSigma = 0,
+      taxProfile = null, investmentAmount = 100000,
+      meanShareChange = 0, sigmaShareChange = 0,
+      shareChangeMin = -0.10, shareChangeMax = 0.15,
+      multiStage = false, highGrowthYears = 3, fadeYears = 2,
+      terminalMeanGrowth = 0.06, terminalSigmaGrowth = 0.03,
+      peMeanReversion = false, peAnchor = null, peHalfLife = 3,
+      adaptive = false, targetPrecision = 0.005, maxSimulations = 50000,
+      samplingMethod = 'random',
+      seed
     } = req.body;
 
-    if (!price0 || !eps0) {
-      return res.status(400).json({ error: 'price0 and eps0 are required.' });
+    const inputError = validateSimulationInput(req.body);
+    if (inputError) {
+      return res.status(400).json({ error: inputError });
     }
 
     const result = runSimulation({
@@ -68,7 +107,26 @@ app.post('/api/simulate', (req, res) => {
       meanGrowth, sigmaGrowth,
       meanPE, sigmaPE,
       growthMin, growthMax,
-      peMin, peMax
+      peMin, peMax,
+      growthPECorrelation,
+      pathMode, growthAutocorrelation,
+      growthDistType, peDistType,
+      growthDf, peDf,
+      growthSamples, peSamples,
+      dividendYield, payoutRatio, dividendMode,
+      requiredReturn, confidenceLevel,
+      riskConfidenceLevels, lossThresholds,
+      benchmarkMode, benchmarkTicker, indexMeanLogReturn, indexSigmaLogReturn, indexCorrelation,
+      inflationRate, inflationSigma,
+      taxProfile, investmentAmount,
+      meanShareChange, sigmaShareChange,
+      shareChangeMin, shareChangeMax,
+      multiStage, highGrowthYears, fadeYears,
+      terminalMeanGrowth, terminalSigmaGrowth,
+      peMeanReversion, peAnchor, peHalfLife,
+      adaptive, targetPrecision, maxSimulations,
+      samplingMethod,
+      seed
     });
 
     const { rawResults, ...resultWithoutRaw } = result;
@@ -92,15 +150,17 @@ app.post('/api/simulate', (req, res) => {
 app.post('/api/simulate/csv', (req, res) => {
   try {
     const params = req.body;
-    if (!params.price0 || !params.eps0) {
-      return res.status(400).json({ error: 'price0 and eps0 are required.' });
+    const inputError = validateSimulationInput(params);
+    if (inputError) {
+      return res.status(400).json({ error: inputError });
     }
 
-    const result = runSimulation(params);
-    const csv = ['SimulationIndex,GrowthRate,TerminalPE,TerminalEPS,TerminalPrice,CAGR,BeatsFD,IsLoss'];
+    // The export only needs the outcomes, so the Sobol pass is skipped
+    const result = runSimulation({ ...params, sensitivityAnalysis: false });
+    const csv = ['SimulationIndex,GrowthRate,TerminalPE,TerminalEPS,TerminalPrice,CAGR,BeatsFD,IsLoss,Dividends,TotalValue,PriceCAGR,ShareChange,EPSGrowth'];
 
     result.rawResults.forEach((r, i) => {
-      csv.push(`${i + 1},${r.g.toFixed(6)},${r.peT.toFixed(2)},${r.epsT.toFixed(4)},${r.priceT.toFixed(2)},${r.cagr.toFixed(6)},${r.beatsFD},${r.isLoss}`);
+      csv.push(`${i + 1},${r.g.toFixed(6)},${r.peT.toFixed(2)},${r.epsT.toFixed(4)},${r.priceT.toFixed(2)},${r.cagr.toFixed(6)},${r.beatsFD},${r.isLoss},${r.dividends.toFixed(2)},${r.totalValue.toFixed(2)},${r.priceCagr.toFixed(6)},${r.shareChange.toFixed(6)},${r.epsGrowth.toFixed(6)}`);
     });
 
     res.setHeader('Content-Type', 'text/csv');
@@ -111,6 +171,190 @@ app.post('/api/simulate/csv', (req, res) => {
   }
 });
 
+// ─── Tornado Sensitivity ────────────────────────────────────────
+
+app.post('/api/sensitivity/tornado', (req, res) => {
+  try {
+    const inputError = validateTornadoInput(req.body);
+    if (inputError) {
+      return res.status(400).json({ error: inputError });
+    }
+
+    res.json(runTornado(req.body));
+  } catch (err) {
+    console.error('Tornado error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ─── Reverse Solver ─────────────────────────────────────────────
+
+app.post('/api/solve', async (req, res) => {
+  const inputError = validateSolveInput(req.body);
+  if (inputError) {
+    return res.status(400).json({ error: inputError });
+  }
+
+  const { solveFor, target, ticker, lookbackYears = 8, ...params } = req.body;
+
+  // The history comparison is a bonus; the solve still runs without it
+  let stock = null;
+  if (ticker) {
+    try {
+      stock = await getStockData(ticker, lookbackYears);
+    } catch (err) {
+      console.error('Error fetching stock data for solver:', err);
+    }
+  }
+
+  try {
+    res.json(runSolver(params, solveFor, target, stock));
+  } catch (err) {
+    console.error('Solver error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ─── Portfolio Simulation ───────────────────────────────────────
+
+app.post('/api/portfolio/simulate', async (req, res) => {
+  const inputError = validatePortfolioInput(req.body);
+  if (inputError) {
+    return res.status(400).json({ error: inputError });
+  }
+
+  const {
+    holdings,
+    years = 5,
+    numSimulations = 20000,
+    fdRate = 0.07,
+    lookbackYears = 8,
+    capital = 100000,
+    seed
+  } = req.body;
+
+  let stocks;
+  try {
+    stocks = await Promise.all(holdings.map(h => getStockData(h.ticker.trim().toUpperCase(), lookbackYears)));
+  } catch (err) {
+    console.error('Error fetching portfolio stock data:', err);
+    return res.status(502).json({ error: `Could not fetch stock data: ${err.message}` });
+  }
+  const stockError = validatePortfolioStocks(stocks);
+  if (stockError) {
+    return res.status(400).json({ error: stockError });
+  }
+
+  try {
+    const result = runPortfolioSimulation({
+      holdings: holdings.map((h, i) => ({ ticker: stocks[i].ticker, weight: h.weight, stock: stocks[i] })),
+      years, numSimulations, fdRate, capital, seed
+    });
+    res.json(result);
+  } catch (err) {
+    console.error('Portfolio simulation error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ─── Batch Screener ─────────────────────────────────────────────
+
+app.post('/api/screen', async (req, res) => {
+  try {
+    const inputError = validateScreenInput(req.body);
+    if (inputError) {
+      return res.status(400).json({ error: inputError });
+    }
+
+    const {
+      tickers,
+      years = 5,
+      numSimulations = 5000,
+      fdRate = 0.07,
+      lookbackYears = 8,
+      seed
+    } = req.body;
+
+    const result = await runScreen({
+      tickers: [...new Set(tickers.map(t => t.trim().toUpperCase()))],
+      fetchStock: (ticker) => getStockData(ticker, lookbackYears),
+      years, numSimulations, fdRate, seed
+    });
+    res.json(result);
+  } catch (err) {
+    console.error('Screener error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ─── Saved Runs ─────────────────────────────────────────────────
+
+app.get('/api/runs', async (req, res) => {
+  try {
+    res.json(await listRuns());
+  } catch (err) {
+    console.error('Error listing runs:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/runs/:id', async (req, res) => {
+  try {
+    const run = await getRun(req.params.id);
+    if (!run) return res.status(404).json({ error: 'Run not found.' });
+    res.json(run);
+  } catch (err) {
+    console.error('Error loading run:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/runs', async (req, res) => {
+  try {
+    const inputError = validateRunInput(req.body);
+    if (inputError) {
+      return res.status(400).json({ error: inputError });
+    }
+    const run = await saveRun(createRunRecord(req.body));
+    res.status(201).json(run);
+  } catch (err) {
+    console.error('Error saving run:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.patch('/api/runs/:id', async (req, res) => {
+  try {
+    const { name } = req.body;
+    const inputError = typeof name === 'string' && name.trim() ? validateRunName(name) : 'name is required.';
+    if (inputError) {
+      return res.status(400).json({ error: inputError });
+    }
+    const run = await renameRun(req.params.id, name.trim());
+    if (!run) return res.status(404).json({ error: 'Run not found.' });
+    res.json(run);
+  } catch (err) {
+    console.error('Error renaming run:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/runs/:id', async (req, res) => {
+  try {
+    if (!(await deleteRun(req.params.id))) return res.status(404).json({ error: 'Run not found.' });
+    res.status(204).end();
+  } catch (err) {
+    console.error('Error deleting run:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ─── Tax Rules ──────────────────────────────────────────────────
+
+app.get('/api/tax-rules', (req, res) => {
+  res.json(TAX_RULES);
+});
+
 // ─── Health Check ───────────────────────────────────────────────
 
 app.get('/api/health', (req, res) => {
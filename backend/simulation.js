@@ -5,6 +5,12 @@
  * Supports truncated distributions for growth and P/E.
  */
 
+import {
+  createRng, resolveSeed, boxMullerNormal, normalCdf, normalQuantile, buildMarginal, buildMeanRevertingMarginal
+} from './distributions.js';
+import { createPointSet, randomPoint, SAMPLING_REPLICATES, SOBOL_MAX_DIMENSIONS } from './sampling.js';
+import { resolveTaxProfile } from './tax.js';
+
 // ─── Robust Statistics ───────────────────────────────────────────
 
 function median(arr) {
@@ -37,8 +43,12 @@ function robustSigma(arr) {
   return Math.min(s1, s2); // Use the more conservative estimate
 }
 
-function percentile(arr, p) {
+export function percentile(arr, p) {
   const sorted = [...arr].sort((a, b) => a - b);
+  return percentileOfSorted(sorted, p);
+}
+
+function percentileOfSorted(sorted, p) {
   const idx = (p / 100) * (sorted.length - 1);
   const lower = Math.floor(idx);
   const upper = Math.ceil(idx);
@@ -46,24 +56,243 @@ function percentile(arr, p) {
   return sorted[lower] + (sorted[upper] - sorted[lower]) * (idx - lower);
 }
 
-// ─── Random Sampling ─────────────────────────────────────────────
+// P10/P25/P50/P75/P90 from a single sort (used for the per-year path bands)
+function percentileBand(values) {
+  const sorted = Float64Array.from(values).sort();
+  return {
+    p10: percentileOfSorted(sorted, 10),
+    p25: percentileOfSorted(sorted, 25),
+    p50: percentileOfSorted(sorted, 50),
+    p75: percentileOfSorted(sorted, 75),
+    p90: percentileOfSorted(sorted, 90)
+  };
+}
+
+// Compact empirical CDF: entry i is the value at percentile i·100/(points-1),
+// from the minimum to the maximum. P(X ≤ x) for any x is read back by
+// interpolating between neighbouring entries, to within 1/(points-1).
+const CDF_POINTS = 101;
+
+function empiricalCdf(values) {
+  const sorted = Float64Array.from(values).sort();
+  return Array.from({ length: CDF_POINTS }, (_, i) => percentileOfSorted(sorted, (100 * i) / (CDF_POINTS - 1)));
+}
+
+// ─── Monte Carlo Error ───────────────────────────────────────────
+
+const MC_CONFIDENCE = 0.95;
+const MC_Z = 1.959963984540054;
+
+// Distribution-free interval for a percentile: the number of draws below the
+// true quantile is Binomial(n, q), so the order statistics z·√(nq(1-q)) ranks
+// either side of the estimate bracket it. The standard error is read back
+// from the interval width.
+function percentileInterval(sorted, p) {
+  const n = sorted.length;
+  const q = p / 100;
+  const idx = q * (n - 1);
+  const spread = MC_Z * Math.sqrt(n * q * (1 - q));
+  const lower = sorted[Math.max(0, Math.floor(idx - spread))];
+  const upper = sorted[Math.min(n - 1, Math.ceil(idx + spread))];
+  return { se: (upper - lower) / (2 * MC_Z), lower, upper };
+}
 
-function boxMullerNormal() {
-  let u1, u2;
-  do { u1 = Math.random(); } while (u1 === 0);
-  u2 = Math.random();
-  return Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2);
+function meanInterval(values) {
+  const n = values.length;
+  const mean = values.reduce((a, b) => a + b, 0) / n;
+  const variance = values.reduce((a, v) => a + (v - mean) * (v - mean), 0) / Math.max(1, n - 1);
+  const se = Math.sqrt(variance / n);
+  return { se, lower: mean - MC_Z * se, upper: mean + MC_Z * se };
 }
 
-function sampleTruncatedNormal(mean, sigma, min, max) {
-  let val;
-  let attempts = 0;
-  do {
-    val = mean + sigma * boxMullerNormal();
-    attempts++;
-    if (attempts > 100) return Math.max(min, Math.min(max, mean)); // fallback
-  } while (val < min || val > max);
-  return val;
+// Binomial standard error of an estimated probability
+function proportionInterval(prob, n) {
+  const se = Math.sqrt(prob * (1 - prob) / n);
+  return { se, lower: Math.max(0, prob - MC_Z * se), upper: Math.min(1, prob + MC_Z * se) };
+}
+
+function summaryIntervals(values) {
+  const sorted = Float64Array.from(values).sort();
+  return {
+    p10: percentileInterval(sorted, 10),
+    p25: percentileInterval(sorted, 25),
+    p50: percentileInterval(sorted, 50),
+    p75: percentileInterval(sorted, 75),
+    p90: percentileInterval(sorted, 90),
+    mean: meanInterval(values)
+  };
+}
+
+// Estimates for one replicate: the summary percentiles, means and probabilities
+function headlineEstimates(results) {
+  const n = results.length;
+  const summarize = (values) => ({ ...percentileBand(values), mean: values.reduce((a, b) => a + b, 0) / n });
+  return {
+    price: summarize(results.map(r => r.priceT)),
+    cagr: summarize(results.map(r => r.cagr)),
+    probBeatsFD: results.filter(r => r.beatsFD).length / n,
+    probLoss: results.filter(r => r.isLoss).length / n
+  };
+}
+
+// Standard error of a pooled estimate from the spread of independent replicates
+function replicateInterval(estimate, replicateEstimates, min = -Infinity, max = Infinity) {
+  const k = replicateEstimates.length;
+  const mean = replicateEstimates.reduce((a, b) => a + b, 0) / k;
+  const variance = replicateEstimates.reduce((a, v) => a + (v - mean) * (v - mean), 0) / (k - 1);
+  const se = Math.sqrt(variance / k);
+  return { se, lower: Math.max(min, estimate - MC_Z * se), upper: Math.min(max, estimate + MC_Z * se) };
+}
+
+/**
+ * Monte Carlo standard errors and 95% confidence intervals for the headline
+ * statistics of a run. `precision` is the widest half-interval among the CAGR
+ * percentiles and the two probabilities (all in return units); it is what
+ * adaptive runs drive below their target.
+ *
+ * Plain random runs use the i.i.d. formulas above. Variance-reduced runs pass
+ * their replicate `blocks` ([start, end) index ranges): errors then come from
+ * the spread between replicates, and `varianceReduction` reports, for every
+ * statistic, plain-MC variance ÷ achieved variance at the same sample size.
+ */
+export function monteCarloErrors(results, blocks = null) {
+  const n = results.length;
+  const plain = {
+    price: summaryIntervals(results.map(r => r.priceT)),
+    cagr: summaryIntervals(results.map(r => r.cagr)),
+    probBeatsFD: proportionInterval(results.filter(r => r.beatsFD).length / n, n),
+    probLoss: proportionInterval(results.filter(r => r.isLoss).length / n, n)
+  };
+  let intervals = plain;
+  let varianceReduction = null;
+  if (blocks && blocks.length > 1) {
+    const pooled = headlineEstimates(results);
+    const replicates = blocks.map(([start, end]) => headlineEstimates(results.slice(start, end)));
+    const summaryFor = (key) => Object.fromEntries(Object.keys(pooled[key]).map(stat => [
+      stat, replicateInterval(pooled[key][stat], replicates.map(r => r[key][stat]))
+    ]));
+    intervals = {
+      price: summaryFor('price'),
+      cagr: summaryFor('cagr'),
+      probBeatsFD: replicateInterval(pooled.probBeatsFD, replicates.map(r => r.probBeatsFD), 0, 1),
+      probLoss: replicateInterval(pooled.probLoss, replicates.map(r => r.probLoss), 0, 1)
+    };
+    const ratio = (a, b) => (b.se > 0 ? (a.se * a.se) / (b.se * b.se) : null);
+    const ratiosFor = (key) => Object.fromEntries(Object.keys(plain[key]).map(stat => [
+      stat, ratio(plain[key][stat], intervals[key][stat])
+    ]));
+    varianceReduction = {
+      price: ratiosFor('price'),
+      cagr: ratiosFor('cagr'),
+      probBeatsFD: ratio(plain.probBeatsFD, intervals.probBeatsFD),
+      probLoss: ratio(plain.probLoss, intervals.probLoss)
+    };
+  }
+  const { cagr, probBeatsFD, probLoss } = intervals;
+  const halfWidths = [
+    ...['p10', 'p25', 'p50', 'p75', 'p90'].map(k => (cagr[k].upper - cagr[k].lower) / 2),
+    (probBeatsFD.upper - probBeatsFD.lower) / 2,
+    (probLoss.upper - probLoss.lower) / 2
+  ];
+  return { confidence: MC_CONFIDENCE, ...intervals, precision: Math.max(...halfWidths), varianceReduction };
+}
+
+// ─── Sobol Sensitivity Indices ───────────────────────────────────
+
+// Base samples per index estimate; each run costs samples × (inputs + 2)
+// extra evaluations of the model
+const SENSITIVITY_SAMPLES = 2048;
+
+const clampIndex = (x) => Math.min(1, Math.max(0, x));
+
+/**
+ * First-order and total-effect Sobol indices of `evaluate`, a function of a
+ * point in the unit hypercube. Each input owns one or more coordinates
+ * (`dimensions`) and is resampled as a group. Uses the pick-freeze design of
+ * Saltelli et al. (2010): two independent samples A and B plus, per input, A
+ * with that input's coordinates taken from B. First-order effects use the
+ * Saltelli estimator, total effects Jansen's. A and B are the two halves of a
+ * scrambled Sobol sequence when it has enough dimensions, which steadies the
+ * estimates considerably; otherwise they are plain random points.
+ *
+ * The first-order index is the share of output variance an input explains on
+ * its own; the total effect adds every interaction it takes part in.
+ * `interaction` is the share left unexplained by the first-order effects.
+ * Sampling noise can push small estimates just outside [0, 1], so they are
+ * clamped.
+ */
+export function sobolIndices(evaluate, inputs, dimensions, samples, rng) {
+  const a = [];
+  const b = [];
+  const fA = new Float64Array(samples);
+  const fB = new Float64Array(samples);
+  const nextPair = 2 * dimensions <= SOBOL_MAX_DIMENSIONS
+    ? createPointSet('sobol', 2 * dimensions, samples, rng)
+    : () => null;
+  for (let j = 0; j < samples; j++) {
+    const pair = nextPair();
+    a.push(pair ? pair.slice(0, dimensions) : randomPoint(dimensions, rng));
+    b.push(pair ? pair.slice(dimensions) : randomPoint(dimensions, rng));
+    fA[j] = evaluate(a[j]);
+    fB[j] = evaluate(b[j]);
+  }
+  let mean = 0;
+  for (let j = 0; j < samples; j++) mean += fA[j] + fB[j];
+  mean /= 2 * samples;
+  let variance = 0;
+  for (let j = 0; j < samples; j++) variance += (fA[j] - mean) ** 2 + (fB[j] - mean) ** 2;
+  variance /= 2 * samples;
+
+  const indices = inputs.map(({ key, dimensions: coordinates }) => {
+    let first = 0;
+    let total = 0;
+    for (let j = 0; j < samples; j++) {
+      const mixed = Float64Array.from(a[j]);
+      for (const k of coordinates) mixed[k] = b[j][k];
+      const f = evaluate(mixed);
+      first += (fB[j] - mean) * (f - fA[j]);
+      total += (fA[j] - f) ** 2;
+    }
+    return {
+      key,
+      firstOrder: variance > 0 ? clampIndex(first / samples / variance) : 0,
+      totalEffect: variance > 0 ? clampIndex(total / (2 * samples) / variance) : 0
+    };
+  });
+  const firstOrderSum = indices.reduce((sum, input) => sum + input.firstOrder, 0);
+  return {
+    inputs: indices,
+    interaction: variance > 0 ? clampIndex(1 - firstOrderSum) : 0,
+    variance,
+    samples
+  };
+}
+
+// ─── Correlation Helpers ─────────────────────────────────────────
+
+export function pearson(xs, ys) {
+  const n = xs.length;
+  const mx = xs.reduce((a, b) => a + b, 0) / n;
+  const my = ys.reduce((a, b) => a + b, 0) / n;
+  let sxy = 0, sxx = 0, syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  }
+  return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : 0;
+}
+
+function ranks(arr) {
+  const order = arr.map((v, i) => [v, i]).sort((a, b) => a[0] - b[0]);
+  const r = new Array(arr.length);
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1][0] === order[i][0]) j++;
+    for (let k = i; k <= j; k++) r[order[k][1]] = (i + j) / 2 + 1; // average rank for ties
+    i = j + 1;
+  }
+  return r;
 }
 
 // ─── EPS Growth Distribution ────────────────────────────────────
@@ -115,6 +344,45 @@ export function computeEPSGrowthDistribution(epsHistory) {
   };
 }
 
+// ─── Share Count Change Distribution ────────────────────────────
+
+/**
+ * Annual share-count change from a year-ordered [{ year, shares }] history.
+ * Positive values are dilution (ESOPs, QIPs), negative values buybacks.
+ */
+export function computeShareChangeDistribution(shareHistory) {
+  const changes = [];
+  for (let i = 1; i < (shareHistory || []).length; i++) {
+    const prev = shareHistory[i - 1];
+    const curr = shareHistory[i];
+    if (prev.shares > 0 && curr.shares > 0 && curr.year > prev.year) {
+      changes.push(Math.pow(curr.shares / prev.shares, 1 / (curr.year - prev.year)) - 1);
+    }
+  }
+
+  if (changes.length === 0) {
+    return {
+      meanShareChange: 0,
+      sigmaShareChange: 0,
+      changes,
+      dataPoints: 0,
+      warning: 'No share-count history. Assuming a constant share count.'
+    };
+  }
+
+  // Share counts move in small steps; keep a little spread for surprise issuance
+  const MIN_SIGMA_SHARE_CHANGE = 0.005;
+  return {
+    meanShareChange: median(changes),
+    sigmaShareChange: Math.max(changes.length >= 3 ? robustSigma(changes) : 0, MIN_SIGMA_SHARE_CHANGE),
+    changes,
+    dataPoints: changes.length,
+    warning: changes.length < 3
+      ? `Share-count change estimated from only ${changes.length} year(s) of history.`
+      : null
+  };
+}
+
 // ─── P/E Distribution ───────────────────────────────────────────
 
 export function computePEDistribution(peHistory) {
@@ -156,12 +424,178 @@ export function computePEDistribution(peHistory) {
   };
 }
 
+// ─── P/E Mean Reversion ─────────────────────────────────────────
+
+/**
+ * Estimate how fast P/E reverts to its long-run level from year-ordered
+ * history ([{ year, pe }]). Fits an AR(1) to log P/E over consecutive years,
+ * log PE_{t+1} − m = φ·(log PE_t − m), and converts the slope to a half-life
+ * of ln 2 / −ln φ years. Falls back to a 3-year half-life when there are
+ * too few pairs or the fit shows no reversion (φ outside (0, 1)).
+ */
+export function computePEReversion(peSeries) {
+  const DEFAULT_HALF_LIFE = 3;
+  const xs = [];
+  const ys = [];
+  const sorted = [...(peSeries || [])].sort((a, b) => a.year - b.year);
+  for (let i = 1; i < sorted.length; i++) {
+    const prev = sorted[i - 1];
+    const curr = sorted[i];
+    if (curr.year - prev.year === 1 && prev.pe > 0 && curr.pe > 0) {
+      xs.push(Math.log(prev.pe));
+      ys.push(Math.log(curr.pe));
+    }
+  }
+
+  if (xs.length < 4) {
+    return {
+      halfLife: DEFAULT_HALF_LIFE,
+      phi: Math.pow(0.5, 1 / DEFAULT_HALF_LIFE),
+      dataPoints: xs.length,
+      warning: `Too few consecutive P/E years to estimate mean reversion. Using a ${DEFAULT_HALF_LIFE}-year half-life.`
+    };
+  }
+
+  const meanX = xs.reduce((a, b) => a + b, 0) / xs.length;
+  const meanY = ys.reduce((a, b) => a + b, 0) / ys.length;
+  let cov = 0;
+  let varX = 0;
+  for (let i = 0; i < xs.length; i++) {
+    cov += (xs[i] - meanX) * (ys[i] - meanY);
+    varX += (xs[i] - meanX) ** 2;
+  }
+  const phi = varX > 0 ? cov / varX : 0;
+
+  if (!(phi > 0 && phi < 1)) {
+    return {
+      halfLife: DEFAULT_HALF_LIFE,
+      phi: Math.pow(0.5, 1 / DEFAULT_HALF_LIFE),
+      dataPoints: xs.length,
+      warning: `P/E history shows no mean reversion (AR(1) slope ${phi.toFixed(2)}). Using a ${DEFAULT_HALF_LIFE}-year half-life.`
+    };
+  }
+
+  return {
+    halfLife: Math.log(2) / -Math.log(phi),
+    phi,
+    dataPoints: xs.length,
+    warning: xs.length < 6 ? `P/E mean reversion estimated from only ${xs.length} year pairs.` : null
+  };
+}
+
+// ─── Growth / P/E Correlation ───────────────────────────────────
+
+/**
+ * Estimate the copula correlation between annual EPS growth and the same
+ * year's change in P/E (multiple expansion) from paired history.
+ * Spearman's rho is used for robustness, then mapped to the Gaussian-copula
+ * parameter via 2·sin(π·ρs/6).
+ */
+export function computeGrowthPECorrelation(epsHistory, peSeries) {
+  const peByYear = new Map((peSeries || []).map(p => [p.year, p.pe]));
+  const growths = [];
+  const peChanges = [];
+
+  for (let i = 1; i < (epsHistory || []).length; i++) {
+    const prev = epsHistory[i - 1];
+    const curr = epsHistory[i];
+    const pePrev = peByYear.get(prev.year);
+    const peCurr = peByYear.get(curr.year);
+    if (prev.eps > 0 && curr.eps != null && pePrev > 0 && peCurr > 0) {
+      growths.push((curr.eps - prev.eps) / prev.eps);
+      peChanges.push(peCurr / pePrev - 1);
+    }
+  }
+
+  if (growths.length < 4) {
+    return {
+      correlation: 0,
+      dataPoints: growths.length,
+      warning: 'Too few paired EPS/P/E observations to estimate correlation. Assuming independence.'
+    };
+  }
+
+  const spearman = pearson(ranks(growths), ranks(peChanges));
+  const MAX_CORRELATION = 0.9; // keep a little independent noise in both variables
+  const correlation = Math.max(-MAX_CORRELATION, Math.min(MAX_CORRELATION, 2 * Math.sin(Math.PI * spearman / 6)));
+
+  return {
+    correlation,
+    dataPoints: growths.length,
+    warning: growths.length < 6
+      ? `Growth/P/E correlation estimated from only ${growths.length} paired years.`
+      : null
+  };
+}
+
+// ─── Market-Index Benchmark ─────────────────────────────────────
+
+const MIN_INDEX_MONTHS = 24;
+const MIN_OVERLAPPING_MONTHS = 12;
+
+// Monthly log returns keyed by month (YYYY-MM)
+export function monthlyLogReturns(historicalPrices) {
+  const returns = new Map();
+  for (let i = 1; i < historicalPrices.length; i++) {
+    const prev = historicalPrices[i - 1].close;
+    const curr = historicalPrices[i].close;
+    if (prev > 0 && curr > 0) returns.set(historicalPrices[i].date.slice(0, 7), Math.log(curr / prev));
+  }
+  return returns;
+}
+
+/**
+ * Fit a market index for benchmark mode from its monthly closes: the annual
+ * log return's mean and sigma (12× the monthly mean, √12× the monthly
+ * sigma), and the correlation of its monthly returns with the stock's,
+ * matched by month. Returns null when the index has under MIN_INDEX_MONTHS
+ * of returns.
+ */
+export function computeBenchmarkDistribution(ticker, indexPrices, stockPrices) {
+  const indexReturns = monthlyLogReturns(indexPrices || []);
+  const values = [...indexReturns.values()];
+  if (values.length < MIN_INDEX_MONTHS) return null;
+
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const variance = values.reduce((a, r) => a + (r - mean) ** 2, 0) / (values.length - 1);
+
+  const xs = [];
+  const ys = [];
+  for (const [month, r] of monthlyLogReturns(stockPrices || [])) {
+    if (indexReturns.has(month)) {
+      xs.push(r);
+      ys.push(indexReturns.get(month));
+    }
+  }
+  const enoughOverlap = xs.length >= MIN_OVERLAPPING_MONTHS;
+
+  return {
+    ticker,
+    meanLogReturn: 12 * mean,
+    sigmaLogReturn: Math.sqrt(12 * variance),
+    correlation: enoughOverlap ? pearson(xs, ys) : 0,
+    dataPoints: values.length,
+    overlappingMonths: xs.length,
+    warning: enoughOverlap
+      ? null
+      : `Only ${xs.length} months of stock returns overlap with ${ticker}; assuming the stock and the index are uncorrelated.`
+  };
+}
+
 // ─── Monte Carlo Simulation ─────────────────────────────────────
 
+// Bounds on the average annual inflation rate
+export const INFLATION_MIN = -0.5;
+export const INFLATION_MAX = 1;
+
+// Upper bound on simulations per run, fixed and adaptive alike
+export const MAX_SIMULATIONS = 50000;
+
 export function runSimulation({
   price0,
   eps0,
   pe0,
+  startPE = null,
   years,
   numSimulations,
   fdRate,
@@ -172,64 +606,491 @@ export function runSimulation({
   growthMin = -0.20,
   growthMax = 0.40,
   peMin = 5,
-  peMax = 60
+  peMax = 60,
+  growthPECorrelation = 0,
+  pathMode = false,
+  growthAutocorrelation = 0,
+  growthDistType = 'normal',
+  peDistType = 'normal',
+  growthDf = 4,
+  peDf = 4,
+  growthSamples = [],
+  peSamples = [],
+  dividendYield = 0,
+  payoutRatio = null,
+  dividendMode = 'reinvest',
+  requiredReturn = 0.12,
+  confidenceLevel = 0.8,
+  riskConfidenceLevels = [0.95, 0.99],
+  lossThresholds = [0.10, 0.25, 0.50],
+  benchmarkMode = false,
+  benchmarkTicker = '^NSEI',
+  indexMeanLogReturn = 0.11,
+  indexSigmaLogReturn = 0.17,
+  indexCorrelation = 0.5,
+  inflationRate = 0.05,
+  inflationSigma = 0,
+  taxProfile = null,
+  investmentAmount = 100000,
+  meanShareChange = 0,
+  sigmaShareChange = 0,
+  shareChangeMin = -0.10,
+  shareChangeMax = 0.15,
+  multiStage = false,
+  highGrowthYears = 3,
+  fadeYears = 2,
+  terminalMeanGrowth = 0.06,
+  terminalSigmaGrowth = 0.03,
+  peMeanReversion = false,
+  peAnchor = null,
+  peHalfLife = 3,
+  adaptive = false,
+  targetPrecision = 0.005,
+  maxSimulations = 50000,
+  samplingMethod = 'random',
+  sensitivityAnalysis = true,
+  seed
 }) {
   const results = [];
   const fdTarget = price0 * Math.pow(1 + fdRate, years);
+  const resolvedSeed = resolveSeed(seed);
+  const rng = createRng(resolvedSeed);
+
+  const growthSampler = buildMarginal({
+    type: growthDistType, mean: meanGrowth, sigma: sigmaGrowth, min: growthMin, max: growthMax,
+    shift: -1, df: growthDf, samples: growthSamples, label: 'growth'
+  });
+  // ─── P/E process ───────────────────────────────────────────
+  // By default terminal P/E is an independent draw and the path glides
+  // linearly from today's multiple. With mean reversion, log P/E follows an
+  // Ornstein–Uhlenbeck process from today's multiple toward `peAnchor`
+  // (historical median unless given), with `sigmaPE` as the long-run spread;
+  // the terminal draw is exact and the path follows the OU bridge. Today's
+  // multiple is price0 / eps0 unless `startPE` pins it (the solver varies
+  // the entry price without moving the market's multiple).
+  const peStart = startPE ?? price0 / eps0;
+  const resolvedPEAnchor = peAnchor ?? meanPE;
+  const peSampler = peMeanReversion
+    ? buildMeanRevertingMarginal({
+      start: peStart, anchor: resolvedPEAnchor, halfLife: peHalfLife, sigma: sigmaPE,
+      horizon: years, min: peMin, max: peMax, label: 'P/E'
+    })
+    : buildMarginal({
+      type: peDistType, mean: meanPE, sigma: sigmaPE, min: peMin, max: peMax,
+      shift: 0, df: peDf, samples: peSamples, label: 'P/E'
+    });
+  const peGlide = peMeanReversion
+    ? peSampler.glide
+    : (peT, t) => peStart + (peT - peStart) * t / years;
+
+  // ─── Share count ───────────────────────────────────────────
+  // `meanGrowth`/`sigmaGrowth` describe net income; EPS grows by
+  // (1 + g) / (1 + shareChange). Each simulation draws one annual share-count
+  // change (dilution > 0, buyback < 0) that holds for the whole horizon. A
+  // fixed share change takes no draw, so it leaves the random stream alone.
+  const shareSampler = buildMarginal({
+    type: 'normal', mean: meanShareChange, sigma: sigmaShareChange,
+    min: shareChangeMin, max: shareChangeMax, label: 'share change'
+  });
+  const shareChangeIsRandom = sigmaShareChange > 0;
+
+  // ─── Growth stages ─────────────────────────────────────────
+  // Multi-stage mode holds the growth draw for `highGrowthYears`, fades
+  // linearly over `fadeYears` and then grows at a separately drawn terminal
+  // rate. `terminalWeight(t)` is the terminal rate's share of year t's growth;
+  // single-stage runs keep it at 0.
+  const terminalSampler = multiStage
+    ? buildMarginal({
+      type: 'normal', mean: terminalMeanGrowth, sigma: terminalSigmaGrowth,
+      min: growthMin, max: growthMax, label: 'terminal growth'
+    })
+    : null;
+  const terminalWeight = (t) => {
+    if (!multiStage || t <= highGrowthYears) return 0;
+    if (t > highGrowthYears + fadeYears) return 1;
+    return (t - highGrowthYears) / (fadeYears + 1);
+  };
+  const epsAfter = (gHigh, gTerminal, shareFactor, t) => {
+    if (!multiStage) return eps0 * Math.pow((1 + gHigh) / shareFactor, t);
+    let eps = eps0;
+    for (let s = 1; s <= t; s++) {
+      const w = terminalWeight(s);
+      eps *= (1 + (1 - w) * gHigh + w * gTerminal) / shareFactor;
+    }
+    return eps;
+  };
+
+  // ─── Dividends ─────────────────────────────────────────────
+  // Each year-end pays payoutRatio × that year's EPS. Without an explicit
+  // payout ratio it is implied by today's yield (yield × P/E).
+  const effectivePayout = payoutRatio ?? dividendYield * price0 / eps0;
+  const reinvestDividends = dividendMode === 'reinvest';
+
+  // ─── Path mode setup ───────────────────────────────────────
+  // Annual growth shocks follow an AR(1) in normal-score space, so every
+  // year keeps the same truncated-normal marginal. P/E glides from today's
+  // multiple to the terminal draw (see the P/E process above).
+  const innovationScale = Math.sqrt(1 - growthAutocorrelation * growthAutocorrelation);
+  let shockSumSd = 0;
+  let epsPaths, pePaths, pricePaths;
+  if (pathMode) {
+    let sumVar = 0;
+    for (let s = 1; s <= years; s++) {
+      for (let t = 1; t <= years; t++) sumVar += Math.pow(growthAutocorrelation, Math.abs(s - t));
+    }
+    shockSumSd = Math.sqrt(sumVar);
+    epsPaths = Array.from({ length: years + 1 }, () => new Float64Array(0));
+    pePaths = Array.from({ length: years + 1 }, () => new Float64Array(0));
+    pricePaths = Array.from({ length: years + 1 }, () => new Float64Array(0));
+  }
+  const growPaths = (paths, size) => paths.map(a => {
+    const grown = new Float64Array(size);
+    grown.set(a);
+    return grown;
+  });
+
+  // ─── Sampling ──────────────────────────────────────────────
+  // Plain random sampling draws uniforms and normals straight from the PRNG.
+  // The variance-reduction methods give each simulation a point in the unit
+  // hypercube instead (see sampling.js). Coordinate 0 drives the share change;
+  // static runs use 1 for growth, 2 for P/E and 3 for terminal growth, path
+  // runs use 1..years for the yearly growth shocks and years + 1 for P/E.
+  // Each batch is split into independent replicates so the achieved
+  // precision can be measured.
+  const dimensions = pathMode ? years + 2 : 4;
+  const peDimension = pathMode ? years + 1 : 2;
+  const replicateBlocks = samplingMethod === 'random' ? null : [];
 
-  for (let i = 0; i < numSimulations; i++) {
-    const g = sampleTruncatedNormal(meanGrowth, sigmaGrowth, growthMin, growthMax);
-    const peT = sampleTruncatedNormal(meanPE, sigmaPE, peMin, peMax);
-    const epsT = eps0 * Math.pow(1 + g, years);
+  // One outcome from a point, or straight from the PRNG when point is null.
+  // Path runs also return the EPS path so simulateOne can record it.
+  const simulateOutcome = (point) => {
+    const nextUniform = (k) => (point ? point[k] : rng());
+    const nextNormal = (k) => (point ? normalQuantile(point[k]) : boxMullerNormal(rng));
+    let g, gHigh, gTerminal, peT, epsT;
+    let epsPath = null;
+    const shareChange = shareSampler.quantile(shareChangeIsRandom ? nextUniform(0) : 0.5);
+    const shareFactor = 1 + shareChange;
+    if (pathMode) {
+      let z = 0;
+      let zSum = 0;
+      let eps = eps0;
+      epsPath = new Float64Array(years + 1);
+      epsPath[0] = eps0;
+      for (let t = 1; t <= years; t++) {
+        z = t === 1 ? nextNormal(1) : growthAutocorrelation * z + innovationScale * nextNormal(t);
+        zSum += z;
+        // High-growth and terminal rates share the year's shock
+        const u = normalCdf(z);
+        const w = terminalWeight(t);
+        const gYear = w === 0 ? growthSampler.quantile(u)
+          : w === 1 ? terminalSampler.quantile(u)
+            : (1 - w) * growthSampler.quantile(u) + w * terminalSampler.quantile(u);
+        eps *= (1 + gYear) / shareFactor;
+        epsPath[t] = eps;
+      }
+      // Terminal P/E correlates with the path's average growth shock
+      const zPE = growthPECorrelation * (zSum / shockSumSd) +
+        Math.sqrt(1 - growthPECorrelation * growthPECorrelation) * nextNormal(peDimension);
+      peT = peSampler.quantile(normalCdf(zPE));
+      epsT = eps;
+      g = Math.pow(epsT / eps0, 1 / years) * shareFactor - 1; // annualised net income growth of the path
+    } else {
+      if (growthPECorrelation !== 0) {
+        // Gaussian copula on the two normal scores
+        const zG = nextNormal(1);
+        const zPE = growthPECorrelation * zG + Math.sqrt(1 - growthPECorrelation * growthPECorrelation) * nextNormal(peDimension);
+        g = growthSampler.quantile(normalCdf(zG));
+        peT = peSampler.quantile(normalCdf(zPE));
+      } else {
+        g = growthSampler.quantile(nextUniform(1));
+        peT = peSampler.quantile(nextUniform(peDimension));
+      }
+      if (multiStage) {
+        gHigh = g;
+        gTerminal = terminalSampler.quantile(nextUniform(3));
+        epsT = epsAfter(gHigh, gTerminal, shareFactor, years);
+        g = Math.pow(epsT / eps0, 1 / years) * shareFactor - 1; // annualised over the stages
+      } else {
+        epsT = eps0 * Math.pow((1 + g) / shareFactor, years);
+      }
+    }
     const priceT = epsT * peT;
-    const cagr = Math.pow(priceT / price0, 1 / years) - 1;
-    const beatsFD = priceT > fdTarget;
-    const isLoss = priceT < price0;
+    const epsGrowth = Math.pow(epsT / eps0, 1 / years) - 1;
+    const epsAt = pathMode ? (t) => epsPath[t]
+      : multiStage ? (t) => epsAfter(gHigh, gTerminal, shareFactor, t)
+        : (t) => eps0 * Math.pow((1 + g) / shareFactor, t);
+    const { shares, cash, paid } = accumulateDividends(epsAt, (t) => peGlide(peT, t), years, effectivePayout, reinvestDividends);
+    const totalValue = shares * priceT + cash;
+    const dividends = totalValue - priceT;
+    const priceCagr = Math.pow(priceT / price0, 1 / years) - 1;
+    const cagr = Math.pow(totalValue / price0, 1 / years) - 1;
+    const beatsFD = totalValue > fdTarget;
+    const isLoss = totalValue < price0;
+
+    return { g, shareChange, epsGrowth, peT, epsT, priceT, dividends, dividendsPaid: paid, totalValue, priceCagr, cagr, beatsFD, isLoss, epsPath };
+  };
 
-    results.push({ g, peT, epsT, priceT, cagr, beatsFD, isLoss });
+  const simulateOne = (i, point) => {
+    const { epsPath, ...result } = simulateOutcome(point);
+    if (pathMode) {
+      for (let t = 0; t <= years; t++) {
+        const peYear = peGlide(result.peT, t);
+        epsPaths[t][i] = epsPath[t];
+        pePaths[t][i] = peYear;
+        pricePaths[t][i] = epsPath[t] * peYear;
+      }
+    }
+    results.push(result);
+  };
+
+  // Simulations run in batches that continue the same random stream, so the
+  // first n draws of an adaptive run match a fixed run of n simulations
+  const simulateBatch = (count) => {
+    const start = results.length;
+    const end = start + count;
+    if (pathMode) {
+      epsPaths = growPaths(epsPaths, end);
+      pePaths = growPaths(pePaths, end);
+      pricePaths = growPaths(pricePaths, end);
+    }
+    const replicates = replicateBlocks ? Math.min(SAMPLING_REPLICATES, count) : 1;
+    for (let b = 0; b < replicates; b++) {
+      const blockStart = start + Math.floor(count * b / replicates);
+      const blockEnd = start + Math.floor(count * (b + 1) / replicates);
+      const nextPoint = createPointSet(samplingMethod, dimensions, blockEnd - blockStart, rng);
+      for (let i = blockStart; i < blockEnd; i++) simulateOne(i, nextPoint());
+      replicateBlocks?.push([blockStart, blockEnd]);
+    }
+  };
+
+  // ─── Adaptive simulation count ─────────────────────────────
+  // A fixed run simulates `numSimulations` once. Adaptive runs keep adding
+  // batches of that size until the Monte Carlo precision (see
+  // monteCarloErrors) reaches `targetPrecision` or `maxSimulations` is hit.
+  simulateBatch(numSimulations);
+  let batches = 1;
+  let errors = monteCarloErrors(results, replicateBlocks);
+  if (adaptive) {
+    while (errors.precision > targetPrecision && results.length < maxSimulations) {
+      simulateBatch(Math.min(numSimulations, maxSimulations - results.length));
+      batches++;
+      errors = monteCarloErrors(results, replicateBlocks);
+    }
   }
+  const simulationCount = results.length;
 
   // Sort by priceT for percentile calculations
   const prices = results.map(r => r.priceT);
   const cagrs = results.map(r => r.cagr);
   const growths = results.map(r => r.g);
   const pes = results.map(r => r.peT);
+  const shareChanges = results.map(r => r.shareChange);
+  const medianShareFactor = 1 + percentile(shareChanges, 50);
+
+  // ─── Market-Index Benchmark ──────────────────────────────────
+  // The index's horizon log return is normal with the fitted annual mean and
+  // sigma scaled to the horizon. It is tied to the stock by a Gaussian copula
+  // on the rank of each outcome's total value, with the historical monthly
+  // return correlation as its parameter. The index has its own random
+  // stream, so the stock outcomes are the same with or without it.
+  let benchmark = null;
+  let excessCagrs = null;
+  if (benchmarkMode) {
+    const benchmarkRng = createRng((resolvedSeed + 0x9E3779B9) >>> 0);
+    const independent = Math.sqrt(1 - indexCorrelation * indexCorrelation);
+    const order = Array.from(results.keys()).sort((a, b) => results[a].totalValue - results[b].totalValue);
+    const indexCagrs = new Array(simulationCount);
+    order.forEach((simIndex, rank) => {
+      const z = indexCorrelation * normalQuantile((rank + 0.5) / simulationCount) + independent * boxMullerNormal(benchmarkRng);
+      indexCagrs[simIndex] = Math.exp(indexMeanLogReturn + indexSigmaLogReturn * z / Math.sqrt(years)) - 1;
+    });
+    excessCagrs = cagrs.map((c, i) => c - indexCagrs[i]);
+    benchmark = {
+      ticker: benchmarkTicker,
+      probBeatsIndex: excessCagrs.filter(x => x > 0).length / simulationCount,
+      indexCagr: percentileSummary(indexCagrs),
+      excessCagr: percentileSummary(excessCagrs),
+      realizedCorrelation: pearson(cagrs, indexCagrs)
+    };
+  }
 
+  // ─── Inflation ──────────────────────────────────────────────
+  // Real values deflate each outcome by the average annual inflation over
+  // the horizon. A zero `inflationSigma` fixes it at `inflationRate`;
+  // otherwise every outcome draws its own rate from a truncated normal, on a
+  // separate random stream so the nominal outcomes stay the same.
+  const inflationSampler = buildMarginal({
+    type: 'normal', mean: inflationRate, sigma: inflationSigma,
+    min: INFLATION_MIN, max: INFLATION_MAX, label: 'inflation'
+  });
+  const inflationRng = createRng((resolvedSeed + 0x85EBCA6B) >>> 0);
+  const inflationRates = results.map(() => inflationSampler.quantile(inflationSigma > 0 ? inflationRng() : 0.5));
+  const deflators = inflationRates.map(rate => Math.pow(1 + rate, years));
+  const realCagrs = cagrs.map((c, i) => (1 + c) / (1 + inflationRates[i]) - 1);
+  const real = {
+    inflationRate,
+    inflationSigma,
+    price: percentileSummary(prices.map((p, i) => p / deflators[i])),
+    totalValue: percentileSummary(results.map((r, i) => r.totalValue / deflators[i])),
+    cagr: percentileSummary(realCagrs),
+    probBeatsInflation: realCagrs.filter(c => c > 0).length / simulationCount,
+    probLoss: realCagrs.filter(c => c < 0).length / simulationCount,
+    fdRate: (1 + fdRate) / (1 + inflationRate) - 1
+  };
+
+  // ─── Post-Tax Comparison ─────────────────────────────────────
+  // With a `taxProfile` (overrides of TAX_RULES), `investmentAmount` goes
+  // into the stock or into the FD. FD interest is taxed every year at the
+  // slab rate, so it compounds at the post-tax rate. The stock pays slab tax
+  // on dividends and capital-gains tax on selling at the horizon, LTCG above
+  // the exemption once the holding is long enough and STCG otherwise; the
+  // cost basis includes reinvested dividends, and gains below zero pay no
+  // tax. Cess applies to all of it; surcharge is ignored.
+  let postTax = null;
+  if (taxProfile) {
+    const rules = resolveTaxProfile(taxProfile);
+    const withCess = (rate) => rate * (1 + rules.cess);
+    const units = investmentAmount / price0;
+    const longTerm = years >= rules.ltcgMinYears;
+    const postTaxFdRate = fdRate * (1 - withCess(rules.slabRate));
+    const fdWealth = investmentAmount * Math.pow(1 + postTaxFdRate, years);
+    const taxes = results.map(r => {
+      const dividendTax = withCess(rules.slabRate) * r.dividendsPaid * units;
+      const gain = (r.totalValue - price0 - r.dividendsPaid) * units;
+      const gainsTax = longTerm
+        ? withCess(rules.ltcgRate) * Math.max(gain - rules.ltcgExemption, 0)
+        : withCess(rules.stcgRate) * Math.max(gain, 0);
+      return dividendTax + gainsTax;
+    });
+    const wealth = results.map((r, i) => r.totalValue * units - taxes[i]);
+    postTax = {
+      rules,
+      investmentAmount,
+      holding: longTerm ? 'long' : 'short',
+      fdRate: postTaxFdRate,
+      fdWealth,
+      wealth: percentileSummary(wealth),
+      cagr: percentileSummary(wealth.map(w => Math.pow(w / investmentAmount, 1 / years) - 1)),
+      tax: percentileSummary(taxes),
+      probBeatsFD: wealth.filter(w => w > fdWealth).length / simulationCount
+    };
+  }
+
+  // cagr, probBeatsFD and probLoss are on total return (price + dividends);
+  // priceOnly keeps the price-appreciation view for comparison
   const summary = {
-    price: {
-      p10: percentile(prices, 10),
-      p25: percentile(prices, 25),
-      p50: percentile(prices, 50),
-      p75: percentile(prices, 75),
-      p90: percentile(prices, 90),
-      mean: prices.reduce((a, b) => a + b, 0) / prices.length
+    price: percentileSummary(prices),
+    cagr: percentileSummary(cagrs),
+    probBeatsFD: results.filter(r => r.beatsFD).length / simulationCount,
+    probLoss: results.filter(r => r.isLoss).length / simulationCount,
+    priceOnly: {
+      cagr: percentileSummary(results.map(r => r.priceCagr)),
+      probBeatsFD: results.filter(r => r.priceT > fdTarget).length / simulationCount,
+      probLoss: results.filter(r => r.priceT < price0).length / simulationCount
     },
-    cagr: {
-      p10: percentile(cagrs, 10),
-      p25: percentile(cagrs, 25),
-      p50: percentile(cagrs, 50),
-      p75: percentile(cagrs, 75),
-      p90: percentile(cagrs, 90),
-      mean: cagrs.reduce((a, b) => a + b, 0) / cagrs.length
+    totalValue: percentileSummary(results.map(r => r.totalValue)),
+    dividends: {
+      payoutRatio: effectivePayout,
+      mode: dividendMode,
+      meanReceived: results.reduce((a, r) => a + r.dividends, 0) / simulationCount
     },
-    probBeatsFD: results.filter(r => r.beatsFD).length / numSimulations,
-    probLoss: results.filter(r => r.isLoss).length / numSimulations,
     fdTarget,
     fdRate,
+    benchmark,
+    real,
+    postTax,
     years,
-    numSimulations
+    numSimulations: simulationCount
+  };
+
+  // ─── Intrinsic Value ────────────────────────────────────────
+  // Discount each outcome (price plus dividends) at the required return. The
+  // entry price is the fair-value quantile that at least `confidenceLevel`
+  // of outcomes exceed, i.e. the most you can pay and still earn the
+  // required return with that confidence.
+  const discountFactor = Math.pow(1 + requiredReturn, years);
+  const fairValues = results.map(r => r.totalValue / discountFactor);
+  const fairValue = percentileSummary(fairValues);
+  const valuation = {
+    requiredReturn,
+    confidenceLevel,
+    fairValue,
+    probUndervalued: fairValues.filter(v => v > price0).length / simulationCount,
+    marginOfSafety: (fairValue.p50 - price0) / fairValue.p50,
+    entryPrice: percentile(fairValues, (1 - confidenceLevel) * 100)
+  };
+
+  // ─── Downside Risk ───────────────────────────────────────────
+  // VaR at each level is the loss at the (1 − level) quantile and CVaR the
+  // mean loss in that tail (expected shortfall), for the terminal price
+  // against price0 (per share) and for the CAGR; positive values are losses.
+  // The FD shortfall, downside deviation and loss probabilities use total
+  // value, like probBeatsFD and probLoss. Downside deviation is the root
+  // mean square of CAGR shortfalls below the FD rate.
+  const tailOf = (values, level) => {
+    const sorted = Float64Array.from(values).sort();
+    const cutoff = percentileOfSorted(sorted, (1 - level) * 100);
+    let sum = 0, count = 0;
+    for (const x of sorted) {
+      if (x > cutoff) break;
+      sum += x;
+      count++;
+    }
+    return { cutoff, tailMean: sum / count };
+  };
+  const fdShortfalls = results.map(r => Math.max(fdTarget - r.totalValue, 0));
+  const fdShortfallCount = fdShortfalls.filter(x => x > 0).length;
+  const fdShortfallTotal = fdShortfalls.reduce((a, b) => a + b, 0);
+  const risk = {
+    valueAtRisk: riskConfidenceLevels.map(level => {
+      const price = tailOf(prices, level);
+      const cagr = tailOf(cagrs, level);
+      return {
+        level,
+        price: { var: price0 - price.cutoff, cvar: price0 - price.tailMean },
+        cagr: { var: -cagr.cutoff, cvar: -cagr.tailMean }
+      };
+    }),
+    fdShortfall: {
+      expected: fdShortfallTotal / simulationCount,
+      conditional: fdShortfallCount > 0 ? fdShortfallTotal / fdShortfallCount : null
+    },
+    downsideDeviation: Math.sqrt(cagrs.reduce((a, c) => a + Math.min(c - fdRate, 0) ** 2, 0) / simulationCount),
+    lossProbabilities: lossThresholds.map(threshold => ({
+      threshold,
+      probability: results.filter(r => r.totalValue < price0 * (1 - threshold)).length / simulationCount
+    }))
   };
 
   // ─── Scenario Table (Growth P25/P50/P75 × P/E P25/P50/P75) ───
+  // Share count held at its median change. In multi-stage mode a row takes
+  // the high-growth and terminal rates at the same percentile of their
+  // distributions, and `stages` records them; growthValue is the resulting
+  // annualised rate. Real prices and CAGRs deflate at `inflationRate`.
+  const scenarioDeflator = Math.pow(1 + inflationRate, years);
   const gPercentiles = { p25: percentile(growths, 25), p50: percentile(growths, 50), p75: percentile(growths, 75) };
   const pePercentiles = { p25: percentile(pes, 25), p50: percentile(pes, 50), p75: percentile(pes, 75) };
+  const stagePercentiles = multiStage
+    ? Object.fromEntries([['p25', 0.25], ['p50', 0.5], ['p75', 0.75]].map(([label, u]) => [label, {
+      highGrowth: growthSampler.quantile(u),
+      highGrowthYears,
+      fadeYears,
+      terminalGrowth: terminalSampler.quantile(u)
+    }]))
+    : null;
 
   const scenarios = [];
-  for (const [gLabel, gVal] of Object.entries(gPercentiles)) {
+  for (const [gLabel, gPct] of Object.entries(gPercentiles)) {
+    const stages = multiStage ? stagePercentiles[gLabel] : null;
+    const epsScenAt = multiStage
+      ? (t) => epsAfter(stages.highGrowth, stages.terminalGrowth, medianShareFactor, t)
+      : (t) => eps0 * Math.pow((1 + gPct) / medianShareFactor, t);
+    const epsScen = epsScenAt(years);
+    const gVal = multiStage ? Math.pow(epsScen / eps0, 1 / years) * medianShareFactor - 1 : gPct;
     for (const [peLabel, peVal] of Object.entries(pePercentiles)) {
-      const epsScen = eps0 * Math.pow(1 + gVal, years);
       const priceScen = epsScen * peVal;
-      const cagrScen = Math.pow(priceScen / price0, 1 / years) - 1;
+      const divScen = accumulateDividends(epsScenAt, (t) => peGlide(peVal, t), years, effectivePayout, reinvestDividends);
+      const cagrScen = Math.pow((divScen.shares * priceScen + divScen.cash) / price0, 1 / years) - 1;
       scenarios.push({
         growthLabel: gLabel,
         growthValue: gVal,
@@ -237,41 +1098,56 @@ export function runSimulation({
         peValue: peVal,
         epsT: epsScen,
         priceT: priceScen,
-        cagr: cagrScen
+        cagr: cagrScen,
+        realPriceT: priceScen / scenarioDeflator,
+        realCagr: (1 + cagrScen) / (1 + inflationRate) - 1,
+        stages
       });
     }
   }
 
   // ─── Sensitivity Analysis ────────────────────────────────────
-  // Simple variance decomposition:
-  // fix P/E at median, vary growth → variance from growth
-  // fix growth at median, vary P/E → variance from P/E
-  const medianGrowth = percentile(growths, 50);
-  const medianPE = percentile(pes, 50);
-
-  const pricesVaryGrowth = results.map(r => {
-    const epsFixed = eps0 * Math.pow(1 + r.g, years);
-    return epsFixed * medianPE;
-  });
-  const pricesVaryPE = results.map(r => {
-    const epsFixed = eps0 * Math.pow(1 + medianGrowth, years);
-    return epsFixed * r.peT;
-  });
-
-  const variance = (arr) => {
-    const mean = arr.reduce((a, b) => a + b, 0) / arr.length;
-    return arr.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / arr.length;
-  };
+  // Sobol indices of the total value (price plus dividends) for every
+  // stochastic input. An input owns the point coordinates it is drawn from,
+  // so new random inputs only need an entry here. The indices assume
+  // independent inputs: with a growth–P/E correlation the P/E input is its
+  // own innovation, and the part it shares with growth counts towards growth.
+  // Callers that only need the summary can skip this with
+  // `sensitivityAnalysis: false`.
+  const sensitivityInputs = [
+    { key: 'growth', dimensions: pathMode ? Array.from({ length: years }, (_, t) => t + 1) : [1] },
+    { key: 'pe', dimensions: [peDimension] },
+    ...(shareChangeIsRandom ? [{ key: 'shareChange', dimensions: [0] }] : []),
+    ...(multiStage && !pathMode ? [{ key: 'terminalGrowth', dimensions: [3] }] : [])
+  ];
+  const sensitivity = sensitivityAnalysis
+    ? {
+      ...sobolIndices((point) => simulateOutcome(point).totalValue, sensitivityInputs, dimensions, SENSITIVITY_SAMPLES, rng),
+      realizedCorrelation: pearson(growths, pes)
+    }
+    : null;
 
-  const varGrowth = variance(pricesVaryGrowth);
-  const varPE = variance(pricesVaryPE);
-  const totalVar = varGrowth + varPE;
+  // ─── Per-year Percentile Bands (path mode) ───────────────────
+  const pathBands = pathMode
+    ? epsPaths.map((_, t) => ({
+      year: t,
+      eps: percentileBand(epsPaths[t]),
+      pe: percentileBand(pePaths[t]),
+      price: percentileBand(pricePaths[t])
+    }))
+    : null;
 
-  const sensitivity = {
-    growthContribution: totalVar > 0 ? varGrowth / totalVar : 0.5,
-    peContribution: totalVar > 0 ? varPE / totalVar : 0.5,
-    varGrowth,
-    varPE
+  // ─── Truncation Diagnostic ───────────────────────────────────
+  // Share of each requested distribution that the min/max bounds cut off;
+  // the sampled marginals are renormalised over what remains.
+  const describeTruncation = ({ belowMin, aboveMax }) => ({
+    belowMin, aboveMax, truncatedProbability: belowMin + aboveMax
+  });
+  const truncation = {
+    growth: describeTruncation(growthSampler.truncation),
+    pe: describeTruncation(peSampler.truncation),
+    shareChange: describeTruncation(shareSampler.truncation),
+    terminalGrowth: multiStage ? describeTruncation(terminalSampler.truncation) : null
   };
 
   // ─── Distribution Data for Charts ────────────────────────────
@@ -279,6 +1155,7 @@ export function runSimulation({
   const cagrHistogram = buildHistogram(cagrs, 50);
   const growthHistogram = buildHistogram(growths, 30);
   const peHistogram = buildHistogram(pes, 30);
+  const fairValueHistogram = buildHistogram(fairValues, 50);
 
   return {
     summary,
@@ -288,24 +1165,92 @@ export function runSimulation({
       price: priceHistogram,
       cagr: cagrHistogram,
       growth: growthHistogram,
-      pe: peHistogram
+      pe: peHistogram,
+      fairValue: fairValueHistogram,
+      excessCagr: excessCagrs ? buildHistogram(excessCagrs, 50) : null
+    },
+    cdf: {
+      price: empiricalCdf(prices),
+      cagr: empiricalCdf(cagrs)
+    },
+    pathBands,
+    truncation,
+    valuation,
+    risk,
+    convergence: {
+      ...errors,
+      samplingMethod,
+      replicates: replicateBlocks ? replicateBlocks.length : null,
+      adaptive: adaptive
+        ? { targetPrecision, maxSimulations, batchSize: numSimulations, batches, converged: errors.precision <= targetPrecision }
+        : null
     },
     inputParams: {
       price0, eps0, pe0, years, numSimulations, fdRate,
       meanGrowth, sigmaGrowth, meanPE, sigmaPE,
-      growthMin, growthMax, peMin, peMax
+      growthMin, growthMax, peMin, peMax,
+      growthPECorrelation, pathMode, growthAutocorrelation,
+      growthDistType, peDistType, growthDf, peDf,
+      dividendYield, payoutRatio: effectivePayout, dividendMode,
+      requiredReturn, confidenceLevel, riskConfidenceLevels, lossThresholds,
+      benchmarkMode, benchmarkTicker, indexMeanLogReturn, indexSigmaLogReturn, indexCorrelation,
+      inflationRate, inflationSigma, taxProfile, investmentAmount,
+      meanShareChange, sigmaShareChange, shareChangeMin, shareChangeMax,
+      multiStage, highGrowthYears, fadeYears, terminalMeanGrowth, terminalSigmaGrowth,
+      peMeanReversion, peAnchor: resolvedPEAnchor, peHalfLife,
+      adaptive, targetPrecision, maxSimulations, samplingMethod,
+      seed: resolvedSeed
     },
     rawResults: results // For CSV download
   };
 }
 
-function buildHistogram(values, numBins) {
-  const min = Math.min(...values);
-  const max = Math.max(...values);
+/**
+ * Dividends collected on one share bought today. Payments land at each whole
+ * year-end; reinvested payouts buy more shares at that year's price (P/E from
+ * `peAt`, the same glide path as path mode), otherwise they accumulate as cash.
+ * `paid` is the sum of the payments, the taxable dividend income.
+ */
+function accumulateDividends(epsAt, peAt, years, payoutRatio, reinvest) {
+  let shares = 1;
+  let cash = 0;
+  let paid = 0;
+  if (!(payoutRatio > 0)) return { shares, cash, paid };
+  for (let t = 1; t <= years; t++) {
+    const dividend = shares * payoutRatio * epsAt(t);
+    paid += dividend;
+    if (reinvest) {
+      shares += dividend / (epsAt(t) * peAt(t));
+    } else {
+      cash += dividend;
+    }
+  }
+  return { shares, cash, paid };
+}
+
+export function percentileSummary(values) {
+  return {
+    p10: percentile(values, 10),
+    p25: percentile(values, 25),
+    p50: percentile(values, 50),
+    p75: percentile(values, 75),
+    p90: percentile(values, 90),
+    mean: values.reduce((a, b) => a + b, 0) / values.length
+  };
+}
+
+export function buildHistogram(values, numBins) {
+  // A loop rather than Math.min(...values): spreading a large run overflows the stack
+  let min = Infinity;
+  let max = -Infinity;
+  for (const v of values) {
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
   const binWidth = (max - min) / numBins;
 
   if (binWidth === 0) {
-    return [{ binStart: min, binEnd: min, count: values.length, frequency: 1 }];
+    return [{ binStart: min, binEnd: min, binMid: min, count: values.length, frequency: 1 }];
   }
 
   const bins = [];
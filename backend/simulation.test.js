@@ -0,0 +1,11 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildHistogram } from './simulation.js';
+
+test('a histogram of more values than the stack can spread', () => {
+  const values = Array.from({ length: 300000 }, (_, i) => i);
+  const bins = buildHistogram(values, 10);
+  assert.equal(bins[0].binStart, 0);
+  assert.equal(bins.at(-1).binEnd, 299999);
+  assert.equal(bins.reduce((n, b) => n + b.count, 0), values.length);
+});
@@ -0,0 +1,140 @@
+/**
+ * Reverse solver
+ *
+ * Asks the simulation backwards: which mean growth, mean P/E or entry price
+ * makes a target come true (say a 60% chance of beating the FD)? The engine
+ * is rerun with one seed while the chosen variable is bisected, so every
+ * trial sees the same random draws and the metric moves only with the
+ * variable. The implied value is then set against the stock's history.
+ */
+
+import { resolveSeed } from './distributions.js';
+import { runSimulation } from './simulation.js';
+
+export const SOLVE_VARIABLES = ['meanGrowth', 'meanPE', 'price0'];
+export const SOLVE_METRICS = ['probBeatsFD', 'medianCagr', 'pricePercentile'];
+export const PRICE_PERCENTILES = [10, 25, 50, 75, 90];
+export const SOLVER_SIMULATIONS = 5000;
+export const MAX_SOLVER_SIMULATIONS = 20000;
+const MAX_ITERATIONS = 40;
+
+// Search range and stopping width of each variable. Mean growth and P/E are
+// searched between their truncation bounds, beyond which the sampled
+// distribution no longer moves; the entry price is searched on a log scale,
+// where its tolerance is relative.
+const SEARCH = {
+  meanGrowth: { range: (p) => [p.growthMin, p.growthMax], tolerance: 0.0001, log: false },
+  meanPE: { range: (p) => [p.peMin, p.peMax], tolerance: 0.01, log: false },
+  price0: { range: (p) => [p.price0 / 100, p.price0 * 100], tolerance: 0.0001, log: true }
+};
+
+function metricOf(summary, target) {
+  if (target.metric === 'probBeatsFD') return summary.probBeatsFD;
+  if (target.metric === 'medianCagr') return summary.cagr.p50;
+  return summary.price[`p${target.percentile}`];
+}
+
+/**
+ * Where `value` sits in the stock's history for the solved variable: the
+ * fitted mean and sigma it is measured against, its z-score, and the share
+ * of historical observations at or below it. Growth uses net income growth
+ * when the share count is modelled. The entry price is compared with the
+ * current price instead.
+ */
+export function compareToHistory(solveFor, value, stock, params) {
+  if (solveFor === 'price0') {
+    return { currentPrice: stock.currentPrice, premium: value / stock.currentPrice - 1 };
+  }
+  let distribution, mean, sigma, observations;
+  if (solveFor === 'meanGrowth') {
+    const sharesModelled = params.meanShareChange || params.sigmaShareChange;
+    distribution = sharesModelled && stock.netIncomeGrowthDistribution ? 'netIncomeGrowth' : 'growth';
+    const fitted = distribution === 'netIncomeGrowth' ? stock.netIncomeGrowthDistribution : stock.growthDistribution;
+    ({ meanGrowth: mean, sigmaGrowth: sigma, growthRates: observations } = fitted);
+  } else {
+    distribution = 'pe';
+    ({ meanPE: mean, sigmaPE: sigma, peValues: observations } = stock.peDistribution);
+  }
+  return {
+    distribution,
+    historicalMean: mean,
+    historicalSigma: sigma,
+    zScore: sigma > 0 ? (value - mean) / sigma : null,
+    percentileRank: observations.length > 0 ? observations.filter(x => x <= value).length / observations.length : null,
+    dataPoints: observations.length
+  };
+}
+
+/**
+ * Solve the simulation request `params` (the /api/simulate body) for
+ * `solveFor` so that `target.metric` reaches `target.value`. Runs
+ * `numSimulations` per trial (SOLVER_SIMULATIONS by default) at a fixed
+ * count, without the Sobol indices. When solving for the entry price, the
+ * dividend payout and today's P/E (the start of the P/E path, `startPE`)
+ * stay those of the current price, so only the price paid changes.
+ *
+ * If the target lies outside what the search range can reach, `solution`
+ * is null and `bracket` shows the metric at both ends. Pass the fetched
+ * `stock` to compare the solution with its history.
+ */
+export function runSolver(params, solveFor, target, stock = null) {
+  const base = {
+    years: 5,
+    fdRate: 0.07,
+    growthMin: -0.20,
+    growthMax: 0.40,
+    peMin: 5,
+    peMax: 60,
+    ...params,
+    pe0: params.pe0 || params.price0 / params.eps0,
+    startPE: params.price0 / params.eps0,
+    payoutRatio: params.payoutRatio ?? (params.dividendYield ?? 0) * params.price0 / params.eps0,
+    numSimulations: params.numSimulations ?? SOLVER_SIMULATIONS,
+    adaptive: false,
+    sensitivityAnalysis: false,
+    seed: resolveSeed(params.seed)
+  };
+  const evaluate = (value) => metricOf(runSimulation({ ...base, [solveFor]: value }).summary, target);
+
+  const { range, tolerance, log } = SEARCH[solveFor];
+  const toSearch = log ? Math.log : (x) => x;
+  const fromSearch = log ? Math.exp : (x) => x;
+  let [lo, hi] = range(base).map(toSearch);
+  const metricAtLow = evaluate(fromSearch(lo));
+  const metricAtHigh = evaluate(fromSearch(hi));
+  const bracket = { low: fromSearch(lo), high: fromSearch(hi), metricAtLow, metricAtHigh };
+  const baseline = { value: base[solveFor], metric: evaluate(base[solveFor]) };
+  const inputParams = { numSimulations: base.numSimulations, seed: base.seed };
+
+  const reachable = Math.min(metricAtLow, metricAtHigh) <= target.value && target.value <= Math.max(metricAtLow, metricAtHigh);
+  if (!reachable) {
+    return { solveFor, target, solution: null, achieved: null, converged: false, iterations: 0, bracket, baseline, history: null, inputParams };
+  }
+
+  // The metric is monotone in the variable, and a fixed-seed metric moves in
+  // small steps. Bisection keeps the end that meets the target on one side,
+  // so the solution is the least growth or P/E (or the highest price) that
+  // still reaches it.
+  const increasing = metricAtHigh >= metricAtLow;
+  let iterations = 0;
+  while (hi - lo > tolerance && iterations < MAX_ITERATIONS) {
+    const mid = (lo + hi) / 2;
+    if ((evaluate(fromSearch(mid)) < target.value) === increasing) lo = mid;
+    else hi = mid;
+    iterations++;
+  }
+  const solution = fromSearch(increasing ? hi : lo);
+
+  return {
+    solveFor,
+    target,
+    solution,
+    achieved: evaluate(solution),
+    converged: hi - lo <= tolerance,
+    iterations,
+    bracket,
+    baseline,
+    history: stock ? compareToHistory(solveFor, solution, stock, base) : null,
+    inputParams
+  };
+}
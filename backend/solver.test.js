@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runSimulation } from './simulation.js';
+import { runSolver } from './solver.js';
+import { validateSolveInput } from './validation.js';
+
+// Today's P/E is 20 (100 / 5), reverting toward 15
+const params = {
+  price0: 100,
+  eps0: 5,
+  pe0: 20,
+  years: 5,
+  fdRate: 0.07,
+  meanGrowth: 0.12,
+  sigmaGrowth: 0.08,
+  meanPE: 15,
+  sigmaPE: 3,
+  peMeanReversion: true,
+  peHalfLife: 2,
+  numSimulations: 2000,
+  seed: 42
+};
+
+test('solving for the entry price leaves the P/E path at today\'s multiple', () => {
+  const { solution, achieved, converged } = runSolver(params, 'price0', { metric: 'medianCagr', value: 0.15 });
+  assert.ok(converged);
+  assert.ok(solution < params.price0);
+
+  // Only the price paid changes, so the simulated prices are those of the base run
+  const baseMedianPrice = runSimulation({ ...params, sensitivityAnalysis: false }).summary.price.p50;
+  assert.ok(Math.abs(achieved - (Math.pow(baseMedianPrice / solution, 1 / params.years) - 1)) < 1e-9);
+  assert.ok(Math.abs(achieved - 0.15) < 0.001);
+});
+
+test('a solve request ignores the adaptive settings of the run it replays', () => {
+  const request = { ...params, adaptive: true, maxSimulations: 10000, solveFor: 'meanPE', target: { metric: 'probBeatsFD', value: 0.6 } };
+  assert.equal(validateSolveInput(request), null);
+});
@@ -0,0 +1,28 @@
+/**
+ * Tax rules
+ *
+ * The post-tax FD comparison reads every rate from TAX_RULES, so a budget
+ * change is an edit to this table (and to the Worker's copy of it). Rates
+ * are fractions; the exemption is in rupees per financial year. A request
+ * can override any entry through `taxProfile`.
+ */
+
+export const TAX_RULES = {
+  // Slab rate on FD interest and dividends (top slab, new regime)
+  slabRate: 0.30,
+  // Listed equity, from Budget 2024 (sales after 23 July 2024)
+  ltcgRate: 0.125,
+  stcgRate: 0.20,
+  ltcgExemption: 125000,
+  ltcgMinYears: 1,
+  // Health and education cess, charged on the tax
+  cess: 0.04
+};
+
+// Entries that are rates (0 to 1); the others are rupees or years
+export const TAX_RATE_KEYS = ['slabRate', 'ltcgRate', 'stcgRate', 'cess'];
+
+// TAX_RULES with the overrides in `profile` applied
+export function resolveTaxProfile(profile = {}) {
+  return { ...TAX_RULES, ...profile };
+}
@@ -0,0 +1,94 @@
+/**
+ * Tornado sensitivity
+ *
+ * The Sobol indices in runSimulation cover the random drivers. This covers
+ * the fixed knobs instead: the engine is rerun with one deterministic input
+ * at a time moved to a low and a high value, and each input reports how far
+ * that moves the median CAGR and the probability of beating the FD. Every run
+ * shares one seed, so the swings come from the inputs, not from sampling
+ * noise.
+ */
+
+import { resolveSeed } from './distributions.js';
+import { runSimulation } from './simulation.js';
+
+export const TORNADO_SIMULATIONS = 5000;
+export const MAX_TORNADO_SIMULATIONS = 20000;
+
+const around = (value, delta) => [value - delta, value + delta];
+const scaled = (value, factor) => [value * (1 - factor), value * (1 + factor)];
+
+// Low and high values of each input, from the base parameters. Growth bounds
+// move by a tenth of the range width, so a bumped bound never crosses the
+// other, and the lower one stays above -100%. P/E bounds scale by 20% and stay
+// positive.
+const TORNADO_INPUTS = [
+  { key: 'years', bump: (p) => [Math.max(1, p.years - 1), p.years + 1] },
+  { key: 'fdRate', bump: (p) => around(p.fdRate, 0.01) },
+  { key: 'eps0', bump: (p) => scaled(p.eps0, 0.1) },
+  { key: 'growthMin', bump: (p) => around(p.growthMin, 0.1 * (p.growthMax - p.growthMin)).map(g => Math.max(g, (p.growthMin - 1) / 2)) },
+  { key: 'growthMax', bump: (p) => around(p.growthMax, 0.1 * (p.growthMax - p.growthMin)) },
+  { key: 'peMin', bump: (p) => scaled(p.peMin, 0.2) },
+  { key: 'peMax', bump: (p) => scaled(p.peMax, 0.2) },
+  { key: 'sigmaGrowth', bump: (p) => scaled(p.sigmaGrowth, 0.25) },
+  { key: 'sigmaPE', bump: (p) => scaled(p.sigmaPE, 0.25) },
+  { key: 'sigmaShareChange', applies: (p) => p.sigmaShareChange > 0, bump: (p) => scaled(p.sigmaShareChange, 0.25) },
+  { key: 'terminalSigmaGrowth', applies: (p) => p.multiStage, bump: (p) => scaled(p.terminalSigmaGrowth, 0.25) }
+];
+
+/**
+ * Tornado data for one simulation request (the /api/simulate body). Runs
+ * `numSimulations` per bump (TORNADO_SIMULATIONS by default) at a fixed count,
+ * so adaptive runs are switched off, and skips the Sobol indices. Inputs are
+ * sorted by their swing in median CAGR, largest first. Today's P/E and the
+ * dividend payout stay those of the base EPS, so the EPS bar moves earnings
+ * alone.
+ */
+export function runTornado(params) {
+  const base = {
+    years: 5,
+    fdRate: 0.07,
+    growthMin: -0.20,
+    growthMax: 0.40,
+    peMin: 5,
+    peMax: 60,
+    sigmaShareChange: 0,
+    terminalSigmaGrowth: 0.03,
+    ...params,
+    pe0: params.pe0 || params.price0 / params.eps0,
+    startPE: params.price0 / params.eps0,
+    payoutRatio: params.payoutRatio ?? (params.dividendYield ?? 0) * params.price0 / params.eps0,
+    numSimulations: params.numSimulations ?? TORNADO_SIMULATIONS,
+    adaptive: false,
+    sensitivityAnalysis: false,
+    seed: resolveSeed(params.seed)
+  };
+  const outcome = (overrides) => {
+    const { summary } = runSimulation({ ...base, ...overrides });
+    return { medianCagr: summary.cagr.p50, probBeatsFD: summary.probBeatsFD };
+  };
+
+  const baseline = outcome({});
+  const inputs = TORNADO_INPUTS.filter(input => !input.applies || input.applies(base)).map(({ key, bump }) => {
+    const [lowValue, highValue] = bump(base);
+    const low = { value: lowValue, ...outcome({ [key]: lowValue }) };
+    const high = { value: highValue, ...outcome({ [key]: highValue }) };
+    return {
+      key,
+      base: base[key],
+      low,
+      high,
+      swing: {
+        medianCagr: Math.abs(high.medianCagr - low.medianCagr),
+        probBeatsFD: Math.abs(high.probBeatsFD - low.probBeatsFD)
+      }
+    };
+  });
+  inputs.sort((a, b) => b.swing.medianCagr - a.swing.medianCagr);
+
+  return {
+    baseline,
+    inputs,
+    inputParams: { numSimulations: base.numSimulations, seed: base.seed }
+  };
+}
@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runTornado } from './tornado.js';
+
+// P/E reverts toward 15 from today's 20, and half of earnings are paid out
+const params = {
+  price0: 100, eps0: 5, years: 5, meanGrowth: 0.12, sigmaGrowth: 0.08, meanPE: 15, sigmaPE: 3,
+  peMeanReversion: true, peHalfLife: 2, dividendYield: 0.025, numSimulations: 2000, seed: 42
+};
+
+test('the EPS bar holds today\'s P/E and payout, so value scales with earnings alone', () => {
+  const { baseline, inputs } = runTornado(params);
+  const eps = inputs.find(i => i.key === 'eps0');
+  // Prices and dividends both scale with EPS, so total value does too
+  const expected = (factor) => Math.pow(factor, 1 / params.years) * (1 + baseline.medianCagr) - 1;
+  assert.ok(Math.abs(eps.low.medianCagr - expected(0.9)) < 1e-9);
+  assert.ok(Math.abs(eps.high.medianCagr - expected(1.1)) < 1e-9);
+});
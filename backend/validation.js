@@ -0,0 +1,233 @@
+/**
+ * Request validation
+ *
+ * Each validator returns an error message for a malformed request body, or
+ * null if it is usable; the routes answer a message with a 400. Checks
+ * live here rather than in the engine so bad input never reaches it.
+ */
+
+import { INFLATION_MIN, INFLATION_MAX, MAX_SIMULATIONS } from './simulation.js';
+import { MAX_PORTFOLIO_HOLDINGS, MAX_PORTFOLIO_SIMULATIONS } from './portfolio.js';
+import { MAX_SCREEN_TICKERS, MAX_SCREEN_SIMULATIONS } from './screener.js';
+import { MAX_TORNADO_SIMULATIONS } from './tornado.js';
+import { SOLVE_VARIABLES, SOLVE_METRICS, PRICE_PERCENTILES, MAX_SOLVER_SIMULATIONS } from './solver.js';
+import { MAX_RUN_NAME_LENGTH } from './runStore.js';
+import { resolveSeed, DISTRIBUTION_TYPES } from './distributions.js';
+import { TAX_RULES, TAX_RATE_KEYS } from './tax.js';
+import { SAMPLING_METHODS, SOBOL_MAX_DIMENSIONS } from './sampling.js';
+
+// Returns an error message unless `value` is absent or a whole number from 1 to `max`.
+function validateSimulationCount(key, value, max) {
+  if (value == null || (Number.isInteger(value) && value > 0 && value <= max)) return null;
+  return `${key} must be a whole number from 1 to ${max}.`;
+}
+
+function isValidSeed(seed) {
+  try {
+    resolveSeed(seed);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const DIVIDEND_MODES = ['reinvest', 'cash'];
+const MAX_RISK_LEVELS = 10;
+// Truncation bounds with the engine's defaults for each end
+const BOUND_PAIRS = [
+  ['growthMin', 'growthMax', -0.20, 0.40],
+  ['peMin', 'peMax', 5, 60],
+  ['shareChangeMin', 'shareChangeMax', -0.10, 0.15]
+];
+
+// Returns an error message for malformed simulation input, or null if usable.
+export function validateSimulationInput(body) {
+  if (!body.price0 || !body.eps0) return 'price0 and eps0 are required.';
+  if (!isValidSeed(body.seed)) return 'seed must be a number.';
+  const countError = validateSimulationCount('numSimulations', body.numSimulations, MAX_SIMULATIONS);
+  if (countError) return countError;
+  if (body.adaptive) {
+    if (body.targetPrecision != null && !(body.targetPrecision > 0)) return 'targetPrecision must be positive.';
+    if (body.maxSimulations != null && !(Number.isInteger(body.maxSimulations) && body.maxSimulations >= (body.numSimulations ?? 20000) && body.maxSimulations <= MAX_SIMULATIONS)) {
+      return `maxSimulations must be a whole number from numSimulations to ${MAX_SIMULATIONS}.`;
+    }
+  }
+  if (body.samplingMethod != null && !SAMPLING_METHODS.includes(body.samplingMethod)) {
+    return `samplingMethod must be one of: ${SAMPLING_METHODS.join(', ')}.`;
+  }
+  if (body.samplingMethod === 'sobol' && body.pathMode && (body.years ?? 5) + 2 > SOBOL_MAX_DIMENSIONS) {
+    return `Sobol sampling in path mode supports horizons up to ${SOBOL_MAX_DIMENSIONS - 2} years.`;
+  }
+  if (body.growthPECorrelation != null && !(Math.abs(body.growthPECorrelation) <= 1)) {
+    return 'growthPECorrelation must be between -1 and 1.';
+  }
+  if (body.growthAutocorrelation != null && !(Math.abs(body.growthAutocorrelation) <= 1)) {
+    return 'growthAutocorrelation must be between -1 and 1.';
+  }
+  for (const [minKey, maxKey, minDefault, maxDefault] of BOUND_PAIRS) {
+    if (!((body[minKey] ?? minDefault) < (body[maxKey] ?? maxDefault))) return `${minKey} must be below ${maxKey}.`;
+  }
+  if (body.pathMode && !Number.isInteger(body.years ?? 5)) {
+    return 'years must be a whole number in path mode.';
+  }
+  for (const key of ['growthDistType', 'peDistType']) {
+    if (body[key] != null && !DISTRIBUTION_TYPES.includes(body[key])) {
+      return `${key} must be one of: ${DISTRIBUTION_TYPES.join(', ')}.`;
+    }
+  }
+  if (body.growthDistType === 'bootstrap' && !(body.growthSamples?.length >= 2)) {
+    return 'growthSamples (at least 2 values) are required for bootstrap growth.';
+  }
+  if (body.peDistType === 'bootstrap' && !(body.peSamples?.length >= 2)) {
+    return 'peSamples (at least 2 values) are required for bootstrap P/E.';
+  }
+  // Student-t needs a finite variance; lognormal needs its mean and cap above the shift
+  if (body.growthDistType === 'studentT' && body.growthDf != null && !(body.growthDf > 2)) return 'growthDf must be above 2.';
+  if (body.growthDistType === 'lognormal' && !(body.meanGrowth > -1 && (body.growthMax ?? 0.40) > -1)) {
+    return 'A lognormal growth distribution needs meanGrowth and growthMax above -100%.';
+  }
+  if (!body.peMeanReversion) {
+    if (body.peDistType === 'studentT' && body.peDf != null && !(body.peDf > 2)) return 'peDf must be above 2.';
+    if (body.peDistType === 'lognormal' && !(body.meanPE > 0 && (body.peMax ?? 60) > 0)) {
+      return 'A lognormal P/E distribution needs a positive meanPE and peMax.';
+    }
+  }
+  if (body.dividendYield != null && !(body.dividendYield >= 0)) return 'dividendYield must be zero or positive.';
+  if (body.payoutRatio != null && !(body.payoutRatio >= 0)) return 'payoutRatio must be zero or positive.';
+  if (body.dividendMode != null && !DIVIDEND_MODES.includes(body.dividendMode)) {
+    return `dividendMode must be one of: ${DIVIDEND_MODES.join(', ')}.`;
+  }
+  if (body.requiredReturn != null && !(body.requiredReturn > -1)) return 'requiredReturn must be above -100%.';
+  if (body.confidenceLevel != null && !(body.confidenceLevel > 0 && body.confidenceLevel < 1)) {
+    return 'confidenceLevel must be between 0 and 1.';
+  }
+  if (body.benchmarkMode) {
+    if (body.benchmarkTicker != null && typeof body.benchmarkTicker !== 'string') return 'benchmarkTicker must be a ticker symbol.';
+    if (body.indexMeanLogReturn != null && !Number.isFinite(body.indexMeanLogReturn)) return 'indexMeanLogReturn must be a number.';
+    if (body.indexSigmaLogReturn != null && !(body.indexSigmaLogReturn >= 0)) return 'indexSigmaLogReturn must be zero or positive.';
+    if (body.indexCorrelation != null && !(Math.abs(body.indexCorrelation) <= 1)) return 'indexCorrelation must be between -1 and 1.';
+  }
+  if (body.inflationRate != null && !(body.inflationRate > INFLATION_MIN && body.inflationRate < INFLATION_MAX)) {
+    return `inflationRate must be between ${INFLATION_MIN * 100}% and ${INFLATION_MAX * 100}%.`;
+  }
+  if (body.inflationSigma != null && !(body.inflationSigma >= 0)) return 'inflationSigma must be zero or positive.';
+  if (body.taxProfile != null) {
+    if (typeof body.taxProfile !== 'object' || Array.isArray(body.taxProfile)) return 'taxProfile must be an object.';
+    for (const [key, value] of Object.entries(body.taxProfile)) {
+      if (!(key in TAX_RULES)) return `taxProfile.${key} is not a tax rule; use one of: ${Object.keys(TAX_RULES).join(', ')}.`;
+      if (TAX_RATE_KEYS.includes(key) ? !(value >= 0 && value <= 1) : !(value >= 0)) {
+        return `taxProfile.${key} must be ${TAX_RATE_KEYS.includes(key) ? 'between 0 and 1' : 'zero or positive'}.`;
+      }
+    }
+    if (body.investmentAmount != null && !(body.investmentAmount > 0)) return 'investmentAmount must be positive.';
+  }
+  for (const key of ['riskConfidenceLevels', 'lossThresholds']) {
+    const levels = body[key];
+    if (levels != null && !(Array.isArray(levels) && levels.length >= 1 && levels.length <= MAX_RISK_LEVELS && levels.every(x => x > 0 && x < 1))) {
+      return `${key} must be a list of 1 to ${MAX_RISK_LEVELS} values between 0 and 1.`;
+    }
+  }
+  if (body.sigmaShareChange != null && !(body.sigmaShareChange >= 0)) return 'sigmaShareChange must be zero or positive.';
+  if ((body.shareChangeMin ?? -0.10) <= -1) return 'shareChangeMin must be above -100%.';
+  if (body.multiStage) {
+    for (const key of ['highGrowthYears', 'fadeYears']) {
+      if (body[key] != null && !(Number.isInteger(body[key]) && body[key] >= 0)) return `${key} must be a whole number of years.`;
+    }
+    if (body.terminalSigmaGrowth != null && !(body.terminalSigmaGrowth >= 0)) return 'terminalSigmaGrowth must be zero or positive.';
+  }
+  if (body.peMeanReversion) {
+    if (body.peAnchor != null && !(body.peAnchor > 0)) return 'peAnchor must be positive.';
+    if (body.peHalfLife != null && !(body.peHalfLife > 0)) return 'peHalfLife must be positive.';
+  }
+  return null;
+}
+
+// Returns an error message for a malformed tornado request, or null if usable.
+// The horizon is bumped a year either way, so the longer one must be valid too.
+// Every bar runs at a fixed count, so adaptive settings are not checked.
+export function validateTornadoInput(body) {
+  const inputError = validateSimulationInput({ ...body, adaptive: false });
+  if (inputError) return inputError;
+  if (body.numSimulations != null && body.numSimulations > MAX_TORNADO_SIMULATIONS) {
+    return `numSimulations must be at most ${MAX_TORNADO_SIMULATIONS} for a tornado run.`;
+  }
+  if (body.samplingMethod === 'sobol' && body.pathMode && (body.years ?? 5) + 3 > SOBOL_MAX_DIMENSIONS) {
+    return `Sobol sampling in path mode supports tornado horizons up to ${SOBOL_MAX_DIMENSIONS - 3} years.`;
+  }
+  return null;
+}
+
+// Returns an error message for a malformed solver request, or null if usable.
+// Trials run at a fixed count, so adaptive settings are not checked.
+export function validateSolveInput(body) {
+  const inputError = validateSimulationInput({ ...body, adaptive: false });
+  if (inputError) return inputError;
+  if (body.numSimulations != null && body.numSimulations > MAX_SOLVER_SIMULATIONS) {
+    return `numSimulations must be at most ${MAX_SOLVER_SIMULATIONS} for the solver.`;
+  }
+  if (!SOLVE_VARIABLES.includes(body.solveFor)) return `solveFor must be one of: ${SOLVE_VARIABLES.join(', ')}.`;
+  const { target } = body;
+  if (!SOLVE_METRICS.includes(target?.metric)) return `target.metric must be one of: ${SOLVE_METRICS.join(', ')}.`;
+  if (!Number.isFinite(target.value)) return 'target.value must be a number.';
+  if (target.metric === 'pricePercentile') {
+    if (!PRICE_PERCENTILES.includes(target.percentile)) return `target.percentile must be one of: ${PRICE_PERCENTILES.join(', ')}.`;
+    if (body.solveFor === 'price0') return 'The terminal price does not depend on the entry price; solve for meanGrowth or meanPE instead.';
+  }
+  return null;
+}
+
+// Returns an error message for a malformed portfolio request, or null if usable.
+export function validatePortfolioInput(body) {
+  const { holdings } = body;
+  if (!Array.isArray(holdings) || holdings.length === 0) return 'holdings must be a non-empty array of { ticker, weight }.';
+  if (holdings.length > MAX_PORTFOLIO_HOLDINGS) return `At most ${MAX_PORTFOLIO_HOLDINGS} holdings are supported.`;
+  for (const h of holdings) {
+    if (typeof h?.ticker !== 'string' || !h.ticker.trim()) return 'Every holding needs a ticker.';
+    if (!(h.weight > 0)) return `Weight for ${h.ticker} must be positive.`;
+  }
+  if (new Set(holdings.map(h => h.ticker.trim().toUpperCase())).size !== holdings.length) return 'Each ticker may appear only once.';
+  if (!isValidSeed(body.seed)) return 'seed must be a number.';
+  if (body.capital != null && !(body.capital > 0)) return 'capital must be positive.';
+  if (body.years != null && !(body.years > 0)) return 'years must be positive.';
+  if (body.fdRate != null && !(body.fdRate > -1)) return 'fdRate must be above -100%.';
+  return validateSimulationCount('numSimulations', body.numSimulations, MAX_PORTFOLIO_SIMULATIONS);
+}
+
+// Returns an error message naming the first fetched holding the engine cannot
+// simulate (it needs a positive price and EPS), or null if all can run.
+export function validatePortfolioStocks(stocks) {
+  const index = stocks.findIndex(s => !(s.currentPrice > 0) || !(s.trailingEps > 0));
+  if (index === -1) return null;
+  return `holdings[${index}] (${stocks[index].ticker}) needs a positive price and EPS to simulate.`;
+}
+
+// Returns an error message for a malformed screener request, or null if usable.
+export function validateScreenInput(body) {
+  const { tickers } = body;
+  if (!Array.isArray(tickers) || tickers.length === 0) return 'tickers must be a non-empty array.';
+  if (tickers.length > MAX_SCREEN_TICKERS) return `At most ${MAX_SCREEN_TICKERS} tickers can be screened at once.`;
+  if (tickers.some(t => typeof t !== 'string' || !t.trim())) return 'Every ticker must be a non-empty string.';
+  if (!isValidSeed(body.seed)) return 'seed must be a number.';
+  if (body.years != null && !(body.years > 0)) return 'years must be positive.';
+  if (body.fdRate != null && !(body.fdRate > -1)) return 'fdRate must be above -100%.';
+  return validateSimulationCount('numSimulations', body.numSimulations, MAX_SCREEN_SIMULATIONS);
+}
+
+export function validateRunName(name) {
+  if (name != null && (typeof name !== 'string' || name.length > MAX_RUN_NAME_LENGTH)) {
+    return `name must be a string of at most ${MAX_RUN_NAME_LENGTH} characters.`;
+  }
+  return null;
+}
+
+// Returns an error message for a malformed saved run, or null if usable.
+export function validateRunInput(body) {
+  const { inputs, stockData, summary } = body;
+  if (!inputs || typeof inputs !== 'object') return 'inputs (the simulation request) are required.';
+  const inputError = validateSimulationInput(inputs);
+  if (inputError) return `inputs: ${inputError}`;
+  if (!Number.isInteger(inputs.seed)) return 'inputs.seed is required so the run can be replayed.';
+  if (typeof stockData?.ticker !== 'string') return 'stockData snapshot is required.';
+  if (!summary?.cagr || summary.probBeatsFD == null) return 'summary is required.';
+  return validateRunName(body.name);
+}
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  validateSimulationInput, validateTornadoInput, validatePortfolioInput, validatePortfolioStocks, validateScreenInput
+} from './validation.js';
+
+const base = { price0: 100, eps0: 5, meanGrowth: 0.12, sigmaGrowth: 0.08, meanPE: 15, sigmaPE: 3 };
+
+// The request replays an adaptive run whose cap sits below the default batch
+const adaptiveRun = { ...base, adaptive: true, maxSimulations: 10000 };
+
+test('an adaptive cap below the default batch is rejected for a simulation', () => {
+  assert.match(validateSimulationInput(adaptiveRun), /maxSimulations/);
+});
+
+test('a tornado ignores the adaptive settings of the run it replays', () => {
+  assert.equal(validateTornadoInput(adaptiveRun), null);
+});
+
+test('inverted truncation bounds are rejected', () => {
+  assert.equal(validateSimulationInput({ ...base, growthMin: 0.5, growthMax: 0.1 }), 'growthMin must be below growthMax.');
+  assert.equal(validateSimulationInput({ ...base, peMin: 70 }), 'peMin must be below peMax.');
+  assert.equal(validateSimulationInput({ ...base, shareChangeMax: -0.2 }), 'shareChangeMin must be below shareChangeMax.');
+});
+
+test('marginal parameters outside their domain are rejected', () => {
+  assert.equal(validateSimulationInput({ ...base, growthDistType: 'studentT', growthDf: 2 }), 'growthDf must be above 2.');
+  assert.equal(validateSimulationInput({ ...base, peDistType: 'studentT', peDf: 1.5 }), 'peDf must be above 2.');
+  assert.match(validateSimulationInput({ ...base, growthDistType: 'lognormal', meanGrowth: -1 }), /lognormal growth/);
+  assert.equal(validateSimulationInput({ ...base, growthDistType: 'studentT', growthDf: 5 }), null);
+});
+
+test('a portfolio holding without positive EPS is reported by index', () => {
+  const stocks = [{ ticker: 'A.NS', currentPrice: 100, trailingEps: 5 }, { ticker: 'B.NS', currentPrice: 50, trailingEps: -2 }];
+  assert.equal(validatePortfolioStocks(stocks), 'holdings[1] (B.NS) needs a positive price and EPS to simulate.');
+  assert.equal(validatePortfolioStocks(stocks.slice(0, 1)), null);
+});
+
+test('simulation counts are whole numbers within each endpoint\'s cap', () => {
+  assert.match(validateSimulationInput({ ...base, numSimulations: 50001 }), /numSimulations/);
+  assert.match(validateSimulationInput({ ...base, adaptive: true, maxSimulations: 160000 }), /maxSimulations/);
+  assert.match(validatePortfolioInput({ holdings: [{ ticker: 'A.NS', weight: 1 }], numSimulations: 1.5 }), /numSimulations/);
+  assert.match(validateScreenInput({ tickers: ['A.NS'], numSimulations: 10001 }), /numSimulations/);
+  assert.equal(validateScreenInput({ tickers: ['A.NS'], numSimulations: 10000 }), null);
+});
@@ -91,6 +91,39 @@ async function fetchYahooChart(ticker, range = '10y', interval = '1mo') {
   return { prices, meta: result.meta || null };
 }
 
+// ─── Yahoo fundamentals timeseries (share count, net income) ─
+
+/**
+ * Fetch annual diluted average shares and net income from Yahoo's
+ * fundamentals-timeseries API. Returns year-ordered series, empty on failure.
+ */
+async function fetchYahooFundamentalsHistory(ticker, lookbackYears = 8) {
+  const period2 = Math.floor(Date.now() / 1000);
+  const period1 = period2 - (lookbackYears + 1) * 365 * 24 * 3600;
+  const url = `https://query2.finance.yahoo.com/ws/fundamentals-timeseries/v1/finance/timeseries/${encodeURIComponent(ticker)}?type=annualDilutedAverageShares,annualNetIncome&period1=${period1}&period2=${period2}`;
+
+  try {
+    const res = await fetch(url, {
+      headers: { 'User-Agent': UA, 'Accept': 'application/json' }
+    });
+    if (!res.ok) return { shareHistory: [], netIncomeHistory: [] };
+
+    const json = await res.json();
+    const results = json?.timeseries?.result || [];
+    const series = (type) => (results.find(r => r[type])?.[type] || [])
+      .filter(p => p?.asOfDate && rawVal(p.reportedValue) != null)
+      .map(p => ({ year: new Date(p.asOfDate).getFullYear(), value: rawVal(p.reportedValue) }))
+      .sort((a, b) => a.year - b.year);
+
+    return {
+      shareHistory: series('annualDilutedAverageShares').map(p => ({ year: p.year, shares: p.value })),
+      netIncomeHistory: series('annualNetIncome').map(p => ({ year: p.year, netIncome: p.value }))
+    };
+  } catch {
+    return { shareHistory: [], netIncomeHistory: [] };
+  }
+}
+
 // ─── Yahoo v10 quoteSummary (with crumb auth, best-effort) ──
 
 let sessionCrumb = null;
@@ -153,7 +186,7 @@ async function fetchYahooQuoteSummary(ticker) {
 
 // ─── Unified Data Fetcher ───────────────────────────────────
 
-export async function fetchStockData(ticker, lookbackYears = 8) {
+export async function fetchStockData(ticker, lookbackYears = 8, benchmarkTicker = null) {
   const warnings = [];
   let source = 'moneycontrol';
 
@@ -173,13 +206,24 @@ export async function fetchStockData(ticker, lookbackYears = 8) {
     // Yahoo may be rate-limited, that's fine
   }
 
-  // 3. Get historical prices from Yahoo chart (most reliable endpoint)
+  // 3. Get historical prices from Yahoo chart (most reliable endpoint). The
+  // market index history for benchmark mode loads alongside it; the index is
+  // optional, so a failed fetch leaves it empty rather than failing the lookup.
   const range = lookbackYears <= 5 ? '5y' : lookbackYears <= 10 ? '10y' : 'max';
+  const indexChart = benchmarkTicker
+    ? fetchYahooChart(benchmarkTicker, range, '1mo').catch(() => ({ prices: [] }))
+    : { prices: [] };
   const { prices: historicalPrices, meta: chartMeta } = await fetchYahooChart(ticker, range, '1mo');
 
+  // 4. Share count and net income history, to split EPS growth into its drivers
+  const { shareHistory, netIncomeHistory } = await fetchYahooFundamentalsHistory(ticker, lookbackYears);
+  const { prices: indexPrices } = await indexChart;
+
   // ─── Assemble current data ───────────────────────────────
 
   let currentPrice, trailingEps, trailingPE, forwardPE, sharesOutstanding, companyName, currency, exchange, marketState;
+  let dividendYield = null;
+  let payoutRatio = null;
 
   if (mcData) {
     currentPrice = parseFloat(mcData.pricecurrent) || parseFloat(mcData.LP);
@@ -187,6 +231,7 @@ export async function fetchStockData(ticker, lookbackYears = 8) {
     trailingPE = parseFloat(mcData.PE) || parseFloat(mcData.PECONS);
     forwardPE = parseFloat(mcData.PECONS) || null;
     sharesOutstanding = parseFloat(mcData.SHRS) || null;
+    dividendYield = parseFloat(mcData.DY) / 100 || null; // DY is a percentage
     companyName = mcData.SC_FULLNM || mcSearch?.stock_name || ticker;
     currency = 'INR';
     exchange = mcData.exchange === 'B' ? 'BSE' : 'NSE';
@@ -223,6 +268,12 @@ export async function fetchStockData(ticker, lookbackYears = 8) {
     throw new Error('Could not determine current price from any data source.');
   }
 
+  // Dividend inputs: Yahoo's summaryDetail fills whatever Moneycontrol lacks.
+  // A missing payout ratio is left null; the simulation implies it from the yield.
+  const sd = yahooSummary?.summaryDetail || {};
+  if (!dividendYield) dividendYield = rawVal(sd.dividendYield) || rawVal(sd.trailingAnnualDividendYield) || null;
+  payoutRatio = rawVal(sd.payoutRatio) || null;
+
   // Compute P/E from price/EPS if not available
   if (!trailingPE && trailingEps && trailingEps > 0) {
     trailingPE = currentPrice / trailingEps;
@@ -279,7 +330,9 @@ export async function fetchStockData(ticker, lookbackYears = 8) {
 
   // If we lack EPS history, estimate growth from historical price returns
   // (DO NOT use price CAGR as EPS growth - it conflates P/E changes with earnings growth)
+  let epsHistoryEstimated = false;
   if (epsHistory.length < 3) {
+    epsHistoryEstimated = true;
     // Use annual price returns to estimate growth distribution with realistic volatility
     if (historicalPrices.length > 12) {
       const annualReturns = [];
@@ -337,6 +390,7 @@ export async function fetchStockData(ticker, lookbackYears = 8) {
   // ─── Build P/E history ──────────────────────────────────
 
   const peHistory = [];
+  const peSeries = []; // year-ordered P/E from price history, paired with EPS by year
 
   // From historical prices + EPS history
   if (historicalPrices.length > 0 && epsHistory.length > 0) {
@@ -355,6 +409,7 @@ export async function fetchStockData(ticker, lookbackYears = 8) {
         const pe = pricePoint.close / nearestEps;
         if (pe > 0 && pe < 200) {
           peHistory.push(pe);
+          peSeries.push({ year, pe });
         }
       }
     }
@@ -364,18 +419,40 @@ export async function fetchStockData(ticker, lookbackYears = 8) {
   if (trailingPE > 0 && trailingPE < 200) peHistory.push(trailingPE);
   if (forwardPE && forwardPE > 0 && forwardPE < 200) peHistory.push(forwardPE);
 
-  // Add industry PE from Moneycontrol
+  // Add industry PE from Moneycontrol (also offered as a mean-reversion anchor)
+  let industryPE = null;
   if (mcData?.IND_PE) {
     const indPE = parseFloat(mcData.IND_PE);
-    if (indPE > 0 && indPE < 200) peHistory.push(indPE);
+    if (indPE > 0 && indPE < 200) {
+      peHistory.push(indPE);
+      industryPE = indPE;
+    }
   }
 
   // ─── Compute distributions ──────────────────────────────
 
   // Import these from simulation.js
-  const { computeEPSGrowthDistribution, computePEDistribution } = await import('./simulation.js');
+  const {
+    computeEPSGrowthDistribution, computePEDistribution, computeGrowthPECorrelation, computeShareChangeDistribution,
+    computePEReversion, computeBenchmarkDistribution
+  } = await import('./simulation.js');
   const growthDist = computeEPSGrowthDistribution(epsHistory);
   const peDist = computePEDistribution(peHistory);
+  // Estimated EPS is derived from price, so pairing it with price-based P/E would be circular
+  const correlationDist = epsHistoryEstimated
+    ? { correlation: 0, dataPoints: 0, warning: 'EPS history is estimated; growth/P/E correlation not estimated (assuming independence).' }
+    : computeGrowthPECorrelation(epsHistory, peSeries);
+  const peReversion = computePEReversion(peSeries);
+  const shareChangeDist = computeShareChangeDistribution(shareHistory);
+  // Net income growth pairs with the share-count change; without reported
+  // net income history the client falls back to EPS growth
+  const netIncomeGrowthDist = netIncomeHistory.length >= 3
+    ? computeEPSGrowthDistribution(netIncomeHistory.map(p => ({ year: p.year, eps: p.netIncome })))
+    : null;
+
+  const benchmark = benchmarkTicker ? computeBenchmarkDistribution(benchmarkTicker, indexPrices, historicalPrices) : null;
+  if (benchmarkTicker && !benchmark) warnings.push(`Not enough ${benchmarkTicker} history for the index benchmark.`);
+  if (benchmark?.warning) warnings.push(benchmark.warning);
 
   // Price returns for fallback
   let priceReturns = [];
@@ -398,7 +475,10 @@ export async function fetchStockData(ticker, lookbackYears = 8) {
     trailingEps,
     trailingPE,
     forwardPE: forwardPE || null,
+    industryPE,
     sharesOutstanding,
+    dividendYield,
+    payoutRatio,
     companyName,
     currency,
     exchange,
@@ -407,10 +487,17 @@ export async function fetchStockData(ticker, lookbackYears = 8) {
     fetchTimestamp: new Date().toISOString(),
     epsHistory,
     peHistory,
+    peSeries,
     historicalPrices: historicalPrices.map(hp => ({ date: hp.date, close: hp.close, volume: hp.volume })),
     priceReturns,
     growthDistribution: growthDist,
     peDistribution: peDist,
+    growthPECorrelation: correlationDist,
+    peReversion,
+    shareHistory,
+    shareChangeDistribution: shareChangeDist,
+    netIncomeGrowthDistribution: netIncomeGrowthDist,
+    benchmark,
     warnings: [...new Set(warnings)].filter(Boolean)
   };
 }
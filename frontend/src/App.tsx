@@ -1,31 +1,38 @@
-import { useState, useCallback } from 'react';
-import { Download, BarChart3 } from 'lucide-react';
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { Download, BarChart3, Layers, ListFilter, Save, Check, GitCompare, Link } from 'lucide-react';
 import InputPanel from './components/InputPanel';
 import StockSnapshot from './components/StockSnapshot';
 import SimulationSummary from './components/SimulationSummary';
+import RiskPanel from './components/RiskPanel';
+import PostTaxPanel from './components/PostTaxPanel';
+import IntrinsicValue from './components/IntrinsicValue';
 import DistributionCharts from './components/DistributionCharts';
 import ScenarioTable from './components/ScenarioTable';
 import SensitivityAnalysis from './components/SensitivityAnalysis';
-import type { StockData, SimulationOutput, SimParams } from './types';
+import TornadoChart from './components/TornadoChart';
+import ReverseSolver from './components/ReverseSolver';
+import PortfolioPanel from './components/PortfolioPanel';
+import PortfolioResults from './components/PortfolioResults';
+import ScreenerPanel from './components/ScreenerPanel';
+import ScreenerTable from './components/ScreenerTable';
+import SavedRuns from './components/SavedRuns';
+import ComparisonView from './components/ComparisonView';
+import type {
+  StockData, SimulationOutput, SimParams, PortfolioParams, PortfolioOutput, ScreenParams, ScreenOutput,
+  SimulationRequest, SavedRun, SavedRunListing, ComparisonEntry, TornadoOutput,
+  SolveOutput, SolveVariable, SolveTarget, TargetQuery, ReturnBasis, TaxRules
+} from './types';
+import { DEFAULT_SIM_PARAMS, decodeSimParams, encodeSimParams } from './urlState';
 import './App.css';
 
 const API_BASE = import.meta.env.PROD
   ? 'https://montecarlo-api.jain-sm.workers.dev/api'
   : 'http://localhost:3001/api';
 
+const MAX_COMPARISON = 6;
+
 function App() {
-  const [params, setParams] = useState<SimParams>({
-    ticker: 'FINEORG.NS',
-    years: 5,
-    numSimulations: 20000,
-    fdRate: 0.07,
-    lookbackYears: 8,
-    overrideMeanGrowth: '',
-    overrideSigmaGrowth: '',
-    overrideMeanPE: '',
-    overrideSigmaPE: '',
-    overrideEps: ''
-  });
+  const [params, setParams] = useState<SimParams>(() => decodeSimParams(window.location.search) ?? DEFAULT_SIM_PARAMS);
 
   const [stockData, setStockData] = useState<StockData | null>(null);
   const [simResult, setSimResult] = useState<SimulationOutput | null>(null);
@@ -33,66 +40,202 @@ function App() {
   const [isLoadingSimulation, setIsLoadingSimulation] = useState(false);
   const [error, setError] = useState<string | null>(null);
 
-  const fetchStock = useCallback(async () => {
-    if (!params.ticker) return;
+  // Inputs behind the displayed result, kept so the run can be saved exactly as simulated
+  const [lastRun, setLastRun] = useState<{ params: SimParams; inputs: SimulationRequest } | null>(null);
+  const [tornadoResult, setTornadoResult] = useState<TornadoOutput | null>(null);
+  const [isLoadingTornado, setIsLoadingTornado] = useState(false);
+  const [solveResult, setSolveResult] = useState<SolveOutput | null>(null);
+  const [isSolving, setIsSolving] = useState(false);
+  // Kept across runs so the same target can be read off each new distribution
+  const [targetQuery, setTargetQuery] = useState<TargetQuery>({ variable: 'price', input: '' });
+  const [returnBasis, setReturnBasis] = useState<ReturnBasis>('nominal');
+  const priceTarget = targetQuery.variable === 'price' && targetQuery.input !== '' ? parseFloat(targetQuery.input) : null;
+  const [taxRules, setTaxRules] = useState<TaxRules | null>(null);
+  // null when the API has no run store configured
+  const [savedRuns, setSavedRuns] = useState<SavedRunListing[] | null>(null);
+  const [activeRunId, setActiveRunId] = useState<string | null>(null);
+  const [comparison, setComparison] = useState<ComparisonEntry[]>([]);
+  const [linkCopied, setLinkCopied] = useState(false);
+
+  // A shared link fetches its ticker and runs the simulation once on load
+  const autoRunPending = useRef(decodeSimParams(window.location.search) != null);
+
+  const [view, setView] = useState<'single' | 'portfolio' | 'screener' | 'compare'>('single');
+  const [portfolioParams, setPortfolioParams] = useState<PortfolioParams>({
+    holdings: [
+      { ticker: 'FINEORG.NS', weight: 40 },
+      { ticker: 'VINATIORGA.NS', weight: 30 },
+      { ticker: 'DEEPAKNTR.NS', weight: 30 }
+    ],
+    years: 5,
+    numSimulations: 10000,
+    fdRate: 0.07,
+    lookbackYears: 8,
+    capital: 100000,
+    seed: ''
+  });
+  const [portfolioResult, setPortfolioResult] = useState<PortfolioOutput | null>(null);
+  const [isLoadingPortfolio, setIsLoadingPortfolio] = useState(false);
+
+  const [screenParams, setScreenParams] = useState<ScreenParams>({
+    tickers: 'FINEORG.NS, VINATIORGA.NS, DEEPAKNTR.NS, TCS.NS, INFY.NS',
+    years: 5,
+    numSimulations: 5000,
+    fdRate: 0.07,
+    lookbackYears: 8,
+    seed: ''
+  });
+  const [screenResult, setScreenResult] = useState<ScreenOutput | null>(null);
+  const [isLoadingScreen, setIsLoadingScreen] = useState(false);
+
+  // Resolves to the loaded stock, or null if the lookup failed
+  const fetchStock = useCallback(async (): Promise<StockData | null> => {
+    if (!params.ticker) return null;
     setIsLoadingStock(true);
     setError(null);
     setSimResult(null);
+    setActiveRunId(null);
 
     try {
       const res = await fetch(
-        `${API_BASE}/stock/${encodeURIComponent(params.ticker)}?lookbackYears=${params.lookbackYears}`
+        `${API_BASE}/stock/${encodeURIComponent(params.ticker)}?lookbackYears=${params.lookbackYears}` +
+        `&benchmark=${encodeURIComponent(params.benchmarkTicker)}`
       );
       const data = await res.json();
 
       if (!res.ok) {
         setError(data.error || 'Failed to fetch stock data');
         setStockData(null);
-        return;
+        return null;
       }
 
       setStockData(data);
+      return data;
     } catch (err) {
       setError(`Network error: ${err instanceof Error ? err.message : 'Unknown error'}. Is the backend running on port 3001?`);
       setStockData(null);
+      return null;
     } finally {
       setIsLoadingStock(false);
     }
-  }, [params.ticker, params.lookbackYears]);
+  }, [params.ticker, params.lookbackYears, params.benchmarkTicker]);
 
-  const buildSimParams = useCallback(() => {
-    if (!stockData) return null;
+  const buildSimParams = useCallback((stock: StockData | null) => {
+    if (!stock) return null;
 
     const eps0 = params.overrideEps
       ? parseFloat(params.overrideEps)
-      : stockData.trailingEps;
+      : stock.trailingEps;
+
+    // With the share count modelled separately, growth is net income growth.
+    // Without reported net income, back it out of EPS growth and the share trend.
+    const shareDist = stock.shareChangeDistribution;
+    const epsGrowthDist = stock.growthDistribution;
+    const growthDist = !params.modelShareChange
+      ? epsGrowthDist
+      : stock.netIncomeGrowthDistribution ?? {
+        ...epsGrowthDist,
+        meanGrowth: (1 + epsGrowthDist.meanGrowth) * (1 + shareDist.meanShareChange) - 1
+      };
 
     return {
       ticker: params.ticker,
-      price0: stockData.currentPrice,
+      price0: stock.currentPrice,
       eps0,
-      pe0: stockData.trailingPE || stockData.currentPrice / eps0,
+      pe0: stock.trailingPE || stock.currentPrice / eps0,
       years: params.years,
       numSimulations: params.numSimulations,
       fdRate: params.fdRate,
       meanGrowth: params.overrideMeanGrowth
         ? parseFloat(params.overrideMeanGrowth) / 100
-        : stockData.growthDistribution.meanGrowth,
+        : growthDist.meanGrowth,
       sigmaGrowth: params.overrideSigmaGrowth
         ? parseFloat(params.overrideSigmaGrowth) / 100
-        : stockData.growthDistribution.sigmaGrowth,
+        : growthDist.sigmaGrowth,
       meanPE: params.overrideMeanPE
         ? parseFloat(params.overrideMeanPE)
-        : stockData.peDistribution.meanPE,
+        : stock.peDistribution.meanPE,
       sigmaPE: params.overrideSigmaPE
         ? parseFloat(params.overrideSigmaPE)
-        : stockData.peDistribution.sigmaPE,
+        : stock.peDistribution.sigmaPE,
+      growthPECorrelation: params.overrideGrowthPECorrelation
+        ? parseFloat(params.overrideGrowthPECorrelation)
+        : stock.growthPECorrelation.correlation,
+      pathMode: params.pathMode,
+      growthAutocorrelation: params.growthAutocorrelation,
+      growthDistType: params.growthDistType,
+      peDistType: params.peDistType,
+      growthDf: params.growthDf,
+      peDf: params.peDf,
+      // Bootstrap resamples the historical values behind the fitted distributions
+      growthSamples: params.growthDistType === 'bootstrap' ? growthDist.growthRates : undefined,
+      peSamples: params.peDistType === 'bootstrap' ? stock.peDistribution.peValues : undefined,
+      dividendYield: params.overrideDividendYield
+        ? parseFloat(params.overrideDividendYield) / 100
+        : stock.dividendYield ?? 0,
+      // A reported payout ratio only applies while the yield is the fetched one
+      payoutRatio: params.overridePayoutRatio
+        ? parseFloat(params.overridePayoutRatio) / 100
+        : params.overrideDividendYield ? undefined : stock.payoutRatio ?? undefined,
+      dividendMode: params.dividendMode,
+      requiredReturn: params.requiredReturn,
+      confidenceLevel: params.confidenceLevel,
+      meanShareChange: !params.modelShareChange ? 0 : params.overrideMeanShareChange
+        ? parseFloat(params.overrideMeanShareChange) / 100
+        : shareDist.meanShareChange,
+      sigmaShareChange: !params.modelShareChange ? 0 : params.overrideSigmaShareChange
+        ? parseFloat(params.overrideSigmaShareChange) / 100
+        : shareDist.sigmaShareChange,
+      // Index overrides are a median annual return and a log-return sigma, in percent.
+      // Without a fitted index the engine's long-run defaults apply.
+      benchmarkMode: params.benchmarkMode,
+      benchmarkTicker: stock.benchmark?.ticker ?? params.benchmarkTicker,
+      indexMeanLogReturn: params.overrideIndexReturn
+        ? Math.log(1 + parseFloat(params.overrideIndexReturn) / 100)
+        : stock.benchmark?.meanLogReturn,
+      indexSigmaLogReturn: params.overrideIndexSigma
+        ? parseFloat(params.overrideIndexSigma) / 100
+        : stock.benchmark?.sigmaLogReturn,
+      indexCorrelation: params.overrideIndexCorrelation
+        ? parseFloat(params.overrideIndexCorrelation)
+        : stock.benchmark?.correlation,
+      inflationRate: params.inflationRate,
+      inflationSigma: params.inflationSigma,
+      // Tax overrides are percentages, the exemption rupees; blank ones take the API's rules table
+      taxProfile: params.postTax
+        ? Object.fromEntries(([
+          ['slabRate', params.overrideSlabRate, 100],
+          ['ltcgRate', params.overrideLtcgRate, 100],
+          ['stcgRate', params.overrideStcgRate, 100],
+          ['ltcgExemption', params.overrideLtcgExemption, 1],
+          ['cess', params.overrideCess, 100]
+        ] as const).filter(([, value]) => value !== '').map(([key, value, scale]) => [key, parseFloat(value) / scale]))
+        : undefined,
+      investmentAmount: params.postTax ? params.investmentAmount : undefined,
+      multiStage: params.multiStage,
+      highGrowthYears: params.highGrowthYears,
+      fadeYears: params.fadeYears,
+      terminalMeanGrowth: params.terminalMeanGrowth,
+      terminalSigmaGrowth: params.terminalSigmaGrowth,
+      peMeanReversion: params.peMeanReversion,
+      // Industry P/E is only known for Moneycontrol-listed stocks; fall back to the historical median
+      peAnchor: params.peAnchorSource === 'custom' && params.overridePEAnchor
+        ? parseFloat(params.overridePEAnchor)
+        : params.peAnchorSource === 'industry' && stock.industryPE
+          ? stock.industryPE
+          : stock.peDistribution.meanPE,
+      peHalfLife: params.overridePEHalfLife
+        ? parseFloat(params.overridePEHalfLife)
+        : stock.peReversion.halfLife,
+      adaptive: params.adaptive,
+      targetPrecision: params.targetPrecision,
+      maxSimulations: params.maxSimulations,
+      samplingMethod: params.samplingMethod,
+      seed: params.seed ? parseInt(params.seed) : undefined,
     };
-  }, [stockData, params]);
+  }, [params]);
 
-  const runSimulation = useCallback(async () => {
-    const simParams = buildSimParams();
-    if (!simParams) return;
+  const simulate = useCallback(async (simParams: SimulationRequest, formParams: SimParams) => {
     setIsLoadingSimulation(true);
     setError(null);
 
@@ -110,34 +253,360 @@ function App() {
       }
 
       setSimResult(data);
+      setLastRun({ params: formParams, inputs: { ...simParams, seed: data.inputParams.seed } });
+      setTornadoResult(null);
+      setSolveResult(null);
     } catch (err) {
       setError(`Simulation error: ${err instanceof Error ? err.message : 'Unknown'}`);
     } finally {
       setIsLoadingSimulation(false);
     }
-  }, [buildSimParams]);
+  }, []);
 
-  const downloadCSV = useCallback(async () => {
-    const simParams = buildSimParams();
+  const runSimulation = useCallback(async () => {
+    const simParams = buildSimParams(stockData);
     if (!simParams) return;
+    setActiveRunId(null);
+    await simulate(simParams, params);
+  }, [buildSimParams, simulate, stockData, params]);
+
+  // Bumps the displayed run's inputs (same seed) at the endpoint's smaller simulation count
+  const runTornado = useCallback(async () => {
+    if (!lastRun) return;
+    setIsLoadingTornado(true);
+    setError(null);
+
+    try {
+      const res = await fetch(`${API_BASE}/sensitivity/tornado`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...lastRun.inputs, numSimulations: undefined })
+      });
+      const data = await res.json();
+
+      if (!res.ok) {
+        setError(data.error || 'Tornado run failed');
+        return;
+      }
+
+      setTornadoResult(data);
+    } catch (err) {
+      setError(`Tornado error: ${err instanceof Error ? err.message : 'Unknown'}`);
+    } finally {
+      setIsLoadingTornado(false);
+    }
+  }, [lastRun]);
+
+  // Solves against the displayed run's inputs; the ticker lets the backend compare with its history
+  const runSolver = useCallback(async (solveFor: SolveVariable, target: SolveTarget) => {
+    if (!lastRun) return;
+    setIsSolving(true);
+    setError(null);
+
+    try {
+      const res = await fetch(`${API_BASE}/solve`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...lastRun.inputs,
+          numSimulations: undefined,
+          lookbackYears: lastRun.params.lookbackYears,
+          solveFor,
+          target
+        })
+      });
+      const data = await res.json();
+
+      if (!res.ok) {
+        setError(data.error || 'Solver failed');
+        return;
+      }
+
+      setSolveResult(data);
+    } catch (err) {
+      setError(`Solver error: ${err instanceof Error ? err.message : 'Unknown'}`);
+    } finally {
+      setIsSolving(false);
+    }
+  }, [lastRun]);
+
+  // ─── Shareable URL ─────────────────────────────────────────
+
+  // The simulation follows from the fetch itself, so a re-run of this effect
+  // (StrictMode runs it twice on mount) cannot skip or repeat a stage
+  useEffect(() => {
+    if (!autoRunPending.current) return;
+    autoRunPending.current = false;
+    fetchStock().then(stock => {
+      const simParams = buildSimParams(stock);
+      if (simParams) simulate(simParams, params);
+    });
+  }, [fetchStock, buildSimParams, simulate, params]);
+
+  // Once a stock is loaded, keep the address bar in step with the inputs so it can be copied at any time
+  useEffect(() => {
+    if (stockData) window.history.replaceState(null, '', encodeSimParams(params));
+  }, [params, stockData]);
+
+  // Pins the displayed run's seed so the recipient sees the same result
+  const copyShareLink = useCallback(async () => {
+    if (!lastRun) return;
+    // The displayed run, not the form, which may have been edited since
+    const seed = String(lastRun.inputs.seed);
+    const url = `${window.location.origin}${window.location.pathname}${encodeSimParams({ ...lastRun.params, seed })}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch {
+      window.prompt('Copy this link:', url);
+    }
+  }, [lastRun]);
+
+  // ─── Saved runs ────────────────────────────────────────────
+
+  const loadRuns = useCallback(async () => {
+    try {
+      const res = await fetch(`${API_BASE}/runs`);
+      setSavedRuns(res.ok ? await res.json() : null);
+    } catch {
+      setSavedRuns(null);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadRuns();
+  }, [loadRuns]);
+
+  // Defaults behind blank tax overrides, shown as placeholders
+  const loadTaxRules = useCallback(async () => {
+    try {
+      const res = await fetch(`${API_BASE}/tax-rules`);
+      setTaxRules(res.ok ? await res.json() : null);
+    } catch {
+      setTaxRules(null);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTaxRules();
+  }, [loadTaxRules]);
+
+  const saveRun = useCallback(async () => {
+    if (!lastRun || !simResult || !stockData) return;
+
+    try {
+      const res = await fetch(`${API_BASE}/runs`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...lastRun, stockData, summary: simResult.summary })
+      });
+      const data = await res.json();
+
+      if (!res.ok) {
+        setError(data.error || 'Could not save run');
+        return;
+      }
+
+      setActiveRunId(data.id);
+      await loadRuns();
+    } catch (err) {
+      setError(`Save failed: ${err instanceof Error ? err.message : 'Unknown'}`);
+    }
+  }, [lastRun, simResult, stockData, loadRuns]);
+
+  // Replays the stored inputs and seed against the stored data snapshot, so
+  // the result is identical to the saved one and no market data is fetched
+  const openRun = useCallback(async (id: string) => {
+    setError(null);
+
+    try {
+      const res = await fetch(`${API_BASE}/runs/${encodeURIComponent(id)}`);
+      const data = await res.json();
+
+      if (!res.ok) {
+        setError(data.error || 'Could not open run');
+        return;
+      }
+
+      const run = data as SavedRun;
+      // Runs saved before a form field existed take its default
+      const formParams = run.params
+        ? { ...DEFAULT_SIM_PARAMS, ...run.params, seed: String(run.seed) }
+        : { ...params, seed: String(run.seed) };
+      setView('single');
+      setParams(formParams);
+      setStockData(run.stockData);
+      setSimResult(null);
+      setActiveRunId(run.id);
+      await simulate(run.inputs, formParams);
+    } catch (err) {
+      setError(`Could not open run: ${err instanceof Error ? err.message : 'Unknown'}`);
+    }
+  }, [params, simulate]);
+
+  // ─── Comparison ────────────────────────────────────────────
+
+  const addToComparison = useCallback((entry: ComparisonEntry) => {
+    setComparison(prev => {
+      if (prev.some(e => e.id === entry.id)) return prev;
+      return [...prev, entry].slice(-MAX_COMPARISON);
+    });
+  }, []);
+
+  const addCurrentToComparison = useCallback(() => {
+    if (!simResult || !stockData) return;
+    const { years, seed } = simResult.inputParams;
+    const saved = savedRuns?.find(r => r.id === activeRunId);
+    addToComparison({
+      id: activeRunId ?? `${stockData.ticker}-${seed}-${Date.now()}`,
+      label: saved?.name ?? `${stockData.ticker} · ${years}Y · seed ${seed}`,
+      ticker: stockData.ticker,
+      result: simResult
+    });
+  }, [simResult, stockData, savedRuns, activeRunId, addToComparison]);
+
+  // Replays a saved run in the background, leaving the single-stock view untouched
+  const compareSavedRun = useCallback(async (id: string) => {
+    setError(null);
+
+    try {
+      const runRes = await fetch(`${API_BASE}/runs/${encodeURIComponent(id)}`);
+      const run = await runRes.json();
+      if (!runRes.ok) {
+        setError(run.error || 'Could not open run');
+        return;
+      }
+
+      const simRes = await fetch(`${API_BASE}/simulate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify((run as SavedRun).inputs)
+      });
+      const result = await simRes.json();
+      if (!simRes.ok) {
+        setError(result.error || 'Simulation failed');
+        return;
+      }
+
+      addToComparison({ id: run.id, label: run.name, ticker: run.ticker, result });
+      setView('compare');
+    } catch (err) {
+      setError(`Could not compare run: ${err instanceof Error ? err.message : 'Unknown'}`);
+    }
+  }, [addToComparison]);
+
+  const renameRun = useCallback(async (id: string, name: string) => {
+    try {
+      const res = await fetch(`${API_BASE}/runs/${encodeURIComponent(id)}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name })
+      });
+      if (!res.ok) {
+        const data = await res.json();
+        setError(data.error || 'Could not rename run');
+      }
+      await loadRuns();
+    } catch (err) {
+      setError(`Rename failed: ${err instanceof Error ? err.message : 'Unknown'}`);
+    }
+  }, [loadRuns]);
+
+  const deleteRun = useCallback(async (id: string) => {
+    try {
+      const res = await fetch(`${API_BASE}/runs/${encodeURIComponent(id)}`, { method: 'DELETE' });
+      if (!res.ok && res.status !== 404) {
+        const data = await res.json();
+        setError(data.error || 'Could not delete run');
+        return;
+      }
+      if (id === activeRunId) setActiveRunId(null);
+      await loadRuns();
+    } catch (err) {
+      setError(`Delete failed: ${err instanceof Error ? err.message : 'Unknown'}`);
+    }
+  }, [activeRunId, loadRuns]);
+
+  const runPortfolio = useCallback(async () => {
+    setIsLoadingPortfolio(true);
+    setError(null);
+
+    try {
+      const res = await fetch(`${API_BASE}/portfolio/simulate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...portfolioParams,
+          holdings: portfolioParams.holdings.map(h => ({ ticker: h.ticker.trim(), weight: h.weight / 100 })),
+          seed: portfolioParams.seed ? parseInt(portfolioParams.seed) : undefined
+        })
+      });
+      const data = await res.json();
+
+      if (!res.ok) {
+        setError(data.error || 'Portfolio simulation failed');
+        return;
+      }
+
+      setPortfolioResult(data);
+    } catch (err) {
+      setError(`Portfolio simulation error: ${err instanceof Error ? err.message : 'Unknown'}`);
+    } finally {
+      setIsLoadingPortfolio(false);
+    }
+  }, [portfolioParams]);
+
+  const runScreen = useCallback(async () => {
+    setIsLoadingScreen(true);
+    setError(null);
 
     try {
+      const res = await fetch(`${API_BASE}/screen`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...screenParams,
+          tickers: screenParams.tickers.split(/[\s,]+/).filter(Boolean),
+          seed: screenParams.seed ? parseInt(screenParams.seed) : undefined
+        })
+      });
+      const data = await res.json();
+
+      if (!res.ok) {
+        setError(data.error || 'Screener failed');
+        return;
+      }
+
+      setScreenResult(data);
+    } catch (err) {
+      setError(`Screener error: ${err instanceof Error ? err.message : 'Unknown'}`);
+    } finally {
+      setIsLoadingScreen(false);
+    }
+  }, [screenParams]);
+
+  const downloadCSV = useCallback(async () => {
+    if (!lastRun) return;
+
+    try {
+      // Replay the displayed run's inputs and seed so the CSV matches what is on screen
       const res = await fetch(`${API_BASE}/simulate/csv`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(simParams)
+        body: JSON.stringify(lastRun.inputs)
       });
       const blob = await res.blob();
       const url = URL.createObjectURL(blob);
       const a = document.createElement('a');
       a.href = url;
-      a.download = `monte_carlo_${params.ticker}.csv`;
+      a.download = `monte_carlo_${lastRun.params.ticker}.csv`;
       a.click();
       URL.revokeObjectURL(url);
     } catch (err) {
       setError(`CSV download failed: ${err instanceof Error ? err.message : 'Unknown'}`);
     }
-  }, [buildSimParams, params.ticker]);
+  }, [lastRun]);
 
   return (
     <div className="app">
@@ -149,25 +618,103 @@ function App() {
             <p className="subtitle">EPS x P/E probabilistic stock valuation</p>
           </div>
         </div>
-        {simResult && (
-          <button className="btn btn-outline btn-download" onClick={downloadCSV}>
-            <Download size={16} />
-            Download CSV
+        <div className="view-tabs">
+          <button
+            className={`view-tab ${view === 'single' ? 'active' : ''}`}
+            onClick={() => setView('single')}
+          >
+            <BarChart3 size={14} />
+            Single Stock
+          </button>
+          <button
+            className={`view-tab ${view === 'portfolio' ? 'active' : ''}`}
+            onClick={() => setView('portfolio')}
+          >
+            <Layers size={14} />
+            Portfolio
           </button>
+          <button
+            className={`view-tab ${view === 'screener' ? 'active' : ''}`}
+            onClick={() => setView('screener')}
+          >
+            <ListFilter size={14} />
+            Screener
+          </button>
+          <button
+            className={`view-tab ${view === 'compare' ? 'active' : ''}`}
+            onClick={() => setView('compare')}
+          >
+            <GitCompare size={14} />
+            Compare{comparison.length > 0 && ` (${comparison.length})`}
+          </button>
+        </div>
+        {(view === 'single' || view === 'compare') && simResult && (
+          <div className="header-actions">
+            {/* Share, save and export act on the single run, which the compare view does not show */}
+            {view === 'single' && (
+              <button className="btn btn-outline btn-download" onClick={copyShareLink}>
+                {linkCopied ? <Check size={16} /> : <Link size={16} />}
+                {linkCopied ? 'Link Copied' : 'Share Link'}
+              </button>
+            )}
+            <button className="btn btn-outline btn-download" onClick={addCurrentToComparison}>
+              <GitCompare size={16} />
+              Add to Compare
+            </button>
+            {view === 'single' && savedRuns && (
+              <button className="btn btn-outline btn-download" onClick={saveRun} disabled={!!activeRunId}>
+                {activeRunId ? <Check size={16} /> : <Save size={16} />}
+                {activeRunId ? 'Saved' : 'Save Run'}
+              </button>
+            )}
+            {view === 'single' && (
+              <button className="btn btn-outline btn-download" onClick={downloadCSV}>
+                <Download size={16} />
+                Download CSV
+              </button>
+            )}
+          </div>
         )}
       </header>
 
       <main className="app-main">
         <aside className="sidebar">
-          <InputPanel
-            params={params}
-            onParamsChange={setParams}
-            onFetchStock={fetchStock}
-            onRunSimulation={runSimulation}
-            isLoadingStock={isLoadingStock}
-            isLoadingSimulation={isLoadingSimulation}
-            hasStockData={!!stockData}
-          />
+          {view === 'portfolio' ? (
+            <PortfolioPanel
+              params={portfolioParams}
+              onParamsChange={setPortfolioParams}
+              onRunPortfolio={runPortfolio}
+              isLoading={isLoadingPortfolio}
+            />
+          ) : view === 'screener' ? (
+            <ScreenerPanel
+              params={screenParams}
+              onParamsChange={setScreenParams}
+              onRunScreen={runScreen}
+              isLoading={isLoadingScreen}
+            />
+          ) : (
+            <InputPanel
+              params={params}
+              onParamsChange={setParams}
+              onFetchStock={fetchStock}
+              onRunSimulation={runSimulation}
+              isLoadingStock={isLoadingStock}
+              isLoadingSimulation={isLoadingSimulation}
+              hasStockData={!!stockData}
+              taxRules={taxRules}
+            />
+          )}
+          {(view === 'single' || view === 'compare') && savedRuns && (
+            <SavedRuns
+              runs={savedRuns}
+              activeRunId={activeRunId}
+              onOpen={openRun}
+              onCompare={compareSavedRun}
+              onRename={renameRun}
+              onDelete={deleteRun}
+            />
+          )}
         </aside>
 
         <section className="content">
@@ -178,7 +725,56 @@ function App() {
             </div>
           )}
 
-          {!stockData && !isLoadingStock && !error && (
+          {view === 'portfolio' && !portfolioResult && !isLoadingPortfolio && !error && (
+            <div className="empty-state">
+              <Layers size={64} strokeWidth={1} />
+              <h2>Build a portfolio to simulate</h2>
+              <p>
+                Each holding is simulated with its own data-driven growth and P/E assumptions, then the
+                holdings are combined using the correlation of their historical monthly returns.
+              </p>
+            </div>
+          )}
+
+          {view === 'portfolio' && portfolioResult && (
+            <PortfolioResults result={portfolioResult} />
+          )}
+
+          {view === 'compare' && comparison.length === 0 && !error && (
+            <div className="empty-state">
+              <GitCompare size={64} strokeWidth={1} />
+              <h2>Nothing to compare yet</h2>
+              <p>
+                Run a simulation and click Add to Compare, change an input or the ticker, run again and add that too.
+                Saved runs can be added from the sidebar.
+              </p>
+            </div>
+          )}
+
+          {view === 'compare' && comparison.length > 0 && (
+            <ComparisonView
+              entries={comparison}
+              onRemove={id => setComparison(prev => prev.filter(e => e.id !== id))}
+              onClear={() => setComparison([])}
+            />
+          )}
+
+          {view === 'screener' && !screenResult && !isLoadingScreen && !error && (
+            <div className="empty-state">
+              <ListFilter size={64} strokeWidth={1} />
+              <h2>Screen a list of tickers</h2>
+              <p>
+                Run the simulation for every ticker with a shared horizon and FD rate, then rank them
+                by the probability of beating the FD.
+              </p>
+            </div>
+          )}
+
+          {view === 'screener' && screenResult && (
+            <ScreenerTable result={screenResult} />
+          )}
+
+          {view === 'single' && !stockData && !isLoadingStock && !error && (
             <div className="empty-state">
               <BarChart3 size={64} strokeWidth={1} />
               <h2>Enter a ticker to begin</h2>
@@ -201,16 +797,33 @@ function App() {
             </div>
           )}
 
-          {stockData && (
+          {view === 'single' && stockData && (
             <StockSnapshot data={stockData} />
           )}
 
-          {simResult && stockData && (
+          {view === 'single' && simResult && stockData && (
             <>
-              <SimulationSummary result={simResult} currency={stockData.currency} />
-              <DistributionCharts result={simResult} stockData={stockData} />
-              <ScenarioTable result={simResult} currency={stockData.currency} />
+              <SimulationSummary
+                result={simResult}
+                currency={stockData.currency}
+                targetQuery={targetQuery}
+                onTargetQueryChange={setTargetQuery}
+                returnBasis={returnBasis}
+                onReturnBasisChange={setReturnBasis}
+              />
+              <RiskPanel result={simResult} currency={stockData.currency} />
+              <PostTaxPanel result={simResult} currency={stockData.currency} />
+              <IntrinsicValue result={simResult} currency={stockData.currency} />
+              <DistributionCharts result={simResult} stockData={stockData} priceTarget={priceTarget} />
+              <ScenarioTable
+                result={simResult}
+                currency={stockData.currency}
+                returnBasis={returnBasis}
+                onReturnBasisChange={setReturnBasis}
+              />
               <SensitivityAnalysis result={simResult} />
+              <TornadoChart result={tornadoResult} isLoading={isLoadingTornado} onRun={runTornado} />
+              <ReverseSolver result={solveResult} currency={stockData.currency} isLoading={isSolving} onSolve={runSolver} />
             </>
           )}
         </section>
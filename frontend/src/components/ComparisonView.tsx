@@ -0,0 +1,255 @@
+import {
+  LineChart, Line, XAxis, YAxis, ResponsiveContainer, CartesianGrid, Legend
+} from 'recharts';
+import { X } from 'lucide-react';
+import type { ComparisonEntry, HistogramBin, SimulationOutput } from '../types';
+
+interface ComparisonViewProps {
+  entries: ComparisonEntry[];
+  onRemove: (id: string) => void;
+  onClear: () => void;
+}
+
+const COMPARISON_COLORS = ['#6c5ce7', '#00d2d3', '#feca57', '#ff6b6b', '#1dd1a1', '#ff9ff3'];
+
+type InputKey = keyof SimulationOutput['inputParams'];
+type ParamFormat = 'pct' | 'num' | 'int' | 'bool' | 'text' | 'list' | 'tax';
+
+const PARAM_ROWS: Array<{ key: InputKey; label: string; format: ParamFormat }> = [
+  { key: 'price0', label: 'Current Price', format: 'num' },
+  { key: 'eps0', label: 'EPS', format: 'num' },
+  { key: 'pe0', label: 'Current P/E', format: 'num' },
+  { key: 'years', label: 'Horizon (years)', format: 'int' },
+  { key: 'numSimulations', label: 'Simulations', format: 'int' },
+  { key: 'adaptive', label: 'Adaptive Count', format: 'bool' },
+  { key: 'targetPrecision', label: 'Target Precision', format: 'pct' },
+  { key: 'maxSimulations', label: 'Max Simulations', format: 'int' },
+  { key: 'samplingMethod', label: 'Sampling', format: 'text' },
+  { key: 'fdRate', label: 'FD Rate', format: 'pct' },
+  { key: 'meanGrowth', label: 'Mean Growth', format: 'pct' },
+  { key: 'sigmaGrowth', label: 'Growth Volatility', format: 'pct' },
+  { key: 'growthDistType', label: 'Growth Distribution', format: 'text' },
+  { key: 'growthDf', label: 'Growth Tail df', format: 'num' },
+  { key: 'meanPE', label: 'Mean P/E', format: 'num' },
+  { key: 'sigmaPE', label: 'P/E Volatility', format: 'num' },
+  { key: 'peDistType', label: 'P/E Distribution', format: 'text' },
+  { key: 'peDf', label: 'P/E Tail df', format: 'num' },
+  { key: 'growthPECorrelation', label: 'Growth–P/E ρ', format: 'num' },
+  { key: 'growthMin', label: 'Growth Floor', format: 'pct' },
+  { key: 'growthMax', label: 'Growth Cap', format: 'pct' },
+  { key: 'peMin', label: 'P/E Floor', format: 'num' },
+  { key: 'peMax', label: 'P/E Cap', format: 'num' },
+  { key: 'pathMode', label: 'Path Mode', format: 'bool' },
+  { key: 'growthAutocorrelation', label: 'Growth Autocorrelation', format: 'num' },
+  { key: 'dividendYield', label: 'Dividend Yield', format: 'pct' },
+  { key: 'payoutRatio', label: 'Payout Ratio', format: 'pct' },
+  { key: 'dividendMode', label: 'Dividend Mode', format: 'text' },
+  { key: 'meanShareChange', label: 'Mean Share Change', format: 'pct' },
+  { key: 'sigmaShareChange', label: 'Share Change Volatility', format: 'pct' },
+  { key: 'shareChangeMin', label: 'Share Change Floor', format: 'pct' },
+  { key: 'shareChangeMax', label: 'Share Change Cap', format: 'pct' },
+  { key: 'multiStage', label: 'Multi-Stage Growth', format: 'bool' },
+  { key: 'highGrowthYears', label: 'High-Growth Years', format: 'int' },
+  { key: 'fadeYears', label: 'Fade Years', format: 'int' },
+  { key: 'terminalMeanGrowth', label: 'Terminal Growth', format: 'pct' },
+  { key: 'terminalSigmaGrowth', label: 'Terminal Growth Volatility', format: 'pct' },
+  { key: 'peMeanReversion', label: 'Mean-Reverting P/E', format: 'bool' },
+  { key: 'peAnchor', label: 'P/E Anchor', format: 'num' },
+  { key: 'peHalfLife', label: 'P/E Half-Life', format: 'num' },
+  { key: 'requiredReturn', label: 'Required Return', format: 'pct' },
+  { key: 'confidenceLevel', label: 'Confidence Level', format: 'pct' },
+  { key: 'riskConfidenceLevels', label: 'VaR Confidence Levels', format: 'list' },
+  { key: 'lossThresholds', label: 'Loss Thresholds', format: 'list' },
+  { key: 'benchmarkMode', label: 'Index Benchmark', format: 'bool' },
+  { key: 'benchmarkTicker', label: 'Benchmark Index', format: 'text' },
+  { key: 'indexMeanLogReturn', label: 'Index Mean Log Return', format: 'pct' },
+  { key: 'indexSigmaLogReturn', label: 'Index Volatility', format: 'pct' },
+  { key: 'indexCorrelation', label: 'Stock–Index ρ', format: 'num' },
+  { key: 'inflationRate', label: 'Inflation', format: 'pct' },
+  { key: 'inflationSigma', label: 'Inflation Volatility', format: 'pct' },
+  { key: 'taxProfile', label: 'Tax Overrides', format: 'tax' },
+  { key: 'investmentAmount', label: 'Investment Amount', format: 'num' },
+  { key: 'seed', label: 'Seed', format: 'int' }
+];
+
+const formatParam = (value: unknown, format: ParamFormat) => {
+  if (value == null) return '—';
+  if (format === 'bool') return value ? 'Yes' : 'No';
+  if (format === 'text') return String(value);
+  if (format === 'list') return (value as number[]).map(v => `${+(v * 100).toFixed(1)}%`).join(', ');
+  // Post-tax runs send their overrides (possibly none); the rest of the rules come from the API table
+  if (format === 'tax') {
+    const entries = Object.entries(value as Record<string, number>);
+    if (entries.length === 0) return 'Default rules';
+    return entries.map(([key, v]) => `${key} ${key === 'ltcgExemption' ? v.toLocaleString('en-IN') : `${(v * 100).toFixed(1)}%`}`).join(', ');
+  }
+  const v = Number(value);
+  if (format === 'pct') return `${(v * 100).toFixed(1)}%`;
+  if (format === 'int') return String(Math.round(v));
+  return v.toFixed(2);
+};
+
+// Bins differ between runs, so frequencies are turned into densities to keep the curves comparable
+const toDensity = (bins: HistogramBin[], scale = 1) =>
+  bins.map(bin => ({ x: bin.binMid * scale, density: bin.frequency / ((bin.binEnd - bin.binStart) * scale || 1) }));
+
+export default function ComparisonView({ entries, onRemove, onClear }: ComparisonViewProps) {
+  const baseline = entries[0];
+  if (!baseline) return null;
+
+  const formatPct = (val: number) => `${(val * 100).toFixed(1)}%`;
+  const formatPts = (val: number) => `${val >= 0 ? '+' : ''}${(val * 100).toFixed(1)} pts`;
+  const formatNum = (val: number) => val.toLocaleString('en-IN', { maximumFractionDigits: 0 });
+  const formatRel = (val: number, base: number) =>
+    base ? `${val >= base ? '+' : ''}${(((val - base) / Math.abs(base)) * 100).toFixed(1)}%` : '—';
+
+  const summaryRows: Array<{ label: string; get: (r: SimulationOutput) => number; kind: 'price' | 'pct' }> = [
+    { label: 'Price P10', get: r => r.summary.price.p10, kind: 'price' },
+    { label: 'Price P50', get: r => r.summary.price.p50, kind: 'price' },
+    { label: 'Price P90', get: r => r.summary.price.p90, kind: 'price' },
+    { label: 'CAGR P10', get: r => r.summary.cagr.p10, kind: 'pct' },
+    { label: 'CAGR P25', get: r => r.summary.cagr.p25, kind: 'pct' },
+    { label: 'CAGR P50', get: r => r.summary.cagr.p50, kind: 'pct' },
+    { label: 'CAGR P75', get: r => r.summary.cagr.p75, kind: 'pct' },
+    { label: 'CAGR P90', get: r => r.summary.cagr.p90, kind: 'pct' },
+    { label: 'Prob. Beats FD', get: r => r.summary.probBeatsFD, kind: 'pct' },
+    { label: 'Prob. of Loss', get: r => r.summary.probLoss, kind: 'pct' },
+    { label: 'Prob. Undervalued', get: r => r.valuation.probUndervalued, kind: 'pct' }
+  ];
+
+  // Ticker first, then every input that differs between runs, then the rest
+  const paramRows = [
+    { label: 'Ticker', values: entries.map(e => e.ticker) },
+    ...PARAM_ROWS.map(row => ({
+      label: row.label,
+      values: entries.map(e => formatParam(e.result.inputParams[row.key], row.format))
+    }))
+  ].map(row => ({ ...row, changed: new Set(row.values).size > 1 }));
+  const changedCount = paramRows.filter(r => r.changed).length;
+  paramRows.sort((a, b) => Number(b.changed) - Number(a.changed));
+
+  const renderOverlay = (title: string, kind: 'price' | 'cagr') => (
+    <div className="chart-card">
+      <h3>{title}</h3>
+      <ResponsiveContainer width="100%" height={280}>
+        <LineChart margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.06)" />
+          <XAxis
+            dataKey="x"
+            type="number"
+            domain={['dataMin', 'dataMax']}
+            allowDuplicatedCategory={false}
+            tickFormatter={(v: number) => (kind === 'cagr' ? `${v.toFixed(0)}%` : `${(v / 1000).toFixed(1)}K`)}
+            stroke="rgba(255,255,255,0.4)"
+            fontSize={11}
+          />
+          <YAxis hide />
+          <Legend wrapperStyle={{ fontSize: 11 }} />
+          {entries.map((e, i) => (
+            <Line
+              key={e.id}
+              data={kind === 'cagr' ? toDensity(e.result.distributions.cagr, 100) : toDensity(e.result.distributions.price)}
+              dataKey="density"
+              name={e.label}
+              type="monotone"
+              stroke={COMPARISON_COLORS[i % COMPARISON_COLORS.length]}
+              strokeWidth={2}
+              dot={false}
+            />
+          ))}
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+
+  return (
+    <div className="comparison-view">
+      <div className="summary-header">
+        <h2>Run Comparison</h2>
+        <button className="btn btn-outline btn-download" onClick={onClear}>Clear</button>
+      </div>
+
+      <div className="comparison-chips">
+        {entries.map((e, i) => (
+          <span key={e.id} className="comparison-chip" style={{ borderColor: COMPARISON_COLORS[i % COMPARISON_COLORS.length] }}>
+            <span className="bar-dot" style={{ background: COMPARISON_COLORS[i % COMPARISON_COLORS.length] }} />
+            {e.label}
+            {i === 0 && <span className="comparison-baseline">baseline</span>}
+            <button className="comparison-chip-remove" onClick={() => onRemove(e.id)} title="Remove from comparison">
+              <X size={12} />
+            </button>
+          </span>
+        ))}
+      </div>
+
+      {entries.length < 2 && (
+        <p className="section-description">
+          Add another run to compare: run a simulation and click Add to Compare, or use the compare button on a saved run.
+        </p>
+      )}
+
+      <div className="charts-grid">
+        {renderOverlay('Terminal Price Distribution', 'price')}
+        {renderOverlay('CAGR Distribution', 'cagr')}
+      </div>
+
+      <div className="percentile-tables">
+        <div className="percentile-table">
+          <h3>Summary (Δ vs baseline)</h3>
+          <table>
+            <thead>
+              <tr>
+                <th>Metric</th>
+                {entries.map((e, i) => <th key={e.id} style={{ color: COMPARISON_COLORS[i % COMPARISON_COLORS.length] }}>{e.label}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {summaryRows.map(row => {
+                const base = row.get(baseline.result);
+                return (
+                  <tr key={row.label}>
+                    <td>{row.label}</td>
+                    {entries.map((e, i) => {
+                      const v = row.get(e.result);
+                      const diff = row.kind === 'pct' ? formatPts(v - base) : formatRel(v, base);
+                      return (
+                        <td key={e.id} className="mono">
+                          {row.kind === 'pct' ? formatPct(v) : formatNum(v)}
+                          {i > 0 && (
+                            <span className={`comparison-delta ${v > base ? 'text-green' : v < base ? 'text-red' : ''}`}>
+                              {' '}{diff}
+                            </span>
+                          )}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="percentile-table">
+          <h3>Inputs ({changedCount} changed)</h3>
+          <table>
+            <thead>
+              <tr>
+                <th>Parameter</th>
+                {entries.map((e, i) => <th key={e.id} style={{ color: COMPARISON_COLORS[i % COMPARISON_COLORS.length] }}>{e.label}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {paramRows.map(row => (
+                <tr key={row.label} className={row.changed ? 'highlight-row' : ''}>
+                  <td>{row.label}</td>
+                  {row.values.map((v, i) => <td key={entries[i].id} className="mono">{v}</td>)}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,17 +1,18 @@
 import {
   BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer,
   ReferenceLine, CartesianGrid, ScatterChart, Scatter, Cell,
-  AreaChart, Area
+  AreaChart, Area, ComposedChart, Line
 } from 'recharts';
 import type { SimulationOutput, StockData } from '../types';
 
 interface DistributionChartsProps {
   result: SimulationOutput;
   stockData: StockData;
+  priceTarget?: number | null;
 }
 
-export default function DistributionCharts({ result, stockData }: DistributionChartsProps) {
-  const { distributions, summary, inputParams, sampledResults } = result;
+export default function DistributionCharts({ result, stockData, priceTarget }: DistributionChartsProps) {
+  const { distributions, summary, inputParams, sampledResults, pathBands, valuation } = result;
   const currency = stockData.currency || 'INR';
 
   const formatCurrency = (val: number) =>
@@ -31,6 +32,13 @@ export default function DistributionCharts({ result, stockData }: DistributionCh
     count: bin.count
   }));
 
+  // Fair value (discounted outcome) distribution data
+  const fairValueData = distributions.fairValue.map(bin => ({
+    value: bin.binMid,
+    frequency: bin.frequency,
+    count: bin.count
+  }));
+
   // CAGR distribution data
   const cagrData = distributions.cagr.map(bin => ({
     cagr: bin.binMid * 100,
@@ -39,6 +47,12 @@ export default function DistributionCharts({ result, stockData }: DistributionCh
     isPositive: bin.binMid >= 0
   }));
 
+  // Excess CAGR over the index (benchmark mode only)
+  const excessData = (distributions.excessCagr || []).map(bin => ({
+    excess: bin.binMid * 100,
+    frequency: bin.frequency
+  }));
+
   // Scatter plot: growth vs terminal price
   const scatterData = sampledResults.map(r => ({
     growth: r.g * 100,
@@ -53,6 +67,15 @@ export default function DistributionCharts({ result, stockData }: DistributionCh
     price: hp.close
   }));
 
+  // Fan chart: simulated price bands per year (path mode only)
+  const currentYear = new Date().getFullYear();
+  const fanData = (pathBands || []).map(band => ({
+    year: band.year === 0 ? 'Now' : `${currentYear + band.year}`,
+    outer: [band.price.p10, band.price.p90],
+    inner: [band.price.p25, band.price.p75],
+    median: band.price.p50
+  }));
+
   return (
     <div className="distribution-charts">
       <h2>Distribution Analysis</h2>
@@ -66,6 +89,8 @@ export default function DistributionCharts({ result, stockData }: DistributionCh
               <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.06)" />
               <XAxis
                 dataKey="price"
+                type="number"
+                domain={['dataMin', 'dataMax']}
                 tickFormatter={(v: number) => `${(v / 1000).toFixed(0)}K`}
                 stroke="rgba(255,255,255,0.4)"
                 fontSize={11}
@@ -111,6 +136,66 @@ export default function DistributionCharts({ result, stockData }: DistributionCh
                 strokeDasharray="4 4"
                 label={{ value: 'FD Target', fill: '#feca57', fontSize: 11, position: 'top' }}
               />
+              {priceTarget != null && Number.isFinite(priceTarget) && (
+                <ReferenceLine
+                  x={priceTarget}
+                  stroke="#a29bfe"
+                  strokeWidth={2}
+                  ifOverflow="extendDomain"
+                  label={{ value: 'Your Target', fill: '#a29bfe', fontSize: 11, position: 'insideTopRight' }}
+                />
+              )}
+            </AreaChart>
+          </ResponsiveContainer>
+        </div>
+
+        {/* Fair Value Distribution */}
+        <div className="chart-card chart-large">
+          <h3>Fair Value Today ({formatPct(valuation.requiredReturn)} required return)</h3>
+          <ResponsiveContainer width="100%" height={300}>
+            <AreaChart data={fairValueData} margin={{ top: 10, right: 30, left: 10, bottom: 0 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.06)" />
+              <XAxis
+                dataKey="value"
+                tickFormatter={(v: number) => `${(v / 1000).toFixed(1)}K`}
+                stroke="rgba(255,255,255,0.4)"
+                fontSize={11}
+              />
+              <YAxis
+                tickFormatter={(v: number) => `${(v * 100).toFixed(1)}%`}
+                stroke="rgba(255,255,255,0.4)"
+                fontSize={11}
+              />
+              <Tooltip
+                formatter={(value: unknown) => [`${(Number(value) * 100).toFixed(2)}%`, 'Probability']}
+                labelFormatter={(label: unknown) => `Fair value: ${formatCurrency(Number(label))}`}
+                contentStyle={{ background: '#1a1a2e', border: '1px solid rgba(255,255,255,0.1)', borderRadius: 8 }}
+              />
+              <defs>
+                <linearGradient id="fairValueGradient" x1="0" y1="0" x2="0" y2="1">
+                  <stop offset="5%" stopColor="#00b894" stopOpacity={0.8} />
+                  <stop offset="95%" stopColor="#00b894" stopOpacity={0.1} />
+                </linearGradient>
+              </defs>
+              <Area
+                type="monotone"
+                dataKey="frequency"
+                stroke="#00b894"
+                fill="url(#fairValueGradient)"
+                strokeWidth={2}
+              />
+              <ReferenceLine
+                x={inputParams.price0}
+                stroke="#ff6b6b"
+                strokeDasharray="4 4"
+                label={{ value: 'Current', fill: '#ff6b6b', fontSize: 11, position: 'top' }}
+              />
+              <ReferenceLine
+                x={valuation.entryPrice}
+                stroke="#feca57"
+                strokeDasharray="4 4"
+                label={{ value: `Entry (${formatPct(valuation.confidenceLevel)})`, fill: '#feca57', fontSize: 11, position: 'top' }}
+              />
             </AreaChart>
           </ResponsiveContainer>
         </div>
@@ -165,9 +250,117 @@ export default function DistributionCharts({ result, stockData }: DistributionCh
           </div>
         </div>
 
+        {/* Excess CAGR over the index */}
+        {summary.benchmark && excessData.length > 0 && (
+          <div className="chart-card chart-large">
+            <h3>Excess CAGR vs {summary.benchmark.ticker}</h3>
+            <ResponsiveContainer width="100%" height={300}>
+              <BarChart data={excessData} margin={{ top: 10, right: 30, left: 10, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.06)" />
+                <XAxis
+                  dataKey="excess"
+                  tickFormatter={(v: number) => `${v.toFixed(0)}pp`}
+                  stroke="rgba(255,255,255,0.4)"
+                  fontSize={11}
+                />
+                <YAxis
+                  tickFormatter={(v: number) => `${(v * 100).toFixed(1)}%`}
+                  stroke="rgba(255,255,255,0.4)"
+                  fontSize={11}
+                />
+                <Tooltip
+                  formatter={(value: unknown) => [`${(Number(value) * 100).toFixed(2)}%`, 'Probability']}
+                  labelFormatter={(label: unknown) => `Excess CAGR: ${Number(label).toFixed(1)}pp`}
+                  contentStyle={{ background: '#1a1a2e', border: '1px solid rgba(255,255,255,0.1)', borderRadius: 8 }}
+                />
+                <Bar dataKey="frequency" radius={[2, 2, 0, 0]}>
+                  {excessData.map((entry, index) => (
+                    <Cell key={index} fill={entry.excess >= 0 ? '#00b894' : '#e17055'} />
+                  ))}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+            <div className="chart-legend">
+              <span className="legend-item"><span className="legend-dot" style={{ background: '#00b894' }} /> Beats the index</span>
+              <span className="legend-item"><span className="legend-dot" style={{ background: '#e17055' }} /> Trails the index</span>
+            </div>
+          </div>
+        )}
+
+        {/* Historical Price */}
+        {historicalData.length > 0 && (
+          <div className="chart-card chart-large">
+            <h3>Historical Price ({stockData.ticker})</h3>
+            <ResponsiveContainer width="100%" height={250}>
+              <AreaChart data={historicalData} margin={{ top: 10, right: 30, left: 10, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.06)" />
+                <XAxis dataKey="date" stroke="rgba(255,255,255,0.4)" fontSize={10} interval="preserveStartEnd" />
+                <YAxis
+                  stroke="rgba(255,255,255,0.4)"
+                  fontSize={11}
+                  tickFormatter={(v: number) => `${(v / 1000).toFixed(1)}K`}
+                />
+                <Tooltip
+                  formatter={(value: unknown) => [formatCurrency(Number(value)), 'Price']}
+                  contentStyle={{ background: '#1a1a2e', border: '1px solid rgba(255,255,255,0.1)', borderRadius: 8 }}
+                />
+                <defs>
+                  <linearGradient id="histGradient" x1="0" y1="0" x2="0" y2="1">
+                    <stop offset="5%" stopColor="#00d2d3" stopOpacity={0.6} />
+                    <stop offset="95%" stopColor="#00d2d3" stopOpacity={0.05} />
+                  </linearGradient>
+                </defs>
+                <Area
+                  type="monotone"
+                  dataKey="price"
+                  stroke="#00d2d3"
+                  fill="url(#histGradient)"
+                  strokeWidth={2}
+                />
+              </AreaChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+
+        {/* Simulated Price Fan (path mode) */}
+        {fanData.length > 0 && (
+          <div className="chart-card chart-large">
+            <h3>Simulated Price Paths (P10–P90)</h3>
+            <ResponsiveContainer width="100%" height={250}>
+              <ComposedChart data={fanData} margin={{ top: 10, right: 30, left: 10, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.06)" />
+                <XAxis dataKey="year" stroke="rgba(255,255,255,0.4)" fontSize={10} />
+                <YAxis
+                  stroke="rgba(255,255,255,0.4)"
+                  fontSize={11}
+                  tickFormatter={(v: number) => `${(v / 1000).toFixed(1)}K`}
+                />
+                <Tooltip
+                  formatter={(value: unknown, name?: string) => {
+                    if (Array.isArray(value)) {
+                      return [`${formatCurrency(Number(value[0]))} – ${formatCurrency(Number(value[1]))}`, name ?? ''];
+                    }
+                    return [formatCurrency(Number(value)), name ?? ''];
+                  }}
+                  contentStyle={{ background: '#1a1a2e', border: '1px solid rgba(255,255,255,0.1)', borderRadius: 8 }}
+                />
+                <Area type="monotone" dataKey="outer" name="P10–P90" stroke="none" fill="#6c5ce7" fillOpacity={0.2} />
+                <Area type="monotone" dataKey="inner" name="P25–P75" stroke="none" fill="#6c5ce7" fillOpacity={0.35} />
+                <Line type="monotone" dataKey="median" name="Median" stroke="#00d2d3" strokeWidth={2} dot={false} />
+                <ReferenceLine
+                  y={inputParams.price0}
+                  stroke="#ff6b6b"
+                  strokeDasharray="4 4"
+                  label={{ value: 'Current', fill: '#ff6b6b', fontSize: 11, position: 'insideTopLeft' }}
+                />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+
         {/* Growth vs P/E Scatter */}
         <div className="chart-card chart-large">
-          <h3>Growth vs Terminal P/E (Sampled Outcomes)</h3>
+          <h3>Growth vs Terminal P/E (Sampled Outcomes, ρ = {result.sensitivity.realizedCorrelation.toFixed(2)})</h3>
           <ResponsiveContainer width="100%" height={300}>
             <ScatterChart margin={{ top: 10, right: 30, left: 10, bottom: 0 }}>
               <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.06)" />
@@ -207,41 +400,6 @@ export default function DistributionCharts({ result, stockData }: DistributionCh
             </ScatterChart>
           </ResponsiveContainer>
         </div>
-
-        {/* Historical Price */}
-        {historicalData.length > 0 && (
-          <div className="chart-card chart-large">
-            <h3>Historical Price ({stockData.ticker})</h3>
-            <ResponsiveContainer width="100%" height={250}>
-              <AreaChart data={historicalData} margin={{ top: 10, right: 30, left: 10, bottom: 0 }}>
-                <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.06)" />
-                <XAxis dataKey="date" stroke="rgba(255,255,255,0.4)" fontSize={10} interval="preserveStartEnd" />
-                <YAxis
-                  stroke="rgba(255,255,255,0.4)"
-                  fontSize={11}
-                  tickFormatter={(v: number) => `${(v / 1000).toFixed(1)}K`}
-                />
-                <Tooltip
-                  formatter={(value: unknown) => [formatCurrency(Number(value)), 'Price']}
-                  contentStyle={{ background: '#1a1a2e', border: '1px solid rgba(255,255,255,0.1)', borderRadius: 8 }}
-                />
-                <defs>
-                  <linearGradient id="histGradient" x1="0" y1="0" x2="0" y2="1">
-                    <stop offset="5%" stopColor="#00d2d3" stopOpacity={0.6} />
-                    <stop offset="95%" stopColor="#00d2d3" stopOpacity={0.05} />
-                  </linearGradient>
-                </defs>
-                <Area
-                  type="monotone"
-                  dataKey="price"
-                  stroke="#00d2d3"
-                  fill="url(#histGradient)"
-                  strokeWidth={2}
-                />
-              </AreaChart>
-            </ResponsiveContainer>
-          </div>
-        )}
       </div>
     </div>
   );
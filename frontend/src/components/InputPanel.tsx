@@ -1,6 +1,31 @@
 import { useState } from 'react';
 import { Search, Play, Settings, ChevronDown, ChevronUp } from 'lucide-react';
-import type { SimParams } from '../types';
+import type { SimParams, DistributionType, SamplingMethod, TaxRules } from '../types';
+
+const DISTRIBUTION_OPTIONS: Array<{ value: DistributionType; label: string }> = [
+  { value: 'normal', label: 'Normal' },
+  { value: 'lognormal', label: 'Lognormal' },
+  { value: 'studentT', label: 'Student-t' },
+  { value: 'triangular', label: 'Triangular (mode = mean)' },
+  { value: 'bootstrap', label: 'Bootstrap (history)' }
+];
+
+const SAMPLING_OPTIONS: Array<{ value: SamplingMethod; label: string }> = [
+  { value: 'random', label: 'Plain random' },
+  { value: 'antithetic', label: 'Antithetic variates' },
+  { value: 'latinHypercube', label: 'Latin hypercube' },
+  { value: 'sobol', label: 'Scrambled Sobol' }
+];
+
+// Tax overrides; blank fields take the default from the API's rules table
+const taxPct = (v: number) => `${+(v * 100).toFixed(2)}`;
+const TAX_FIELDS: Array<{ key: keyof SimParams & `override${string}`; rule: keyof TaxRules; label: string; format: (v: number) => string }> = [
+  { key: 'overrideSlabRate', rule: 'slabRate', label: 'FD / Dividend Slab %', format: taxPct },
+  { key: 'overrideLtcgRate', rule: 'ltcgRate', label: 'LTCG %', format: taxPct },
+  { key: 'overrideStcgRate', rule: 'stcgRate', label: 'STCG %', format: taxPct },
+  { key: 'overrideLtcgExemption', rule: 'ltcgExemption', label: 'LTCG Exemption', format: v => v.toLocaleString('en-IN') },
+  { key: 'overrideCess', rule: 'cess', label: 'Cess %', format: taxPct }
+];
 
 interface InputPanelProps {
   params: SimParams;
@@ -10,6 +35,7 @@ interface InputPanelProps {
   isLoadingStock: boolean;
   isLoadingSimulation: boolean;
   hasStockData: boolean;
+  taxRules: TaxRules | null;
 }
 
 export default function InputPanel({
@@ -19,11 +45,12 @@ export default function InputPanel({
   onRunSimulation,
   isLoadingStock,
   isLoadingSimulation,
-  hasStockData
+  hasStockData,
+  taxRules
 }: InputPanelProps) {
   const [showAdvanced, setShowAdvanced] = useState(false);
 
-  const update = (key: keyof SimParams, value: string | number) => {
+  const update = (key: keyof SimParams, value: string | number | boolean) => {
     onParamsChange({ ...params, [key]: value });
   };
 
@@ -91,7 +118,7 @@ export default function InputPanel({
             value={params.numSimulations}
             onChange={e => update('numSimulations', parseInt(e.target.value) || 20000)}
             min={1000}
-            max={100000}
+            max={50000}
             step={1000}
           />
         </div>
@@ -112,6 +139,70 @@ export default function InputPanel({
           </div>
         </div>
 
+        <div className="input-section">
+          <label className="input-label">Inflation</label>
+          <div className="input-with-suffix">
+            <input
+              type="number"
+              className="input-field"
+              value={(params.inflationRate * 100).toFixed(1)}
+              onChange={e => update('inflationRate', parseFloat(e.target.value) / 100 || 0)}
+              step={0.5}
+              min={-10}
+              max={30}
+            />
+            <span className="suffix">%</span>
+          </div>
+        </div>
+
+        <div className="input-section">
+          <label className="input-label">Inflation Vol (σ)</label>
+          <div className="input-with-suffix">
+            <input
+              type="number"
+              className="input-field"
+              value={(params.inflationSigma * 100).toFixed(1)}
+              onChange={e => update('inflationSigma', Math.max(0, parseFloat(e.target.value) / 100 || 0))}
+              step={0.5}
+              min={0}
+              max={10}
+            />
+            <span className="suffix">%</span>
+          </div>
+        </div>
+
+        <div className="input-section">
+          <label className="input-label">Required Return</label>
+          <div className="input-with-suffix">
+            <input
+              type="number"
+              className="input-field"
+              value={(params.requiredReturn * 100).toFixed(1)}
+              onChange={e => update('requiredReturn', parseFloat(e.target.value) / 100 || 0.12)}
+              step={0.5}
+              min={0}
+              max={50}
+            />
+            <span className="suffix">%</span>
+          </div>
+        </div>
+
+        <div className="input-section">
+          <label className="input-label">Entry Confidence</label>
+          <div className="input-with-suffix">
+            <input
+              type="number"
+              className="input-field"
+              value={Math.round(params.confidenceLevel * 100)}
+              onChange={e => update('confidenceLevel', Math.min(99, Math.max(1, parseFloat(e.target.value) || 80)) / 100)}
+              step={5}
+              min={1}
+              max={99}
+            />
+            <span className="suffix">%</span>
+          </div>
+        </div>
+
         <div className="input-section">
           <label className="input-label">Lookback (years)</label>
           <input
@@ -136,7 +227,7 @@ export default function InputPanel({
           <div className="override-note">Leave blank to use data-driven estimates</div>
           <div className="input-grid">
             <div className="input-section">
-              <label className="input-label">Mean Growth (%)</label>
+              <label className="input-label">{params.multiStage ? 'High-Growth Mean (%)' : 'Mean Growth (%)'}</label>
               <input
                 type="text"
                 className="input-field"
@@ -146,7 +237,7 @@ export default function InputPanel({
               />
             </div>
             <div className="input-section">
-              <label className="input-label">Growth Vol (%)</label>
+              <label className="input-label">{params.multiStage ? 'High-Growth Vol (%)' : 'Growth Vol (%)'}</label>
               <input
                 type="text"
                 className="input-field"
@@ -185,7 +276,416 @@ export default function InputPanel({
                 placeholder="auto"
               />
             </div>
+            <div className="input-section">
+              <label className="input-label">Growth–P/E Corr.</label>
+              <input
+                type="text"
+                className="input-field"
+                value={params.overrideGrowthPECorrelation}
+                onChange={e => update('overrideGrowthPECorrelation', e.target.value)}
+                placeholder="auto (-1 to 1)"
+              />
+            </div>
+            <div className="input-section">
+              <label className="input-label">Dividend Yield %</label>
+              <input
+                type="text"
+                className="input-field"
+                value={params.overrideDividendYield}
+                onChange={e => update('overrideDividendYield', e.target.value)}
+                placeholder="auto"
+              />
+            </div>
+            <div className="input-section">
+              <label className="input-label">Payout Ratio %</label>
+              <input
+                type="text"
+                className="input-field"
+                value={params.overridePayoutRatio}
+                onChange={e => update('overridePayoutRatio', e.target.value)}
+                placeholder="auto (from yield)"
+              />
+            </div>
+            <div className="input-section">
+              <label className="input-label">Dividends</label>
+              <select
+                className="input-field"
+                value={params.dividendMode}
+                onChange={e => update('dividendMode', e.target.value)}
+              >
+                <option value="reinvest">Reinvest</option>
+                <option value="cash">Hold as cash</option>
+              </select>
+            </div>
+            <div className="input-section">
+              <label className="input-label">Random Seed</label>
+              <input
+                type="text"
+                className="input-field"
+                value={params.seed}
+                onChange={e => update('seed', e.target.value.replace(/[^0-9]/g, ''))}
+                placeholder="random"
+              />
+            </div>
+          </div>
+
+          <div className="input-grid">
+            <div className="input-section">
+              <label className="input-label">Growth Distribution</label>
+              <select
+                className="input-field"
+                value={params.growthDistType}
+                onChange={e => update('growthDistType', e.target.value)}
+              >
+                {DISTRIBUTION_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+              </select>
+            </div>
+            <div className="input-section">
+              <label className="input-label">P/E Distribution</label>
+              <select
+                className="input-field"
+                value={params.peDistType}
+                onChange={e => update('peDistType', e.target.value)}
+                disabled={params.peMeanReversion}
+                title={params.peMeanReversion ? 'Mean-reverting P/E sets its own (lognormal) terminal distribution' : undefined}
+              >
+                {DISTRIBUTION_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+              </select>
+            </div>
+            {params.growthDistType === 'studentT' && (
+              <div className="input-section">
+                <label className="input-label">Growth t d.o.f.</label>
+                <input
+                  type="number"
+                  className="input-field"
+                  value={params.growthDf}
+                  onChange={e => update('growthDf', Math.max(2.1, parseFloat(e.target.value) || 4))}
+                  min={2.1}
+                  step={1}
+                />
+              </div>
+            )}
+            {params.peDistType === 'studentT' && (
+              <div className="input-section">
+                <label className="input-label">P/E t d.o.f.</label>
+                <input
+                  type="number"
+                  className="input-field"
+                  value={params.peDf}
+                  onChange={e => update('peDf', Math.max(2.1, parseFloat(e.target.value) || 4))}
+                  min={2.1}
+                  step={1}
+                />
+              </div>
+            )}
           </div>
+
+          <label className="toggle-row">
+            <input
+              type="checkbox"
+              checked={params.pathMode}
+              onChange={e => update('pathMode', e.target.checked)}
+            />
+            <span>Year-by-year paths (draw growth annually)</span>
+          </label>
+          {params.pathMode && (
+            <div className="input-section">
+              <label className="input-label">Growth Autocorrelation</label>
+              <input
+                type="number"
+                className="input-field"
+                value={params.growthAutocorrelation}
+                onChange={e => update('growthAutocorrelation', Math.max(-0.95, Math.min(0.95, parseFloat(e.target.value) || 0)))}
+                step={0.1}
+                min={-0.95}
+                max={0.95}
+              />
+            </div>
+          )}
+
+          <label className="toggle-row">
+            <input
+              type="checkbox"
+              checked={params.multiStage}
+              onChange={e => update('multiStage', e.target.checked)}
+            />
+            <span>Multi-stage growth (high growth, linear fade, terminal rate)</span>
+          </label>
+          {params.multiStage && (
+            <div className="input-grid">
+              <div className="input-section">
+                <label className="input-label">High-Growth Years</label>
+                <input
+                  type="number"
+                  className="input-field"
+                  value={params.highGrowthYears}
+                  onChange={e => update('highGrowthYears', Math.max(0, parseInt(e.target.value) || 0))}
+                  min={0}
+                  max={20}
+                />
+              </div>
+              <div className="input-section">
+                <label className="input-label">Fade Years</label>
+                <input
+                  type="number"
+                  className="input-field"
+                  value={params.fadeYears}
+                  onChange={e => update('fadeYears', Math.max(0, parseInt(e.target.value) || 0))}
+                  min={0}
+                  max={20}
+                />
+              </div>
+              <div className="input-section">
+                <label className="input-label">Terminal Growth</label>
+                <div className="input-with-suffix">
+                  <input
+                    type="number"
+                    className="input-field"
+                    value={(params.terminalMeanGrowth * 100).toFixed(1)}
+                    onChange={e => update('terminalMeanGrowth', (parseFloat(e.target.value) || 0) / 100)}
+                    step={0.5}
+                  />
+                  <span className="suffix">%</span>
+                </div>
+              </div>
+              <div className="input-section">
+                <label className="input-label">Terminal Growth σ</label>
+                <div className="input-with-suffix">
+                  <input
+                    type="number"
+                    className="input-field"
+                    value={(params.terminalSigmaGrowth * 100).toFixed(1)}
+                    onChange={e => update('terminalSigmaGrowth', Math.max(0, parseFloat(e.target.value) || 0) / 100)}
+                    step={0.5}
+                    min={0}
+                  />
+                  <span className="suffix">%</span>
+                </div>
+              </div>
+            </div>
+          )}
+
+          <label className="toggle-row">
+            <input
+              type="checkbox"
+              checked={params.peMeanReversion}
+              onChange={e => update('peMeanReversion', e.target.checked)}
+            />
+            <span>Mean-reverting P/E (from today's multiple toward an anchor)</span>
+          </label>
+          {params.peMeanReversion && (
+            <div className="input-grid">
+              <div className="input-section">
+                <label className="input-label">P/E Anchor</label>
+                <select
+                  className="input-field"
+                  value={params.peAnchorSource}
+                  onChange={e => update('peAnchorSource', e.target.value)}
+                >
+                  <option value="historical">Historical median</option>
+                  <option value="industry">Industry P/E</option>
+                  <option value="custom">Custom</option>
+                </select>
+              </div>
+              {params.peAnchorSource === 'custom' && (
+                <div className="input-section">
+                  <label className="input-label">Anchor P/E</label>
+                  <input
+                    type="text"
+                    className="input-field"
+                    value={params.overridePEAnchor}
+                    onChange={e => update('overridePEAnchor', e.target.value)}
+                    placeholder="e.g. 30"
+                  />
+                </div>
+              )}
+              <div className="input-section">
+                <label className="input-label">Half-Life (years)</label>
+                <input
+                  type="text"
+                  className="input-field"
+                  value={params.overridePEHalfLife}
+                  onChange={e => update('overridePEHalfLife', e.target.value)}
+                  placeholder="auto (from P/E history)"
+                />
+              </div>
+            </div>
+          )}
+
+          <label className="toggle-row">
+            <input
+              type="checkbox"
+              checked={params.modelShareChange}
+              onChange={e => update('modelShareChange', e.target.checked)}
+            />
+            <span>Model share count separately (net income growth + dilution/buybacks)</span>
+          </label>
+          {params.modelShareChange && (
+            <div className="input-grid">
+              <div className="input-section">
+                <label className="input-label">Share Change %/yr</label>
+                <input
+                  type="text"
+                  className="input-field"
+                  value={params.overrideMeanShareChange}
+                  onChange={e => update('overrideMeanShareChange', e.target.value)}
+                  placeholder="auto (+ dilution, − buyback)"
+                />
+              </div>
+              <div className="input-section">
+                <label className="input-label">Share Change σ %</label>
+                <input
+                  type="text"
+                  className="input-field"
+                  value={params.overrideSigmaShareChange}
+                  onChange={e => update('overrideSigmaShareChange', e.target.value)}
+                  placeholder="auto"
+                />
+              </div>
+            </div>
+          )}
+
+          <label className="toggle-row">
+            <input
+              type="checkbox"
+              checked={params.benchmarkMode}
+              onChange={e => update('benchmarkMode', e.target.checked)}
+            />
+            <span>Benchmark against a market index (simulated alongside, correlated)</span>
+          </label>
+          {params.benchmarkMode && (
+            <div className="input-grid">
+              <div className="input-section">
+                <label className="input-label">Index Ticker (refetch)</label>
+                <input
+                  type="text"
+                  className="input-field"
+                  value={params.benchmarkTicker}
+                  onChange={e => update('benchmarkTicker', e.target.value.toUpperCase())}
+                  placeholder="^NSEI"
+                />
+              </div>
+              <div className="input-section">
+                <label className="input-label">Index Return %/yr</label>
+                <input
+                  type="text"
+                  className="input-field"
+                  value={params.overrideIndexReturn}
+                  onChange={e => update('overrideIndexReturn', e.target.value)}
+                  placeholder="auto (from index history)"
+                />
+              </div>
+              <div className="input-section">
+                <label className="input-label">Index Vol %</label>
+                <input
+                  type="text"
+                  className="input-field"
+                  value={params.overrideIndexSigma}
+                  onChange={e => update('overrideIndexSigma', e.target.value)}
+                  placeholder="auto"
+                />
+              </div>
+              <div className="input-section">
+                <label className="input-label">Stock–Index Correlation</label>
+                <input
+                  type="text"
+                  className="input-field"
+                  value={params.overrideIndexCorrelation}
+                  onChange={e => update('overrideIndexCorrelation', e.target.value)}
+                  placeholder="auto (monthly returns)"
+                />
+              </div>
+            </div>
+          )}
+
+          <label className="toggle-row">
+            <input
+              type="checkbox"
+              checked={params.postTax}
+              onChange={e => update('postTax', e.target.checked)}
+            />
+            <span>Compare with the FD after tax (slab rate on interest and dividends, LTCG/STCG on the sale)</span>
+          </label>
+          {params.postTax && (
+            <div className="input-grid">
+              <div className="input-section">
+                <label className="input-label">Amount Invested</label>
+                <input
+                  type="number"
+                  className="input-field"
+                  value={params.investmentAmount}
+                  onChange={e => update('investmentAmount', parseFloat(e.target.value) || 100000)}
+                  min={1000}
+                  step={10000}
+                />
+              </div>
+              {TAX_FIELDS.map(field => (
+                <div key={field.key} className="input-section">
+                  <label className="input-label">{field.label}</label>
+                  <input
+                    type="text"
+                    className="input-field"
+                    value={params[field.key]}
+                    onChange={e => update(field.key, e.target.value)}
+                    placeholder={taxRules ? `${field.format(taxRules[field.rule])} (default)` : 'default'}
+                  />
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="input-grid">
+            <div className="input-section">
+              <label className="input-label">Sampling</label>
+              <select
+                className="input-field"
+                value={params.samplingMethod}
+                onChange={e => update('samplingMethod', e.target.value)}
+              >
+                {SAMPLING_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+              </select>
+            </div>
+          </div>
+
+          <label className="toggle-row">
+            <input
+              type="checkbox"
+              checked={params.adaptive}
+              onChange={e => update('adaptive', e.target.checked)}
+            />
+            <span>Adaptive simulation count (add batches until the results are precise enough)</span>
+          </label>
+          {params.adaptive && (
+            <div className="input-grid">
+              <div className="input-section">
+                <label className="input-label">Target Precision (±)</label>
+                <div className="input-with-suffix">
+                  <input
+                    type="number"
+                    className="input-field"
+                    value={(params.targetPrecision * 100).toFixed(1)}
+                    onChange={e => update('targetPrecision', parseFloat(e.target.value) / 100 || 0.005)}
+                    step={0.1}
+                    min={0.1}
+                    max={5}
+                  />
+                  <span className="suffix">pp</span>
+                </div>
+              </div>
+              <div className="input-section">
+                <label className="input-label">Max Simulations</label>
+                <input
+                  type="number"
+                  className="input-field"
+                  value={params.maxSimulations}
+                  onChange={e => update('maxSimulations', parseInt(e.target.value) || 50000)}
+                  min={1000}
+                  max={50000}
+                  step={10000}
+                />
+              </div>
+            </div>
+          )}
         </div>
       )}
 
@@ -197,7 +697,9 @@ export default function InputPanel({
         {isLoadingSimulation ? (
           <>
             <span className="spinner" />
-            Running {params.numSimulations.toLocaleString()} simulations...
+            {params.adaptive
+              ? `Running up to ${params.maxSimulations.toLocaleString()} simulations...`
+              : `Running ${params.numSimulations.toLocaleString()} simulations...`}
           </>
         ) : (
           <>
@@ -0,0 +1,111 @@
+import { Scale, Target, ShieldCheck } from 'lucide-react';
+import type { SimulationOutput } from '../types';
+
+interface IntrinsicValueProps {
+  result: SimulationOutput;
+  currency: string;
+}
+
+export default function IntrinsicValue({ result, currency }: IntrinsicValueProps) {
+  const { valuation, inputParams } = result;
+
+  const formatCurrency = (val: number) =>
+    new Intl.NumberFormat('en-IN', {
+      style: 'currency',
+      currency: currency || 'INR',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0
+    }).format(val);
+
+  const formatPct = (val: number) => `${(val * 100).toFixed(1)}%`;
+
+  const entryDiscount = (inputParams.price0 - valuation.entryPrice) / inputParams.price0;
+
+  return (
+    <div className="intrinsic-value-section">
+      <h2>Intrinsic Value</h2>
+      <p className="section-description">
+        Every simulated outcome discounted back to today at a {formatPct(valuation.requiredReturn)} required return.
+      </p>
+
+      <div className="headline-cards">
+        <div className={`headline-card ${valuation.marginOfSafety >= 0 ? 'positive' : 'negative'}`}>
+          <div className="headline-icon">
+            <Scale size={24} />
+          </div>
+          <div className="headline-content">
+            <div className="headline-label">Median Fair Value</div>
+            <div className="headline-value">{formatCurrency(valuation.fairValue.p50)}</div>
+            <div className="headline-sub">
+              Margin of safety {valuation.marginOfSafety >= 0 ? '+' : ''}{formatPct(valuation.marginOfSafety)}
+            </div>
+          </div>
+        </div>
+
+        <div className={`headline-card ${valuation.probUndervalued >= 0.5 ? 'positive' : 'warning'}`}>
+          <div className="headline-icon">
+            <ShieldCheck size={24} />
+          </div>
+          <div className="headline-content">
+            <div className="headline-label">Prob. Undervalued</div>
+            <div className="headline-value">{formatPct(valuation.probUndervalued)}</div>
+            <div className="headline-sub">
+              Current {formatCurrency(inputParams.price0)} below fair value
+            </div>
+          </div>
+        </div>
+
+        <div className={`headline-card ${entryDiscount <= 0 ? 'positive' : 'warning'}`}>
+          <div className="headline-icon">
+            <Target size={24} />
+          </div>
+          <div className="headline-content">
+            <div className="headline-label">Entry Price ({formatPct(valuation.confidenceLevel)} confidence)</div>
+            <div className="headline-value">{formatCurrency(valuation.entryPrice)}</div>
+            <div className="headline-sub">
+              {entryDiscount > 0
+                ? `${formatPct(entryDiscount)} below current price`
+                : `${formatPct(-entryDiscount)} above current price`}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="percentile-tables single">
+        <div className="percentile-table">
+          <h3>Fair Value Distribution</h3>
+          <table>
+            <thead>
+              <tr>
+                <th>Percentile</th>
+                <th>Fair Value</th>
+                <th>vs Current</th>
+              </tr>
+            </thead>
+            <tbody>
+              {[
+                { label: 'P10 (Bear)', key: 'p10' as const },
+                { label: 'P25', key: 'p25' as const },
+                { label: 'P50 (Median)', key: 'p50' as const },
+                { label: 'P75', key: 'p75' as const },
+                { label: 'P90 (Bull)', key: 'p90' as const }
+              ].map(row => {
+                const val = valuation.fairValue[row.key];
+                const pctChange = ((val - inputParams.price0) / inputParams.price0) * 100;
+                return (
+                  <tr key={row.key} className={row.key === 'p50' ? 'highlight-row' : ''}>
+                    <td>{row.label}</td>
+                    <td className="mono">{formatCurrency(val)}</td>
+                    <td className={`mono ${pctChange >= 0 ? 'text-green' : 'text-red'}`}>
+                      {pctChange >= 0 ? '+' : ''}{pctChange.toFixed(1)}%
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,174 @@
+import { Play, Plus, X } from 'lucide-react';
+import type { PortfolioParams, PortfolioHolding } from '../types';
+
+interface PortfolioPanelProps {
+  params: PortfolioParams;
+  onParamsChange: (params: PortfolioParams) => void;
+  onRunPortfolio: () => void;
+  isLoading: boolean;
+}
+
+export default function PortfolioPanel({
+  params,
+  onParamsChange,
+  onRunPortfolio,
+  isLoading
+}: PortfolioPanelProps) {
+  const update = (key: keyof PortfolioParams, value: string | number | PortfolioHolding[]) => {
+    onParamsChange({ ...params, [key]: value });
+  };
+
+  const updateHolding = (index: number, holding: PortfolioHolding) => {
+    update('holdings', params.holdings.map((h, i) => (i === index ? holding : h)));
+  };
+
+  const totalWeight = params.holdings.reduce((a, h) => a + h.weight, 0);
+  const canRun = params.holdings.length > 0 && params.holdings.every(h => h.ticker && h.weight > 0);
+
+  return (
+    <div className="input-panel">
+      <div className="panel-header">
+        <h2>Portfolio</h2>
+      </div>
+
+      <div className="input-section">
+        <label className="input-label">Holdings (weights are normalised)</label>
+        {params.holdings.map((h, i) => (
+          <div key={i} className="holding-row">
+            <input
+              type="text"
+              className="input-field ticker-input"
+              value={h.ticker}
+              onChange={e => updateHolding(i, { ...h, ticker: e.target.value.toUpperCase() })}
+              placeholder="e.g. VINATIORGA.NS"
+            />
+            <div className="input-with-suffix holding-weight">
+              <input
+                type="number"
+                className="input-field"
+                value={h.weight}
+                onChange={e => updateHolding(i, { ...h, weight: Math.max(0, parseFloat(e.target.value) || 0) })}
+                min={0}
+                step={5}
+              />
+              <span className="suffix">%</span>
+            </div>
+            <button
+              className="btn btn-outline btn-icon"
+              onClick={() => update('holdings', params.holdings.filter((_, j) => j !== i))}
+              title="Remove holding"
+            >
+              <X size={14} />
+            </button>
+          </div>
+        ))}
+        <div className="holding-footer">
+          <button
+            className="btn btn-outline btn-add-holding"
+            onClick={() => update('holdings', [...params.holdings, { ticker: '', weight: 10 }])}
+          >
+            <Plus size={14} />
+            Add holding
+          </button>
+          <span className="holding-total">Total {totalWeight.toFixed(0)}%</span>
+        </div>
+      </div>
+
+      <div className="input-grid">
+        <div className="input-section">
+          <label className="input-label">Horizon (years)</label>
+          <input
+            type="number"
+            className="input-field"
+            value={params.years}
+            onChange={e => update('years', parseInt(e.target.value) || 5)}
+            min={1}
+            max={20}
+          />
+        </div>
+
+        <div className="input-section">
+          <label className="input-label">Simulations</label>
+          <input
+            type="number"
+            className="input-field"
+            value={params.numSimulations}
+            onChange={e => update('numSimulations', parseInt(e.target.value) || 10000)}
+            min={1000}
+            max={20000}
+            step={1000}
+          />
+        </div>
+
+        <div className="input-section">
+          <label className="input-label">FD Hurdle Rate</label>
+          <div className="input-with-suffix">
+            <input
+              type="number"
+              className="input-field"
+              value={(params.fdRate * 100).toFixed(1)}
+              onChange={e => update('fdRate', parseFloat(e.target.value) / 100 || 0.07)}
+              step={0.5}
+              min={0}
+              max={30}
+            />
+            <span className="suffix">%</span>
+          </div>
+        </div>
+
+        <div className="input-section">
+          <label className="input-label">Capital</label>
+          <input
+            type="number"
+            className="input-field"
+            value={params.capital}
+            onChange={e => update('capital', parseFloat(e.target.value) || 100000)}
+            min={1}
+            step={10000}
+          />
+        </div>
+
+        <div className="input-section">
+          <label className="input-label">Lookback (years)</label>
+          <input
+            type="number"
+            className="input-field"
+            value={params.lookbackYears}
+            onChange={e => update('lookbackYears', parseInt(e.target.value) || 8)}
+            min={3}
+            max={20}
+          />
+        </div>
+
+        <div className="input-section">
+          <label className="input-label">Random Seed</label>
+          <input
+            type="text"
+            className="input-field"
+            value={params.seed}
+            onChange={e => update('seed', e.target.value.replace(/[^0-9]/g, ''))}
+            placeholder="random"
+          />
+        </div>
+      </div>
+
+      <button
+        className="btn btn-accent btn-simulate"
+        onClick={onRunPortfolio}
+        disabled={!canRun || isLoading}
+      >
+        {isLoading ? (
+          <>
+            <span className="spinner" />
+            Simulating {params.holdings.length} holdings...
+          </>
+        ) : (
+          <>
+            <Play size={16} />
+            Run Portfolio Simulation
+          </>
+        )}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,262 @@
+import {
+  AreaChart, Area, XAxis, YAxis, Tooltip, ResponsiveContainer, ReferenceLine, CartesianGrid
+} from 'recharts';
+import { TrendingUp, TrendingDown, Shield, AlertCircle, AlertTriangle } from 'lucide-react';
+import type { PortfolioOutput } from '../types';
+
+interface PortfolioResultsProps {
+  result: PortfolioOutput;
+}
+
+export default function PortfolioResults({ result }: PortfolioResultsProps) {
+  const { summary, holdings, correlation, distributions, inputParams, warnings } = result;
+
+  const formatCurrency = (val: number) =>
+    new Intl.NumberFormat('en-IN', {
+      style: 'currency',
+      currency: 'INR',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0
+    }).format(val);
+
+  const formatPct = (val: number) => `${(val * 100).toFixed(1)}%`;
+
+  const valueData = distributions.value.map(bin => ({
+    value: bin.binMid,
+    frequency: bin.frequency
+  }));
+
+  const medianGain = (summary.value.p50 - summary.capital) / summary.capital;
+  const maxRisk = Math.max(...holdings.map(h => Math.abs(h.riskContribution)), 0.01);
+
+  // Diverging colour for the correlation heatmap: red for +1, blue for -1
+  const correlationColor = (rho: number) =>
+    rho >= 0 ? `rgba(255, 107, 107, ${(rho * 0.6).toFixed(2)})` : `rgba(72, 219, 251, ${(-rho * 0.6).toFixed(2)})`;
+
+  return (
+    <>
+      <div className="simulation-summary">
+        <div className="summary-header">
+          <h2>Portfolio Results</h2>
+          <div className="sim-meta">
+            {holdings.length} holdings &middot; {summary.numSimulations.toLocaleString()} simulations &middot; {summary.years}Y horizon &middot; seed {inputParams.seed}
+          </div>
+        </div>
+
+        {warnings.length > 0 && (
+          <div className="warnings-container">
+            {warnings.map((w, i) => (
+              <div key={i} className="warning-item">
+                <AlertTriangle size={14} />
+                <span>{w}</span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="headline-cards">
+          <div className={`headline-card ${medianGain >= 0 ? 'positive' : 'negative'}`}>
+            <div className="headline-icon">
+              {medianGain >= 0 ? <TrendingUp size={24} /> : <TrendingDown size={24} />}
+            </div>
+            <div className="headline-content">
+              <div className="headline-label">Median Terminal Value</div>
+              <div className="headline-value">{formatCurrency(summary.value.p50)}</div>
+              <div className="headline-sub">
+                {medianGain >= 0 ? '+' : ''}{formatPct(medianGain)} on {formatCurrency(summary.capital)}
+              </div>
+            </div>
+          </div>
+
+          <div className={`headline-card ${summary.cagr.p50 >= summary.fdRate ? 'positive' : 'warning'}`}>
+            <div className="headline-icon">
+              <TrendingUp size={24} />
+            </div>
+            <div className="headline-content">
+              <div className="headline-label">Median Portfolio CAGR</div>
+              <div className="headline-value">{formatPct(summary.cagr.p50)}</div>
+              <div className="headline-sub">vs FD hurdle {formatPct(summary.fdRate)}</div>
+            </div>
+          </div>
+
+          <div className={`headline-card ${summary.probBeatsFD >= 0.5 ? 'positive' : 'warning'}`}>
+            <div className="headline-icon">
+              <Shield size={24} />
+            </div>
+            <div className="headline-content">
+              <div className="headline-label">Prob. Beats FD</div>
+              <div className="headline-value">{formatPct(summary.probBeatsFD)}</div>
+              <div className="headline-sub">FD target: {formatCurrency(summary.fdTarget)}</div>
+            </div>
+          </div>
+
+          <div className={`headline-card ${summary.probLoss <= 0.2 ? 'positive' : 'negative'}`}>
+            <div className="headline-icon">
+              <AlertCircle size={24} />
+            </div>
+            <div className="headline-content">
+              <div className="headline-label">Prob. of Loss</div>
+              <div className="headline-value">{formatPct(summary.probLoss)}</div>
+              <div className="headline-sub">Value below {formatCurrency(summary.capital)}</div>
+            </div>
+          </div>
+        </div>
+
+        <div className="percentile-tables">
+          <div className="percentile-table">
+            <h3>Terminal Value Percentiles</h3>
+            <table>
+              <thead>
+                <tr>
+                  <th>Percentile</th>
+                  <th>Value</th>
+                  <th>CAGR</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[
+                  { label: 'P10 (Bear)', key: 'p10' as const },
+                  { label: 'P25', key: 'p25' as const },
+                  { label: 'P50 (Median)', key: 'p50' as const },
+                  { label: 'P75', key: 'p75' as const },
+                  { label: 'P90 (Bull)', key: 'p90' as const }
+                ].map(row => (
+                  <tr key={row.key} className={row.key === 'p50' ? 'highlight-row' : ''}>
+                    <td>{row.label}</td>
+                    <td className="mono">{formatCurrency(summary.value[row.key])}</td>
+                    <td className={`mono ${summary.cagr[row.key] >= 0 ? 'text-green' : 'text-red'}`}>
+                      {formatPct(summary.cagr[row.key])}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="chart-card">
+            <h3>Terminal Value Distribution ({summary.years}Y)</h3>
+            <ResponsiveContainer width="100%" height={240}>
+              <AreaChart data={valueData} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.06)" />
+                <XAxis
+                  dataKey="value"
+                  tickFormatter={(v: number) => `${(v / 1000).toFixed(0)}K`}
+                  stroke="rgba(255,255,255,0.4)"
+                  fontSize={11}
+                />
+                <YAxis
+                  tickFormatter={(v: number) => `${(v * 100).toFixed(1)}%`}
+                  stroke="rgba(255,255,255,0.4)"
+                  fontSize={11}
+                />
+                <Tooltip
+                  formatter={(value: unknown) => [`${(Number(value) * 100).toFixed(2)}%`, 'Probability']}
+                  labelFormatter={(label: unknown) => `Value: ${formatCurrency(Number(label))}`}
+                  contentStyle={{ background: '#1a1a2e', border: '1px solid rgba(255,255,255,0.1)', borderRadius: 8 }}
+                />
+                <defs>
+                  <linearGradient id="portfolioGradient" x1="0" y1="0" x2="0" y2="1">
+                    <stop offset="5%" stopColor="#6c5ce7" stopOpacity={0.8} />
+                    <stop offset="95%" stopColor="#6c5ce7" stopOpacity={0.1} />
+                  </linearGradient>
+                </defs>
+                <Area type="monotone" dataKey="frequency" stroke="#6c5ce7" fill="url(#portfolioGradient)" strokeWidth={2} />
+                <ReferenceLine
+                  x={summary.capital}
+                  stroke="#ff6b6b"
+                  strokeDasharray="4 4"
+                  label={{ value: 'Capital', fill: '#ff6b6b', fontSize: 11, position: 'top' }}
+                />
+                <ReferenceLine
+                  x={summary.fdTarget}
+                  stroke="#feca57"
+                  strokeDasharray="4 4"
+                  label={{ value: 'FD Target', fill: '#feca57', fontSize: 11, position: 'top' }}
+                />
+              </AreaChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      </div>
+
+      <div className="portfolio-section">
+        <h2>Holdings &amp; Risk Contribution</h2>
+        <p className="section-description">
+          Each holding's share of the variance of the portfolio's terminal return (weight × covariance with the portfolio),
+          which sums to 100%. A contribution above the weight means the holding adds more risk than capital.
+        </p>
+        <div className="percentile-table">
+          <table>
+            <thead>
+              <tr>
+                <th>Holding</th>
+                <th>Weight</th>
+                <th>Median CAGR</th>
+                <th>Return Vol.</th>
+                <th>Risk Contribution</th>
+              </tr>
+            </thead>
+            <tbody>
+              {holdings.map(h => (
+                <tr key={h.ticker}>
+                  <td>
+                    <div className="mono">{h.ticker}</div>
+                    <div className="holding-name">{h.companyName}</div>
+                  </td>
+                  <td className="mono">{formatPct(h.weight)}</td>
+                  <td className={`mono ${h.medianCagr >= 0 ? 'text-green' : 'text-red'}`}>{formatPct(h.medianCagr)}</td>
+                  <td className="mono">{formatPct(h.volatility)}</td>
+                  <td>
+                    <div className="bar-track risk-track">
+                      <div
+                        className="bar-fill"
+                        style={{
+                          width: `${(Math.abs(h.riskContribution) / maxRisk) * 100}%`,
+                          background: h.riskContribution > h.weight ? '#ff6b6b' : '#00d2d3'
+                        }}
+                      >
+                        <span className="bar-value">{formatPct(h.riskContribution)}</span>
+                      </div>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {correlation.tickers.length > 1 && (
+        <div className="portfolio-section">
+          <h2>Return Correlation</h2>
+          <p className="section-description">
+            Monthly return correlations (at least {correlation.dataPoints} overlapping months per pair) used to couple the holdings' outcomes.
+            {correlation.shrinkage > 0 && ` Shrunk ${formatPct(correlation.shrinkage)} toward zero to keep the matrix consistent.`}
+          </p>
+          <div className="scenario-table-wrapper">
+            <table className="scenario-table correlation-table">
+              <thead>
+                <tr>
+                  <th className="corner-cell" />
+                  {correlation.tickers.map(t => <th key={t} className="pe-header">{t}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {correlation.matrix.map((row, i) => (
+                  <tr key={correlation.tickers[i]}>
+                    <td className="growth-header">{correlation.tickers[i]}</td>
+                    {row.map((rho, j) => (
+                      <td key={j} className="mono" style={{ background: correlationColor(rho) }}>
+                        {rho.toFixed(2)}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
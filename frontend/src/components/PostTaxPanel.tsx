@@ -0,0 +1,119 @@
+import { Landmark, Receipt, Wallet } from 'lucide-react';
+import type { SimulationOutput } from '../types';
+
+interface PostTaxPanelProps {
+  result: SimulationOutput;
+  currency: string;
+}
+
+export default function PostTaxPanel({ result, currency }: PostTaxPanelProps) {
+  const { summary } = result;
+  const postTax = summary.postTax;
+  if (!postTax) return null;
+  const { rules } = postTax;
+
+  const formatCurrency = (val: number) =>
+    new Intl.NumberFormat('en-IN', {
+      style: 'currency',
+      currency: currency || 'INR',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0
+    }).format(val);
+
+  const formatPct = (val: number) => `${(val * 100).toFixed(1)}%`;
+  const formatRate = (val: number) => `${+(val * 100).toFixed(2)}%`;
+
+  const gainsRule = postTax.holding === 'long'
+    ? `LTCG ${formatRate(rules.ltcgRate)} above ${formatCurrency(rules.ltcgExemption)}`
+    : `STCG ${formatRate(rules.stcgRate)} (held under ${rules.ltcgMinYears}Y)`;
+  const taxChange = postTax.probBeatsFD - summary.probBeatsFD;
+
+  return (
+    <div className="post-tax-section">
+      <h2>After Tax vs FD</h2>
+      <p className="section-description">
+        {formatCurrency(postTax.investmentAmount)} in the stock or in the FD. FD interest is taxed every year at the
+        {' '}{formatRate(rules.slabRate)} slab rate; the stock pays slab tax on dividends and {gainsRule} on the sale, plus
+        {' '}{formatRate(rules.cess)} cess throughout. Surcharge is not modelled.
+      </p>
+
+      <div className="headline-cards">
+        <div className={`headline-card ${postTax.probBeatsFD >= 0.5 ? 'positive' : 'warning'}`}>
+          <div className="headline-icon">
+            <Landmark size={24} />
+          </div>
+          <div className="headline-content">
+            <div className="headline-label">Post-Tax Prob. Beats FD</div>
+            <div className="headline-value">{formatPct(postTax.probBeatsFD)}</div>
+            <div className="headline-sub">
+              {taxChange >= 0 ? '+' : ''}{(taxChange * 100).toFixed(1)}pp vs {formatPct(summary.probBeatsFD)} before tax
+            </div>
+          </div>
+        </div>
+
+        <div className={`headline-card ${postTax.wealth.p50 >= postTax.fdWealth ? 'positive' : 'warning'}`}>
+          <div className="headline-icon">
+            <Wallet size={24} />
+          </div>
+          <div className="headline-content">
+            <div className="headline-label">Median Post-Tax Wealth</div>
+            <div className="headline-value">{formatCurrency(postTax.wealth.p50)}</div>
+            <div className="headline-sub">
+              FD after tax: {formatCurrency(postTax.fdWealth)} ({formatPct(postTax.fdRate)} a year)
+            </div>
+          </div>
+        </div>
+
+        <div className="headline-card warning">
+          <div className="headline-icon">
+            <Receipt size={24} />
+          </div>
+          <div className="headline-content">
+            <div className="headline-label">Median Tax on the Stock</div>
+            <div className="headline-value">{formatCurrency(postTax.tax.p50)}</div>
+            <div className="headline-sub">
+              The FD loses {formatCurrency(postTax.investmentAmount * Math.pow(1 + summary.fdRate, summary.years) - postTax.fdWealth)} to tax
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="percentile-tables">
+        <div className="percentile-table">
+          <h3>Post-Tax Outcome</h3>
+          <table>
+            <thead>
+              <tr>
+                <th>Percentile</th>
+                <th>Wealth</th>
+                <th>CAGR</th>
+                <th>vs FD</th>
+              </tr>
+            </thead>
+            <tbody>
+              {[
+                { label: 'P10 (Bear)', key: 'p10' as const },
+                { label: 'P25', key: 'p25' as const },
+                { label: 'P50 (Median)', key: 'p50' as const },
+                { label: 'P75', key: 'p75' as const },
+                { label: 'P90 (Bull)', key: 'p90' as const }
+              ].map(row => {
+                const diff = postTax.cagr[row.key] - postTax.fdRate;
+                return (
+                  <tr key={row.key} className={row.key === 'p50' ? 'highlight-row' : ''}>
+                    <td>{row.label}</td>
+                    <td className="mono">{formatCurrency(postTax.wealth[row.key])}</td>
+                    <td className="mono">{formatPct(postTax.cagr[row.key])}</td>
+                    <td className={`mono ${diff >= 0 ? 'text-green' : 'text-red'}`}>
+                      {diff >= 0 ? '+' : ''}{(diff * 100).toFixed(1)}pp
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
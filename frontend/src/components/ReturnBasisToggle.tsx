@@ -0,0 +1,30 @@
+import type { ReactNode } from 'react';
+import type { ReturnBasis } from '../types';
+
+interface ReturnBasisToggleProps {
+  value: ReturnBasis;
+  onChange: (basis: ReturnBasis) => void;
+  children?: ReactNode;
+}
+
+const BASES: Array<{ key: ReturnBasis; label: string }> = [
+  { key: 'nominal', label: 'Nominal' },
+  { key: 'real', label: 'Real (after inflation)' }
+];
+
+export default function ReturnBasisToggle({ value, onChange, children }: ReturnBasisToggleProps) {
+  return (
+    <div className="metric-toggle return-basis-toggle">
+      {BASES.map(b => (
+        <button
+          key={b.key}
+          className={`metric-toggle-btn ${value === b.key ? 'active' : ''}`}
+          onClick={() => onChange(b.key)}
+        >
+          {b.label}
+        </button>
+      ))}
+      {children && <span className="sim-meta">{children}</span>}
+    </div>
+  );
+}
@@ -0,0 +1,179 @@
+import { useState } from 'react';
+import { Crosshair } from 'lucide-react';
+import type { SolveOutput, SolveVariable, SolveMetric, SolveTarget, HistoryComparison } from '../types';
+
+interface ReverseSolverProps {
+  result: SolveOutput | null;
+  currency: string;
+  isLoading: boolean;
+  onSolve: (solveFor: SolveVariable, target: SolveTarget) => void;
+}
+
+const VARIABLE_OPTIONS: Array<{ value: SolveVariable; label: string }> = [
+  { value: 'meanGrowth', label: 'Mean Growth' },
+  { value: 'meanPE', label: 'Mean Exit P/E' },
+  { value: 'price0', label: 'Entry Price' }
+];
+
+const METRIC_OPTIONS: Array<{ value: SolveMetric; label: string }> = [
+  { value: 'probBeatsFD', label: 'P(Beat FD)' },
+  { value: 'medianCagr', label: 'Median CAGR' },
+  { value: 'pricePercentile', label: 'Price Percentile' }
+];
+
+const HISTORY_LABELS: Record<HistoryComparison['distribution'], string> = {
+  growth: 'EPS growth',
+  netIncomeGrowth: 'net income growth',
+  pe: 'P/E'
+};
+
+export default function ReverseSolver({ result, currency, isLoading, onSolve }: ReverseSolverProps) {
+  const [solveFor, setSolveFor] = useState<SolveVariable>('meanGrowth');
+  const [metric, setMetric] = useState<SolveMetric>('probBeatsFD');
+  const [targetValue, setTargetValue] = useState('60');
+  const [percentile, setPercentile] = useState(50);
+
+  const formatCurrency = (val: number) =>
+    new Intl.NumberFormat('en-IN', {
+      style: 'currency',
+      currency: currency || 'INR',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0
+    }).format(val);
+  const formatPct = (val: number) => `${(val * 100).toFixed(1)}%`;
+
+  const formatVariable = (variable: SolveVariable, val: number) =>
+    variable === 'meanGrowth' ? formatPct(val) : variable === 'meanPE' ? `${val.toFixed(1)}x` : formatCurrency(val);
+  const formatMetric = (target: SolveTarget, val: number) =>
+    target.metric === 'pricePercentile' ? formatCurrency(val) : formatPct(val);
+  const describeTarget = (target: SolveTarget) =>
+    target.metric === 'probBeatsFD' ? `a ${formatPct(target.value)} chance of beating the FD`
+      : target.metric === 'medianCagr' ? `a ${formatPct(target.value)} median CAGR`
+        : `a P${target.percentile} terminal price of ${formatCurrency(target.value)}`;
+
+  // The terminal price does not depend on what you pay, so that pairing is not offered
+  const metricOptions = solveFor === 'price0' ? METRIC_OPTIONS.filter(m => m.value !== 'pricePercentile') : METRIC_OPTIONS;
+  const parsedValue = parseFloat(targetValue);
+
+  const submit = () => {
+    if (!Number.isFinite(parsedValue)) return;
+    onSolve(solveFor, metric === 'pricePercentile'
+      ? { metric, value: parsedValue, percentile }
+      : { metric, value: parsedValue / 100 });
+  };
+
+  const renderHistory = (res: SolveOutput) => {
+    if (!res.history || res.solution == null) return null;
+    if ('premium' in res.history) {
+      return (
+        <>
+          That is {formatPct(Math.abs(res.history.premium))} {res.history.premium < 0 ? 'below' : 'above'} the
+          current price of {formatCurrency(res.history.currentPrice)}.
+        </>
+      );
+    }
+    const h = res.history;
+    const format = (val: number) => formatVariable(res.solveFor, val);
+    return (
+      <>
+        Historical {HISTORY_LABELS[h.distribution]} is {format(h.historicalMean)} ± {format(h.historicalSigma)}
+        {h.zScore != null && `, so the implied value is ${Math.abs(h.zScore).toFixed(2)}σ ${h.zScore >= 0 ? 'above' : 'below'} it`}
+        {h.percentileRank != null && ` and at or above ${formatPct(h.percentileRank)} of the ${h.dataPoints} historical observations`}.
+        {h.zScore != null && h.zScore > 1 && ' The target needs a better run than the stock has usually delivered.'}
+        {h.zScore != null && h.zScore <= 0 && ' The stock has usually done at least this well.'}
+      </>
+    );
+  };
+
+  return (
+    <div className="solver-section">
+      <h2>What Do I Have to Believe?</h2>
+      <p className="section-description">
+        Works the simulation backwards: picks a target and finds the mean growth, mean P/E or entry price that just reaches it,
+        holding every other input and the seed fixed.
+      </p>
+
+      <div className="solver-card">
+        <div className="solver-form">
+          <div className="input-section">
+            <label className="input-label">Solve For</label>
+            <select
+              className="input-field"
+              value={solveFor}
+              onChange={e => {
+                const next = e.target.value as SolveVariable;
+                setSolveFor(next);
+                if (next === 'price0' && metric === 'pricePercentile') setMetric('probBeatsFD');
+              }}
+            >
+              {VARIABLE_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+            </select>
+          </div>
+
+          <div className="input-section">
+            <label className="input-label">Target</label>
+            <select className="input-field" value={metric} onChange={e => setMetric(e.target.value as SolveMetric)}>
+              {metricOptions.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+            </select>
+          </div>
+
+          {metric === 'pricePercentile' && (
+            <div className="input-section">
+              <label className="input-label">Percentile</label>
+              <select className="input-field" value={percentile} onChange={e => setPercentile(parseInt(e.target.value))}>
+                {[10, 25, 50, 75, 90].map(p => <option key={p} value={p}>P{p}</option>)}
+              </select>
+            </div>
+          )}
+
+          <div className="input-section">
+            <label className="input-label">Target Value</label>
+            <div className="input-with-suffix">
+              <input
+                type="number"
+                className="input-field"
+                value={targetValue}
+                onChange={e => setTargetValue(e.target.value)}
+                step={metric === 'pricePercentile' ? 10 : 1}
+              />
+              {metric !== 'pricePercentile' && <span className="suffix">%</span>}
+            </div>
+          </div>
+
+          <button className="btn btn-primary" onClick={submit} disabled={isLoading || !Number.isFinite(parsedValue)}>
+            <Crosshair size={16} />
+            {isLoading ? 'Solving…' : 'Solve'}
+          </button>
+        </div>
+
+        {result && (
+          result.solution == null ? (
+            <div className="sensitivity-insight solver-result">
+              <strong>Not reachable:</strong> {describeTarget(result.target)} is out of range. Between{' '}
+              {formatVariable(result.solveFor, result.bracket.low)} and {formatVariable(result.solveFor, result.bracket.high)} the
+              target metric only moves from {formatMetric(result.target, result.bracket.metricAtLow)} to{' '}
+              {formatMetric(result.target, result.bracket.metricAtHigh)}.
+            </div>
+          ) : (
+            <div className="solver-result">
+              <div className="headline-label">Implied {VARIABLE_OPTIONS.find(o => o.value === result.solveFor)?.label}</div>
+              <div className="headline-value">{formatVariable(result.solveFor, result.solution)}</div>
+              <div className="headline-sub">
+                for {describeTarget(result.target)} (achieved {formatMetric(result.target, result.achieved ?? 0)}; your input
+                {' '}{formatVariable(result.solveFor, result.baseline.value)} gives {formatMetric(result.target, result.baseline.metric)})
+              </div>
+              <div className="sensitivity-insight">
+                {renderHistory(result)}
+                {!result.history && 'No stock history was available to compare against.'}
+              </div>
+              <div className="sim-meta">
+                {result.iterations} trials &middot; {result.inputParams.numSimulations.toLocaleString()} sims each &middot; seed {result.inputParams.seed}
+                {!result.converged && ' · stopped before converging'}
+              </div>
+            </div>
+          )
+        )}
+      </div>
+    </div>
+  );
+}
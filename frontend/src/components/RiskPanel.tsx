@@ -0,0 +1,132 @@
+import { ShieldAlert, TrendingDown, Activity } from 'lucide-react';
+import type { SimulationOutput } from '../types';
+
+interface RiskPanelProps {
+  result: SimulationOutput;
+  currency: string;
+}
+
+export default function RiskPanel({ result, currency }: RiskPanelProps) {
+  const { risk, summary, inputParams } = result;
+
+  const formatCurrency = (val: number) =>
+    new Intl.NumberFormat('en-IN', {
+      style: 'currency',
+      currency: currency || 'INR',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0
+    }).format(val);
+
+  const formatPct = (val: number) => `${(val * 100).toFixed(1)}%`;
+  const formatLevel = (level: number) => `${+(level * 100).toFixed(1)}%`;
+
+  // Losses are positive; a negative VaR means even that tail ends up ahead
+  const formatLoss = (val: number, format: (v: number) => string) => (val >= 0 ? format(val) : `gain ${format(-val)}`);
+
+  // The strictest level drives the headline card
+  const worst = risk.valueAtRisk[risk.valueAtRisk.length - 1];
+  const worstLossShare = worst ? worst.price.cvar / inputParams.price0 : 0;
+
+  return (
+    <div className="risk-section">
+      <h2>Downside Risk</h2>
+      <p className="section-description">
+        Value-at-Risk is the loss the worst {worst ? formatLevel(1 - worst.level) : '—'} of outcomes reach; CVaR (expected
+        shortfall) is the average loss across them. Shortfall, downside deviation and loss odds count dividends.
+      </p>
+
+      <div className="headline-cards">
+        {worst && (
+          <div className={`headline-card ${worstLossShare <= 0.25 ? 'warning' : 'negative'}`}>
+            <div className="headline-icon">
+              <ShieldAlert size={24} />
+            </div>
+            <div className="headline-content">
+              <div className="headline-label">Price CVaR ({formatLevel(worst.level)})</div>
+              <div className="headline-value">{formatLoss(worst.price.cvar, formatCurrency)}</div>
+              <div className="headline-sub">
+                {formatLoss(worstLossShare, formatPct)} of {formatCurrency(inputParams.price0)} per share
+              </div>
+            </div>
+          </div>
+        )}
+
+        <div className={`headline-card ${risk.fdShortfall.expected <= 0.05 * summary.fdTarget ? 'positive' : 'warning'}`}>
+          <div className="headline-icon">
+            <TrendingDown size={24} />
+          </div>
+          <div className="headline-content">
+            <div className="headline-label">Expected Shortfall vs FD</div>
+            <div className="headline-value">{formatCurrency(risk.fdShortfall.expected)}</div>
+            <div className="headline-sub">
+              {risk.fdShortfall.conditional != null
+                ? `${formatCurrency(risk.fdShortfall.conditional)} on average when short of ${formatCurrency(summary.fdTarget)}`
+                : `Never short of ${formatCurrency(summary.fdTarget)}`}
+            </div>
+          </div>
+        </div>
+
+        <div className={`headline-card ${risk.downsideDeviation <= 0.05 ? 'positive' : 'warning'}`}>
+          <div className="headline-icon">
+            <Activity size={24} />
+          </div>
+          <div className="headline-content">
+            <div className="headline-label">Downside Deviation</div>
+            <div className="headline-value">{formatPct(risk.downsideDeviation)}</div>
+            <div className="headline-sub">CAGR shortfall below the {formatPct(summary.fdRate)} FD rate</div>
+          </div>
+        </div>
+      </div>
+
+      <div className="percentile-tables">
+        <div className="percentile-table">
+          <h3>Value-at-Risk and CVaR</h3>
+          <table>
+            <thead>
+              <tr>
+                <th>Confidence</th>
+                <th>Price VaR</th>
+                <th>Price CVaR</th>
+                <th>CAGR VaR</th>
+                <th>CAGR CVaR</th>
+              </tr>
+            </thead>
+            <tbody>
+              {risk.valueAtRisk.map(row => (
+                <tr key={row.level}>
+                  <td>{formatLevel(row.level)}</td>
+                  <td className="mono">{formatLoss(row.price.var, formatCurrency)}</td>
+                  <td className="mono">{formatLoss(row.price.cvar, formatCurrency)}</td>
+                  <td className="mono">{formatLoss(row.cagr.var, formatPct)}</td>
+                  <td className="mono">{formatLoss(row.cagr.cvar, formatPct)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="percentile-table">
+          <h3>Probability of Losing More Than</h3>
+          <table>
+            <thead>
+              <tr>
+                <th>Loss</th>
+                <th>Probability</th>
+                <th>Value Below</th>
+              </tr>
+            </thead>
+            <tbody>
+              {risk.lossProbabilities.map(row => (
+                <tr key={row.threshold}>
+                  <td>{formatLevel(row.threshold)}</td>
+                  <td className={`mono ${row.probability > 0.1 ? 'text-red' : ''}`}>{formatPct(row.probability)}</td>
+                  <td className="mono">{formatCurrency(inputParams.price0 * (1 - row.threshold))}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,89 @@
+import { useState } from 'react';
+import { Pencil, Trash2, Check, GitCompare } from 'lucide-react';
+import type { SavedRunListing } from '../types';
+
+interface SavedRunsProps {
+  runs: SavedRunListing[];
+  activeRunId: string | null;
+  onOpen: (id: string) => void;
+  onCompare: (id: string) => void;
+  onRename: (id: string, name: string) => void;
+  onDelete: (id: string) => void;
+}
+
+export default function SavedRuns({ runs, activeRunId, onOpen, onCompare, onRename, onDelete }: SavedRunsProps) {
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [draftName, setDraftName] = useState('');
+
+  const startRename = (run: SavedRunListing) => {
+    setEditingId(run.id);
+    setDraftName(run.name);
+  };
+
+  const commitRename = () => {
+    if (editingId && draftName.trim()) onRename(editingId, draftName.trim());
+    setEditingId(null);
+  };
+
+  const formatPct = (val: number) => `${(val * 100).toFixed(1)}%`;
+  const formatDate = (iso: string) =>
+    new Date(iso).toLocaleString('en-IN', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+
+  return (
+    <div className="input-panel saved-runs">
+      <div className="panel-header">
+        <h2>Saved Runs</h2>
+      </div>
+
+      {runs.length === 0 ? (
+        <p className="saved-runs-empty">No saved runs yet. Run a simulation and click Save Run to keep it.</p>
+      ) : (
+        <ul className="saved-runs-list">
+          {runs.map(run => (
+            <li key={run.id} className={`saved-run ${run.id === activeRunId ? 'active' : ''}`}>
+              {editingId === run.id ? (
+                <input
+                  className="input-field saved-run-name-input"
+                  value={draftName}
+                  onChange={e => setDraftName(e.target.value)}
+                  onKeyDown={e => {
+                    if (e.key === 'Enter') commitRename();
+                    if (e.key === 'Escape') setEditingId(null);
+                  }}
+                  maxLength={100}
+                  autoFocus
+                />
+              ) : (
+                <button className="saved-run-open" onClick={() => onOpen(run.id)} title="Reopen this run">
+                  <span className="saved-run-name">{run.name}</span>
+                  <span className="saved-run-meta">
+                    {formatDate(run.createdAt)} &middot; {run.years}Y &middot; CAGR {formatPct(run.medianCagr)} &middot; P(FD) {formatPct(run.probBeatsFD)}
+                  </span>
+                </button>
+              )}
+              <div className="saved-run-actions">
+                {editingId === run.id ? (
+                  <button className="btn btn-outline btn-icon" onClick={commitRename} title="Save name">
+                    <Check size={12} />
+                  </button>
+                ) : (
+                  <>
+                    <button className="btn btn-outline btn-icon" onClick={() => onCompare(run.id)} title="Add to comparison">
+                      <GitCompare size={12} />
+                    </button>
+                    <button className="btn btn-outline btn-icon" onClick={() => startRename(run)} title="Rename">
+                      <Pencil size={12} />
+                    </button>
+                  </>
+                )}
+                <button className="btn btn-outline btn-icon" onClick={() => onDelete(run.id)} title="Delete">
+                  <Trash2 size={12} />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
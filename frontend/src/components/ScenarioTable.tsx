@@ -1,12 +1,20 @@
-import type { SimulationOutput } from '../types';
+import type { SimulationOutput, GrowthStages, ReturnBasis } from '../types';
+import ReturnBasisToggle from './ReturnBasisToggle';
 
 interface ScenarioTableProps {
   result: SimulationOutput;
   currency: string;
+  returnBasis: ReturnBasis;
+  onReturnBasisChange: (basis: ReturnBasis) => void;
 }
 
-export default function ScenarioTable({ result, currency }: ScenarioTableProps) {
+export default function ScenarioTable({ result, currency, returnBasis, onReturnBasisChange }: ScenarioTableProps) {
   const { scenarios, inputParams } = result;
+  const isReal = returnBasis === 'real';
+  const hurdle = isReal ? result.summary.real.fdRate : inputParams.fdRate;
+  // With dividends the CAGR is total return, while the price and upside are the share price alone
+  const hasDividends = result.summary.dividends.payoutRatio > 0;
+  const cagrLabel = `${isReal ? 'Real ' : ''}${hasDividends ? 'Total-Return CAGR' : 'CAGR'}`;
 
   const formatCurrency = (val: number) =>
     new Intl.NumberFormat('en-IN', {
@@ -18,6 +26,11 @@ export default function ScenarioTable({ result, currency }: ScenarioTableProps)
 
   const formatPct = (val: number) => `${(val * 100).toFixed(1)}%`;
 
+  // e.g. "25.0% × 3y → fade 2y → 6.0%"
+  const formatStages = (stages: GrowthStages) =>
+    `${formatPct(stages.highGrowth)} × ${stages.highGrowthYears}y → ` +
+    `${stages.fadeYears > 0 ? `fade ${stages.fadeYears}y → ` : ''}${formatPct(stages.terminalGrowth)}`;
+
   const labelMap: Record<string, string> = {
     p25: 'P25 (Conservative)',
     p50: 'P50 (Base)',
@@ -36,8 +49,13 @@ export default function ScenarioTable({ result, currency }: ScenarioTableProps)
       <h2>Scenario Matrix</h2>
       <p className="section-description">
         Growth percentiles (rows) crossed with P/E percentiles (columns). Prices and CAGRs for each combination.
+        {hasDividends && ' The price and upside are for the share alone; the CAGR adds the dividends.'}
+        {isReal && ` Real figures deflate at ${formatPct(inputParams.inflationRate)} a year and are compared with the real FD rate.`}
+        {inputParams.multiStage && ' Each row takes the high-growth and terminal rates at the same percentile; the row value is the annualised rate over the horizon.'}
       </p>
 
+      <ReturnBasisToggle value={returnBasis} onChange={onReturnBasisChange} />
+
       <div className="scenario-table-wrapper">
         <table className="scenario-table">
           <thead>
@@ -69,18 +87,23 @@ export default function ScenarioTable({ result, currency }: ScenarioTableProps)
                 {peLabels.map(pe => {
                   const scenario = getScenario(g, pe);
                   if (!scenario) return <td key={pe}>-</td>;
-                  const upside = ((scenario.priceT - inputParams.price0) / inputParams.price0) * 100;
-                  const isPositive = scenario.cagr >= 0;
-                  const beatsFD = scenario.cagr >= inputParams.fdRate;
+                  const priceT = isReal ? scenario.realPriceT : scenario.priceT;
+                  const cagr = isReal ? scenario.realCagr : scenario.cagr;
+                  const upside = ((priceT - inputParams.price0) / inputParams.price0) * 100;
+                  const isPositive = cagr >= 0;
+                  const beatsFD = cagr >= hurdle;
                   return (
                     <td key={pe} className={`scenario-cell ${beatsFD ? 'beats-fd' : isPositive ? 'positive-cell' : 'negative-cell'}`}>
-                      <div className="scenario-price">{formatCurrency(scenario.priceT)}</div>
-                      <div className={`scenario-cagr ${scenario.cagr >= 0 ? 'text-green' : 'text-red'}`}>
-                        CAGR: {formatPct(scenario.cagr)}
+                      <div className="scenario-price">{formatCurrency(priceT)}</div>
+                      <div className={`scenario-cagr ${cagr >= 0 ? 'text-green' : 'text-red'}`}>
+                        {cagrLabel}: {formatPct(cagr)}
                       </div>
                       <div className={`scenario-upside ${upside >= 0 ? 'text-green' : 'text-red'}`}>
-                        {upside >= 0 ? '+' : ''}{upside.toFixed(0)}%
+                        {upside >= 0 ? '+' : ''}{upside.toFixed(0)}%{hasDividends && ' price only'}
                       </div>
+                      {scenario.stages && (
+                        <div className="scenario-stages">{formatStages(scenario.stages)}</div>
+                      )}
                     </td>
                   );
                 })}
@@ -91,7 +114,7 @@ export default function ScenarioTable({ result, currency }: ScenarioTableProps)
       </div>
 
       <div className="scenario-legend">
-        <span className="legend-item"><span className="legend-dot" style={{ background: 'rgba(0, 184, 148, 0.2)' }} /> Beats FD hurdle</span>
+        <span className="legend-item"><span className="legend-dot" style={{ background: 'rgba(0, 184, 148, 0.2)' }} /> Beats {isReal ? 'real ' : ''}FD hurdle</span>
         <span className="legend-item"><span className="legend-dot" style={{ background: 'rgba(253, 203, 110, 0.15)' }} /> Positive return</span>
         <span className="legend-item"><span className="legend-dot" style={{ background: 'rgba(225, 112, 85, 0.15)' }} /> Negative return</span>
       </div>
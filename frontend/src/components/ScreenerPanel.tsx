@@ -0,0 +1,130 @@
+import { Play } from 'lucide-react';
+import type { ScreenParams } from '../types';
+
+interface ScreenerPanelProps {
+  params: ScreenParams;
+  onParamsChange: (params: ScreenParams) => void;
+  onRunScreen: () => void;
+  isLoading: boolean;
+}
+
+// Tickers may be separated by commas, spaces or new lines
+function parseTickers(text: string): string[] {
+  return [...new Set(text.split(/[\s,]+/).map(t => t.trim().toUpperCase()).filter(Boolean))];
+}
+
+export default function ScreenerPanel({
+  params,
+  onParamsChange,
+  onRunScreen,
+  isLoading
+}: ScreenerPanelProps) {
+  const update = (key: keyof ScreenParams, value: string | number) => {
+    onParamsChange({ ...params, [key]: value });
+  };
+
+  const tickerCount = parseTickers(params.tickers).length;
+
+  return (
+    <div className="input-panel">
+      <div className="panel-header">
+        <h2>Screener</h2>
+      </div>
+
+      <div className="input-section">
+        <label className="input-label">Tickers ({tickerCount})</label>
+        <textarea
+          className="input-field screener-tickers"
+          value={params.tickers}
+          onChange={e => update('tickers', e.target.value)}
+          placeholder={'FINEORG.NS, TCS.NS\nRELIANCE.NS'}
+          rows={6}
+        />
+      </div>
+
+      <div className="input-grid">
+        <div className="input-section">
+          <label className="input-label">Horizon (years)</label>
+          <input
+            type="number"
+            className="input-field"
+            value={params.years}
+            onChange={e => update('years', parseInt(e.target.value) || 5)}
+            min={1}
+            max={20}
+          />
+        </div>
+
+        <div className="input-section">
+          <label className="input-label">FD Hurdle Rate</label>
+          <div className="input-with-suffix">
+            <input
+              type="number"
+              className="input-field"
+              value={(params.fdRate * 100).toFixed(1)}
+              onChange={e => update('fdRate', parseFloat(e.target.value) / 100 || 0.07)}
+              step={0.5}
+              min={0}
+              max={30}
+            />
+            <span className="suffix">%</span>
+          </div>
+        </div>
+
+        <div className="input-section">
+          <label className="input-label">Simulations / Ticker</label>
+          <input
+            type="number"
+            className="input-field"
+            value={params.numSimulations}
+            onChange={e => update('numSimulations', parseInt(e.target.value) || 5000)}
+            min={1000}
+            max={10000}
+            step={1000}
+          />
+        </div>
+
+        <div className="input-section">
+          <label className="input-label">Lookback (years)</label>
+          <input
+            type="number"
+            className="input-field"
+            value={params.lookbackYears}
+            onChange={e => update('lookbackYears', parseInt(e.target.value) || 8)}
+            min={3}
+            max={20}
+          />
+        </div>
+
+        <div className="input-section">
+          <label className="input-label">Random Seed</label>
+          <input
+            type="text"
+            className="input-field"
+            value={params.seed}
+            onChange={e => update('seed', e.target.value.replace(/[^0-9]/g, ''))}
+            placeholder="random"
+          />
+        </div>
+      </div>
+
+      <button
+        className="btn btn-accent btn-simulate"
+        onClick={onRunScreen}
+        disabled={tickerCount === 0 || isLoading}
+      >
+        {isLoading ? (
+          <>
+            <span className="spinner" />
+            Screening {tickerCount} tickers...
+          </>
+        ) : (
+          <>
+            <Play size={16} />
+            Run Screener
+          </>
+        )}
+      </button>
+    </div>
+  );
+}
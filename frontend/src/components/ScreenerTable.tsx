@@ -0,0 +1,122 @@
+import { useState } from 'react';
+import { ArrowDown, ArrowUp, AlertTriangle, CircleX } from 'lucide-react';
+import type { ScreenOutput, ScreenRow } from '../types';
+
+interface ScreenerTableProps {
+  result: ScreenOutput;
+}
+
+type OkRow = Extract<ScreenRow, { status: 'ok' }>;
+type ErrorRow = Extract<ScreenRow, { status: 'error' }>;
+type SortKey = 'ticker' | 'price' | 'medianCagr' | 'probBeatsFD' | 'probLoss';
+
+const COLUMNS: { key: SortKey; label: string }[] = [
+  { key: 'ticker', label: 'Ticker' },
+  { key: 'price', label: 'Price' },
+  { key: 'medianCagr', label: 'Median CAGR' },
+  { key: 'probBeatsFD', label: 'P(Beat FD)' },
+  { key: 'probLoss', label: 'P(Loss)' }
+];
+
+export default function ScreenerTable({ result }: ScreenerTableProps) {
+  const [sortKey, setSortKey] = useState<SortKey>('probBeatsFD');
+  const [descending, setDescending] = useState(true);
+
+  const { inputParams } = result;
+  const okRows = result.results.filter((r): r is OkRow => r.status === 'ok');
+  const errorRows = result.results.filter((r): r is ErrorRow => r.status === 'error');
+
+  const sorted = [...okRows].sort((a, b) => {
+    const cmp = sortKey === 'ticker' ? a.ticker.localeCompare(b.ticker) : a[sortKey] - b[sortKey];
+    return descending ? -cmp : cmp;
+  });
+
+  const toggleSort = (key: SortKey) => {
+    if (key === sortKey) {
+      setDescending(d => !d);
+    } else {
+      setSortKey(key);
+      setDescending(key !== 'ticker' && key !== 'probLoss');
+    }
+  };
+
+  const formatPct = (val: number) => `${(val * 100).toFixed(1)}%`;
+  const formatPrice = (val: number, currency: string) =>
+    new Intl.NumberFormat('en-IN', {
+      style: 'currency',
+      currency: currency || 'INR',
+      maximumFractionDigits: 2
+    }).format(val);
+
+  return (
+    <div className="simulation-summary">
+      <div className="summary-header">
+        <h2>Screener Results</h2>
+        <div className="sim-meta">
+          {okRows.length} of {result.results.length} tickers simulated &middot; {inputParams.numSimulations.toLocaleString()} simulations each &middot; {inputParams.years}Y horizon &middot; FD {formatPct(inputParams.fdRate)} &middot; seed {inputParams.seed}
+        </div>
+      </div>
+
+      <p className="section-description">
+        Every ticker uses its own data-driven growth and P/E assumptions and the same random seed. Click a column to sort.
+      </p>
+
+      <div className="percentile-table screener-table">
+        <table>
+          <thead>
+            <tr>
+              {COLUMNS.map(col => (
+                <th key={col.key} className="sortable" onClick={() => toggleSort(col.key)}>
+                  {col.label}
+                  {sortKey === col.key && (descending ? <ArrowDown size={12} /> : <ArrowUp size={12} />)}
+                </th>
+              ))}
+              <th>Data Quality</th>
+            </tr>
+          </thead>
+          <tbody>
+            {sorted.map(row => (
+              <tr key={row.ticker}>
+                <td>
+                  <div className="mono">{row.ticker}</div>
+                  <div className="holding-name">{row.companyName}</div>
+                </td>
+                <td className="mono">{formatPrice(row.price, row.currency)}</td>
+                <td className={`mono ${row.medianCagr >= inputParams.fdRate ? 'text-green' : 'text-red'}`}>
+                  {formatPct(row.medianCagr)}
+                </td>
+                <td className={`mono ${row.probBeatsFD >= 0.5 ? 'text-green' : 'text-red'}`}>{formatPct(row.probBeatsFD)}</td>
+                <td className="mono">{formatPct(row.probLoss)}</td>
+                <td>
+                  {row.warnings.length === 0 ? (
+                    <span className="holding-name">OK</span>
+                  ) : (
+                    <ul className="screener-warnings">
+                      {row.warnings.map((w, i) => (
+                        <li key={i}>
+                          <AlertTriangle size={12} />
+                          {w}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </td>
+              </tr>
+            ))}
+            {errorRows.map(row => (
+              <tr key={row.ticker} className="screener-error-row">
+                <td className="mono">{row.ticker}</td>
+                <td colSpan={5}>
+                  <span className="screener-error">
+                    <CircleX size={12} />
+                    {row.error}
+                  </span>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
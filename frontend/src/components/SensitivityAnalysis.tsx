@@ -1,95 +1,124 @@
-import { PieChart, Pie, Cell, ResponsiveContainer, Tooltip } from 'recharts';
+import { BarChart, Bar, Cell, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
 import type { SimulationOutput } from '../types';
 
 interface SensitivityAnalysisProps {
   result: SimulationOutput;
 }
 
+const INPUT_STYLES: Record<string, { label: string; color: string }> = {
+  growth: { label: 'EPS Growth', color: '#6c5ce7' },
+  pe: { label: 'P/E Multiple', color: '#00d2d3' },
+  shareChange: { label: 'Share Count', color: '#ff9ff3' },
+  terminalGrowth: { label: 'Terminal Growth', color: '#54a0ff' }
+};
+
 export default function SensitivityAnalysis({ result }: SensitivityAnalysisProps) {
   const { sensitivity, inputParams } = result;
 
-  const pieData = [
-    { name: 'EPS Growth', value: sensitivity.growthContribution, color: '#6c5ce7' },
-    { name: 'P/E Multiple', value: sensitivity.peContribution, color: '#00d2d3' }
-  ];
+  // Growth is net income growth once the share count is modelled on its own
+  const sharesModelled = inputParams.meanShareChange !== 0 || inputParams.sigmaShareChange > 0;
+  const growthName = sharesModelled ? 'Net Income Growth' : 'EPS Growth';
+
+  const indices = sensitivity.inputs.map(input => {
+    const style = INPUT_STYLES[input.key] ?? { label: input.key, color: '#a4b0be' };
+    return {
+      ...input,
+      name: input.key === 'growth' ? growthName : style.label,
+      color: style.color,
+      interaction: Math.max(0, input.totalEffect - input.firstOrder)
+    };
+  });
 
-  const growthPct = (sensitivity.growthContribution * 100).toFixed(1);
-  const pePct = (sensitivity.peContribution * 100).toFixed(1);
+  const formatPct = (val: number) => `${(val * 100).toFixed(1)}%`;
+  const interactionPct = sensitivity.interaction * 100;
 
-  const dominant = sensitivity.growthContribution > sensitivity.peContribution ? 'EPS growth' : 'P/E multiple';
-  const dominantPct = Math.max(sensitivity.growthContribution, sensitivity.peContribution) * 100;
+  const dominantEntry = indices.reduce((a, b) => (b.totalEffect > a.totalEffect ? b : a));
+  const dominant = dominantEntry.name === 'P/E Multiple' ? 'P/E multiple' : dominantEntry.name.toLowerCase();
+  const dominantPct = dominantEntry.totalEffect * 100;
+  const correlated = Math.abs(sensitivity.realizedCorrelation) >= 0.2;
 
   return (
     <div className="sensitivity-section">
       <h2>What Drove Results?</h2>
       <p className="section-description">
-        Variance decomposition showing how much of the price outcome uncertainty comes from EPS growth vs. P/E multiple changes.
+        Sobol sensitivity indices of the final value (price plus dividends). The first-order index is the share of outcome
+        variance an input explains on its own; the total effect adds every interaction it takes part in, such as growth and
+        P/E compounding each other in EPS × P/E.
       </p>
 
       <div className="sensitivity-content">
         <div className="sensitivity-chart">
           <ResponsiveContainer width="100%" height={220}>
-            <PieChart>
-              <Pie
-                data={pieData}
-                cx="50%"
-                cy="50%"
-                innerRadius={60}
-                outerRadius={90}
-                paddingAngle={4}
-                dataKey="value"
-                strokeWidth={0}
-              >
-                {pieData.map((entry, index) => (
-                  <Cell key={index} fill={entry.color} />
-                ))}
-              </Pie>
+            <BarChart data={indices} layout="vertical" margin={{ top: 10, right: 10, left: 0, bottom: 0 }} barGap={2}>
+              <XAxis
+                type="number"
+                domain={[0, 1]}
+                tickFormatter={(v: number) => `${(v * 100).toFixed(0)}%`}
+                stroke="rgba(255,255,255,0.4)"
+                fontSize={11}
+              />
+              <YAxis type="category" dataKey="name" width={90} stroke="rgba(255,255,255,0.4)" fontSize={11} />
               <Tooltip
-                formatter={(value: unknown) => `${(Number(value) * 100).toFixed(1)}%`}
+                formatter={(value: unknown) => formatPct(Number(value))}
                 contentStyle={{ background: '#1a1a2e', border: '1px solid rgba(255,255,255,0.1)', borderRadius: 8 }}
               />
-            </PieChart>
+              <Bar dataKey="firstOrder" name="First-order" radius={[0, 2, 2, 0]}>
+                {indices.map((entry, index) => (
+                  <Cell key={index} fill={entry.color} />
+                ))}
+              </Bar>
+              <Bar dataKey="totalEffect" name="Total effect" radius={[0, 2, 2, 0]}>
+                {indices.map((entry, index) => (
+                  <Cell key={index} fill={entry.color} fillOpacity={0.4} />
+                ))}
+              </Bar>
+            </BarChart>
           </ResponsiveContainer>
-          <div className="pie-center-label">Variance<br />Split</div>
         </div>
 
         <div className="sensitivity-details">
-          <div className="sensitivity-bar">
-            <div className="bar-label">
-              <span className="bar-dot" style={{ background: '#6c5ce7' }} />
-              EPS Growth
-            </div>
-            <div className="bar-track">
-              <div className="bar-fill" style={{ width: `${growthPct}%`, background: '#6c5ce7' }}>
-                <span className="bar-value">{growthPct}%</span>
+          {indices.map(entry => (
+            <div className="sensitivity-bar" key={entry.key}>
+              <div className="bar-label">
+                <span className="bar-dot" style={{ background: entry.color }} />
+                {entry.name}
+                <span className="bar-total">total {formatPct(entry.totalEffect)}</span>
+              </div>
+              <div className="bar-track stacked">
+                <div className="bar-fill total-effect" style={{ width: formatPct(entry.totalEffect), background: entry.color }} />
+                <div className="bar-fill" style={{ width: formatPct(entry.firstOrder), background: entry.color }}>
+                  <span className="bar-value">{formatPct(entry.firstOrder)}</span>
+                </div>
               </div>
             </div>
-          </div>
+          ))}
 
           <div className="sensitivity-bar">
             <div className="bar-label">
-              <span className="bar-dot" style={{ background: '#00d2d3' }} />
-              P/E Multiple
+              <span className="bar-dot" style={{ background: '#feca57' }} />
+              Interactions
             </div>
             <div className="bar-track">
-              <div className="bar-fill" style={{ width: `${pePct}%`, background: '#00d2d3' }}>
-                <span className="bar-value">{pePct}%</span>
+              <div className="bar-fill" style={{ width: `${Math.min(interactionPct, 100).toFixed(1)}%`, background: '#feca57' }}>
+                <span className="bar-value">{interactionPct.toFixed(1)}%</span>
               </div>
             </div>
           </div>
 
           <div className="sensitivity-insight">
             <strong>Insight:</strong> The {dominant} is the dominant driver of valuation uncertainty,
-            accounting for {dominantPct.toFixed(0)}% of outcome variance.
-            {dominantPct > 70 && ` This means your conviction on ${dominant} matters more than getting the other factor right.`}
-            {dominantPct <= 55 && ' Both factors contribute roughly equally — consider both growth trajectory and multiple compression/expansion.'}
+            involved in {dominantPct.toFixed(0)}% of outcome variance.
+            {dominantPct > 70 && ` This means your conviction on ${dominant} matters more than getting the other inputs right.`}
+            {dominantPct <= 55 && ' No single input dominates — consider both growth trajectory and multiple compression/expansion.'}
+            {interactionPct >= 10 && ` ${interactionPct.toFixed(0)}% of the variance comes only from inputs acting together, so judging each in isolation understates the spread.`}
+            {correlated && ` Growth and P/E move together (sampled ρ = ${sensitivity.realizedCorrelation.toFixed(2)}); the shared part is credited to growth, and P/E counts only its independent moves.`}
           </div>
 
           <div className="param-summary">
             <h4>Simulation Parameters Used</h4>
             <div className="param-grid">
               <div className="param-item">
-                <span className="param-label">EPS Growth (mean)</span>
+                <span className="param-label">{inputParams.multiStage ? 'High-Stage Growth' : growthName} (mean)</span>
                 <span className="param-value">{(inputParams.meanGrowth * 100).toFixed(1)}%</span>
               </div>
               <div className="param-item">
@@ -112,6 +141,36 @@ export default function SensitivityAnalysis({ result }: SensitivityAnalysisProps
                 <span className="param-label">P/E Range</span>
                 <span className="param-value">[{inputParams.peMin}, {inputParams.peMax}]</span>
               </div>
+              <div className="param-item">
+                <span className="param-label">Distributions (g / P/E)</span>
+                <span className="param-value">{inputParams.growthDistType} / {inputParams.peMeanReversion ? 'mean-reverting' : inputParams.peDistType}</span>
+              </div>
+              {inputParams.multiStage && (
+                <div className="param-item">
+                  <span className="param-label">Stages (high / fade / terminal)</span>
+                  <span className="param-value">
+                    {inputParams.highGrowthYears}y / {inputParams.fadeYears}y / {(inputParams.terminalMeanGrowth * 100).toFixed(1)}% ± {(inputParams.terminalSigmaGrowth * 100).toFixed(1)}%
+                  </span>
+                </div>
+              )}
+              {inputParams.peMeanReversion && (
+                <div className="param-item">
+                  <span className="param-label">P/E Reversion (anchor / half-life)</span>
+                  <span className="param-value">{inputParams.peAnchor.toFixed(1)}x / {inputParams.peHalfLife.toFixed(1)}y</span>
+                </div>
+              )}
+              {sharesModelled && (
+                <div className="param-item">
+                  <span className="param-label">Share Change (mean / σ)</span>
+                  <span className="param-value">
+                    {(inputParams.meanShareChange * 100).toFixed(2)}% / {(inputParams.sigmaShareChange * 100).toFixed(2)}%
+                  </span>
+                </div>
+              )}
+              <div className="param-item">
+                <span className="param-label">Growth–P/E Corr.</span>
+                <span className="param-value">{inputParams.growthPECorrelation.toFixed(2)}</span>
+              </div>
             </div>
           </div>
         </div>
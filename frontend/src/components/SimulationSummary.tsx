@@ -1,13 +1,37 @@
-import { TrendingUp, TrendingDown, Shield, AlertCircle } from 'lucide-react';
-import type { SimulationOutput } from '../types';
+import { TrendingUp, TrendingDown, Shield, AlertCircle, AlertTriangle, ChartLine, Percent } from 'lucide-react';
+import type { MonteCarloInterval, ReturnBasis, SamplingMethod, SimulationOutput, TargetQuery } from '../types';
+import ReturnBasisToggle from './ReturnBasisToggle';
+
+const SAMPLING_LABELS: Record<SamplingMethod, string> = {
+  random: 'plain random',
+  antithetic: 'antithetic',
+  latinHypercube: 'Latin hypercube',
+  sobol: 'scrambled Sobol'
+};
 
 interface SimulationSummaryProps {
   result: SimulationOutput;
   currency: string;
+  targetQuery: TargetQuery;
+  onTargetQueryChange: (query: TargetQuery) => void;
+  returnBasis: ReturnBasis;
+  onReturnBasisChange: (basis: ReturnBasis) => void;
+}
+
+// P(X ≤ x) from the percentile table, interpolating between neighbouring percentiles
+function cdfAt(quantiles: number[], x: number): number {
+  const last = quantiles.length - 1;
+  if (x < quantiles[0]) return 0;
+  if (x >= quantiles[last]) return 1;
+  let i = 0;
+  while (quantiles[i + 1] <= x) i++;
+  return (i + (x - quantiles[i]) / (quantiles[i + 1] - quantiles[i])) / last;
 }
 
-export default function SimulationSummary({ result, currency }: SimulationSummaryProps) {
-  const { summary, inputParams } = result;
+export default function SimulationSummary({
+  result, currency, targetQuery, onTargetQueryChange, returnBasis, onReturnBasisChange
+}: SimulationSummaryProps) {
+  const { summary, inputParams, convergence } = result;
 
   const formatCurrency = (val: number) =>
     new Intl.NumberFormat('en-IN', {
@@ -19,40 +43,143 @@ export default function SimulationSummary({ result, currency }: SimulationSummar
 
   const formatPct = (val: number) => `${(val * 100).toFixed(1)}%`;
 
-  const medianUpside = ((summary.price.p50 - inputParams.price0) / inputParams.price0) * 100;
+  // Half-width of the Monte Carlo confidence interval, shown as ± next to an estimate
+  const halfWidth = (interval: MonteCarloInterval) => (interval.upper - interval.lower) / 2;
+  const formatPlusMinusPts = (val: number) => `±${(val * 100).toFixed(2)}pp`;
+  const formatErrorPts = (interval: MonteCarloInterval) => formatPlusMinusPts(halfWidth(interval));
+  const formatErrorCurrency = (interval: MonteCarloInterval) => `±${formatCurrency(halfWidth(interval))}`;
+  const confidenceLabel = `${Math.round(convergence.confidence * 100)}% CI`;
+
+  const vr = convergence.varianceReduction;
+  const varianceReductions = vr
+    ? [
+      { label: 'P(beat FD)', value: vr.probBeatsFD },
+      { label: 'P(loss)', value: vr.probLoss },
+      { label: 'median CAGR', value: vr.cagr.p50 },
+      { label: 'P10 CAGR', value: vr.cagr.p10 },
+      { label: 'median price', value: vr.price.p50 }
+    ].filter((r): r is { label: string; value: number } => r.value != null)
+    : [];
+
+  // Bounds that cut off more than this share of a requested distribution get flagged
+  const TRUNCATION_WARN_LEVEL = 0.05;
+  const heavilyTruncated = [
+    { label: 'EPS growth', info: result.truncation.growth, min: formatPct(inputParams.growthMin), max: formatPct(inputParams.growthMax) },
+    { label: 'terminal P/E', info: result.truncation.pe, min: `${inputParams.peMin}x`, max: `${inputParams.peMax}x` },
+    { label: 'share count change', info: result.truncation.shareChange, min: formatPct(inputParams.shareChangeMin), max: formatPct(inputParams.shareChangeMax) },
+    ...(result.truncation.terminalGrowth
+      ? [{ label: 'terminal growth', info: result.truncation.terminalGrowth, min: formatPct(inputParams.growthMin), max: formatPct(inputParams.growthMax) }]
+      : [])
+  ].filter(t => t.info.truncatedProbability > TRUNCATION_WARN_LEVEL);
+
+  const hasDividends = summary.dividends.payoutRatio > 0;
+
+  // The real view deflates prices and CAGRs, and the FD hurdle with them. The
+  // Monte Carlo errors are estimated on the nominal figures, so they are hidden.
+  const { real } = summary;
+  const isReal = returnBasis === 'real';
+  const price = isReal ? real.price : summary.price;
+  const cagr = isReal ? real.cagr : summary.cagr;
+  const hurdle = isReal ? real.fdRate : summary.fdRate;
+  const probLoss = isReal ? real.probLoss : summary.probLoss;
+  const cagrLabel = `${isReal ? 'Real ' : ''}${hasDividends ? 'Total-Return CAGR' : 'CAGR'}`;
+  const mcError = (text: string) => !isReal && <span className="mc-error">{text}</span>;
+
+  const medianUpside = ((price.p50 - inputParams.price0) / inputParams.price0) * 100;
+  const benchmark = summary.benchmark;
+
+  const { variable: targetVariable, input: targetInput } = targetQuery;
+  const parsedTarget = parseFloat(targetInput);
+  const target = Number.isFinite(parsedTarget) ? (targetVariable === 'cagr' ? parsedTarget / 100 : parsedTarget) : null;
+  const probAbove = target == null ? null : 1 - cdfAt(result.cdf[targetVariable], target);
+  const targetLabel = target == null ? '' : targetVariable === 'price'
+    ? `price > ${formatCurrency(target)} in ${summary.years}Y`
+    : `${hasDividends ? 'total-return ' : ''}CAGR > ${formatPct(target)}`;
 
   return (
     <div className="simulation-summary">
       <div className="summary-header">
         <h2>Simulation Results</h2>
         <div className="sim-meta">
-          {summary.numSimulations.toLocaleString()} simulations &middot; {summary.years}Y horizon
+          {summary.numSimulations.toLocaleString()} simulations
+          {convergence.adaptive && ` (adaptive, ${convergence.adaptive.batches} × ${convergence.adaptive.batchSize.toLocaleString()})`}
+          {convergence.replicates != null && ` · ${SAMPLING_LABELS[convergence.samplingMethod]} (${convergence.replicates} replicates)`}
+          {' '}&middot; {summary.years}Y horizon &middot; seed {inputParams.seed}
+          {' '}&middot; precision {formatPlusMinusPts(convergence.precision)} ({confidenceLabel})
+          {' '}&middot; cut off by bounds: growth {formatPct(result.truncation.growth.truncatedProbability)}, P/E {formatPct(result.truncation.pe.truncatedProbability)}
         </div>
       </div>
 
+      {varianceReductions.length > 0 && (
+        <p className="section-description">
+          Variance reduction vs plain Monte Carlo at the same count:{' '}
+          {varianceReductions.map(r => `${r.label} ${r.value.toFixed(1)}×`).join(' · ')}.
+          {' '}A factor of k matches the precision of k times as many plain random simulations.
+        </p>
+      )}
+
+      {convergence.adaptive && !convergence.adaptive.converged && (
+        <div className="warnings-container">
+          <div className="warning-item">
+            <AlertTriangle size={14} />
+            <span>
+              Stopped at the {convergence.adaptive.maxSimulations.toLocaleString()}-simulation cap before reaching the
+              {' '}{formatPlusMinusPts(convergence.adaptive.targetPrecision)} target;
+              results are only precise to {formatPlusMinusPts(convergence.precision)}.
+            </span>
+          </div>
+        </div>
+      )}
+
+      {heavilyTruncated.length > 0 && (
+        <div className="warnings-container">
+          {heavilyTruncated.map(t => (
+            <div key={t.label} className="warning-item">
+              <AlertTriangle size={14} />
+              <span>
+                The {t.min}–{t.max} bounds cut off {formatPct(t.info.truncatedProbability)} of the requested {t.label} distribution
+                ({formatPct(t.info.belowMin)} below, {formatPct(t.info.aboveMax)} above); samples are redistributed within the bounds.
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <ReturnBasisToggle value={returnBasis} onChange={onReturnBasisChange}>
+        inflation {formatPct(real.inflationRate)} a year
+        {real.inflationSigma > 0 && ` ± ${formatPct(real.inflationSigma)}, drawn per simulation`}
+        {isReal && ` · prices in today's money`}
+      </ReturnBasisToggle>
+
       <div className="headline-cards">
         <div className={`headline-card ${medianUpside >= 0 ? 'positive' : 'negative'}`}>
           <div className="headline-icon">
             {medianUpside >= 0 ? <TrendingUp size={24} /> : <TrendingDown size={24} />}
           </div>
           <div className="headline-content">
-            <div className="headline-label">Median Target Price</div>
-            <div className="headline-value">{formatCurrency(summary.price.p50)}</div>
+            <div className="headline-label">{isReal ? 'Median Real Price' : 'Median Target Price'}</div>
+            <div className="headline-value">
+              {formatCurrency(price.p50)}
+              {mcError(formatErrorCurrency(convergence.price.p50))}
+            </div>
             <div className="headline-sub">
               {medianUpside >= 0 ? '+' : ''}{medianUpside.toFixed(1)}% from current {formatCurrency(inputParams.price0)}
             </div>
           </div>
         </div>
 
-        <div className={`headline-card ${summary.cagr.p50 >= inputParams.fdRate ? 'positive' : 'warning'}`}>
+        <div className={`headline-card ${cagr.p50 >= hurdle ? 'positive' : 'warning'}`}>
           <div className="headline-icon">
             <TrendingUp size={24} />
           </div>
           <div className="headline-content">
-            <div className="headline-label">Median CAGR</div>
-            <div className="headline-value">{formatPct(summary.cagr.p50)}</div>
+            <div className="headline-label">Median {cagrLabel}</div>
+            <div className="headline-value">
+              {formatPct(cagr.p50)}
+              {mcError(formatErrorPts(convergence.cagr.p50))}
+            </div>
             <div className="headline-sub">
-              vs FD hurdle {formatPct(summary.fdRate)}
+              vs {isReal ? 'real ' : ''}FD hurdle {formatPct(hurdle)}
             </div>
           </div>
         </div>
@@ -63,30 +190,113 @@ export default function SimulationSummary({ result, currency }: SimulationSummar
           </div>
           <div className="headline-content">
             <div className="headline-label">Prob. Beats FD</div>
-            <div className="headline-value">{formatPct(summary.probBeatsFD)}</div>
+            <div className="headline-value">
+              {formatPct(summary.probBeatsFD)}
+              <span className="mc-error">{formatErrorPts(convergence.probBeatsFD)}</span>
+            </div>
             <div className="headline-sub">
               FD target: {formatCurrency(summary.fdTarget)}
             </div>
           </div>
         </div>
 
-        <div className={`headline-card ${summary.probLoss <= 0.2 ? 'positive' : 'negative'}`}>
+        {isReal && (
+          <div className={`headline-card ${real.probBeatsInflation >= 0.5 ? 'positive' : 'negative'}`}>
+            <div className="headline-icon">
+              <Percent size={24} />
+            </div>
+            <div className="headline-content">
+              <div className="headline-label">Prob. Beats Inflation</div>
+              <div className="headline-value">{formatPct(real.probBeatsInflation)}</div>
+              <div className="headline-sub">
+                Real CAGR above zero
+              </div>
+            </div>
+          </div>
+        )}
+
+        {benchmark && (
+          <div className={`headline-card ${benchmark.probBeatsIndex >= 0.5 ? 'positive' : 'warning'}`}>
+            <div className="headline-icon">
+              <ChartLine size={24} />
+            </div>
+            <div className="headline-content">
+              <div className="headline-label">Prob. Beats {benchmark.ticker}</div>
+              <div className="headline-value">{formatPct(benchmark.probBeatsIndex)}</div>
+              <div className="headline-sub">
+                Median excess CAGR {benchmark.excessCagr.p50 >= 0 ? '+' : ''}{(benchmark.excessCagr.p50 * 100).toFixed(1)}pp
+              </div>
+            </div>
+          </div>
+        )}
+
+        <div className={`headline-card ${probLoss <= 0.2 ? 'positive' : 'negative'}`}>
           <div className="headline-icon">
             <AlertCircle size={24} />
           </div>
           <div className="headline-content">
-            <div className="headline-label">Prob. of Loss</div>
-            <div className="headline-value">{formatPct(summary.probLoss)}</div>
+            <div className="headline-label">{isReal ? 'Prob. of Real Loss' : 'Prob. of Loss'}</div>
+            <div className="headline-value">
+              {formatPct(probLoss)}
+              {mcError(formatErrorPts(convergence.probLoss))}
+            </div>
             <div className="headline-sub">
-              Price below {formatCurrency(inputParams.price0)}
+              {isReal ? 'Value' : 'Price'} below {formatCurrency(inputParams.price0)}{isReal && " in today's money"}
             </div>
           </div>
         </div>
       </div>
 
+      {hasDividends && (
+        <div className="percentile-tables single">
+          <div className="percentile-table">
+            <h3>
+              Price Only vs Total Return ({formatPct(summary.dividends.payoutRatio)} payout,
+              {summary.dividends.mode === 'reinvest' ? ' reinvested' : ' held as cash'})
+            </h3>
+            <table>
+              <thead>
+                <tr>
+                  <th>Metric</th>
+                  <th>Price Only</th>
+                  <th>Total Return</th>
+                </tr>
+              </thead>
+              <tbody>
+                <tr className="highlight-row">
+                  <td>Median CAGR</td>
+                  <td className="mono">{formatPct(summary.priceOnly.cagr.p50)}</td>
+                  <td className="mono">{formatPct(summary.cagr.p50)}</td>
+                </tr>
+                <tr>
+                  <td>P10 / P90 CAGR</td>
+                  <td className="mono">{formatPct(summary.priceOnly.cagr.p10)} / {formatPct(summary.priceOnly.cagr.p90)}</td>
+                  <td className="mono">{formatPct(summary.cagr.p10)} / {formatPct(summary.cagr.p90)}</td>
+                </tr>
+                <tr>
+                  <td>Median Value of 1 Share</td>
+                  <td className="mono">{formatCurrency(summary.price.p50)}</td>
+                  <td className="mono">{formatCurrency(summary.totalValue.p50)}</td>
+                </tr>
+                <tr>
+                  <td>Prob. Beats FD</td>
+                  <td className="mono">{formatPct(summary.priceOnly.probBeatsFD)}</td>
+                  <td className="mono">{formatPct(summary.probBeatsFD)}</td>
+                </tr>
+                <tr>
+                  <td>Prob. of Loss</td>
+                  <td className="mono">{formatPct(summary.priceOnly.probLoss)}</td>
+                  <td className="mono">{formatPct(summary.probLoss)}</td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
       <div className="percentile-tables">
         <div className="percentile-table">
-          <h3>Price Distribution</h3>
+          <h3>{isReal ? 'Real Price Distribution' : 'Price Distribution'}</h3>
           <table>
             <thead>
               <tr>
@@ -103,12 +313,15 @@ export default function SimulationSummary({ result, currency }: SimulationSummar
                 { label: 'P75', key: 'p75' as const },
                 { label: 'P90 (Bull)', key: 'p90' as const }
               ].map(row => {
-                const val = summary.price[row.key];
+                const val = price[row.key];
                 const pctChange = ((val - inputParams.price0) / inputParams.price0) * 100;
                 return (
                   <tr key={row.key} className={row.key === 'p50' ? 'highlight-row' : ''}>
                     <td>{row.label}</td>
-                    <td className="mono">{formatCurrency(val)}</td>
+                    <td className="mono">
+                      {formatCurrency(val)}
+                      {mcError(formatErrorCurrency(convergence.price[row.key]))}
+                    </td>
                     <td className={`mono ${pctChange >= 0 ? 'text-green' : 'text-red'}`}>
                       {pctChange >= 0 ? '+' : ''}{pctChange.toFixed(1)}%
                     </td>
@@ -120,13 +333,13 @@ export default function SimulationSummary({ result, currency }: SimulationSummar
         </div>
 
         <div className="percentile-table">
-          <h3>CAGR Distribution</h3>
+          <h3>{cagrLabel} Distribution</h3>
           <table>
             <thead>
               <tr>
                 <th>Percentile</th>
                 <th>CAGR</th>
-                <th>vs FD</th>
+                <th>{isReal ? 'vs Real FD' : 'vs FD'}</th>
               </tr>
             </thead>
             <tbody>
@@ -137,12 +350,15 @@ export default function SimulationSummary({ result, currency }: SimulationSummar
                 { label: 'P75', key: 'p75' as const },
                 { label: 'P90 (Bull)', key: 'p90' as const }
               ].map(row => {
-                const val = summary.cagr[row.key];
-                const diff = val - summary.fdRate;
+                const val = cagr[row.key];
+                const diff = val - hurdle;
                 return (
                   <tr key={row.key} className={row.key === 'p50' ? 'highlight-row' : ''}>
                     <td>{row.label}</td>
-                    <td className="mono">{formatPct(val)}</td>
+                    <td className="mono">
+                      {formatPct(val)}
+                      {mcError(formatErrorPts(convergence.cagr[row.key]))}
+                    </td>
                     <td className={`mono ${diff >= 0 ? 'text-green' : 'text-red'}`}>
                       {diff >= 0 ? '+' : ''}{(diff * 100).toFixed(1)}pp
                     </td>
@@ -152,6 +368,76 @@ export default function SimulationSummary({ result, currency }: SimulationSummar
             </tbody>
           </table>
         </div>
+
+        {benchmark && (
+          <div className="percentile-table">
+            <h3>Excess CAGR vs {benchmark.ticker}</h3>
+            <table>
+              <thead>
+                <tr>
+                  <th>Percentile</th>
+                  <th>Excess CAGR</th>
+                  <th>Index CAGR</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[
+                  { label: 'P10 (Bear)', key: 'p10' as const },
+                  { label: 'P25', key: 'p25' as const },
+                  { label: 'P50 (Median)', key: 'p50' as const },
+                  { label: 'P75', key: 'p75' as const },
+                  { label: 'P90 (Bull)', key: 'p90' as const }
+                ].map(row => {
+                  const excess = benchmark.excessCagr[row.key];
+                  return (
+                    <tr key={row.key} className={row.key === 'p50' ? 'highlight-row' : ''}>
+                      <td>{row.label}</td>
+                      <td className={`mono ${excess >= 0 ? 'text-green' : 'text-red'}`}>
+                        {excess >= 0 ? '+' : ''}{(excess * 100).toFixed(1)}pp
+                      </td>
+                      <td className="mono">{formatPct(benchmark.indexCagr[row.key])}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+            <div className="sim-meta">
+              Index drawn with correlation {inputParams.indexCorrelation.toFixed(2)} to the stock (realized {benchmark.realizedCorrelation.toFixed(2)});
+              percentiles of each column are taken separately.
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div className="target-query">
+        <h3>Probability of Reaching a Target{isReal && ' (nominal)'}</h3>
+        <div className="target-query-form">
+          <select
+            className="input-field"
+            value={targetVariable}
+            onChange={e => onTargetQueryChange({ variable: e.target.value as TargetQuery['variable'], input: '' })}
+          >
+            <option value="price">Terminal Price</option>
+            <option value="cagr">{hasDividends ? 'Total-Return CAGR' : 'CAGR'}</option>
+          </select>
+          <div className="input-with-suffix">
+            <input
+              type="number"
+              className="input-field"
+              value={targetInput}
+              placeholder={targetVariable === 'price' ? String(Math.round(summary.price.p75)) : '15'}
+              onChange={e => onTargetQueryChange({ variable: targetVariable, input: e.target.value })}
+              step={targetVariable === 'price' ? 100 : 1}
+            />
+            {targetVariable === 'cagr' && <span className="suffix">%</span>}
+          </div>
+          {probAbove != null && (
+            <div className="target-query-result">
+              <span className="mono">P({targetLabel}) = {formatPct(probAbove)}</span>
+              <span className="sim-meta">below or at: {formatPct(1 - probAbove)} &middot; read off the percentiles, to within 1pp</span>
+            </div>
+          )}
+        </div>
       </div>
     </div>
   );
@@ -70,6 +70,54 @@ export default function StockSnapshot({ data }: StockSnapshotProps) {
           <div className="metric-label">P/E Volatility</div>
           <div className="metric-value">{data.peDistribution.sigmaPE.toFixed(1)}</div>
         </div>
+        {data.industryPE && (
+          <div className="metric-card">
+            <div className="metric-label">Industry P/E</div>
+            <div className="metric-value">{data.industryPE.toFixed(1)}x</div>
+          </div>
+        )}
+        <div className="metric-card">
+          <div className="metric-label">P/E Half-Life</div>
+          <div className="metric-value">
+            {data.peReversion.halfLife.toFixed(1)}y
+          </div>
+        </div>
+        <div className="metric-card">
+          <div className="metric-label">Growth–P/E Corr.</div>
+          <div className="metric-value">
+            {data.growthPECorrelation.dataPoints > 0
+              ? data.growthPECorrelation.correlation.toFixed(2)
+              : 'N/A'}
+          </div>
+        </div>
+        <div className="metric-card">
+          <div className="metric-label">Share Change / yr</div>
+          <div className="metric-value">
+            {data.shareChangeDistribution.dataPoints > 0
+              ? `${data.shareChangeDistribution.meanShareChange >= 0 ? '+' : ''}${(data.shareChangeDistribution.meanShareChange * 100).toFixed(2)}%`
+              : 'N/A'}
+          </div>
+        </div>
+        <div className="metric-card">
+          <div className="metric-label">Dividend Yield</div>
+          <div className="metric-value">
+            {data.dividendYield ? `${(data.dividendYield * 100).toFixed(2)}%` : 'N/A'}
+          </div>
+        </div>
+        {data.payoutRatio != null && (
+          <div className="metric-card">
+            <div className="metric-label">Payout Ratio</div>
+            <div className="metric-value">{(data.payoutRatio * 100).toFixed(0)}%</div>
+          </div>
+        )}
+        {data.benchmark && (
+          <div className="metric-card">
+            <div className="metric-label">{data.benchmark.ticker} Return / Corr.</div>
+            <div className="metric-value">
+              {((Math.exp(data.benchmark.meanLogReturn) - 1) * 100).toFixed(1)}% / {data.benchmark.correlation.toFixed(2)}
+            </div>
+          </div>
+        )}
       </div>
 
       {data.warnings.length > 0 && (
@@ -0,0 +1,130 @@
+import { useState } from 'react';
+import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, ReferenceLine, Legend } from 'recharts';
+import { Tornado } from 'lucide-react';
+import type { TornadoOutput } from '../types';
+
+interface TornadoChartProps {
+  result: TornadoOutput | null;
+  isLoading: boolean;
+  onRun: () => void;
+}
+
+type Metric = 'medianCagr' | 'probBeatsFD';
+
+interface TornadoRow {
+  name: string;
+  low: number;
+  high: number;
+  lowValue: string;
+  highValue: string;
+  baseValue: string;
+}
+
+const pct = (digits: number) => (v: number) => `${(v * 100).toFixed(digits)}%`;
+
+const INPUT_LABELS: Record<string, { label: string; format: (v: number) => string }> = {
+  years: { label: 'Horizon', format: v => `${v}y` },
+  fdRate: { label: 'FD Rate', format: pct(1) },
+  eps0: { label: 'Starting EPS', format: v => v.toFixed(2) },
+  growthMin: { label: 'Growth Floor', format: pct(0) },
+  growthMax: { label: 'Growth Cap', format: pct(0) },
+  peMin: { label: 'P/E Floor', format: v => `${v.toFixed(1)}x` },
+  peMax: { label: 'P/E Cap', format: v => `${v.toFixed(1)}x` },
+  sigmaGrowth: { label: 'Growth Vol (σ)', format: pct(1) },
+  sigmaPE: { label: 'P/E Vol (σ)', format: v => v.toFixed(1) },
+  sigmaShareChange: { label: 'Share Change σ', format: pct(2) },
+  terminalSigmaGrowth: { label: 'Terminal Growth σ', format: pct(1) }
+};
+
+const METRICS: Array<{ key: Metric; label: string }> = [
+  { key: 'medianCagr', label: 'Median CAGR' },
+  { key: 'probBeatsFD', label: 'P(Beat FD)' }
+];
+
+export default function TornadoChart({ result, isLoading, onRun }: TornadoChartProps) {
+  const [metric, setMetric] = useState<Metric>('medianCagr');
+
+  const formatPp = (v: number) => `${v > 0 ? '+' : ''}${v.toFixed(2)}pp`;
+
+  // Deltas from the baseline in percentage points, widest swing on top
+  const rows: TornadoRow[] = result
+    ? [...result.inputs]
+      .sort((a, b) => b.swing[metric] - a.swing[metric])
+      .map(input => {
+        const { label, format } = INPUT_LABELS[input.key] ?? { label: input.key, format: (v: number) => String(v) };
+        return {
+          name: label,
+          low: (input.low[metric] - result.baseline[metric]) * 100,
+          high: (input.high[metric] - result.baseline[metric]) * 100,
+          lowValue: format(input.low.value),
+          highValue: format(input.high.value),
+          baseValue: format(input.base)
+        };
+      })
+    : [];
+  const top = rows[0];
+
+  return (
+    <div className="tornado-section">
+      <div className="summary-header">
+        <h2>How Fragile Is the Answer?</h2>
+        <button className="btn btn-outline btn-download" onClick={onRun} disabled={isLoading}>
+          <Tornado size={16} />
+          {isLoading ? 'Running…' : result ? 'Rerun Tornado' : 'Run Tornado'}
+        </button>
+      </div>
+      <p className="section-description">
+        Reruns the simulation with each fixed input — horizon, FD rate, EPS, the growth and P/E bounds and the fitted
+        volatilities — moved to a low and a high value, with the same seed, and shows how far the answer moves from the baseline.
+      </p>
+
+      {result && (
+        <div className="tornado-card">
+          <div className="metric-toggle">
+            {METRICS.map(m => (
+              <button
+                key={m.key}
+                className={`metric-toggle-btn ${metric === m.key ? 'active' : ''}`}
+                onClick={() => setMetric(m.key)}
+              >
+                {m.label}
+              </button>
+            ))}
+            <span className="sim-meta">
+              baseline {pct(1)(result.baseline[metric])} &middot; {result.inputParams.numSimulations.toLocaleString()} sims per run &middot; seed {result.inputParams.seed}
+            </span>
+          </div>
+
+          <ResponsiveContainer width="100%" height={Math.max(200, rows.length * 44)}>
+            <BarChart data={rows} layout="vertical" margin={{ top: 10, right: 30, left: 10, bottom: 0 }} barGap={0}>
+              <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.06)" />
+              <XAxis type="number" tickFormatter={formatPp} stroke="rgba(255,255,255,0.4)" fontSize={11} />
+              <YAxis type="category" dataKey="name" width={130} stroke="rgba(255,255,255,0.4)" fontSize={11} />
+              <Tooltip
+                formatter={(value: unknown, name: unknown, item: { payload?: TornadoRow }) => [
+                  formatPp(Number(value)),
+                  `${name} (${name === 'Low' ? item.payload?.lowValue : item.payload?.highValue})`
+                ]}
+                labelFormatter={(label: unknown, payload: ReadonlyArray<{ payload?: TornadoRow }>) =>
+                  `${label} (base ${payload[0]?.payload?.baseValue ?? '—'})`}
+                contentStyle={{ background: '#1a1a2e', border: '1px solid rgba(255,255,255,0.1)', borderRadius: 8 }}
+              />
+              <Legend />
+              <ReferenceLine x={0} stroke="rgba(255,255,255,0.4)" />
+              <Bar dataKey="low" name="Low" fill="#e17055" radius={[2, 2, 2, 2]} />
+              <Bar dataKey="high" name="High" fill="#00b894" radius={[2, 2, 2, 2]} />
+            </BarChart>
+          </ResponsiveContainer>
+
+          {top && (
+            <div className="sensitivity-insight">
+              <strong>Insight:</strong> {top.name} moves the {metric === 'medianCagr' ? 'median CAGR' : 'probability of beating the FD'} the
+              most, from {formatPp(top.low)} at {top.lowValue} to {formatPp(top.high)} at {top.highValue}.
+              {Math.max(Math.abs(top.low), Math.abs(top.high)) < 1 && ' Even the largest swing is under a percentage point, so the answer is robust to these settings.'}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
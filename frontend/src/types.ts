@@ -1,10 +1,19 @@
+export type DistributionType = 'normal' | 'lognormal' | 'studentT' | 'triangular' | 'bootstrap';
+
+export type PEAnchorSource = 'historical' | 'industry' | 'custom';
+
+export type SamplingMethod = 'random' | 'antithetic' | 'latinHypercube' | 'sobol';
+
 export interface StockData {
   ticker: string;
   currentPrice: number;
   trailingEps: number;
   trailingPE: number;
   forwardPE: number | null;
+  industryPE: number | null;
   sharesOutstanding: number;
+  dividendYield: number | null;
+  payoutRatio: number | null;
   companyName: string;
   currency: string;
   exchange: string;
@@ -13,6 +22,7 @@ export interface StockData {
 
   epsHistory: Array<{ date: string; eps: number; year: number }>;
   peHistory: number[];
+  peSeries: Array<{ year: number; pe: number }>;
   historicalPrices: Array<{ date: string; close: number; volume: number }>;
   priceReturns: number[];
 
@@ -30,10 +40,49 @@ export interface StockData {
     dataPoints: number;
     warning: string | null;
   };
+  growthPECorrelation: {
+    correlation: number;
+    dataPoints: number;
+    warning: string | null;
+  };
+  peReversion: {
+    halfLife: number;
+    phi: number;
+    dataPoints: number;
+    warning: string | null;
+  };
+  shareHistory: Array<{ year: number; shares: number }>;
+  shareChangeDistribution: {
+    meanShareChange: number;
+    sigmaShareChange: number;
+    changes: number[];
+    dataPoints: number;
+    warning: string | null;
+  };
+  netIncomeGrowthDistribution: {
+    meanGrowth: number;
+    sigmaGrowth: number;
+    growthRates: number[];
+    dataPoints: number;
+    warning: string | null;
+  } | null;
+  benchmark: BenchmarkFit | null;
 
   warnings: string[];
 }
 
+// A market index fitted for benchmark mode: annual log-return mean/sigma and
+// its monthly-return correlation with the stock
+export interface BenchmarkFit {
+  ticker: string;
+  meanLogReturn: number;
+  sigmaLogReturn: number;
+  correlation: number;
+  dataPoints: number;
+  overlappingMonths: number;
+  warning: string | null;
+}
+
 export interface HistogramBin {
   binStart: number;
   binEnd: number;
@@ -44,14 +93,27 @@ export interface HistogramBin {
 
 export interface SimulationResult {
   g: number;
+  shareChange: number;
+  epsGrowth: number;
   peT: number;
   epsT: number;
   priceT: number;
+  dividends: number;
+  dividendsPaid: number;
+  totalValue: number;
+  priceCagr: number;
   cagr: number;
   beatsFD: boolean;
   isLoss: boolean;
 }
 
+export interface GrowthStages {
+  highGrowth: number;
+  highGrowthYears: number;
+  fadeYears: number;
+  terminalGrowth: number;
+}
+
 export interface Scenario {
   growthLabel: string;
   growthValue: number;
@@ -60,6 +122,73 @@ export interface Scenario {
   epsT: number;
   priceT: number;
   cagr: number;
+  // Deflated at the central inflation rate
+  realPriceT: number;
+  realCagr: number;
+  stages: GrowthStages | null;
+}
+
+export interface TruncationInfo {
+  belowMin: number;
+  aboveMax: number;
+  truncatedProbability: number;
+}
+
+export interface PercentileBand {
+  p10: number;
+  p25: number;
+  p50: number;
+  p75: number;
+  p90: number;
+}
+
+export interface PercentileSummary extends PercentileBand {
+  mean: number;
+}
+
+// Monte Carlo standard error and confidence interval of one estimate
+export interface MonteCarloInterval {
+  se: number;
+  lower: number;
+  upper: number;
+}
+
+export type SummaryIntervals = Record<keyof PercentileSummary, MonteCarloInterval>;
+
+export type DividendMode = 'reinvest' | 'cash';
+
+// Rates the post-tax comparison applies (backend/tax.js); the exemption is in rupees a year
+export interface TaxRules {
+  slabRate: number;
+  ltcgRate: number;
+  stcgRate: number;
+  ltcgExemption: number;
+  ltcgMinYears: number;
+  cess: number;
+}
+
+// Whether results are shown as simulated or deflated to today's money
+export type ReturnBasis = 'nominal' | 'real';
+
+// Sobol indices of one stochastic input ('growth', 'pe', 'shareChange', 'terminalGrowth', ...)
+export interface SensitivityIndex {
+  key: string;
+  firstOrder: number;
+  totalEffect: number;
+}
+
+export interface PathBand {
+  year: number;
+  eps: PercentileBand;
+  pe: PercentileBand;
+  price: PercentileBand;
+}
+
+// VaR and CVaR at one confidence level, as losses (positive = loss)
+export interface RiskLevel {
+  level: number;
+  price: { var: number; cvar: number };
+  cagr: { var: number; cvar: number };
 }
 
 export interface SimulationOutput {
@@ -68,23 +197,117 @@ export interface SimulationOutput {
     cagr: { p10: number; p25: number; p50: number; p75: number; p90: number; mean: number };
     probBeatsFD: number;
     probLoss: number;
+    priceOnly: {
+      cagr: PercentileSummary;
+      probBeatsFD: number;
+      probLoss: number;
+    };
+    totalValue: PercentileSummary;
+    dividends: {
+      payoutRatio: number;
+      mode: DividendMode;
+      meanReceived: number;
+    };
     fdTarget: number;
     fdRate: number;
+    benchmark: {
+      ticker: string;
+      probBeatsIndex: number;
+      indexCagr: PercentileSummary;
+      excessCagr: PercentileSummary;
+      realizedCorrelation: number;
+    } | null;
+    // Outcomes deflated by the average annual inflation over the horizon
+    real: {
+      inflationRate: number;
+      inflationSigma: number;
+      price: PercentileSummary;
+      totalValue: PercentileSummary;
+      cagr: PercentileSummary;
+      probBeatsInflation: number;
+    probLoss: number;
+      fdRate: number;
+    };
+    // investmentAmount in the stock vs the FD, after tax; null unless a taxProfile was sent
+    postTax: {
+      rules: TaxRules;
+      investmentAmount: number;
+      holding: 'long' | 'short';
+      fdRate: number;
+      fdWealth: number;
+      wealth: PercentileSummary;
+      cagr: PercentileSummary;
+      tax: PercentileSummary;
+      probBeatsFD: number;
+    } | null;
     years: number;
     numSimulations: number;
   };
   scenarios: Scenario[];
   sensitivity: {
-    growthContribution: number;
-    peContribution: number;
-    varGrowth: number;
-    varPE: number;
+    inputs: SensitivityIndex[];
+    interaction: number;
+    variance: number;
+    samples: number;
+    realizedCorrelation: number;
   };
   distributions: {
     price: HistogramBin[];
     cagr: HistogramBin[];
     growth: HistogramBin[];
     pe: HistogramBin[];
+    fairValue: HistogramBin[];
+    excessCagr: HistogramBin[] | null;
+  };
+  // Values at percentiles 0, 1, …, 100
+  cdf: {
+    price: number[];
+    cagr: number[];
+  };
+  pathBands: PathBand[] | null;
+  truncation: {
+    growth: TruncationInfo;
+    pe: TruncationInfo;
+    shareChange: TruncationInfo;
+    terminalGrowth: TruncationInfo | null;
+  };
+  valuation: {
+    requiredReturn: number;
+    confidenceLevel: number;
+    fairValue: PercentileSummary;
+    probUndervalued: number;
+    marginOfSafety: number;
+    entryPrice: number;
+  };
+  risk: {
+    valueAtRisk: RiskLevel[];
+    fdShortfall: { expected: number; conditional: number | null };
+    downsideDeviation: number;
+    lossProbabilities: Array<{ threshold: number; probability: number }>;
+  };
+  convergence: {
+    confidence: number;
+    price: SummaryIntervals;
+    cagr: SummaryIntervals;
+    probBeatsFD: MonteCarloInterval;
+    probLoss: MonteCarloInterval;
+    precision: number;
+    // Plain-MC variance ÷ achieved variance per statistic; null for plain random sampling
+    varianceReduction: {
+      price: Record<keyof PercentileSummary, number | null>;
+      cagr: Record<keyof PercentileSummary, number | null>;
+      probBeatsFD: number | null;
+      probLoss: number | null;
+    } | null;
+    samplingMethod: SamplingMethod;
+    replicates: number | null;
+    adaptive: {
+      targetPrecision: number;
+      maxSimulations: number;
+      batchSize: number;
+      batches: number;
+      converged: boolean;
+    } | null;
   };
   inputParams: {
     price0: number;
@@ -101,6 +324,46 @@ export interface SimulationOutput {
     growthMax: number;
     peMin: number;
     peMax: number;
+    growthPECorrelation: number;
+    pathMode: boolean;
+    growthAutocorrelation: number;
+    growthDistType: DistributionType;
+    peDistType: DistributionType;
+    growthDf: number;
+    peDf: number;
+    dividendYield: number;
+    payoutRatio: number;
+    dividendMode: DividendMode;
+    requiredReturn: number;
+    confidenceLevel: number;
+    riskConfidenceLevels: number[];
+    lossThresholds: number[];
+    benchmarkMode: boolean;
+    benchmarkTicker: string;
+    indexMeanLogReturn: number;
+    indexSigmaLogReturn: number;
+    indexCorrelation: number;
+    inflationRate: number;
+    inflationSigma: number;
+    taxProfile: Partial<TaxRules> | null;
+    investmentAmount: number;
+    meanShareChange: number;
+    sigmaShareChange: number;
+    shareChangeMin: number;
+    shareChangeMax: number;
+    multiStage: boolean;
+    highGrowthYears: number;
+    fadeYears: number;
+    terminalMeanGrowth: number;
+    terminalSigmaGrowth: number;
+    peMeanReversion: boolean;
+    peAnchor: number;
+    peHalfLife: number;
+    adaptive: boolean;
+    targetPrecision: number;
+    maxSimulations: number;
+    samplingMethod: SamplingMethod;
+    seed: number;
   };
   sampledResults: SimulationResult[];
 }
@@ -116,4 +379,263 @@ export interface SimParams {
   overrideMeanPE: string;
   overrideSigmaPE: string;
   overrideEps: string;
+  overrideGrowthPECorrelation: string;
+  pathMode: boolean;
+  growthAutocorrelation: number;
+  growthDistType: DistributionType;
+  peDistType: DistributionType;
+  growthDf: number;
+  peDf: number;
+  overrideDividendYield: string;
+  overridePayoutRatio: string;
+  dividendMode: DividendMode;
+  requiredReturn: number;
+  confidenceLevel: number;
+  modelShareChange: boolean;
+  overrideMeanShareChange: string;
+  overrideSigmaShareChange: string;
+  benchmarkMode: boolean;
+  benchmarkTicker: string;
+  overrideIndexReturn: string;
+  overrideIndexSigma: string;
+  overrideIndexCorrelation: string;
+  inflationRate: number;
+  inflationSigma: number;
+  postTax: boolean;
+  investmentAmount: number;
+  overrideSlabRate: string;
+  overrideLtcgRate: string;
+  overrideStcgRate: string;
+  overrideLtcgExemption: string;
+  overrideCess: string;
+  multiStage: boolean;
+  highGrowthYears: number;
+  fadeYears: number;
+  terminalMeanGrowth: number;
+  terminalSigmaGrowth: number;
+  peMeanReversion: boolean;
+  peAnchorSource: PEAnchorSource;
+  overridePEAnchor: string;
+  overridePEHalfLife: string;
+  adaptive: boolean;
+  targetPrecision: number;
+  maxSimulations: number;
+  samplingMethod: SamplingMethod;
+  seed: string;
+}
+
+export interface PortfolioHolding {
+  ticker: string;
+  weight: number;
+}
+
+export interface PortfolioParams {
+  holdings: PortfolioHolding[];
+  years: number;
+  numSimulations: number;
+  fdRate: number;
+  lookbackYears: number;
+  capital: number;
+  seed: string;
+}
+
+export interface PortfolioOutput {
+  summary: {
+    value: PercentileSummary;
+    cagr: PercentileSummary;
+    probBeatsFD: number;
+    probLoss: number;
+    volatility: number;
+    capital: number;
+    fdTarget: number;
+    fdRate: number;
+    years: number;
+    numSimulations: number;
+  };
+  holdings: Array<{
+    ticker: string;
+    companyName: string;
+    weight: number;
+    price0: number;
+    medianCagr: number;
+    volatility: number;
+    riskContribution: number;
+  }>;
+  correlation: {
+    tickers: string[];
+    matrix: number[][];
+    shrinkage: number;
+    dataPoints: number;
+  };
+  distributions: {
+    value: HistogramBin[];
+    cagr: HistogramBin[];
+  };
+  inputParams: {
+    years: number;
+    numSimulations: number;
+    fdRate: number;
+    capital: number;
+    seed: number;
+  };
+  warnings: string[];
+}
+
+export interface ScreenParams {
+  tickers: string;
+  years: number;
+  numSimulations: number;
+  fdRate: number;
+  lookbackYears: number;
+  seed: string;
+}
+
+export type ScreenRow =
+  | {
+    ticker: string;
+    status: 'ok';
+    companyName: string;
+    currency: string;
+    price: number;
+    medianPrice: number;
+    medianCagr: number;
+    probBeatsFD: number;
+    probLoss: number;
+    warnings: string[];
+  }
+  | {
+    ticker: string;
+    status: 'error';
+    error: string;
+  };
+
+export interface ScreenOutput {
+  results: ScreenRow[];
+  inputParams: {
+    years: number;
+    numSimulations: number;
+    fdRate: number;
+    seed: number;
+  };
+}
+
+// Median CAGR and P(beat FD) with one deterministic input at a bumped value
+export interface TornadoPoint {
+  value: number;
+  medianCagr: number;
+  probBeatsFD: number;
+}
+
+export interface TornadoInput {
+  key: string;
+  base: number;
+  low: TornadoPoint;
+  high: TornadoPoint;
+  swing: {
+    medianCagr: number;
+    probBeatsFD: number;
+  };
+}
+
+export interface TornadoOutput {
+  baseline: {
+    medianCagr: number;
+    probBeatsFD: number;
+  };
+  inputs: TornadoInput[];
+  inputParams: {
+    numSimulations: number;
+    seed: number;
+  };
+}
+
+export type SolveVariable = 'meanGrowth' | 'meanPE' | 'price0';
+export type SolveMetric = 'probBeatsFD' | 'medianCagr' | 'pricePercentile';
+
+export interface SolveTarget {
+  metric: SolveMetric;
+  value: number;
+  percentile?: number; // terminal price percentile for 'pricePercentile'
+}
+
+// Where an implied growth rate or P/E sits in the stock's history
+export interface HistoryComparison {
+  distribution: 'growth' | 'netIncomeGrowth' | 'pe';
+  historicalMean: number;
+  historicalSigma: number;
+  zScore: number | null;
+  percentileRank: number | null;
+  dataPoints: number;
+}
+
+// An implied entry price against the current price
+export interface PriceComparison {
+  currentPrice: number;
+  premium: number;
+}
+
+export interface SolveOutput {
+  solveFor: SolveVariable;
+  target: SolveTarget;
+  solution: number | null;
+  achieved: number | null;
+  converged: boolean;
+  iterations: number;
+  bracket: {
+    low: number;
+    high: number;
+    metricAtLow: number;
+    metricAtHigh: number;
+  };
+  baseline: {
+    value: number;
+    metric: number;
+  };
+  history: HistoryComparison | PriceComparison | null;
+  inputParams: {
+    numSimulations: number;
+    seed: number;
+  };
+}
+
+export interface SavedRunListing {
+  id: string;
+  name: string;
+  ticker: string;
+  companyName: string;
+  createdAt: string;
+  seed: number;
+  years: number;
+  medianCagr: number;
+  probBeatsFD: number;
+}
+
+// A "P(price > x)" or "P(CAGR > x)" query on the summary, as typed (CAGR in percent)
+export interface TargetQuery {
+  variable: 'price' | 'cagr';
+  input: string;
+}
+
+// The request body sent to /api/simulate, with the seed that run resolved to
+export type SimulationRequest = Record<string, unknown> & { seed?: number };
+
+export interface SavedRun {
+  id: string;
+  name: string;
+  ticker: string;
+  companyName: string;
+  createdAt: string;
+  seed: number;
+  params: SimParams | null;
+  inputs: SimulationRequest & { seed: number };
+  stockData: StockData;
+  summary: SimulationOutput['summary'];
+}
+
+// A simulation result pinned to the comparison view
+export interface ComparisonEntry {
+  id: string;
+  label: string;
+  ticker: string;
+  result: SimulationOutput;
 }
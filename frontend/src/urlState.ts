@@ -0,0 +1,118 @@
+/**
+ * Shareable URL state for the single-stock view.
+ *
+ * SimParams are written to the query string as `?ticker=TCS.NS&years=7&seed=42`,
+ * listing only the fields that differ from DEFAULT_SIM_PARAMS (plus the ticker),
+ * so links stay short. Everything lives in the URL itself, which is all a static
+ * GitHub Pages deployment can serve.
+ */
+import type { SimParams, DistributionType, DividendMode, PEAnchorSource, SamplingMethod } from './types';
+
+export const DEFAULT_SIM_PARAMS: SimParams = {
+  ticker: 'FINEORG.NS',
+  years: 5,
+  numSimulations: 20000,
+  fdRate: 0.07,
+  requiredReturn: 0.12,
+  confidenceLevel: 0.8,
+  lookbackYears: 8,
+  overrideMeanGrowth: '',
+  overrideSigmaGrowth: '',
+  overrideMeanPE: '',
+  overrideSigmaPE: '',
+  overrideEps: '',
+  overrideGrowthPECorrelation: '',
+  pathMode: false,
+  growthAutocorrelation: 0,
+  growthDistType: 'normal',
+  peDistType: 'normal',
+  growthDf: 4,
+  peDf: 4,
+  overrideDividendYield: '',
+  overridePayoutRatio: '',
+  dividendMode: 'reinvest',
+  modelShareChange: false,
+  overrideMeanShareChange: '',
+  overrideSigmaShareChange: '',
+  benchmarkMode: false,
+  benchmarkTicker: '^NSEI',
+  overrideIndexReturn: '',
+  overrideIndexSigma: '',
+  overrideIndexCorrelation: '',
+  inflationRate: 0.05,
+  inflationSigma: 0,
+  postTax: false,
+  investmentAmount: 100000,
+  overrideSlabRate: '',
+  overrideLtcgRate: '',
+  overrideStcgRate: '',
+  overrideLtcgExemption: '',
+  overrideCess: '',
+  multiStage: false,
+  highGrowthYears: 3,
+  fadeYears: 2,
+  terminalMeanGrowth: 0.06,
+  terminalSigmaGrowth: 0.03,
+  peMeanReversion: false,
+  peAnchorSource: 'historical',
+  overridePEAnchor: '',
+  overridePEHalfLife: '',
+  adaptive: false,
+  targetPrecision: 0.005,
+  maxSimulations: 50000,
+  samplingMethod: 'random',
+  seed: ''
+};
+
+const ENUM_VALUES: Partial<Record<keyof SimParams, readonly string[]>> = {
+  growthDistType: ['normal', 'lognormal', 'studentT', 'triangular', 'bootstrap'] satisfies DistributionType[],
+  peDistType: ['normal', 'lognormal', 'studentT', 'triangular', 'bootstrap'] satisfies DistributionType[],
+  dividendMode: ['reinvest', 'cash'] satisfies DividendMode[],
+  peAnchorSource: ['historical', 'industry', 'custom'] satisfies PEAnchorSource[],
+  samplingMethod: ['random', 'antithetic', 'latinHypercube', 'sobol'] satisfies SamplingMethod[]
+};
+
+/** Query string (with leading `?`) for `params`; always includes the ticker. */
+export function encodeSimParams(params: SimParams): string {
+  const query = new URLSearchParams();
+  for (const key of Object.keys(DEFAULT_SIM_PARAMS) as Array<keyof SimParams>) {
+    const value = params[key];
+    if (key !== 'ticker' && value === DEFAULT_SIM_PARAMS[key]) continue;
+    query.set(key, typeof value === 'boolean' ? (value ? '1' : '0') : String(value));
+  }
+  return `?${query.toString()}`;
+}
+
+/**
+ * SimParams from a query string, or null when it has no ticker. Each value is
+ * parsed by the type of its default; unknown keys and malformed values are
+ * ignored so an old or hand-edited link still opens.
+ */
+export function decodeSimParams(search: string): SimParams | null {
+  const query = new URLSearchParams(search);
+  const ticker = query.get('ticker')?.trim().toUpperCase();
+  if (!ticker) return null;
+
+  const params: Record<string, unknown> = { ...DEFAULT_SIM_PARAMS, ticker };
+  for (const key of Object.keys(DEFAULT_SIM_PARAMS) as Array<keyof SimParams>) {
+    const raw = query.get(key);
+    if (raw == null || key === 'ticker') continue;
+    const fallback = DEFAULT_SIM_PARAMS[key];
+    if (typeof fallback === 'number') {
+      const n = parseFloat(raw);
+      if (Number.isFinite(n)) params[key] = n;
+    } else if (typeof fallback === 'boolean') {
+      params[key] = raw === '1' || raw === 'true';
+    } else if (ENUM_VALUES[key]) {
+      if (ENUM_VALUES[key].includes(raw)) params[key] = raw;
+    } else if (key === 'seed') {
+      params[key] = raw.replace(/[^0-9]/g, '');
+    } else if (key === 'benchmarkTicker') {
+      if (raw.trim()) params[key] = raw.trim().toUpperCase();
+    } else if (Number.isFinite(parseFloat(raw))) {
+      // Overrides are numeric strings
+      params[key] = raw;
+    }
+  }
+  return params as unknown as SimParams;
+}
@@ -12,7 +12,7 @@ const UA = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (
 function corsHeaders(origin) {
   return {
     'Access-Control-Allow-Origin': origin || '*',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
     'Access-Control-Allow-Headers': 'Content-Type',
   };
 }
@@ -51,13 +51,155 @@ function iqrSigma(arr) {
 function robustSigma(arr) { return Math.min(madSigma(arr), iqrSigma(arr)); }
 
 function percentile(arr, p) {
-  const sorted = [...arr].sort((a, b) => a - b);
+  return percentileOfSorted([...arr].sort((a, b) => a - b), p);
+}
+
+function percentileOfSorted(sorted, p) {
   const idx = (p / 100) * (sorted.length - 1);
   const lo = Math.floor(idx), hi = Math.ceil(idx);
   if (lo === hi) return sorted[lo];
   return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
 }
 
+function percentileBand(values) {
+  const sorted = Float64Array.from(values).sort();
+  return { p10: percentileOfSorted(sorted, 10), p25: percentileOfSorted(sorted, 25), p50: percentileOfSorted(sorted, 50), p75: percentileOfSorted(sorted, 75), p90: percentileOfSorted(sorted, 90) };
+}
+
+// Compact empirical CDF: entry i is the value at percentile i·100/(points-1)
+const CDF_POINTS = 101;
+function empiricalCdf(values) {
+  const sorted = Float64Array.from(values).sort();
+  return Array.from({ length: CDF_POINTS }, (_, i) => percentileOfSorted(sorted, (100 * i) / (CDF_POINTS - 1)));
+}
+
+// ─── Monte Carlo error (mirror backend/simulation.js monteCarloErrors) ───
+const MC_CONFIDENCE = 0.95, MC_Z = 1.959963984540054;
+
+// Order-statistic interval: draws below the true quantile are Binomial(n, q)
+function percentileInterval(sorted, p) {
+  const n = sorted.length, q = p / 100, idx = q * (n - 1), spread = MC_Z * Math.sqrt(n * q * (1 - q));
+  const lower = sorted[Math.max(0, Math.floor(idx - spread))], upper = sorted[Math.min(n - 1, Math.ceil(idx + spread))];
+  return { se: (upper - lower) / (2 * MC_Z), lower, upper };
+}
+
+function meanInterval(values) {
+  const n = values.length, mean = values.reduce((a, b) => a + b, 0) / n;
+  const se = Math.sqrt(values.reduce((a, v) => a + (v - mean) * (v - mean), 0) / Math.max(1, n - 1) / n);
+  return { se, lower: mean - MC_Z * se, upper: mean + MC_Z * se };
+}
+
+function proportionInterval(prob, n) {
+  const se = Math.sqrt(prob * (1 - prob) / n);
+  return { se, lower: Math.max(0, prob - MC_Z * se), upper: Math.min(1, prob + MC_Z * se) };
+}
+
+function summaryIntervals(values) {
+  const sorted = Float64Array.from(values).sort();
+  return { p10: percentileInterval(sorted, 10), p25: percentileInterval(sorted, 25), p50: percentileInterval(sorted, 50), p75: percentileInterval(sorted, 75), p90: percentileInterval(sorted, 90), mean: meanInterval(values) };
+}
+
+// Per-replicate estimates of the summary percentiles, means and probabilities
+function headlineEstimates(results) {
+  const n = results.length, summarize = (values) => ({ ...percentileBand(values), mean: values.reduce((a, b) => a + b, 0) / n });
+  return { price: summarize(results.map(r => r.priceT)), cagr: summarize(results.map(r => r.cagr)), probBeatsFD: results.filter(r => r.beatsFD).length / n, probLoss: results.filter(r => r.isLoss).length / n };
+}
+
+function replicateInterval(estimate, replicateEstimates, min = -Infinity, max = Infinity) {
+  const k = replicateEstimates.length, mean = replicateEstimates.reduce((a, b) => a + b, 0) / k;
+  const se = Math.sqrt(replicateEstimates.reduce((a, v) => a + (v - mean) * (v - mean), 0) / (k - 1) / k);
+  return { se, lower: Math.max(min, estimate - MC_Z * se), upper: Math.min(max, estimate + MC_Z * se) };
+}
+
+// `precision` = widest 95% half-interval over the CAGR percentiles and the two probabilities. With replicate blocks the
+// errors come from the spread between replicates and varianceReduction = plain-MC variance ÷ achieved variance.
+function monteCarloErrors(results, blocks = null) {
+  const n = results.length;
+  const plain = { price: summaryIntervals(results.map(r => r.priceT)), cagr: summaryIntervals(results.map(r => r.cagr)), probBeatsFD: proportionInterval(results.filter(r => r.beatsFD).length / n, n), probLoss: proportionInterval(results.filter(r => r.isLoss).length / n, n) };
+  let intervals = plain, varianceReduction = null;
+  if (blocks && blocks.length > 1) {
+    const pooled = headlineEstimates(results), replicates = blocks.map(([start, end]) => headlineEstimates(results.slice(start, end)));
+    const summaryFor = (key) => Object.fromEntries(Object.keys(pooled[key]).map(stat => [stat, replicateInterval(pooled[key][stat], replicates.map(r => r[key][stat]))]));
+    intervals = {
+      price: summaryFor('price'), cagr: summaryFor('cagr'),
+      probBeatsFD: replicateInterval(pooled.probBeatsFD, replicates.map(r => r.probBeatsFD), 0, 1), probLoss: replicateInterval(pooled.probLoss, replicates.map(r => r.probLoss), 0, 1)
+    };
+    const ratio = (a, b) => (b.se > 0 ? (a.se * a.se) / (b.se * b.se) : null);
+    const ratiosFor = (key) => Object.fromEntries(Object.keys(plain[key]).map(stat => [stat, ratio(plain[key][stat], intervals[key][stat])]));
+    varianceReduction = { price: ratiosFor('price'), cagr: ratiosFor('cagr'), probBeatsFD: ratio(plain.probBeatsFD, intervals.probBeatsFD), probLoss: ratio(plain.probLoss, intervals.probLoss) };
+  }
+  const { cagr, probBeatsFD, probLoss } = intervals;
+  const halfWidths = [...['p10', 'p25', 'p50', 'p75', 'p90'].map(k => (cagr[k].upper - cagr[k].lower) / 2), (probBeatsFD.upper - probBeatsFD.lower) / 2, (probLoss.upper - probLoss.lower) / 2];
+  return { confidence: MC_CONFIDENCE, ...intervals, precision: Math.max(...halfWidths), varianceReduction };
+}
+
+// Standard normal CDF (Hart 1968 / West 2005) — double precision across the whole line
+function normalCdf(z) {
+  const x = Math.abs(z);
+  let tail;
+  if (x > 37) tail = 0;
+  else if (x < 7.07106781186547) {
+    const e = Math.exp(-x * x / 2);
+    let num = 3.52624965998911e-02 * x + 0.700383064443688;
+    num = num * x + 6.37396220353165; num = num * x + 33.912866078383; num = num * x + 112.079291497871;
+    num = num * x + 221.213596169931; num = num * x + 220.206867912376;
+    let den = 8.83883476483184e-02 * x + 1.75566716318264;
+    den = den * x + 16.064177579207; den = den * x + 86.7807322029461; den = den * x + 296.564248779674;
+    den = den * x + 637.333633378831; den = den * x + 793.826512519948; den = den * x + 440.413735824752;
+    tail = e * num / den;
+  } else {
+    const e = Math.exp(-x * x / 2);
+    let cf = x + 0.65; cf = x + 4 / cf; cf = x + 3 / cf; cf = x + 2 / cf; cf = x + 1 / cf;
+    tail = e / cf / 2.506628274631;
+  }
+  return z > 0 ? 1 - tail : tail;
+}
+
+// Inverse standard normal CDF (Acklam + one Halley step)
+function normalQuantile(p) {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+  const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+  const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+  const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+  const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+  const pLow = 0.02425;
+  let x;
+  if (p < pLow) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    x = (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  } else if (p <= 1 - pLow) {
+    const q = p - 0.5, r = q * q;
+    x = (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+  } else {
+    const q = Math.sqrt(-2 * Math.log(1 - p));
+    x = -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  const err = normalCdf(x) - p;
+  const u = err * Math.sqrt(2 * Math.PI) * Math.exp(x * x / 2);
+  return x - u / (1 + x * u / 2);
+}
+
+function pearson(xs, ys) {
+  const n = xs.length;
+  const mx = xs.reduce((a, b) => a + b, 0) / n, my = ys.reduce((a, b) => a + b, 0) / n;
+  let sxy = 0, sxx = 0, syy = 0;
+  for (let i = 0; i < n; i++) { sxy += (xs[i] - mx) * (ys[i] - my); sxx += (xs[i] - mx) ** 2; syy += (ys[i] - my) ** 2; }
+  return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : 0;
+}
+
+function ranks(arr) {
+  const order = arr.map((v, i) => [v, i]).sort((a, b) => a[0] - b[0]);
+  const r = new Array(arr.length);
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1][0] === order[i][0]) j++;
+    for (let k = i; k <= j; k++) r[order[k][1]] = (i + j) / 2 + 1;
+    i = j + 1;
+  }
+  return r;
+}
+
 // ════════════════════════════════════════════════════════════════
 //  EPS / PE Distribution
 // ════════════════════════════════════════════════════════════════
@@ -105,25 +247,341 @@ function computePEDistribution(peHistory) {
   };
 }
 
+// Annual share-count change from [{ year, shares }] (positive = dilution, negative = buyback)
+function computeShareChangeDistribution(shareHistory) {
+  const changes = [];
+  for (let i = 1; i < (shareHistory || []).length; i++) {
+    const prev = shareHistory[i - 1], curr = shareHistory[i];
+    if (prev.shares > 0 && curr.shares > 0 && curr.year > prev.year) changes.push(Math.pow(curr.shares / prev.shares, 1 / (curr.year - prev.year)) - 1);
+  }
+  if (changes.length === 0) return { meanShareChange: 0, sigmaShareChange: 0, changes, dataPoints: 0, warning: 'No share-count history. Assuming a constant share count.' };
+  const MIN_SIGMA_SHARE_CHANGE = 0.005;
+  return {
+    meanShareChange: median(changes),
+    sigmaShareChange: Math.max(changes.length >= 3 ? robustSigma(changes) : 0, MIN_SIGMA_SHARE_CHANGE),
+    changes, dataPoints: changes.length,
+    warning: changes.length < 3 ? `Share-count change estimated from only ${changes.length} year(s) of history.` : null
+  };
+}
+
+// P/E mean reversion: AR(1) slope φ of log P/E over consecutive years → half-life ln 2 / −ln φ (3y fallback)
+function computePEReversion(peSeries) {
+  const DEFAULT_HALF_LIFE = 3, xs = [], ys = [];
+  const sorted = [...(peSeries || [])].sort((a, b) => a.year - b.year);
+  for (let i = 1; i < sorted.length; i++) {
+    const prev = sorted[i - 1], curr = sorted[i];
+    if (curr.year - prev.year === 1 && prev.pe > 0 && curr.pe > 0) { xs.push(Math.log(prev.pe)); ys.push(Math.log(curr.pe)); }
+  }
+  const fallback = (warning) => ({ halfLife: DEFAULT_HALF_LIFE, phi: Math.pow(0.5, 1 / DEFAULT_HALF_LIFE), dataPoints: xs.length, warning });
+  if (xs.length < 4) return fallback(`Too few consecutive P/E years to estimate mean reversion. Using a ${DEFAULT_HALF_LIFE}-year half-life.`);
+  const mX = xs.reduce((a, b) => a + b, 0) / xs.length, mY = ys.reduce((a, b) => a + b, 0) / ys.length;
+  let cov = 0, varX = 0;
+  for (let i = 0; i < xs.length; i++) { cov += (xs[i] - mX) * (ys[i] - mY); varX += (xs[i] - mX) ** 2; }
+  const phi = varX > 0 ? cov / varX : 0;
+  if (!(phi > 0 && phi < 1)) return fallback(`P/E history shows no mean reversion (AR(1) slope ${phi.toFixed(2)}). Using a ${DEFAULT_HALF_LIFE}-year half-life.`);
+  return { halfLife: Math.log(2) / -Math.log(phi), phi, dataPoints: xs.length, warning: xs.length < 6 ? `P/E mean reversion estimated from only ${xs.length} year pairs.` : null };
+}
+
+// Gaussian-copula correlation between annual EPS growth and same-year P/E change (Spearman → 2·sin(πρ/6))
+function computeGrowthPECorrelation(epsHistory, peSeries) {
+  const peByYear = new Map((peSeries || []).map(p => [p.year, p.pe]));
+  const growths = [], peChanges = [];
+  for (let i = 1; i < (epsHistory || []).length; i++) {
+    const prev = epsHistory[i - 1], curr = epsHistory[i];
+    const pePrev = peByYear.get(prev.year), peCurr = peByYear.get(curr.year);
+    if (prev.eps > 0 && curr.eps != null && pePrev > 0 && peCurr > 0) {
+      growths.push((curr.eps - prev.eps) / prev.eps);
+      peChanges.push(peCurr / pePrev - 1);
+    }
+  }
+  if (growths.length < 4) {
+    return { correlation: 0, dataPoints: growths.length, warning: 'Too few paired EPS/P/E observations to estimate correlation. Assuming independence.' };
+  }
+  const MAX = 0.9;
+  const correlation = Math.max(-MAX, Math.min(MAX, 2 * Math.sin(Math.PI * pearson(ranks(growths), ranks(peChanges)) / 6)));
+  return { correlation, dataPoints: growths.length, warning: growths.length < 6 ? `Growth/P/E correlation estimated from only ${growths.length} paired years.` : null };
+}
+
+// Market index for benchmark mode: annual log-return mean/sigma from monthly closes, and its monthly-return correlation with the stock
+const MIN_INDEX_MONTHS = 24;
+function computeBenchmarkDistribution(ticker, indexPrices, stockPrices) {
+  const indexReturns = monthlyLogReturns(indexPrices || []), values = [...indexReturns.values()];
+  if (values.length < MIN_INDEX_MONTHS) return null;
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const variance = values.reduce((a, r) => a + (r - mean) ** 2, 0) / (values.length - 1);
+  const xs = [], ys = [];
+  for (const [month, r] of monthlyLogReturns(stockPrices || [])) {
+    if (indexReturns.has(month)) { xs.push(r); ys.push(indexReturns.get(month)); }
+  }
+  const enoughOverlap = xs.length >= MIN_OVERLAPPING_MONTHS;
+  return {
+    ticker, meanLogReturn: 12 * mean, sigmaLogReturn: Math.sqrt(12 * variance),
+    correlation: enoughOverlap ? pearson(xs, ys) : 0, dataPoints: values.length, overlappingMonths: xs.length,
+    warning: enoughOverlap ? null : `Only ${xs.length} months of stock returns overlap with ${ticker}; assuming the stock and the index are uncorrelated.`
+  };
+}
+
 // ════════════════════════════════════════════════════════════════
 //  Monte Carlo Simulation
 // ════════════════════════════════════════════════════════════════
 
-function boxMullerNormal() {
-  let u1; do { u1 = Math.random(); } while (u1 === 0);
-  return Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * Math.random());
+// Mulberry32 — must stay in lockstep with backend/simulation.js so seeded runs match byte-for-byte
+function createRng(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function resolveSeed(seed) {
+  if (seed === undefined || seed === null || seed === '') return Math.floor(Math.random() * 4294967296);
+  const n = Number(seed);
+  if (!Number.isFinite(n)) throw new Error('seed must be a number.');
+  return Math.trunc(n) >>> 0;
 }
 
-function sampleTruncatedNormal(mean, sigma, min, max) {
-  for (let a = 0; a < 100; a++) {
-    const val = mean + sigma * boxMullerNormal();
-    if (val >= min && val <= max) return val;
+function isValidSeed(seed) { try { resolveSeed(seed); return true; } catch { return false; } }
+function validateSimulationCount(key, value, max) {
+  return value == null || (Number.isInteger(value) && value > 0 && value <= max) ? null : `${key} must be a whole number from 1 to ${max}.`;
+}
+
+const DIVIDEND_MODES = ['reinvest', 'cash'];
+const MAX_RISK_LEVELS = 10;
+const INFLATION_MIN = -0.5, INFLATION_MAX = 1, MAX_SIMULATIONS = 50000;
+// Truncation bounds with the engine's defaults for each end
+const BOUND_PAIRS = [['growthMin', 'growthMax', -0.20, 0.40], ['peMin', 'peMax', 5, 60], ['shareChangeMin', 'shareChangeMax', -0.10, 0.15]];
+// Tax rules for the post-tax FD comparison — keep in step with backend/tax.js
+const TAX_RULES = { slabRate: 0.30, ltcgRate: 0.125, stcgRate: 0.20, ltcgExemption: 125000, ltcgMinYears: 1, cess: 0.04 };
+const TAX_RATE_KEYS = ['slabRate', 'ltcgRate', 'stcgRate', 'cess'];
+const DEFAULT_BENCHMARK_TICKER = '^NSEI';
+
+// Returns an error message for malformed simulation input, or null if usable
+function validateSimulationInput(body) {
+  if (!body.price0 || !body.eps0) return 'price0 and eps0 are required.';
+  if (!isValidSeed(body.seed)) return 'seed must be a number.';
+  const countError = validateSimulationCount('numSimulations', body.numSimulations, MAX_SIMULATIONS);
+  if (countError) return countError;
+  if (body.adaptive) {
+    if (body.targetPrecision != null && !(body.targetPrecision > 0)) return 'targetPrecision must be positive.';
+    if (body.maxSimulations != null && !(Number.isInteger(body.maxSimulations) && body.maxSimulations >= (body.numSimulations ?? 20000) && body.maxSimulations <= MAX_SIMULATIONS)) return `maxSimulations must be a whole number from numSimulations to ${MAX_SIMULATIONS}.`;
+  }
+  if (body.samplingMethod != null && !SAMPLING_METHODS.includes(body.samplingMethod)) return `samplingMethod must be one of: ${SAMPLING_METHODS.join(', ')}.`;
+  if (body.samplingMethod === 'sobol' && body.pathMode && (body.years ?? 5) + 2 > SOBOL_MAX_DIMENSIONS) return `Sobol sampling in path mode supports horizons up to ${SOBOL_MAX_DIMENSIONS - 2} years.`;
+  if (body.growthPECorrelation != null && !(Math.abs(body.growthPECorrelation) <= 1)) return 'growthPECorrelation must be between -1 and 1.';
+  if (body.growthAutocorrelation != null && !(Math.abs(body.growthAutocorrelation) <= 1)) return 'growthAutocorrelation must be between -1 and 1.';
+  for (const [minKey, maxKey, minDefault, maxDefault] of BOUND_PAIRS) if (!((body[minKey] ?? minDefault) < (body[maxKey] ?? maxDefault))) return `${minKey} must be below ${maxKey}.`;
+  if (body.pathMode && !Number.isInteger(body.years ?? 5)) return 'years must be a whole number in path mode.';
+  for (const key of ['growthDistType', 'peDistType']) {
+    if (body[key] != null && !DISTRIBUTION_TYPES.includes(body[key])) return `${key} must be one of: ${DISTRIBUTION_TYPES.join(', ')}.`;
+  }
+  if (body.growthDistType === 'bootstrap' && !(body.growthSamples?.length >= 2)) return 'growthSamples (at least 2 values) are required for bootstrap growth.';
+  if (body.peDistType === 'bootstrap' && !(body.peSamples?.length >= 2)) return 'peSamples (at least 2 values) are required for bootstrap P/E.';
+  // Student-t needs a finite variance; lognormal needs its mean and cap above the shift
+  if (body.growthDistType === 'studentT' && body.growthDf != null && !(body.growthDf > 2)) return 'growthDf must be above 2.';
+  if (body.growthDistType === 'lognormal' && !(body.meanGrowth > -1 && (body.growthMax ?? 0.40) > -1)) return 'A lognormal growth distribution needs meanGrowth and growthMax above -100%.';
+  if (!body.peMeanReversion && body.peDistType === 'studentT' && body.peDf != null && !(body.peDf > 2)) return 'peDf must be above 2.';
+  if (!body.peMeanReversion && body.peDistType === 'lognormal' && !(body.meanPE > 0 && (body.peMax ?? 60) > 0)) return 'A lognormal P/E distribution needs a positive meanPE and peMax.';
+  if (body.dividendYield != null && !(body.dividendYield >= 0)) return 'dividendYield must be zero or positive.';
+  if (body.payoutRatio != null && !(body.payoutRatio >= 0)) return 'payoutRatio must be zero or positive.';
+  if (body.dividendMode != null && !DIVIDEND_MODES.includes(body.dividendMode)) return `dividendMode must be one of: ${DIVIDEND_MODES.join(', ')}.`;
+  if (body.requiredReturn != null && !(body.requiredReturn > -1)) return 'requiredReturn must be above -100%.';
+  if (body.confidenceLevel != null && !(body.confidenceLevel > 0 && body.confidenceLevel < 1)) return 'confidenceLevel must be between 0 and 1.';
+  if (body.benchmarkMode) {
+    if (body.benchmarkTicker != null && typeof body.benchmarkTicker !== 'string') return 'benchmarkTicker must be a ticker symbol.';
+    if (body.indexMeanLogReturn != null && !Number.isFinite(body.indexMeanLogReturn)) return 'indexMeanLogReturn must be a number.';
+    if (body.indexSigmaLogReturn != null && !(body.indexSigmaLogReturn >= 0)) return 'indexSigmaLogReturn must be zero or positive.';
+    if (body.indexCorrelation != null && !(Math.abs(body.indexCorrelation) <= 1)) return 'indexCorrelation must be between -1 and 1.';
+  }
+  if (body.inflationRate != null && !(body.inflationRate > INFLATION_MIN && body.inflationRate < INFLATION_MAX)) return `inflationRate must be between ${INFLATION_MIN * 100}% and ${INFLATION_MAX * 100}%.`;
+  if (body.inflationSigma != null && !(body.inflationSigma >= 0)) return 'inflationSigma must be zero or positive.';
+  if (body.taxProfile != null) {
+    if (typeof body.taxProfile !== 'object' || Array.isArray(body.taxProfile)) return 'taxProfile must be an object.';
+    for (const [key, value] of Object.entries(body.taxProfile)) {
+      if (!(key in TAX_RULES)) return `taxProfile.${key} is not a tax rule; use one of: ${Object.keys(TAX_RULES).join(', ')}.`;
+      if (TAX_RATE_KEYS.includes(key) ? !(value >= 0 && value <= 1) : !(value >= 0)) return `taxProfile.${key} must be ${TAX_RATE_KEYS.includes(key) ? 'between 0 and 1' : 'zero or positive'}.`;
+    }
+    if (body.investmentAmount != null && !(body.investmentAmount > 0)) return 'investmentAmount must be positive.';
+  }
+  for (const key of ['riskConfidenceLevels', 'lossThresholds']) {
+    const levels = body[key];
+    if (levels != null && !(Array.isArray(levels) && levels.length >= 1 && levels.length <= MAX_RISK_LEVELS && levels.every(x => x > 0 && x < 1))) return `${key} must be a list of 1 to ${MAX_RISK_LEVELS} values between 0 and 1.`;
+  }
+  if (body.sigmaShareChange != null && !(body.sigmaShareChange >= 0)) return 'sigmaShareChange must be zero or positive.';
+  if ((body.shareChangeMin ?? -0.10) <= -1) return 'shareChangeMin must be above -100%.';
+  if (body.multiStage) {
+    for (const key of ['highGrowthYears', 'fadeYears']) {
+      if (body[key] != null && !(Number.isInteger(body[key]) && body[key] >= 0)) return `${key} must be a whole number of years.`;
+    }
+    if (body.terminalSigmaGrowth != null && !(body.terminalSigmaGrowth >= 0)) return 'terminalSigmaGrowth must be zero or positive.';
+  }
+  if (body.peMeanReversion) {
+    if (body.peAnchor != null && !(body.peAnchor > 0)) return 'peAnchor must be positive.';
+    if (body.peHalfLife != null && !(body.peHalfLife > 0)) return 'peHalfLife must be positive.';
+  }
+  return null;
+}
+
+function boxMullerNormal(rng) {
+  let u1; do { u1 = rng(); } while (u1 === 0);
+  return Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * rng());
+}
+
+// Standard normal truncated to [a, b], worked in the lower tail for precision;
+// exponential tail approximation once both bounds are beyond normalCdf's range
+function standardTruncatedQuantile(u, a, b) {
+  if (!(a <= b)) throw new Error('Truncation bounds need min <= max.');
+  if (a > 0) return -standardTruncatedQuantile(1 - u, -b, -a);
+  const pa = normalCdf(a), pb = normalCdf(b);
+  if (pb > pa) return normalQuantile(pa + u * (pb - pa));
+  const lo = -b, width = b - a;
+  return -(lo - Math.log(1 - (1 - u) * -Math.expm1(-lo * width)) / lo);
+}
+
+// Exact inverse-CDF truncated normal for any mean/sigma/bounds — keeps the dependence carried by u
+function truncatedNormalQuantile(u, mean, sigma, min, max) {
+  if (!(sigma > 0)) return Math.max(min, Math.min(max, mean));
+  const z = standardTruncatedQuantile(u, (min - mean) / sigma, (max - mean) / sigma);
+  return Math.max(min, Math.min(max, mean + sigma * z));
+}
+
+function normalTailMass(mean, sigma, min, max) {
+  if (!(sigma > 0)) return { belowMin: mean < min ? 1 : 0, aboveMax: mean > max ? 1 : 0 };
+  return { belowMin: normalCdf((min - mean) / sigma), aboveMax: normalCdf((mean - max) / sigma) };
+}
+
+// ─── Sampling distributions (mirror backend/distributions.js) ───
+
+function logGamma(x) {
+  const c = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61503916999185, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  x -= 1;
+  let a = c[0];
+  const t = x + 7.5;
+  for (let i = 1; i < 9; i++) a += c[i] / (x + i);
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+function betaContinuedFraction(x, a, b) {
+  const TINY = 1e-30;
+  let c = 1, d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < TINY) d = TINY;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d; if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c; if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d; h *= d * c;
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d; if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c; if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-14) break;
+  }
+  return h;
+}
+
+function regularizedIncompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2) ? front * betaContinuedFraction(x, a, b) / a : 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+function studentTCdf(t, df) {
+  const ib = regularizedIncompleteBeta(df / (df + t * t), df / 2, 0.5);
+  return t > 0 ? 1 - ib / 2 : ib / 2;
+}
+
+const DISTRIBUTION_TYPES = ['normal', 'lognormal', 'studentT', 'triangular', 'bootstrap'];
+const CDF_GRID_POINTS = 2048;
+
+// Tabulated truncated inverse CDF for distributions without a closed-form quantile (Student-t)
+function tabulatedQuantile(cdf, min, max) {
+  const xs = new Float64Array(CDF_GRID_POINTS + 1), fs = new Float64Array(CDF_GRID_POINTS + 1);
+  for (let i = 0; i <= CDF_GRID_POINTS; i++) { xs[i] = min + (max - min) * i / CDF_GRID_POINTS; fs[i] = cdf(xs[i]); }
+  return (u) => {
+    const target = fs[0] + u * (fs[CDF_GRID_POINTS] - fs[0]);
+    let lo = 0, hi = CDF_GRID_POINTS;
+    while (hi - lo > 1) { const mid = (lo + hi) >> 1; if (fs[mid] < target) lo = mid; else hi = mid; }
+    const span = fs[hi] - fs[lo];
+    return span > 0 ? xs[lo] + (xs[hi] - xs[lo]) * (target - fs[lo]) / span : xs[lo];
+  };
+}
+
+// Terminal value of a log-scale OU process from `start` toward `anchor` (sigma = long-run spread); glide(valueT, t) is the OU bridge mean
+function buildMeanRevertingMarginal({ start, anchor, halfLife, sigma, horizon, min, max, label = 'variable' }) {
+  if (!(start > 0) || !(anchor > 0)) throw new Error(`Mean-reverting ${label} needs a positive start and anchor.`);
+  if (!(halfLife > 0)) throw new Error(`Mean-reverting ${label} needs a positive half-life.`);
+  const phi = Math.pow(0.5, 1 / halfLife), logAnchor = Math.log(anchor), logStart = Math.log(start);
+  const sInf = Math.sqrt(Math.log(1 + (sigma / anchor) ** 2)), decayT = Math.pow(phi, horizon);
+  const mu = logAnchor + (logStart - logAnchor) * decayT, s = sInf * Math.sqrt(1 - decayT * decayT);
+  const logMin = min > 0 ? Math.log(min) : -Infinity, logMax = Math.log(max);
+  const meanAt = (t) => logAnchor + (logStart - logAnchor) * Math.pow(phi, t);
+  return {
+    quantile: (u) => Math.max(min, Math.min(max, Math.exp(truncatedNormalQuantile(u, mu, s, logMin, logMax)))),
+    truncation: normalTailMass(mu, s, logMin, logMax),
+    glide: (valueT, t) => {
+      const weight = Math.pow(phi, horizon - t) * (1 - Math.pow(phi, 2 * t)) / (1 - decayT * decayT);
+      return Math.exp(meanAt(t) + weight * (Math.log(valueT) - mu));
+    }
+  };
+}
+
+// Truncated sampler for one input → { quantile(u), truncation: { belowMin, aboveMax } }. For triangular, mean is the mode.
+function buildMarginal({ type = 'normal', mean, sigma, min, max, shift = 0, df = 4, samples = [], label = 'variable' }) {
+  const clamp = (x) => Math.max(min, Math.min(max, x));
+  switch (type) {
+    case 'normal':
+      return { quantile: (u) => truncatedNormalQuantile(u, mean, sigma, min, max), truncation: normalTailMass(mean, sigma, min, max) };
+    case 'lognormal': {
+      const m = mean - shift;
+      if (!(m > 0)) throw new Error(`Lognormal ${label} needs a mean above ${shift}.`);
+      if (!(max > shift)) throw new Error(`Lognormal ${label} needs a maximum above ${shift}.`);
+      const s = Math.sqrt(Math.log(1 + (sigma / m) ** 2)), mu = Math.log(m) - s * s / 2;
+      const logMin = min > shift ? Math.log(min - shift) : -Infinity, logMax = Math.log(max - shift);
+      return {
+        quantile: (u) => clamp(shift + Math.exp(truncatedNormalQuantile(u, mu, s, logMin, logMax))),
+        truncation: normalTailMass(mu, s, logMin, logMax)
+      };
+    }
+    case 'studentT': {
+      if (!(df > 2)) throw new Error(`Student-t ${label} needs more than 2 degrees of freedom.`);
+      const scale = sigma * Math.sqrt((df - 2) / df);
+      return {
+        quantile: tabulatedQuantile((x) => studentTCdf((x - mean) / scale, df), min, max),
+        truncation: { belowMin: studentTCdf((min - mean) / scale, df), aboveMax: studentTCdf((mean - max) / scale, df) }
+      };
+    }
+    case 'triangular': {
+      const mode = clamp(mean), range = max - min, split = range > 0 ? (mode - min) / range : 0;
+      const quantile = (u) => (u < split ? min + Math.sqrt(u * range * (mode - min)) : max - Math.sqrt((1 - u) * range * (max - mode)));
+      return { quantile, truncation: { belowMin: 0, aboveMax: 0 } };
+    }
+    case 'bootstrap': {
+      const finite = samples.filter(Number.isFinite);
+      const sorted = finite.filter(x => x >= min && x <= max).sort((a, b) => a - b);
+      if (sorted.length < 2) throw new Error(`Bootstrap ${label} needs at least 2 historical values within the bounds.`);
+      return {
+        quantile: (u) => sorted[Math.min(sorted.length - 1, Math.floor(u * sorted.length))],
+        truncation: { belowMin: finite.filter(x => x < min).length / finite.length, aboveMax: finite.filter(x => x > max).length / finite.length }
+      };
+    }
+    default:
+      throw new Error(`Unknown distribution type "${type}".`);
   }
-  return Math.max(min, Math.min(max, mean));
 }
 
 function buildHistogram(values, numBins) {
-  const mn = Math.min(...values), mx = Math.max(...values);
+  let mn = Infinity, mx = -Infinity;
+  for (const v of values) { if (v < mn) mn = v; if (v > mx) mx = v; }
   const bw = (mx - mn) / numBins;
   if (bw === 0) return [{ binStart: mn, binEnd: mn, binMid: mn, count: values.length, frequency: 1 }];
   const bins = Array.from({ length: numBins }, (_, i) => ({
@@ -134,50 +592,803 @@ function buildHistogram(values, numBins) {
   return bins;
 }
 
-function runSimulation({ price0, eps0, pe0, years, numSimulations, fdRate, meanGrowth, sigmaGrowth, meanPE, sigmaPE, growthMin = -0.20, growthMax = 0.40, peMin = 5, peMax = 60 }) {
+// ─── Variance-reduced sampling (mirror backend/sampling.js) ───
+const SAMPLING_METHODS = ['random', 'antithetic', 'latinHypercube', 'sobol'];
+const SAMPLING_REPLICATES = 16; // independent replicates per batch; their spread gives the standard error
+const UNIT_EDGE = 2 ** -33, clampUnit = (u) => Math.min(1 - UNIT_EDGE, Math.max(UNIT_EDGE, u));
+
+// Pairs u, 1 - u
+function antitheticPoints(dimensions, rng) {
+  let base = null, index = 0;
+  return () => {
+    const point = new Float64Array(dimensions);
+    if (index % 2 === 0) { base = point; for (let k = 0; k < dimensions; k++) point[k] = clampUnit(rng()); }
+    else for (let k = 0; k < dimensions; k++) point[k] = 1 - base[k];
+    index++;
+    return point;
+  };
+}
+
+// Each coordinate hits each of `count` strata once, shuffled independently
+function latinHypercubePoints(dimensions, count, rng) {
+  const columns = [];
+  for (let k = 0; k < dimensions; k++) {
+    const strata = Array.from({ length: count }, (_, i) => i);
+    for (let i = count - 1; i > 0; i--) { const j = Math.floor(rng() * (i + 1)); [strata[i], strata[j]] = [strata[j], strata[i]]; }
+    columns.push(Float64Array.from(strata, s => clampUnit((s + rng()) / count)));
+  }
+  let index = 0;
+  return () => { const point = Float64Array.from(columns, column => column[index]); index++; return point; };
+}
+
+// Joe & Kuo (2008) [degree, coefficients, initial direction numbers] for Sobol dimensions 2+
+const SOBOL_TABLE = [
+  [1, 0, [1]], [2, 1, [1, 3]], [3, 1, [1, 3, 1]], [3, 2, [1, 1, 1]], [4, 1, [1, 1, 3, 3]], [4, 4, [1, 3, 5, 13]],
+  [5, 2, [1, 1, 5, 5, 17]], [5, 4, [1, 1, 5, 5, 5]], [5, 7, [1, 1, 7, 11, 19]], [5, 11, [1, 1, 5, 1, 1]], [5, 13, [1, 1, 1, 3, 11]], [5, 14, [1, 3, 5, 5, 31]],
+  [6, 1, [1, 3, 3, 9, 7, 49]], [6, 13, [1, 1, 1, 15, 21, 21]], [6, 16, [1, 3, 1, 13, 27, 49]], [6, 19, [1, 1, 1, 15, 7, 5]], [6, 22, [1, 3, 1, 15, 13, 25]], [6, 25, [1, 1, 5, 5, 19, 61]],
+  [7, 1, [1, 3, 7, 11, 23, 15, 103]], [7, 4, [1, 3, 7, 13, 13, 15, 69]], [7, 7, [1, 1, 3, 13, 7, 35, 63]], [7, 8, [1, 3, 5, 9, 1, 25, 53]], [7, 14, [1, 3, 1, 13, 9, 35, 107]],
+  [7, 19, [1, 3, 1, 5, 27, 61, 31]], [7, 21, [1, 1, 5, 11, 19, 41, 61]], [7, 28, [1, 3, 5, 3, 3, 13, 69]], [7, 31, [1, 1, 7, 13, 1, 19, 1]], [7, 32, [1, 3, 7, 5, 13, 19, 59]], [7, 37, [1, 1, 3, 9, 25, 29, 41]]
+];
+const SOBOL_MAX_DIMENSIONS = SOBOL_TABLE.length + 1, SOBOL_BITS = 32;
+const randomUint32 = (rng) => Math.floor(rng() * 4294967296) >>> 0;
+function parity(x) { x ^= x >>> 16; x ^= x >>> 8; x ^= x >>> 4; x ^= x >>> 2; x ^= x >>> 1; return x & 1; }
+
+function sobolDirections(dimension) {
+  const v = new Uint32Array(SOBOL_BITS);
+  if (dimension === 0) { for (let k = 0; k < SOBOL_BITS; k++) v[k] = 2 ** (31 - k); return v; }
+  const [s, a, m] = SOBOL_TABLE[dimension - 1];
+  for (let k = 0; k < SOBOL_BITS; k++) {
+    if (k < s) { v[k] = m[k] * 2 ** (31 - k); continue; }
+    let value = v[k - s] ^ (v[k - s] >>> s);
+    for (let j = 1; j < s; j++) if ((a >>> (s - 1 - j)) & 1) value ^= v[k - j];
+    v[k] = value >>> 0;
+  }
+  return v;
+}
+
+// Matoušek linear scramble: random unit lower-triangular binary matrix
+function scrambleDirections(v, rng) {
+  const rows = [];
+  for (let r = 0; r < SOBOL_BITS; r++) rows.push(((r === 0 ? 0 : (randomUint32(rng) >>> (32 - r)) << (32 - r)) | (1 << (31 - r))) >>> 0);
+  return v.map(direction => {
+    let scrambled = 0;
+    for (let r = 0; r < SOBOL_BITS; r++) if (parity(rows[r] & direction)) scrambled |= 1 << (31 - r);
+    return scrambled >>> 0;
+  });
+}
+
+// Scrambled Sobol (linear scramble + digital shift) in Gray-code order
+function sobolPoints(dimensions, rng) {
+  const directions = [], state = new Uint32Array(dimensions);
+  for (let k = 0; k < dimensions; k++) { directions.push(scrambleDirections(sobolDirections(k), rng)); state[k] = randomUint32(rng); }
+  let index = 0;
+  return () => {
+    if (index > 0) { const bit = 31 - Math.clz32(index & -index); for (let k = 0; k < dimensions; k++) state[k] ^= directions[k][bit]; }
+    index++;
+    return Float64Array.from(state, x => x / 4294967296 + UNIT_EDGE);
+  };
+}
+
+const randomPoint = (dimensions, rng) => Float64Array.from({ length: dimensions }, () => clampUnit(rng()));
+// Next-point generator for one replicate; null points mean plain draws from rng
+function createPointSet(method, dimensions, count, rng) {
+  if (method === 'antithetic') return antitheticPoints(dimensions, rng);
+  if (method === 'latinHypercube') return latinHypercubePoints(dimensions, count, rng);
+  if (method === 'sobol') return sobolPoints(dimensions, rng);
+  return () => null;
+}
+
+// ─── Sobol sensitivity indices (mirror backend/simulation.js sobolIndices) ───
+// Pick-freeze design (Saltelli 2010): A, B and per input A with its coordinates from B; Saltelli first-order, Jansen total-effect
+const SENSITIVITY_SAMPLES = 2048;
+const clampIndex = (x) => Math.min(1, Math.max(0, x));
+function sobolIndices(evaluate, inputs, dimensions, samples, rng) {
+  const a = [], b = [], fA = new Float64Array(samples), fB = new Float64Array(samples);
+  const nextPair = 2 * dimensions <= SOBOL_MAX_DIMENSIONS ? createPointSet('sobol', 2 * dimensions, samples, rng) : () => null;
+  for (let j = 0; j < samples; j++) {
+    const pair = nextPair();
+    a.push(pair ? pair.slice(0, dimensions) : randomPoint(dimensions, rng));
+    b.push(pair ? pair.slice(dimensions) : randomPoint(dimensions, rng));
+    fA[j] = evaluate(a[j]); fB[j] = evaluate(b[j]);
+  }
+  let mean = 0, variance = 0;
+  for (let j = 0; j < samples; j++) mean += fA[j] + fB[j];
+  mean /= 2 * samples;
+  for (let j = 0; j < samples; j++) variance += (fA[j] - mean) ** 2 + (fB[j] - mean) ** 2;
+  variance /= 2 * samples;
+  const indices = inputs.map(({ key, dimensions: coordinates }) => {
+    let first = 0, total = 0;
+    for (let j = 0; j < samples; j++) {
+      const mixed = Float64Array.from(a[j]);
+      for (const k of coordinates) mixed[k] = b[j][k];
+      const f = evaluate(mixed);
+      first += (fB[j] - mean) * (f - fA[j]);
+      total += (fA[j] - f) ** 2;
+    }
+    return { key, firstOrder: variance > 0 ? clampIndex(first / samples / variance) : 0, totalEffect: variance > 0 ? clampIndex(total / (2 * samples) / variance) : 0 };
+  });
+  const firstOrderSum = indices.reduce((sum, input) => sum + input.firstOrder, 0);
+  return { inputs: indices, interaction: variance > 0 ? clampIndex(1 - firstOrderSum) : 0, variance, samples };
+}
+
+// Dividends on one share bought today, paid each whole year-end; reinvested at that year's glide-path price (peAt) or held as cash; `paid` sums the payments
+function accumulateDividends(epsAt, peAt, years, payoutRatio, reinvest) {
+  let shares = 1, cash = 0, paid = 0;
+  if (!(payoutRatio > 0)) return { shares, cash, paid };
+  for (let t = 1; t <= years; t++) {
+    const dividend = shares * payoutRatio * epsAt(t);
+    paid += dividend;
+    if (reinvest) shares += dividend / (epsAt(t) * peAt(t));
+    else cash += dividend;
+  }
+  return { shares, cash, paid };
+}
+
+function runSimulation({ price0, eps0, pe0, startPE = null, years, numSimulations, fdRate, meanGrowth, sigmaGrowth, meanPE, sigmaPE, growthMin = -0.20, growthMax = 0.40, peMin = 5, peMax = 60, growthPECorrelation = 0, pathMode = false, growthAutocorrelation = 0, growthDistType = 'normal', peDistType = 'normal', growthDf = 4, peDf = 4, growthSamples = [], peSamples = [], dividendYield = 0, payoutRatio = null, dividendMode = 'reinvest', requiredReturn = 0.12, confidenceLevel = 0.8, riskConfidenceLevels = [0.95, 0.99], lossThresholds = [0.10, 0.25, 0.50], benchmarkMode = false, benchmarkTicker = '^NSEI', indexMeanLogReturn = 0.11, indexSigmaLogReturn = 0.17, indexCorrelation = 0.5, inflationRate = 0.05, inflationSigma = 0, taxProfile = null, investmentAmount = 100000, meanShareChange = 0, sigmaShareChange = 0, shareChangeMin = -0.10, shareChangeMax = 0.15, multiStage = false, highGrowthYears = 3, fadeYears = 2, terminalMeanGrowth = 0.06, terminalSigmaGrowth = 0.03, peMeanReversion = false, peAnchor = null, peHalfLife = 3, adaptive = false, targetPrecision = 0.005, maxSimulations = 50000, samplingMethod = 'random', sensitivityAnalysis = true, seed }) {
   const results = [], fdTarget = price0 * Math.pow(1 + fdRate, years);
-  for (let i = 0; i < numSimulations; i++) {
-    const g = sampleTruncatedNormal(meanGrowth, sigmaGrowth, growthMin, growthMax);
-    const peT = sampleTruncatedNormal(meanPE, sigmaPE, peMin, peMax);
-    const epsT = eps0 * Math.pow(1 + g, years);
+  // Year-end dividends = payout × EPS; payout implied by today's yield when not given
+  const effectivePayout = payoutRatio ?? dividendYield * price0 / eps0, reinvestDividends = dividendMode === 'reinvest';
+  const resolvedSeed = resolveSeed(seed), rng = createRng(resolvedSeed);
+  const growthSampler = buildMarginal({ type: growthDistType, mean: meanGrowth, sigma: sigmaGrowth, min: growthMin, max: growthMax, shift: -1, df: growthDf, samples: growthSamples, label: 'growth' });
+  // P/E: independent terminal draw with a linear glide, or a log-scale OU process from today's multiple toward peAnchor
+  const peStart = startPE ?? price0 / eps0, resolvedPEAnchor = peAnchor ?? meanPE;
+  const peSampler = peMeanReversion
+    ? buildMeanRevertingMarginal({ start: peStart, anchor: resolvedPEAnchor, halfLife: peHalfLife, sigma: sigmaPE, horizon: years, min: peMin, max: peMax, label: 'P/E' })
+    : buildMarginal({ type: peDistType, mean: meanPE, sigma: sigmaPE, min: peMin, max: peMax, shift: 0, df: peDf, samples: peSamples, label: 'P/E' });
+  const peGlide = peMeanReversion ? peSampler.glide : (peT, t) => peStart + (peT - peStart) * t / years;
+  // Growth is net income; EPS grows by (1 + g) / (1 + shareChange), one share-change draw per simulation (none when fixed)
+  const shareSampler = buildMarginal({ type: 'normal', mean: meanShareChange, sigma: sigmaShareChange, min: shareChangeMin, max: shareChangeMax, label: 'share change' });
+  const shareChangeIsRandom = sigmaShareChange > 0;
+  // Multi-stage: high growth for highGrowthYears, linear fade over fadeYears, then a separately drawn terminal rate
+  const terminalSampler = multiStage ? buildMarginal({ type: 'normal', mean: terminalMeanGrowth, sigma: terminalSigmaGrowth, min: growthMin, max: growthMax, label: 'terminal growth' }) : null;
+  const terminalWeight = (t) => !multiStage || t <= highGrowthYears ? 0 : t > highGrowthYears + fadeYears ? 1 : (t - highGrowthYears) / (fadeYears + 1);
+  const epsAfter = (gHigh, gTerminal, shareFactor, t) => {
+    if (!multiStage) return eps0 * Math.pow((1 + gHigh) / shareFactor, t);
+    let eps = eps0;
+    for (let s = 1; s <= t; s++) { const w = terminalWeight(s); eps *= (1 + (1 - w) * gHigh + w * gTerminal) / shareFactor; }
+    return eps;
+  };
+  // Path mode: AR(1) growth shocks in normal-score space; P/E follows peGlide from today's multiple to the terminal draw
+  const innovationScale = Math.sqrt(1 - growthAutocorrelation * growthAutocorrelation);
+  let shockSumSd = 0, epsPaths, pePaths, pricePaths;
+  if (pathMode) {
+    let sumVar = 0;
+    for (let s = 1; s <= years; s++) for (let t = 1; t <= years; t++) sumVar += Math.pow(growthAutocorrelation, Math.abs(s - t));
+    shockSumSd = Math.sqrt(sumVar);
+    const mk = () => Array.from({ length: years + 1 }, () => new Float64Array(0));
+    epsPaths = mk(); pePaths = mk(); pricePaths = mk();
+  }
+  const growPaths = (paths, size) => paths.map(a => { const grown = new Float64Array(size); grown.set(a); return grown; });
+  // Variance-reduced methods give each simulation a unit-hypercube point: 0 share change; static 1 growth, 2 P/E, 3 terminal;
+  // path 1..years yearly shocks, years + 1 P/E. Batches split into independent replicates to measure the achieved precision.
+  const dimensions = pathMode ? years + 2 : 4, peDimension = pathMode ? years + 1 : 2;
+  const replicateBlocks = samplingMethod === 'random' ? null : [];
+  // One outcome from a point (or from rng when null); path runs also return the EPS path for simulateOne to record
+  const simulateOutcome = (point) => {
+    const nextUniform = (k) => (point ? point[k] : rng());
+    const nextNormal = (k) => (point ? normalQuantile(point[k]) : boxMullerNormal(rng));
+    let g, gHigh, gTerminal, peT, epsT, epsPath = null;
+    const shareChange = shareSampler.quantile(shareChangeIsRandom ? nextUniform(0) : 0.5), shareFactor = 1 + shareChange;
+    if (pathMode) {
+      let z = 0, zSum = 0, eps = eps0;
+      epsPath = new Float64Array(years + 1); epsPath[0] = eps0;
+      for (let t = 1; t <= years; t++) {
+        z = t === 1 ? nextNormal(1) : growthAutocorrelation * z + innovationScale * nextNormal(t);
+        zSum += z;
+        const u = normalCdf(z), w = terminalWeight(t);
+        const gYear = w === 0 ? growthSampler.quantile(u) : w === 1 ? terminalSampler.quantile(u) : (1 - w) * growthSampler.quantile(u) + w * terminalSampler.quantile(u);
+        eps *= (1 + gYear) / shareFactor;
+        epsPath[t] = eps;
+      }
+      const zPE = growthPECorrelation * (zSum / shockSumSd) + Math.sqrt(1 - growthPECorrelation * growthPECorrelation) * nextNormal(peDimension);
+      peT = peSampler.quantile(normalCdf(zPE));
+      epsT = eps;
+      g = Math.pow(epsT / eps0, 1 / years) * shareFactor - 1;
+    } else {
+      if (growthPECorrelation !== 0) {
+        const zG = nextNormal(1), zPE = growthPECorrelation * zG + Math.sqrt(1 - growthPECorrelation * growthPECorrelation) * nextNormal(peDimension);
+        g = growthSampler.quantile(normalCdf(zG));
+        peT = peSampler.quantile(normalCdf(zPE));
+      } else {
+        g = growthSampler.quantile(nextUniform(1));
+        peT = peSampler.quantile(nextUniform(peDimension));
+      }
+      if (multiStage) {
+        gHigh = g; gTerminal = terminalSampler.quantile(nextUniform(3));
+        epsT = epsAfter(gHigh, gTerminal, shareFactor, years);
+        g = Math.pow(epsT / eps0, 1 / years) * shareFactor - 1;
+      } else {
+        epsT = eps0 * Math.pow((1 + g) / shareFactor, years);
+      }
+    }
     const priceT = epsT * peT;
-    const cagr = Math.pow(priceT / price0, 1 / years) - 1;
-    results.push({ g, peT, epsT, priceT, cagr, beatsFD: priceT > fdTarget, isLoss: priceT < price0 });
+    const epsAt = pathMode ? (t) => epsPath[t] : multiStage ? (t) => epsAfter(gHigh, gTerminal, shareFactor, t) : (t) => eps0 * Math.pow((1 + g) / shareFactor, t);
+    const { shares, cash, paid } = accumulateDividends(epsAt, (t) => peGlide(peT, t), years, effectivePayout, reinvestDividends);
+    const totalValue = shares * priceT + cash;
+    return {
+      g, shareChange, epsGrowth: Math.pow(epsT / eps0, 1 / years) - 1, peT, epsT, priceT, dividends: totalValue - priceT, dividendsPaid: paid, totalValue,
+      priceCagr: Math.pow(priceT / price0, 1 / years) - 1, cagr: Math.pow(totalValue / price0, 1 / years) - 1,
+      beatsFD: totalValue > fdTarget, isLoss: totalValue < price0, epsPath
+    };
+  };
+  const simulateOne = (i, point) => {
+    const { epsPath, ...result } = simulateOutcome(point);
+    if (pathMode) {
+      for (let t = 0; t <= years; t++) {
+        const peYear = peGlide(result.peT, t);
+        epsPaths[t][i] = epsPath[t]; pePaths[t][i] = peYear; pricePaths[t][i] = epsPath[t] * peYear;
+      }
+    }
+    results.push(result);
+  };
+  // Batches continue the same random stream, so an adaptive run starts exactly like a fixed one
+  const simulateBatch = (count) => {
+    const start = results.length, end = start + count;
+    if (pathMode) { epsPaths = growPaths(epsPaths, end); pePaths = growPaths(pePaths, end); pricePaths = growPaths(pricePaths, end); }
+    const replicates = replicateBlocks ? Math.min(SAMPLING_REPLICATES, count) : 1;
+    for (let b = 0; b < replicates; b++) {
+      const blockStart = start + Math.floor(count * b / replicates), blockEnd = start + Math.floor(count * (b + 1) / replicates);
+      const nextPoint = createPointSet(samplingMethod, dimensions, blockEnd - blockStart, rng);
+      for (let i = blockStart; i < blockEnd; i++) simulateOne(i, nextPoint());
+      replicateBlocks?.push([blockStart, blockEnd]);
+    }
+  };
+  // Adaptive runs add batches of numSimulations until the precision target or maxSimulations is reached
+  simulateBatch(numSimulations);
+  let batches = 1, errors = monteCarloErrors(results, replicateBlocks);
+  if (adaptive) {
+    while (errors.precision > targetPrecision && results.length < maxSimulations) {
+      simulateBatch(Math.min(numSimulations, maxSimulations - results.length));
+      batches++;
+      errors = monteCarloErrors(results, replicateBlocks);
+    }
   }
+  const simulationCount = results.length;
   const prices = results.map(r => r.priceT), cagrs = results.map(r => r.cagr);
   const growths = results.map(r => r.g), pes = results.map(r => r.peT);
+  const medianShareFactor = 1 + percentile(results.map(r => r.shareChange), 50);
   const avg = a => a.reduce((s, v) => s + v, 0) / a.length;
+  const pctl = a => ({ p10: percentile(a, 10), p25: percentile(a, 25), p50: percentile(a, 50), p75: percentile(a, 75), p90: percentile(a, 90), mean: avg(a) });
+  // Index benchmark: horizon log return normal from the annual fit, tied to the stock by a Gaussian copula on the rank of total value; own random stream
+  let benchmark = null, excessCagrs = null;
+  if (benchmarkMode) {
+    const benchmarkRng = createRng((resolvedSeed + 0x9E3779B9) >>> 0), independent = Math.sqrt(1 - indexCorrelation * indexCorrelation);
+    const order = Array.from(results.keys()).sort((a, b) => results[a].totalValue - results[b].totalValue);
+    const indexCagrs = new Array(simulationCount);
+    order.forEach((simIndex, rank) => {
+      const z = indexCorrelation * normalQuantile((rank + 0.5) / simulationCount) + independent * boxMullerNormal(benchmarkRng);
+      indexCagrs[simIndex] = Math.exp(indexMeanLogReturn + indexSigmaLogReturn * z / Math.sqrt(years)) - 1;
+    });
+    excessCagrs = cagrs.map((c, i) => c - indexCagrs[i]);
+    benchmark = { ticker: benchmarkTicker, probBeatsIndex: excessCagrs.filter(x => x > 0).length / simulationCount, indexCagr: pctl(indexCagrs), excessCagr: pctl(excessCagrs), realizedCorrelation: pearson(cagrs, indexCagrs) };
+  }
+  // Inflation: real values deflate by the horizon-average rate, fixed or drawn per outcome on its own random stream
+  const inflationSampler = buildMarginal({ type: 'normal', mean: inflationRate, sigma: inflationSigma, min: INFLATION_MIN, max: INFLATION_MAX, label: 'inflation' });
+  const inflationRng = createRng((resolvedSeed + 0x85EBCA6B) >>> 0);
+  const inflationRates = results.map(() => inflationSampler.quantile(inflationSigma > 0 ? inflationRng() : 0.5));
+  const deflators = inflationRates.map(rate => Math.pow(1 + rate, years));
+  const realCagrs = cagrs.map((c, i) => (1 + c) / (1 + inflationRates[i]) - 1);
+  const real = {
+    inflationRate, inflationSigma,
+    price: pctl(prices.map((p, i) => p / deflators[i])), totalValue: pctl(results.map((r, i) => r.totalValue / deflators[i])), cagr: pctl(realCagrs),
+    probBeatsInflation: realCagrs.filter(c => c > 0).length / simulationCount,
+    probLoss: realCagrs.filter(c => c < 0).length / simulationCount, fdRate: (1 + fdRate) / (1 + inflationRate) - 1
+  };
+  // Post-tax: FD interest taxed yearly at the slab rate; the stock pays slab tax on dividends and LTCG (above the exemption) or STCG on the
+  // gain over cost plus reinvested dividends at the horizon; cess on all of it
+  let postTax = null;
+  if (taxProfile) {
+    const rules = { ...TAX_RULES, ...taxProfile }, withCess = (rate) => rate * (1 + rules.cess);
+    const units = investmentAmount / price0, longTerm = years >= rules.ltcgMinYears;
+    const postTaxFdRate = fdRate * (1 - withCess(rules.slabRate)), fdWealth = investmentAmount * Math.pow(1 + postTaxFdRate, years);
+    const taxes = results.map(r => {
+      const gain = (r.totalValue - price0 - r.dividendsPaid) * units;
+      return withCess(rules.slabRate) * r.dividendsPaid * units + (longTerm ? withCess(rules.ltcgRate) * Math.max(gain - rules.ltcgExemption, 0) : withCess(rules.stcgRate) * Math.max(gain, 0));
+    });
+    const wealth = results.map((r, i) => r.totalValue * units - taxes[i]);
+    postTax = {
+      rules, investmentAmount, holding: longTerm ? 'long' : 'short', fdRate: postTaxFdRate, fdWealth,
+      wealth: pctl(wealth), cagr: pctl(wealth.map(w => Math.pow(w / investmentAmount, 1 / years) - 1)), tax: pctl(taxes),
+      probBeatsFD: wealth.filter(w => w > fdWealth).length / simulationCount
+    };
+  }
+  // cagr / probBeatsFD / probLoss are total return; priceOnly keeps price appreciation alone
   const summary = {
-    price: { p10: percentile(prices, 10), p25: percentile(prices, 25), p50: percentile(prices, 50), p75: percentile(prices, 75), p90: percentile(prices, 90), mean: avg(prices) },
-    cagr: { p10: percentile(cagrs, 10), p25: percentile(cagrs, 25), p50: percentile(cagrs, 50), p75: percentile(cagrs, 75), p90: percentile(cagrs, 90), mean: avg(cagrs) },
-    probBeatsFD: results.filter(r => r.beatsFD).length / numSimulations,
-    probLoss: results.filter(r => r.isLoss).length / numSimulations,
-    fdTarget, fdRate, years, numSimulations
+    price: pctl(prices), cagr: pctl(cagrs),
+    probBeatsFD: results.filter(r => r.beatsFD).length / simulationCount,
+    probLoss: results.filter(r => r.isLoss).length / simulationCount,
+    priceOnly: {
+      cagr: pctl(results.map(r => r.priceCagr)),
+      probBeatsFD: results.filter(r => r.priceT > fdTarget).length / simulationCount,
+      probLoss: results.filter(r => r.priceT < price0).length / simulationCount
+    },
+    totalValue: pctl(results.map(r => r.totalValue)),
+    dividends: { payoutRatio: effectivePayout, mode: dividendMode, meanReceived: results.reduce((a, r) => a + r.dividends, 0) / simulationCount },
+    fdTarget, fdRate, benchmark, real, postTax, years, numSimulations: simulationCount
+  };
+  // Intrinsic value: outcomes discounted at the required return; entry price clears it with confidenceLevel
+  const discountFactor = Math.pow(1 + requiredReturn, years);
+  const fairValues = results.map(r => r.totalValue / discountFactor), fairValue = pctl(fairValues);
+  const valuation = {
+    requiredReturn, confidenceLevel, fairValue,
+    probUndervalued: fairValues.filter(v => v > price0).length / simulationCount,
+    marginOfSafety: (fairValue.p50 - price0) / fairValue.p50,
+    entryPrice: percentile(fairValues, (1 - confidenceLevel) * 100)
+  };
+  // Downside risk: VaR/CVaR as losses at the (1 − level) tail of price (vs price0) and CAGR; FD shortfall, downside deviation and loss odds on total value
+  const tailOf = (values, level) => {
+    const sorted = Float64Array.from(values).sort();
+    const cutoff = percentileOfSorted(sorted, (1 - level) * 100);
+    let sum = 0, count = 0;
+    for (const x of sorted) { if (x > cutoff) break; sum += x; count++; }
+    return { cutoff, tailMean: sum / count };
+  };
+  const fdShortfalls = results.map(r => Math.max(fdTarget - r.totalValue, 0));
+  const fdShortfallCount = fdShortfalls.filter(x => x > 0).length, fdShortfallTotal = fdShortfalls.reduce((a, b) => a + b, 0);
+  const risk = {
+    valueAtRisk: riskConfidenceLevels.map(level => {
+      const price = tailOf(prices, level), cagr = tailOf(cagrs, level);
+      return { level, price: { var: price0 - price.cutoff, cvar: price0 - price.tailMean }, cagr: { var: -cagr.cutoff, cvar: -cagr.tailMean } };
+    }),
+    fdShortfall: { expected: fdShortfallTotal / simulationCount, conditional: fdShortfallCount > 0 ? fdShortfallTotal / fdShortfallCount : null },
+    downsideDeviation: Math.sqrt(cagrs.reduce((a, c) => a + Math.min(c - fdRate, 0) ** 2, 0) / simulationCount),
+    lossProbabilities: lossThresholds.map(threshold => ({ threshold, probability: results.filter(r => r.totalValue < price0 * (1 - threshold)).length / simulationCount }))
   };
   const gP = { p25: percentile(growths, 25), p50: percentile(growths, 50), p75: percentile(growths, 75) };
   const peP = { p25: percentile(pes, 25), p50: percentile(pes, 50), p75: percentile(pes, 75) };
-  const scenarios = [];
-  for (const [gL, gV] of Object.entries(gP)) for (const [pL, pV] of Object.entries(peP)) {
-    const e = eps0 * Math.pow(1 + gV, years), p = e * pV;
-    scenarios.push({ growthLabel: gL, growthValue: gV, peLabel: pL, peValue: pV, epsT: e, priceT: p, cagr: Math.pow(p / price0, 1 / years) - 1 });
-  }
-  const medG = percentile(growths, 50), medPE = percentile(pes, 50);
-  const vg = results.map(r => eps0 * Math.pow(1 + r.g, years) * medPE);
-  const vp = results.map(r => eps0 * Math.pow(1 + medG, years) * r.peT);
-  const variance = a => { const m = avg(a); return a.reduce((s, v) => s + (v - m) ** 2, 0) / a.length; };
-  const varG = variance(vg), varP = variance(vp), tot = varG + varP;
-  const sensitivity = { growthContribution: tot > 0 ? varG / tot : 0.5, peContribution: tot > 0 ? varP / tot : 0.5, varGrowth: varG, varPE: varP };
-  const sampledResults = [];
-  const step = Math.max(1, Math.floor(results.length / 2000));
-  for (let i = 0; i < results.length; i += step) sampledResults.push(results[i]);
+  // Multi-stage rows pair the high-growth and terminal rates at the same percentile; `stages` records them
+  const stageP = multiStage ? Object.fromEntries([['p25', 0.25], ['p50', 0.5], ['p75', 0.75]].map(([l, u]) => [l, { highGrowth: growthSampler.quantile(u), highGrowthYears, fadeYears, terminalGrowth: terminalSampler.quantile(u) }])) : null;
+  const scenarios = [], scenarioDeflator = Math.pow(1 + inflationRate, years);
+  for (const [gL, gPct] of Object.entries(gP)) {
+    const stages = multiStage ? stageP[gL] : null;
+    const epsScenAt = multiStage ? (t) => epsAfter(stages.highGrowth, stages.terminalGrowth, medianShareFactor, t) : (t) => eps0 * Math.pow((1 + gPct) / medianShareFactor, t);
+    const e = epsScenAt(years), gV = multiStage ? Math.pow(e / eps0, 1 / years) * medianShareFactor - 1 : gPct;
+    for (const [pL, pV] of Object.entries(peP)) {
+      const p = e * pV, d = accumulateDividends(epsScenAt, (t) => peGlide(pV, t), years, effectivePayout, reinvestDividends);
+      const c = Math.pow((d.shares * p + d.cash) / price0, 1 / years) - 1;
+      scenarios.push({ growthLabel: gL, growthValue: gV, peLabel: pL, peValue: pV, epsT: e, priceT: p, cagr: c, realPriceT: p / scenarioDeflator, realCagr: (1 + c) / (1 + inflationRate) - 1, stages });
+    }
+  }
+  // Sobol indices of total value per stochastic input (the coordinates it is drawn from); P/E is its own innovation, so a
+  // growth–P/E correlation counts towards growth. New random inputs only need an entry here; sensitivityAnalysis: false skips it.
+  const sensitivityInputs = [
+    { key: 'growth', dimensions: pathMode ? Array.from({ length: years }, (_, t) => t + 1) : [1] },
+    { key: 'pe', dimensions: [peDimension] },
+    ...(shareChangeIsRandom ? [{ key: 'shareChange', dimensions: [0] }] : []),
+    ...(multiStage && !pathMode ? [{ key: 'terminalGrowth', dimensions: [3] }] : [])
+  ];
+  const sensitivity = sensitivityAnalysis ? { ...sobolIndices((point) => simulateOutcome(point).totalValue, sensitivityInputs, dimensions, SENSITIVITY_SAMPLES, rng), realizedCorrelation: pearson(growths, pes) } : null;
+  // Share of each requested distribution cut off by the min/max bounds
+  const describeTruncation = ({ belowMin, aboveMax }) => ({ belowMin, aboveMax, truncatedProbability: belowMin + aboveMax });
   return {
     summary, scenarios, sensitivity,
-    distributions: { price: buildHistogram(prices, 50), cagr: buildHistogram(cagrs, 50), growth: buildHistogram(growths, 30), pe: buildHistogram(pes, 30) },
-    inputParams: { price0, eps0, pe0, years, numSimulations, fdRate, meanGrowth, sigmaGrowth, meanPE, sigmaPE, growthMin, growthMax, peMin, peMax },
-    sampledResults
+    distributions: { price: buildHistogram(prices, 50), cagr: buildHistogram(cagrs, 50), growth: buildHistogram(growths, 30), pe: buildHistogram(pes, 30), fairValue: buildHistogram(fairValues, 50), excessCagr: excessCagrs ? buildHistogram(excessCagrs, 50) : null },
+    cdf: { price: empiricalCdf(prices), cagr: empiricalCdf(cagrs) },
+    pathBands: pathMode ? epsPaths.map((_, t) => ({ year: t, eps: percentileBand(epsPaths[t]), pe: percentileBand(pePaths[t]), price: percentileBand(pricePaths[t]) })) : null,
+    truncation: { growth: describeTruncation(growthSampler.truncation), pe: describeTruncation(peSampler.truncation), shareChange: describeTruncation(shareSampler.truncation), terminalGrowth: multiStage ? describeTruncation(terminalSampler.truncation) : null },
+    valuation,
+    risk,
+    convergence: { ...errors, samplingMethod, replicates: replicateBlocks ? replicateBlocks.length : null, adaptive: adaptive ? { targetPrecision, maxSimulations, batchSize: numSimulations, batches, converged: errors.precision <= targetPrecision } : null },
+    inputParams: { price0, eps0, pe0, years, numSimulations, fdRate, meanGrowth, sigmaGrowth, meanPE, sigmaPE, growthMin, growthMax, peMin, peMax, growthPECorrelation, pathMode, growthAutocorrelation, growthDistType, peDistType, growthDf, peDf, dividendYield, payoutRatio: effectivePayout, dividendMode, requiredReturn, confidenceLevel, riskConfidenceLevels, lossThresholds, benchmarkMode, benchmarkTicker, indexMeanLogReturn, indexSigmaLogReturn, indexCorrelation, inflationRate, inflationSigma, taxProfile, investmentAmount, meanShareChange, sigmaShareChange, shareChangeMin, shareChangeMax, multiStage, highGrowthYears, fadeYears, terminalMeanGrowth, terminalSigmaGrowth, peMeanReversion, peAnchor: resolvedPEAnchor, peHalfLife, adaptive, targetPrecision, maxSimulations, samplingMethod, seed: resolvedSeed },
+    rawResults: results
+  };
+}
+
+// Thin the full result set to ~2000 rows for the JSON response (scatter chart)
+function withSampledResults({ rawResults, ...rest }) {
+  const sampledResults = [];
+  const step = Math.max(1, Math.floor(rawResults.length / 2000));
+  for (let i = 0; i < rawResults.length; i += step) sampledResults.push(rawResults[i]);
+  return { ...rest, sampledResults };
+}
+
+// ════════════════════════════════════════════════════════════════
+//  Portfolio Simulation
+// ════════════════════════════════════════════════════════════════
+
+const MAX_PORTFOLIO_HOLDINGS = 20, MAX_PORTFOLIO_SIMULATIONS = 20000, MIN_OVERLAPPING_MONTHS = 12;
+
+function validatePortfolioInput(body) {
+  const { holdings } = body;
+  if (!Array.isArray(holdings) || holdings.length === 0) return 'holdings must be a non-empty array of { ticker, weight }.';
+  if (holdings.length > MAX_PORTFOLIO_HOLDINGS) return `At most ${MAX_PORTFOLIO_HOLDINGS} holdings are supported.`;
+  for (const h of holdings) {
+    if (typeof h?.ticker !== 'string' || !h.ticker.trim()) return 'Every holding needs a ticker.';
+    if (!(h.weight > 0)) return `Weight for ${h.ticker} must be positive.`;
+  }
+  if (new Set(holdings.map(h => h.ticker.trim().toUpperCase())).size !== holdings.length) return 'Each ticker may appear only once.';
+  if (!isValidSeed(body.seed)) return 'seed must be a number.';
+  if (body.capital != null && !(body.capital > 0)) return 'capital must be positive.';
+  if (body.years != null && !(body.years > 0)) return 'years must be positive.';
+  if (body.fdRate != null && !(body.fdRate > -1)) return 'fdRate must be above -100%.';
+  return validateSimulationCount('numSimulations', body.numSimulations, MAX_PORTFOLIO_SIMULATIONS);
+}
+
+// First fetched holding the engine cannot simulate (it needs a positive price and EPS)
+function validatePortfolioStocks(stocks) {
+  const index = stocks.findIndex(s => !(s.currentPrice > 0) || !(s.trailingEps > 0));
+  return index === -1 ? null : `holdings[${index}] (${stocks[index].ticker}) needs a positive price and EPS to simulate.`;
+}
+
+// runSimulation inputs for a fetched stock, same data-driven defaults as the single-stock view
+function simulationParamsFromStock(stock, overrides = {}) {
+  if (!(stock.currentPrice > 0) || !(stock.trailingEps > 0)) throw new Error(`${stock.ticker} needs a positive price and EPS to simulate.`);
+  return {
+    price0: stock.currentPrice, eps0: stock.trailingEps, pe0: stock.trailingPE || stock.currentPrice / stock.trailingEps,
+    meanGrowth: stock.growthDistribution.meanGrowth, sigmaGrowth: stock.growthDistribution.sigmaGrowth,
+    meanPE: stock.peDistribution.meanPE, sigmaPE: stock.peDistribution.sigmaPE,
+    growthPECorrelation: stock.growthPECorrelation.correlation,
+    dividendYield: stock.dividendYield ?? 0, payoutRatio: stock.payoutRatio ?? null,
+    ...overrides
+  };
+}
+
+function monthlyLogReturns(historicalPrices) {
+  const returns = new Map();
+  for (let i = 1; i < historicalPrices.length; i++) {
+    const prev = historicalPrices[i - 1].close, curr = historicalPrices[i].close;
+    if (prev > 0 && curr > 0) returns.set(historicalPrices[i].date.slice(0, 7), Math.log(curr / prev));
+  }
+  return returns;
+}
+
+// Pairwise Pearson correlation of monthly log returns matched by month; short overlaps count as uncorrelated
+function estimateReturnCorrelation(stocks) {
+  const series = stocks.map(s => monthlyLogReturns(s.historicalPrices || [])), n = stocks.length;
+  const matrix = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+  const warnings = [];
+  let minOverlap = Infinity;
+  for (let i = 0; i < n; i++) for (let j = i + 1; j < n; j++) {
+    const xs = [], ys = [];
+    for (const [month, r] of series[i]) if (series[j].has(month)) { xs.push(r); ys.push(series[j].get(month)); }
+    minOverlap = Math.min(minOverlap, xs.length);
+    if (xs.length < MIN_OVERLAPPING_MONTHS) {
+      warnings.push(`${stocks[i].ticker} / ${stocks[j].ticker}: only ${xs.length} overlapping months of returns; assuming no correlation.`);
+      continue;
+    }
+    matrix[i][j] = matrix[j][i] = pearson(xs, ys);
+  }
+  return { matrix, dataPoints: n > 1 ? minOverlap : 0, warnings };
+}
+
+function cholesky(matrix) {
+  const n = matrix.length, L = Array.from({ length: n }, () => new Array(n).fill(0));
+  for (let i = 0; i < n; i++) for (let j = 0; j <= i; j++) {
+    let sum = matrix[i][j];
+    for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+    if (i === j) { if (!(sum > 1e-10)) return null; L[i][i] = Math.sqrt(sum); } else L[i][j] = sum / L[j][j];
+  }
+  return L;
+}
+
+// Pairwise estimates may be jointly inconsistent: shrink toward the identity until the matrix factors
+function factorCorrelation(matrix) {
+  for (let step = 0; step <= 20; step++) {
+    const shrinkage = step / 20;
+    const shrunk = matrix.map((row, i) => row.map((v, j) => (i === j ? 1 : v * (1 - shrinkage))));
+    const L = cholesky(shrunk);
+    if (L) return { L, matrix: shrunk, shrinkage };
+  }
+  throw new Error('Could not factor the return correlation matrix.');
+}
+
+// Buy-and-hold basket: each holding through runSimulation, outcomes re-ordered by correlated normal ranks (Iman–Conover)
+function runPortfolioSimulation({ holdings, years = 5, numSimulations = 20000, fdRate = 0.07, capital = 100000, seed }) {
+  const resolvedSeed = resolveSeed(seed), n = holdings.length;
+  const totalWeight = holdings.reduce((a, h) => a + h.weight, 0), weights = holdings.map(h => h.weight / totalWeight);
+  const sortedReturns = holdings.map((h, i) => {
+    const params = simulationParamsFromStock(h.stock);
+    const { rawResults } = runSimulation({ ...params, years, numSimulations, fdRate, sensitivityAnalysis: false, seed: (resolvedSeed + Math.imul(i + 1, 0x9E3779B9)) >>> 0 });
+    return Float64Array.from(rawResults, r => r.totalValue / params.price0).sort();
+  });
+  const estimated = estimateReturnCorrelation(holdings.map(h => h.stock));
+  const { L, matrix, shrinkage } = factorCorrelation(estimated.matrix);
+  const rng = createRng(resolvedSeed), scores = Array.from({ length: n }, () => new Float64Array(numSimulations)), z = new Float64Array(n);
+  for (let s = 0; s < numSimulations; s++) {
+    for (let k = 0; k < n; k++) z[k] = boxMullerNormal(rng);
+    for (let i = 0; i < n; i++) { let x = 0; for (let k = 0; k <= i; k++) x += L[i][k] * z[k]; scores[i][s] = x; }
+  }
+  const holdingReturns = scores.map((col, i) => {
+    const order = Array.from(col.keys()).sort((a, b) => col[a] - col[b]), out = new Float64Array(numSimulations);
+    order.forEach((simIndex, rank) => { out[simIndex] = sortedReturns[i][rank]; });
+    return out;
+  });
+  const portfolioReturns = new Float64Array(numSimulations);
+  for (let s = 0; s < numSimulations; s++) { let r = 0; for (let i = 0; i < n; i++) r += weights[i] * holdingReturns[i][s]; portfolioReturns[s] = r; }
+  const values = Array.from(portfolioReturns, r => capital * r), cagrs = Array.from(portfolioReturns, r => Math.pow(r, 1 / years) - 1);
+  const fdTarget = capital * Math.pow(1 + fdRate, years);
+  const mean = a => a.reduce((x, y) => x + y, 0) / a.length;
+  const pctl = a => ({ p10: percentile(a, 10), p25: percentile(a, 25), p50: percentile(a, 50), p75: percentile(a, 75), p90: percentile(a, 90), mean: mean(a) });
+  // Euler risk split: w_i · Cov(R_i, R_p) / Var(R_p), summing to 1
+  const pMean = mean(portfolioReturns), pVar = portfolioReturns.reduce((a, r) => a + (r - pMean) ** 2, 0) / numSimulations;
+  const holdingSummaries = holdings.map((h, i) => {
+    const returns = holdingReturns[i], m = mean(returns);
+    let cov = 0, varI = 0;
+    for (let s = 0; s < numSimulations; s++) { cov += (returns[s] - m) * (portfolioReturns[s] - pMean); varI += (returns[s] - m) ** 2; }
+    cov /= numSimulations; varI /= numSimulations;
+    return {
+      ticker: h.ticker, companyName: h.stock.companyName, weight: weights[i], price0: h.stock.currentPrice,
+      medianCagr: Math.pow(percentile(sortedReturns[i], 50), 1 / years) - 1, volatility: Math.sqrt(varI),
+      riskContribution: pVar > 0 ? weights[i] * cov / pVar : weights[i]
+    };
+  });
+  return {
+    summary: {
+      value: pctl(values), cagr: pctl(cagrs),
+      probBeatsFD: values.filter(v => v > fdTarget).length / numSimulations, probLoss: values.filter(v => v < capital).length / numSimulations,
+      volatility: Math.sqrt(pVar), capital, fdTarget, fdRate, years, numSimulations
+    },
+    holdings: holdingSummaries,
+    correlation: { tickers: holdings.map(h => h.ticker), matrix, shrinkage, dataPoints: estimated.dataPoints },
+    distributions: { value: buildHistogram(values, 50), cagr: buildHistogram(cagrs, 50) },
+    inputParams: { years, numSimulations, fdRate, capital, seed: resolvedSeed },
+    warnings: estimated.warnings
+  };
+}
+
+// ════════════════════════════════════════════════════════════════
+//  Batch Screener
+// ════════════════════════════════════════════════════════════════
+
+const MAX_SCREEN_TICKERS = 50, MAX_SCREEN_SIMULATIONS = 10000, SCREEN_CONCURRENCY = 4;
+
+function validateScreenInput(body) {
+  const { tickers } = body;
+  if (!Array.isArray(tickers) || tickers.length === 0) return 'tickers must be a non-empty array.';
+  if (tickers.length > MAX_SCREEN_TICKERS) return `At most ${MAX_SCREEN_TICKERS} tickers can be screened at once.`;
+  if (tickers.some(t => typeof t !== 'string' || !t.trim())) return 'Every ticker must be a non-empty string.';
+  if (!isValidSeed(body.seed)) return 'seed must be a number.';
+  if (body.years != null && !(body.years > 0)) return 'years must be positive.';
+  if (body.fdRate != null && !(body.fdRate > -1)) return 'fdRate must be above -100%.';
+  return validateSimulationCount('numSimulations', body.numSimulations, MAX_SCREEN_SIMULATIONS);
+}
+
+// Map items through async fn with at most `limit` calls in flight, preserving order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => { while (next < items.length) { const i = next++; results[i] = await fn(items[i], i); } };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Same seed for every ticker so the ranking compares stocks, not sampling noise; failures become error rows
+async function runScreen({ tickers, fetchStock, years = 5, numSimulations = 5000, fdRate = 0.07, seed }) {
+  const resolvedSeed = resolveSeed(seed);
+  const rows = await mapWithConcurrency(tickers, SCREEN_CONCURRENCY, async (ticker) => {
+    try {
+      const stock = await fetchStock(ticker);
+      const { summary } = runSimulation({ ...simulationParamsFromStock(stock), years, numSimulations, fdRate, seed: resolvedSeed, sensitivityAnalysis: false });
+      return {
+        ticker: stock.ticker, status: 'ok', companyName: stock.companyName, currency: stock.currency,
+        price: stock.currentPrice, medianPrice: summary.price.p50, medianCagr: summary.cagr.p50,
+        probBeatsFD: summary.probBeatsFD, probLoss: summary.probLoss, warnings: stock.warnings
+      };
+    } catch (err) {
+      return { ticker, status: 'error', error: err.message };
+    }
+  });
+  rows.sort((a, b) => a.status !== b.status ? (a.status === 'ok' ? -1 : 1) : a.status === 'ok' ? b.probBeatsFD - a.probBeatsFD : 0);
+  return { results: rows, inputParams: { years, numSimulations, fdRate, seed: resolvedSeed } };
+}
+
+// ════════════════════════════════════════════════════════════════
+//  Tornado Sensitivity (mirror backend/tornado.js)
+// ════════════════════════════════════════════════════════════════
+
+const TORNADO_SIMULATIONS = 5000, MAX_TORNADO_SIMULATIONS = 20000;
+const around = (value, delta) => [value - delta, value + delta], scaled = (value, factor) => [value * (1 - factor), value * (1 + factor)];
+// Low/high values per deterministic input: growth bounds move by a tenth of the range width (never crossing, min above
+// -100%), P/E bounds scale by 20% (staying positive)
+const TORNADO_INPUTS = [
+  { key: 'years', bump: (p) => [Math.max(1, p.years - 1), p.years + 1] },
+  { key: 'fdRate', bump: (p) => around(p.fdRate, 0.01) },
+  { key: 'eps0', bump: (p) => scaled(p.eps0, 0.1) },
+  { key: 'growthMin', bump: (p) => around(p.growthMin, 0.1 * (p.growthMax - p.growthMin)).map(g => Math.max(g, (p.growthMin - 1) / 2)) },
+  { key: 'growthMax', bump: (p) => around(p.growthMax, 0.1 * (p.growthMax - p.growthMin)) },
+  { key: 'peMin', bump: (p) => scaled(p.peMin, 0.2) },
+  { key: 'peMax', bump: (p) => scaled(p.peMax, 0.2) },
+  { key: 'sigmaGrowth', bump: (p) => scaled(p.sigmaGrowth, 0.25) },
+  { key: 'sigmaPE', bump: (p) => scaled(p.sigmaPE, 0.25) },
+  { key: 'sigmaShareChange', applies: (p) => p.sigmaShareChange > 0, bump: (p) => scaled(p.sigmaShareChange, 0.25) },
+  { key: 'terminalSigmaGrowth', applies: (p) => p.multiStage, bump: (p) => scaled(p.terminalSigmaGrowth, 0.25) }
+];
+
+// The horizon is bumped a year either way, so the longer one must be valid too
+function validateTornadoInput(body) {
+  // Runs at a fixed count, so adaptive settings are not checked
+  const inputError = validateSimulationInput({ ...body, adaptive: false });
+  if (inputError) return inputError;
+  if (body.numSimulations != null && body.numSimulations > MAX_TORNADO_SIMULATIONS) return `numSimulations must be at most ${MAX_TORNADO_SIMULATIONS} for a tornado run.`;
+  if (body.samplingMethod === 'sobol' && body.pathMode && (body.years ?? 5) + 3 > SOBOL_MAX_DIMENSIONS) return `Sobol sampling in path mode supports tornado horizons up to ${SOBOL_MAX_DIMENSIONS - 3} years.`;
+  return null;
+}
+
+// Reruns the engine with each input at its low and high value (shared seed, fixed count, no Sobol indices); sorted by median CAGR swing
+function runTornado(params) {
+  const base = {
+    years: 5, fdRate: 0.07, growthMin: -0.20, growthMax: 0.40, peMin: 5, peMax: 60, sigmaShareChange: 0, terminalSigmaGrowth: 0.03,
+    ...params, pe0: params.pe0 || params.price0 / params.eps0, numSimulations: params.numSimulations ?? TORNADO_SIMULATIONS,
+    // Today's P/E and the payout stay those of the base EPS, so the EPS bar moves earnings alone
+    startPE: params.price0 / params.eps0, payoutRatio: params.payoutRatio ?? (params.dividendYield ?? 0) * params.price0 / params.eps0,
+    adaptive: false, sensitivityAnalysis: false, seed: resolveSeed(params.seed)
+  };
+  const outcome = (overrides) => {
+    const { summary } = runSimulation({ ...base, ...overrides });
+    return { medianCagr: summary.cagr.p50, probBeatsFD: summary.probBeatsFD };
+  };
+  const baseline = outcome({});
+  const inputs = TORNADO_INPUTS.filter(input => !input.applies || input.applies(base)).map(({ key, bump }) => {
+    const [lowValue, highValue] = bump(base);
+    const low = { value: lowValue, ...outcome({ [key]: lowValue }) }, high = { value: highValue, ...outcome({ [key]: highValue }) };
+    return { key, base: base[key], low, high, swing: { medianCagr: Math.abs(high.medianCagr - low.medianCagr), probBeatsFD: Math.abs(high.probBeatsFD - low.probBeatsFD) } };
+  });
+  inputs.sort((a, b) => b.swing.medianCagr - a.swing.medianCagr);
+  return { baseline, inputs, inputParams: { numSimulations: base.numSimulations, seed: base.seed } };
+}
+
+// ════════════════════════════════════════════════════════════════
+//  Reverse Solver (mirror backend/solver.js)
+// ════════════════════════════════════════════════════════════════
+
+const SOLVE_VARIABLES = ['meanGrowth', 'meanPE', 'price0'], SOLVE_METRICS = ['probBeatsFD', 'medianCagr', 'pricePercentile'];
+const PRICE_PERCENTILES = [10, 25, 50, 75, 90], SOLVER_SIMULATIONS = 5000, MAX_SOLVER_SIMULATIONS = 20000, MAX_SOLVER_ITERATIONS = 40;
+// Growth and P/E are searched between their truncation bounds; the entry price on a log scale (relative tolerance)
+const SOLVER_SEARCH = {
+  meanGrowth: { range: (p) => [p.growthMin, p.growthMax], tolerance: 0.0001, log: false },
+  meanPE: { range: (p) => [p.peMin, p.peMax], tolerance: 0.01, log: false },
+  price0: { range: (p) => [p.price0 / 100, p.price0 * 100], tolerance: 0.0001, log: true }
+};
+
+function validateSolveInput(body) {
+  // Runs at a fixed count, so adaptive settings are not checked
+  const inputError = validateSimulationInput({ ...body, adaptive: false });
+  if (inputError) return inputError;
+  if (body.numSimulations != null && body.numSimulations > MAX_SOLVER_SIMULATIONS) return `numSimulations must be at most ${MAX_SOLVER_SIMULATIONS} for the solver.`;
+  if (!SOLVE_VARIABLES.includes(body.solveFor)) return `solveFor must be one of: ${SOLVE_VARIABLES.join(', ')}.`;
+  const { target } = body;
+  if (!SOLVE_METRICS.includes(target?.metric)) return `target.metric must be one of: ${SOLVE_METRICS.join(', ')}.`;
+  if (!Number.isFinite(target.value)) return 'target.value must be a number.';
+  if (target.metric === 'pricePercentile') {
+    if (!PRICE_PERCENTILES.includes(target.percentile)) return `target.percentile must be one of: ${PRICE_PERCENTILES.join(', ')}.`;
+    if (body.solveFor === 'price0') return 'The terminal price does not depend on the entry price; solve for meanGrowth or meanPE instead.';
+  }
+  return null;
+}
+
+// Implied value vs the stock's history (net income growth when shares are modelled); entry price vs the current price
+function compareToHistory(solveFor, value, stock, params) {
+  if (solveFor === 'price0') return { currentPrice: stock.currentPrice, premium: value / stock.currentPrice - 1 };
+  let distribution, mean, sigma, observations;
+  if (solveFor === 'meanGrowth') {
+    distribution = (params.meanShareChange || params.sigmaShareChange) && stock.netIncomeGrowthDistribution ? 'netIncomeGrowth' : 'growth';
+    ({ meanGrowth: mean, sigmaGrowth: sigma, growthRates: observations } = distribution === 'netIncomeGrowth' ? stock.netIncomeGrowthDistribution : stock.growthDistribution);
+  } else {
+    distribution = 'pe';
+    ({ meanPE: mean, sigmaPE: sigma, peValues: observations } = stock.peDistribution);
+  }
+  return {
+    distribution, historicalMean: mean, historicalSigma: sigma, zScore: sigma > 0 ? (value - mean) / sigma : null,
+    percentileRank: observations.length > 0 ? observations.filter(x => x <= value).length / observations.length : null, dataPoints: observations.length
+  };
+}
+
+// Bisects solveFor with a fixed seed until target.metric reaches target.value; the entry price keeps today's payout and P/E
+function runSolver(params, solveFor, target, stock = null) {
+  const base = {
+    years: 5, fdRate: 0.07, growthMin: -0.20, growthMax: 0.40, peMin: 5, peMax: 60, ...params,
+    pe0: params.pe0 || params.price0 / params.eps0, startPE: params.price0 / params.eps0,
+    payoutRatio: params.payoutRatio ?? (params.dividendYield ?? 0) * params.price0 / params.eps0, numSimulations: params.numSimulations ?? SOLVER_SIMULATIONS, adaptive: false, sensitivityAnalysis: false, seed: resolveSeed(params.seed)
+  };
+  const metricOf = (summary) => target.metric === 'probBeatsFD' ? summary.probBeatsFD : target.metric === 'medianCagr' ? summary.cagr.p50 : summary.price[`p${target.percentile}`];
+  const evaluate = (value) => metricOf(runSimulation({ ...base, [solveFor]: value }).summary);
+  const { range, tolerance, log } = SOLVER_SEARCH[solveFor];
+  const toSearch = log ? Math.log : (x) => x, fromSearch = log ? Math.exp : (x) => x;
+  let [lo, hi] = range(base).map(toSearch);
+  const metricAtLow = evaluate(fromSearch(lo)), metricAtHigh = evaluate(fromSearch(hi));
+  const bracket = { low: fromSearch(lo), high: fromSearch(hi), metricAtLow, metricAtHigh };
+  const baseline = { value: base[solveFor], metric: evaluate(base[solveFor]) };
+  const inputParams = { numSimulations: base.numSimulations, seed: base.seed };
+  if (!(Math.min(metricAtLow, metricAtHigh) <= target.value && target.value <= Math.max(metricAtLow, metricAtHigh))) {
+    return { solveFor, target, solution: null, achieved: null, converged: false, iterations: 0, bracket, baseline, history: null, inputParams };
+  }
+  // Monotone metric: keep the end that meets the target, so the answer is the least growth/P/E (or highest price) reaching it
+  const increasing = metricAtHigh >= metricAtLow;
+  let iterations = 0;
+  while (hi - lo > tolerance && iterations < MAX_SOLVER_ITERATIONS) {
+    const mid = (lo + hi) / 2;
+    if ((evaluate(fromSearch(mid)) < target.value) === increasing) lo = mid; else hi = mid;
+    iterations++;
+  }
+  const solution = fromSearch(increasing ? hi : lo);
+  return {
+    solveFor, target, solution, achieved: evaluate(solution), converged: hi - lo <= tolerance, iterations, bracket, baseline,
+    history: stock ? compareToHistory(solveFor, solution, stock, base) : null, inputParams
+  };
+}
+
+// ════════════════════════════════════════════════════════════════
+//  Saved Runs (Workers KV)
+// ════════════════════════════════════════════════════════════════
+
+// Each run is stored under `run:<id>`, with its list entry as KV metadata so listing needs no reads
+const MAX_RUN_NAME_LENGTH = 100, RUN_PREFIX = 'run:';
+
+function validateRunName(name) {
+  if (name != null && (typeof name !== 'string' || name.length > MAX_RUN_NAME_LENGTH)) return `name must be a string of at most ${MAX_RUN_NAME_LENGTH} characters.`;
+  return null;
+}
+
+function validateRunInput(body) {
+  const { inputs, stockData, summary } = body;
+  if (!inputs || typeof inputs !== 'object') return 'inputs (the simulation request) are required.';
+  const inputError = validateSimulationInput(inputs);
+  if (inputError) return `inputs: ${inputError}`;
+  if (!Number.isInteger(inputs.seed)) return 'inputs.seed is required so the run can be replayed.';
+  if (typeof stockData?.ticker !== 'string') return 'stockData snapshot is required.';
+  if (!summary?.cagr || summary.probBeatsFD == null) return 'summary is required.';
+  return validateRunName(body.name);
+}
+
+function runListing(run) {
+  return {
+    id: run.id, name: run.name, ticker: run.ticker, companyName: run.companyName, createdAt: run.createdAt,
+    seed: run.seed, years: run.inputs.years, medianCagr: run.summary.cagr.p50, probBeatsFD: run.summary.probBeatsFD
+  };
+}
+
+function createRunRecord({ name, params, inputs, stockData, summary }) {
+  return {
+    id: crypto.randomUUID(),
+    name: name?.trim() || `${stockData.ticker} · ${inputs.years}Y · seed ${inputs.seed}`,
+    ticker: stockData.ticker, companyName: stockData.companyName, createdAt: new Date().toISOString(),
+    seed: inputs.seed, params: params ?? null, inputs, stockData, summary
   };
 }
 
+async function putRun(kv, run) {
+  await kv.put(RUN_PREFIX + run.id, JSON.stringify(run), { metadata: runListing(run) });
+  return run;
+}
+
+// Newest first
+async function listRuns(kv) {
+  const listings = [];
+  let cursor;
+  do {
+    const page = await kv.list({ prefix: RUN_PREFIX, cursor });
+    for (const key of page.keys) if (key.metadata) listings.push(key.metadata);
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return listings.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+async function handleRuns(request, kv, id, origin) {
+  if (!id && request.method === 'GET') return jsonResponse(await listRuns(kv), 200, origin);
+  if (!id && request.method === 'POST') {
+    const body = await request.json();
+    const inputError = validateRunInput(body);
+    if (inputError) return jsonResponse({ error: inputError }, 400, origin);
+    return jsonResponse(await putRun(kv, createRunRecord(body)), 201, origin);
+  }
+  if (!id) return jsonResponse({ error: 'Not found' }, 404, origin);
+
+  const run = await kv.get(RUN_PREFIX + id, 'json');
+  if (!run) return jsonResponse({ error: 'Run not found.' }, 404, origin);
+  if (request.method === 'GET') return jsonResponse(run, 200, origin);
+  if (request.method === 'PATCH') {
+    const { name } = await request.json();
+    const inputError = typeof name === 'string' && name.trim() ? validateRunName(name) : 'name is required.';
+    if (inputError) return jsonResponse({ error: inputError }, 400, origin);
+    return jsonResponse(await putRun(kv, { ...run, name: name.trim() }), 200, origin);
+  }
+  if (request.method === 'DELETE') {
+    await kv.delete(RUN_PREFIX + id);
+    return new Response(null, { status: 204, headers: corsHeaders(origin) });
+  }
+  return jsonResponse({ error: 'Not found' }, 404, origin);
+}
+
 // ════════════════════════════════════════════════════════════════
 //  Data Fetching (Moneycontrol + Yahoo)
 // ════════════════════════════════════════════════════════════════
@@ -220,6 +1431,25 @@ async function fetchYahooChart(ticker, range = '10y', interval = '1mo') {
   } catch { return { prices: [], meta: null }; }
 }
 
+// Annual diluted average shares and net income from Yahoo fundamentals-timeseries (empty on failure)
+async function fetchYahooFundamentalsHistory(ticker, lookbackYears = 8) {
+  const period2 = Math.floor(Date.now() / 1000), period1 = period2 - (lookbackYears + 1) * 365 * 24 * 3600;
+  const url = `https://query2.finance.yahoo.com/ws/fundamentals-timeseries/v1/finance/timeseries/${encodeURIComponent(ticker)}?type=annualDilutedAverageShares,annualNetIncome&period1=${period1}&period2=${period2}`;
+  try {
+    const res = await fetch(url, { headers: { 'User-Agent': UA, Accept: 'application/json' } });
+    if (!res.ok) return { shareHistory: [], netIncomeHistory: [] };
+    const results = (await res.json())?.timeseries?.result || [];
+    const series = (type) => (results.find(r => r[type])?.[type] || [])
+      .filter(p => p?.asOfDate && rawVal(p.reportedValue) != null)
+      .map(p => ({ year: new Date(p.asOfDate).getFullYear(), value: rawVal(p.reportedValue) }))
+      .sort((a, b) => a.year - b.year);
+    return {
+      shareHistory: series('annualDilutedAverageShares').map(p => ({ year: p.year, shares: p.value })),
+      netIncomeHistory: series('annualNetIncome').map(p => ({ year: p.year, netIncome: p.value }))
+    };
+  } catch { return { shareHistory: [], netIncomeHistory: [] }; }
+}
+
 function rawVal(f) {
   if (f == null) return null;
   if (typeof f === 'number') return f;
@@ -256,6 +1486,8 @@ async function fetchYahooQuote(ticker) {
           trailingPE: rawVal(sd.trailingPE) || rawVal(p.trailingPE),
           forwardPE: rawVal(sd.forwardPE) || rawVal(ks.forwardPE),
           sharesOutstanding: rawVal(ks.sharesOutstanding),
+          dividendYield: rawVal(sd.dividendYield) || rawVal(sd.trailingAnnualDividendYield),
+          payoutRatio: rawVal(sd.payoutRatio),
           shortName: p.shortName || p.longName,
           currency: p.currency,
           exchange: p.exchangeName || p.exchange,
@@ -302,6 +1534,8 @@ async function fetchYahooQuote(ticker) {
               trailingPE: rawVal(sd.trailingPE) || rawVal(p.trailingPE),
               forwardPE: rawVal(sd.forwardPE),
               sharesOutstanding: rawVal(ks.sharesOutstanding),
+              dividendYield: rawVal(sd.dividendYield) || rawVal(sd.trailingAnnualDividendYield),
+              payoutRatio: rawVal(sd.payoutRatio),
               shortName: p.shortName || p.longName,
               currency: p.currency,
               exchange: p.exchangeName,
@@ -316,16 +1550,20 @@ async function fetchYahooQuote(ticker) {
   return null;
 }
 
-async function fetchStockData(ticker, lookbackYears = 8) {
+async function fetchStockData(ticker, lookbackYears = 8, benchmarkTicker = null) {
   const warnings = [];
   let source = 'unknown';
 
   // Fetch from all sources in parallel
-  const [mcSearch, chartResult, yahooQuote] = await Promise.all([
+  const range = lookbackYears <= 5 ? '5y' : lookbackYears <= 10 ? '10y' : 'max';
+  const [mcSearch, chartResult, yahooQuote, fundamentals, indexChart] = await Promise.all([
     searchMoneycontrol(ticker),
-    fetchYahooChart(ticker, lookbackYears <= 5 ? '5y' : lookbackYears <= 10 ? '10y' : 'max', '1mo'),
-    fetchYahooQuote(ticker)
+    fetchYahooChart(ticker, range, '1mo'),
+    fetchYahooQuote(ticker),
+    fetchYahooFundamentalsHistory(ticker, lookbackYears),
+    benchmarkTicker ? fetchYahooChart(benchmarkTicker, range, '1mo') : { prices: [] }
   ]);
+  const { shareHistory, netIncomeHistory } = fundamentals;
 
   let mcData = null;
   if (mcSearch?.sc_id) {
@@ -336,6 +1574,7 @@ async function fetchStockData(ticker, lookbackYears = 8) {
   const { prices: historicalPrices, meta: chartMeta } = chartResult;
 
   let currentPrice, trailingEps, trailingPE, forwardPE, sharesOutstanding, companyName, currency, exchange, marketState;
+  let dividendYield = null, payoutRatio = null;
 
   // Priority 1: Moneycontrol
   if (mcData) {
@@ -344,6 +1583,7 @@ async function fetchStockData(ticker, lookbackYears = 8) {
     trailingPE = parseFloat(mcData.PE) || parseFloat(mcData.PECONS);
     forwardPE = parseFloat(mcData.PECONS) || null;
     sharesOutstanding = parseFloat(mcData.SHRS) || null;
+    dividendYield = parseFloat(mcData.DY) / 100 || null; // DY is a percentage
     companyName = mcData.SC_FULLNM || mcSearch?.stock_name || ticker;
     currency = 'INR'; exchange = mcData.exchange === 'B' ? 'BSE' : 'NSE';
     marketState = mcData.market_state || ''; source = 'moneycontrol';
@@ -356,6 +1596,8 @@ async function fetchStockData(ticker, lookbackYears = 8) {
     if (!trailingPE || isNaN(trailingPE)) trailingPE = yahooQuote.trailingPE;
     if (!forwardPE) forwardPE = yahooQuote.forwardPE || null;
     if (!sharesOutstanding) sharesOutstanding = yahooQuote.sharesOutstanding || null;
+    if (!dividendYield) dividendYield = yahooQuote.dividendYield || yahooQuote.trailingAnnualDividendYield || null;
+    if (!payoutRatio) payoutRatio = yahooQuote.payoutRatio || null;
     if (!companyName || companyName === ticker) companyName = yahooQuote.shortName || yahooQuote.longName || companyName;
     if (!currency) currency = yahooQuote.currency || 'INR';
     if (!exchange) exchange = yahooQuote.exchange || yahooQuote.fullExchangeName || '';
@@ -387,7 +1629,9 @@ async function fetchStockData(ticker, lookbackYears = 8) {
   epsHistory.push({ date: new Date().toISOString(), eps: trailingEps, year: currentYear });
   epsHistory.sort((a, b) => a.year - b.year);
 
+  let epsHistoryEstimated = false;
   if (epsHistory.length < 3) {
+    epsHistoryEstimated = true;
     if (historicalPrices.length > 12) {
       const annRet = [];
       for (let i = 12; i < historicalPrices.length; i += 12) {
@@ -416,18 +1660,32 @@ async function fetchStockData(ticker, lookbackYears = 8) {
   epsHistory.sort((a, b) => a.year - b.year);
 
   // Build PE history
-  const peHistory = [];
+  const peHistory = [], peSeries = [];
   if (historicalPrices.length > 0 && epsHistory.length > 0) {
     const yp = new Map();
     for (const hp of historicalPrices) { const y = new Date(hp.date).getFullYear(), m = new Date(hp.date).getMonth(); if (!yp.has(y) || m >= (yp.get(y).month || 0)) yp.set(y, { ...hp, month: m }); }
-    for (const [yr, pp] of yp) { const e = findNearestEPS(epsHistory, yr); if (e && e > 0) { const pe = pp.close / e; if (pe > 0 && pe < 200) peHistory.push(pe); } }
+    for (const [yr, pp] of yp) { const e = findNearestEPS(epsHistory, yr); if (e && e > 0) { const pe = pp.close / e; if (pe > 0 && pe < 200) { peHistory.push(pe); peSeries.push({ year: yr, pe }); } } }
   }
   if (trailingPE > 0 && trailingPE < 200) peHistory.push(trailingPE);
   if (forwardPE && forwardPE > 0 && forwardPE < 200) peHistory.push(forwardPE);
-  if (mcData?.IND_PE) { const ip = parseFloat(mcData.IND_PE); if (ip > 0 && ip < 200) peHistory.push(ip); }
+  // Industry P/E also serves as a mean-reversion anchor
+  let industryPE = null;
+  if (mcData?.IND_PE) { const ip = parseFloat(mcData.IND_PE); if (ip > 0 && ip < 200) { peHistory.push(ip); industryPE = ip; } }
 
   const growthDist = computeEPSGrowthDistribution(epsHistory);
   const peDist = computePEDistribution(peHistory);
+  // Estimated EPS is derived from price, so pairing it with price-based P/E would be circular
+  const correlationDist = epsHistoryEstimated
+    ? { correlation: 0, dataPoints: 0, warning: 'EPS history is estimated; growth/P/E correlation not estimated (assuming independence).' }
+    : computeGrowthPECorrelation(epsHistory, peSeries);
+  const peReversion = computePEReversion(peSeries);
+  const shareChangeDist = computeShareChangeDistribution(shareHistory);
+  // Net income growth pairs with the share-count change; the client falls back to EPS growth without it
+  const netIncomeGrowthDist = netIncomeHistory.length >= 3 ? computeEPSGrowthDistribution(netIncomeHistory.map(p => ({ year: p.year, eps: p.netIncome }))) : null;
+
+  const benchmark = benchmarkTicker ? computeBenchmarkDistribution(benchmarkTicker, indexChart.prices, historicalPrices) : null;
+  if (benchmarkTicker && !benchmark) warnings.push(`Not enough ${benchmarkTicker} history for the index benchmark.`);
+  if (benchmark?.warning) warnings.push(benchmark.warning);
 
   let priceReturns = [];
   if (historicalPrices.length > 12) {
@@ -442,11 +1700,12 @@ async function fetchStockData(ticker, lookbackYears = 8) {
   if (peHistory.length < 5) warnings.push('Limited P/E history. P/E distribution may be less reliable.');
 
   return {
-    ticker, currentPrice, trailingEps, trailingPE, forwardPE: forwardPE || null,
-    sharesOutstanding, companyName, currency, exchange, marketState, source,
-    fetchTimestamp: new Date().toISOString(), epsHistory, peHistory,
+    ticker, currentPrice, trailingEps, trailingPE, forwardPE: forwardPE || null, industryPE,
+    sharesOutstanding, dividendYield, payoutRatio, companyName, currency, exchange, marketState, source,
+    fetchTimestamp: new Date().toISOString(), epsHistory, peHistory, peSeries,
     historicalPrices: historicalPrices.map(hp => ({ date: hp.date, close: hp.close, volume: hp.volume })),
-    priceReturns, growthDistribution: growthDist, peDistribution: peDist,
+    priceReturns, growthDistribution: growthDist, peDistribution: peDist, growthPECorrelation: correlationDist, peReversion,
+    shareHistory, shareChangeDistribution: shareChangeDist, netIncomeGrowthDistribution: netIncomeGrowthDist, benchmark,
     warnings: [...new Set(warnings)].filter(Boolean)
   };
 }
@@ -472,6 +1731,10 @@ export default {
         return jsonResponse({ status: 'ok', timestamp: new Date().toISOString() }, 200, origin);
       }
 
+      if (path === '/api/tax-rules' && request.method === 'GET') {
+        return jsonResponse(TAX_RULES, 200, origin);
+      }
+
       // Debug endpoint — shows raw responses from each data source
       const debugMatch = path.match(/^\/api\/debug\/(.+)$/);
       if (debugMatch && request.method === 'GET') {
@@ -496,36 +1759,120 @@ export default {
       if (stockMatch && request.method === 'GET') {
         const ticker = decodeURIComponent(stockMatch[1]);
         const lookback = parseInt(url.searchParams.get('lookbackYears')) || 8;
-        const result = await fetchStockData(ticker, lookback);
+        const result = await fetchStockData(ticker, lookback, url.searchParams.get('benchmark') || DEFAULT_BENCHMARK_TICKER);
         return jsonResponse(result, 200, origin);
       }
 
       // Simulation
       if (path === '/api/simulate' && request.method === 'POST') {
         const body = await request.json();
-        if (!body.price0 || !body.eps0) return jsonResponse({ error: 'price0 and eps0 are required.' }, 400, origin);
+        const inputError = validateSimulationInput(body);
+        if (inputError) return jsonResponse({ error: inputError }, 400, origin);
         const result = runSimulation({
           price0: body.price0, eps0: body.eps0, pe0: body.pe0 || (body.price0 / body.eps0),
-          years: body.years || 5, numSimulations: Math.min(body.numSimulations || 20000, 50000),
-          fdRate: body.fdRate || 0.07,
+          years: body.years ?? 5, numSimulations: body.numSimulations ?? 20000,
+          fdRate: body.fdRate ?? 0.07,
           meanGrowth: body.meanGrowth, sigmaGrowth: body.sigmaGrowth,
           meanPE: body.meanPE, sigmaPE: body.sigmaPE,
           growthMin: body.growthMin ?? -0.20, growthMax: body.growthMax ?? 0.40,
-          peMin: body.peMin ?? 5, peMax: body.peMax ?? 60
+          peMin: body.peMin ?? 5, peMax: body.peMax ?? 60,
+          growthPECorrelation: body.growthPECorrelation ?? 0,
+          pathMode: body.pathMode ?? false, growthAutocorrelation: body.growthAutocorrelation ?? 0,
+          growthDistType: body.growthDistType ?? 'normal', peDistType: body.peDistType ?? 'normal',
+          growthDf: body.growthDf ?? 4, peDf: body.peDf ?? 4,
+          growthSamples: body.growthSamples ?? [], peSamples: body.peSamples ?? [],
+          dividendYield: body.dividendYield ?? 0, payoutRatio: body.payoutRatio ?? null, dividendMode: body.dividendMode ?? 'reinvest',
+          requiredReturn: body.requiredReturn ?? 0.12, confidenceLevel: body.confidenceLevel ?? 0.8,
+          riskConfidenceLevels: body.riskConfidenceLevels ?? [0.95, 0.99], lossThresholds: body.lossThresholds ?? [0.10, 0.25, 0.50],
+          benchmarkMode: body.benchmarkMode ?? false, benchmarkTicker: body.benchmarkTicker ?? DEFAULT_BENCHMARK_TICKER,
+          indexMeanLogReturn: body.indexMeanLogReturn ?? 0.11, indexSigmaLogReturn: body.indexSigmaLogReturn ?? 0.17, indexCorrelation: body.indexCorrelation ?? 0.5,
+          inflationRate: body.inflationRate ?? 0.05, inflationSigma: body.inflationSigma ?? 0,
+          taxProfile: body.taxProfile ?? null, investmentAmount: body.investmentAmount ?? 100000,
+          meanShareChange: body.meanShareChange ?? 0, sigmaShareChange: body.sigmaShareChange ?? 0,
+          shareChangeMin: body.shareChangeMin ?? -0.10, shareChangeMax: body.shareChangeMax ?? 0.15,
+          multiStage: body.multiStage ?? false, highGrowthYears: body.highGrowthYears ?? 3, fadeYears: body.fadeYears ?? 2,
+          terminalMeanGrowth: body.terminalMeanGrowth ?? 0.06, terminalSigmaGrowth: body.terminalSigmaGrowth ?? 0.03,
+          peMeanReversion: body.peMeanReversion ?? false, peAnchor: body.peAnchor ?? null, peHalfLife: body.peHalfLife ?? 3,
+          adaptive: body.adaptive ?? false, targetPrecision: body.targetPrecision ?? 0.005, maxSimulations: body.maxSimulations ?? 50000,
+          samplingMethod: body.samplingMethod ?? 'random',
+          seed: body.seed
+        });
+        return jsonResponse(withSampledResults(result), 200, origin);
+      }
+
+      // Tornado sensitivity
+      if (path === '/api/sensitivity/tornado' && request.method === 'POST') {
+        const body = await request.json();
+        const inputError = validateTornadoInput(body);
+        if (inputError) return jsonResponse({ error: inputError }, 400, origin);
+        return jsonResponse(runTornado(body), 200, origin);
+      }
+
+      // Reverse solver; the history comparison is skipped if the stock fetch fails
+      if (path === '/api/solve' && request.method === 'POST') {
+        const body = await request.json();
+        const inputError = validateSolveInput(body);
+        if (inputError) return jsonResponse({ error: inputError }, 400, origin);
+        const { solveFor, target, ticker, lookbackYears = 8, ...params } = body;
+        let stock = null;
+        if (ticker) {
+          try { stock = await fetchStockData(ticker, lookbackYears); } catch { stock = null; }
+        }
+        return jsonResponse(runSolver(params, solveFor, target, stock), 200, origin);
+      }
+
+      // Portfolio simulation
+      if (path === '/api/portfolio/simulate' && request.method === 'POST') {
+        const body = await request.json();
+        const inputError = validatePortfolioInput(body);
+        if (inputError) return jsonResponse({ error: inputError }, 400, origin);
+        let stocks;
+        try {
+          stocks = await Promise.all(body.holdings.map(h => fetchStockData(h.ticker.trim().toUpperCase(), body.lookbackYears ?? 8)));
+        } catch (err) {
+          return jsonResponse({ error: `Could not fetch stock data: ${err.message}` }, 502, origin);
+        }
+        const stockError = validatePortfolioStocks(stocks);
+        if (stockError) return jsonResponse({ error: stockError }, 400, origin);
+        const result = runPortfolioSimulation({
+          holdings: body.holdings.map((h, i) => ({ ticker: stocks[i].ticker, weight: h.weight, stock: stocks[i] })),
+          years: body.years ?? 5, numSimulations: body.numSimulations ?? 20000,
+          fdRate: body.fdRate ?? 0.07, capital: body.capital ?? 100000, seed: body.seed
         });
         return jsonResponse(result, 200, origin);
       }
 
+      // Batch screener
+      if (path === '/api/screen' && request.method === 'POST') {
+        const body = await request.json();
+        const inputError = validateScreenInput(body);
+        if (inputError) return jsonResponse({ error: inputError }, 400, origin);
+        const lookback = body.lookbackYears ?? 8;
+        const result = await runScreen({
+          tickers: [...new Set(body.tickers.map(t => t.trim().toUpperCase()))],
+          fetchStock: (ticker) => fetchStockData(ticker, lookback),
+          years: body.years ?? 5, numSimulations: body.numSimulations ?? 5000,
+          fdRate: body.fdRate ?? 0.07, seed: body.seed
+        });
+        return jsonResponse(result, 200, origin);
+      }
+
+      // Saved runs
+      const runsMatch = path.match(/^\/api\/runs(?:\/([^/]+))?$/);
+      if (runsMatch) {
+        if (!env.RUNS) return jsonResponse({ error: 'Saved runs are not enabled: bind a KV namespace as RUNS in wrangler.toml.' }, 501, origin);
+        return handleRuns(request, env.RUNS, runsMatch[1] && decodeURIComponent(runsMatch[1]), origin);
+      }
+
       // CSV download
       if (path === '/api/simulate/csv' && request.method === 'POST') {
         const body = await request.json();
-        if (!body.price0 || !body.eps0) return jsonResponse({ error: 'price0 and eps0 are required.' }, 400, origin);
-        const result = runSimulation(body);
-        const csv = ['SimulationIndex,GrowthRate,TerminalPE,TerminalEPS,TerminalPrice,CAGR,BeatsFD,IsLoss'];
-        // Use rawResults from full simulation (before sampling)
-        const raw = result.sampledResults || [];
-        raw.forEach((r, i) => {
-          csv.push(`${i + 1},${r.g.toFixed(6)},${r.peT.toFixed(2)},${r.epsT.toFixed(4)},${r.priceT.toFixed(2)},${r.cagr.toFixed(6)},${r.beatsFD},${r.isLoss}`);
+        const inputError = validateSimulationInput(body);
+        if (inputError) return jsonResponse({ error: inputError }, 400, origin);
+        const result = runSimulation({ ...body, sensitivityAnalysis: false }); // the export drops the Sobol indices
+        const csv = ['SimulationIndex,GrowthRate,TerminalPE,TerminalEPS,TerminalPrice,CAGR,BeatsFD,IsLoss,Dividends,TotalValue,PriceCAGR,ShareChange,EPSGrowth'];
+        result.rawResults.forEach((r, i) => {
+          csv.push(`${i + 1},${r.g.toFixed(6)},${r.peT.toFixed(2)},${r.epsT.toFixed(4)},${r.priceT.toFixed(2)},${r.cagr.toFixed(6)},${r.beatsFD},${r.isLoss},${r.dividends.toFixed(2)},${r.totalValue.toFixed(2)},${r.priceCagr.toFixed(6)},${r.shareChange.toFixed(6)},${r.epsGrowth.toFixed(6)}`);
         });
         return new Response(csv.join('\n'), {
           headers: {